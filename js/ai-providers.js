@@ -0,0 +1,268 @@
+// AI provider layer — request building, retries, rate-limit backoff and response parsing per vision API
+
+import { getSetting } from './db.js';
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const MAX_RETRIES = 2;
+// Longest we'll honor a Retry-After before giving up on the request
+const MAX_RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+/*
+ * Requests are provider-neutral:
+ *   { kind, model, system, content, maxTokens, temperature }
+ * where kind is 'identify' or 'grade' and content is a list of
+ * { type: 'text', text } and { type: 'image', data } blocks (image data is
+ * base64 JPEG without the data-URI prefix). Each provider turns that into
+ * its own HTTP request and reduces the reply to
+ * { text, model, usage: { inputTokens, outputTokens } }.
+ */
+
+const anthropic = {
+  id: 'anthropic',
+  label: 'Anthropic',
+  authError: 'Invalid API key. Please check your key in Settings.',
+
+  configError(config) {
+    return config.apiKey ? null : 'API key not set. Please add your Claude API key in Settings.';
+  },
+
+  buildRequest(config, req) {
+    return {
+      url: ANTHROPIC_URL,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': config.apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: {
+        model: req.model,
+        max_tokens: req.maxTokens,
+        temperature: req.temperature,
+        ...(req.system ? { system: req.system } : {}),
+        messages: [{
+          role: 'user',
+          content: req.content.map(block => block.type === 'image'
+            ? { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: block.data } }
+            : { type: 'text', text: block.text })
+        }]
+      }
+    };
+  },
+
+  parseResponse(json) {
+    return {
+      text: (json.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+      model: json.model || '',
+      usage: {
+        inputTokens: json.usage?.input_tokens ?? null,
+        outputTokens: json.usage?.output_tokens ?? null,
+      },
+    };
+  },
+};
+
+/**
+ * Any server speaking the OpenAI chat-completions format — a hosted
+ * gateway, a self-hosted vision model, or a mock server for testing.
+ */
+const openaiCompatible = {
+  id: 'openai',
+  label: 'OpenAI-compatible endpoint',
+  authError: 'The AI endpoint rejected the key. Please check it in Settings.',
+
+  configError(config) {
+    return config.endpoint ? null : 'AI endpoint not set. Please add its URL in Settings.';
+  },
+
+  buildRequest(config, req) {
+    const base = config.endpoint.replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.endpointKey) headers.Authorization = `Bearer ${config.endpointKey}`;
+    const messages = [];
+    if (req.system) messages.push({ role: 'system', content: req.system });
+    messages.push({
+      role: 'user',
+      content: req.content.map(block => block.type === 'image'
+        ? { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${block.data}` } }
+        : { type: 'text', text: block.text })
+    });
+    return {
+      url: base.endsWith('/chat/completions') ? base : `${base}/chat/completions`,
+      headers,
+      body: {
+        model: config.endpointModel || req.model,
+        max_tokens: req.maxTokens,
+        temperature: req.temperature,
+        messages,
+      }
+    };
+  },
+
+  parseResponse(json) {
+    const content = json.choices?.[0]?.message?.content;
+    return {
+      text: Array.isArray(content) ? content.map(part => part.text || '').join('') : (content || ''),
+      model: json.model || '',
+      usage: {
+        inputTokens: json.usage?.prompt_tokens ?? null,
+        outputTokens: json.usage?.completion_tokens ?? null,
+      },
+    };
+  },
+};
+
+// What the offline stand-in says when asked to identify: every field blank
+// and rated low, so review flags them all for the user to fill in
+const OFFLINE_IDENTIFY_REPLY = JSON.stringify({
+  sport: '', year: '', brand: '', setName: '', subset: '', parallel: '', cardNumber: '',
+  player: '', team: '', attributes: [], serialNumber: '', graded: 'No', gradeCompany: '', gradeValue: '',
+  confidence: { sport: 'low', year: 'low', brand: 'low', setName: 'low', cardNumber: 'low', player: 'low', team: 'low' },
+});
+
+/**
+ * Offline stand-in: no network and no key. Scans still save their photos
+ * as blank cards to fill in by hand; pre-grading needs a real model.
+ */
+const offline = {
+  id: 'offline',
+  label: 'Offline',
+
+  async send(config, req) {
+    if (req.kind !== 'identify') {
+      throw new Error('Offline mode can only save blank cards. Choose an AI provider in Settings to pre-grade.');
+    }
+    return { text: OFFLINE_IDENTIFY_REPLY, model: 'offline', usage: { inputTokens: null, outputTokens: null } };
+  },
+};
+
+const providers = new Map([anthropic, openaiCompatible, offline].map(p => [p.id, p]));
+
+/**
+ * Add a provider (same shape as the built-ins). A provider may implement
+ * send(config, req) instead of buildRequest/parseResponse to answer without
+ * HTTP — e.g. replaying recorded responses.
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/** The configured provider (or the one asked for by id) plus its settings */
+export async function getProviderConfig(providerId = null) {
+  providerId = providerId || (await getSetting('aiProvider')) || 'anthropic';
+  let apiKey = await getSetting('apiKey');
+  // Fall back to localStorage if IndexedDB lost the key
+  if (!apiKey) {
+    try { apiKey = localStorage.getItem('cw_apiKey'); } catch {}
+  }
+  return {
+    provider: providers.get(providerId) || anthropic,
+    apiKey: apiKey || '',
+    endpoint: (await getSetting('aiEndpoint')) || '',
+    endpointModel: (await getSetting('aiEndpointModel')) || '',
+    endpointKey: (await getSetting('aiEndpointKey')) || '',
+  };
+}
+
+/** True when the configured provider has what it needs to make a call */
+export async function isAiConfigured() {
+  const config = await getProviderConfig();
+  return !(config.provider.configError && config.provider.configError(config));
+}
+
+// ===== Requests =====
+
+// A 429 pauses every caller until this time, not just the one that hit it
+let rateLimitedUntil = 0;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * An error carrying the HTTP status (0 for network failures) so callers
+ * like the batch queue can tell a temporary failure from a permanent one
+ */
+function apiError(message, status, retryAfterMs = null) {
+  const err = new Error(message);
+  err.status = status;
+  if (retryAfterMs !== null) err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+/** Rate limits, server errors and network failures are worth retrying later */
+export function isTransientError(err) {
+  return typeof err.status === 'number' && (err.status === 0 || err.status === 429 || err.status >= 500);
+}
+
+/** Seconds from a Retry-After header, else exponential backoff */
+function retryDelay(response, attempt) {
+  const header = response && response.headers.get('retry-after');
+  const seconds = header ? parseFloat(header) : NaN;
+  if (!isNaN(seconds)) return seconds * 1000;
+  return 1000 * 2 ** attempt;
+}
+
+/**
+ * Send a request to the configured provider (or options.providerId).
+ * Network failures, server errors and rate limits are retried with
+ * backoff; auth and bad-request errors fail straight away.
+ */
+export async function sendMessage(request, { providerId = null } = {}) {
+  const config = await getProviderConfig(providerId);
+  const { provider } = config;
+  const configError = provider.configError && provider.configError(config);
+  if (configError) throw new Error(configError);
+
+  if (provider.send) return provider.send(config, request);
+
+  const { url, headers, body } = provider.buildRequest(config, request);
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    const wait = rateLimitedUntil - Date.now();
+    if (wait > 0) await sleep(wait);
+
+    let response;
+    try {
+      response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+    } catch {
+      lastError = apiError(`Couldn't reach ${provider.label}. Check your connection and try again.`, 0);
+      if (attempt < MAX_RETRIES) {
+        await sleep(retryDelay(null, attempt));
+        continue;
+      }
+      throw lastError;
+    }
+
+    if (response.ok) {
+      const result = provider.parseResponse(await response.json());
+      if (!result.text) throw new Error('The AI returned an empty response.');
+      return result;
+    }
+
+    const errBody = await response.text().catch(() => '');
+    if (response.status === 401 || response.status === 403) {
+      throw apiError(provider.authError, response.status);
+    }
+    if (response.status === 400) {
+      throw apiError('Bad request — the image may be too large or in an unsupported format.', 400);
+    }
+    if (response.status === 429) {
+      const delay = retryDelay(response, attempt);
+      lastError = apiError('Rate limited. Please wait a moment and try again.', 429, delay);
+      if (attempt < MAX_RETRIES && delay <= MAX_RATE_LIMIT_WAIT_MS) {
+        rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+        continue;
+      }
+      throw lastError;
+    }
+    // Retry on server errors (incl. overloaded)
+    if (response.status >= 500 && attempt < MAX_RETRIES) {
+      lastError = apiError(`Server error (${response.status}).`, response.status);
+      await sleep(retryDelay(response, attempt));
+      continue;
+    }
+    throw apiError(`API error (${response.status}): ${errBody.substring(0, 200)}`, response.status);
+  }
+
+  throw lastError || new Error('AI request failed after multiple attempts.');
+}
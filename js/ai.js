@@ -1,84 +1,17 @@
-// Claude Vision API call for card identification
+// Card identification and pre-grading prompts over the configured AI provider
 
-import { getSetting } from './db.js';
 import { stripDataUri } from './camera.js';
+import { sendMessage, getProviderConfig } from './ai-providers.js';
+import { getSetting, getCachedIdentification, putCachedIdentification } from './db.js';
+import { resolveParallel, foreignParallelSet } from './parallels.js';
+import { flagField } from './card-model.js';
 
-const API_URL = 'https://api.anthropic.com/v1/messages';
 const FALLBACK_MODEL = 'claude-sonnet-4-6';
 const HAIKU_MODEL_PREFIX = 'claude-haiku';
 
-/**
- * Blocklist of parallel names that are WRONG for a given set.
- * Only catches known cross-set terminology confusion — never rejects
- * legitimate parallels we just forgot to list.
- * Keys are normalized set name fragments (lowercase, longest first).
- * Values are arrays of wrong parallel names (case-insensitive).
- */
-const PARALLEL_BLOCKLIST = {
-  // Optic uses Holo/Shock/Velocity — NOT Prizm/Refractor terminology
-  'donruss optic': [
-    'Silver Prizm', 'Refractor', 'Green Refractor', 'Blue Refractor',
-    'Gold Refractor', 'Purple Refractor', 'Red Refractor', 'Pink Refractor',
-    'X-Fractor', 'Prizm', 'Ice', 'Wave', 'Pulsar',
-  ],
-  // Prizm uses Silver/Prizm — NOT Shock/Velocity/Holo/Refractor terminology
-  'prizm': [
-    'Purple Shock', 'Blue Velocity', 'Hyper Blue', 'Holo',
-    'Refractor', 'Green Refractor', 'Blue Refractor', 'Gold Refractor',
-    'X-Fractor',
-  ],
-  // Select uses Silver/Prizm — NOT Shock/Velocity/Holo/Refractor terminology
-  'select': [
-    'Purple Shock', 'Blue Velocity', 'Hyper Blue', 'Holo',
-    'Refractor', 'Green Refractor', 'Blue Refractor', 'Gold Refractor',
-    'X-Fractor',
-  ],
-  // Mosaic uses Silver/Prizm — NOT Shock/Velocity/Holo/Refractor terminology
-  'mosaic': [
-    'Purple Shock', 'Blue Velocity', 'Hyper Blue', 'Holo',
-    'Refractor', 'Green Refractor', 'Blue Refractor', 'Gold Refractor',
-    'X-Fractor',
-  ],
-  // Chrome uses Refractor — NOT Prizm/Shock/Velocity/Holo terminology
-  'chrome': [
-    'Silver Prizm', 'Prizm', 'Purple Shock', 'Blue Velocity', 'Hyper Blue',
-    'Holo', 'Silver Holo', 'Genesis', 'Mosaic',
-  ],
-  // Bowman Chrome uses Refractor — NOT Prizm/Shock/Holo terminology
-  'bowman chrome': [
-    'Silver Prizm', 'Prizm', 'Purple Shock', 'Blue Velocity', 'Holo',
-  ],
-};
-
-/**
- * Check if a parallel is known-wrong for the given set.
- * Returns { blocked, setFound } where:
- *   blocked = true if this parallel is definitely wrong for this set
- *   setFound = true if the set was found in the blocklist
- */
-function validateParallel(setName, parallel) {
-  if (!parallel || !parallel.trim()) return { blocked: false, setFound: false };
-  if (!setName || !setName.trim()) return { blocked: false, setFound: false };
-
-  const setLower = setName.toLowerCase();
-  const parallelLower = parallel.toLowerCase().trim();
-
-  // Find matching set (try longest keys first for specificity)
-  let matchedKey = null;
-  const sortedKeys = Object.keys(PARALLEL_BLOCKLIST).sort((a, b) => b.length - a.length);
-  for (const key of sortedKeys) {
-    if (setLower.includes(key)) {
-      matchedKey = key;
-      break;
-    }
-  }
-
-  if (!matchedKey) return { blocked: false, setFound: false };
-
-  const blockedParallels = PARALLEL_BLOCKLIST[matchedKey];
-  const isBlocked = blockedParallels.some(p => p.toLowerCase() === parallelLower);
-  return { blocked: isBlocked, setFound: true };
-}
+// Bump when SYSTEM_PROMPT or the per-card prompt changes — cached
+// identifications from an older prompt are then ignored
+export const PROMPT_VERSION = 1;
 
 const SYSTEM_PROMPT = `You are an elite sports trading card identification expert with perfect vision. You have encyclopedic knowledge of every major card release from the 1950s to present day across all sports. Your identifications are used for pricing and listing, so accuracy is critical.
 
@@ -131,6 +64,8 @@ const SYSTEM_PROMPT = `You are an elite sports trading card identification exper
 
 **graded/gradeCompany/gradeValue**: Only if the card is in a grading slab (PSA, BGS, SGC, CGC). Read the grade from the label.
 
+**confidence**: For every field you filled in, say how sure you are: "high" = read clearly from printed text, "medium" = inferred from design/colors or partly legible, "low" = a best guess. Example: {"player": "high", "year": "high", "parallel": "medium"}.
+
 ## Output Format
 Output ONLY the JSON object — no commentary, no code fences.
 
@@ -148,7 +83,8 @@ Output ONLY the JSON object — no commentary, no code fences.
   "serialNumber": "",
   "graded": "",
   "gradeCompany": "",
-  "gradeValue": ""
+  "gradeValue": "",
+  "confidence": {}
 }
 
 ## Critical Rules
@@ -161,40 +97,48 @@ Output ONLY the JSON object — no commentary, no code fences.
   - Topps Chrome/Bowman Chrome use: Refractor, Green Refractor, etc. (NOT "Holo", "Prizm", "Silver")
   - If unsure which parallel name to use for a set, use an empty string`;
 
-/** Check if AI result is low-confidence (missing critical fields) */
-function isLowConfidence(cardData) {
-  if (!cardData.player || !cardData.player.trim()) return true;
-  // If player is present but both brand and setName are missing, still suspicious
-  if ((!cardData.brand || !cardData.brand.trim()) && (!cardData.setName || !cardData.setName.trim())) return true;
-  return false;
-}
-
 /**
  * Identify a card from front (required) and back (optional) images.
  * When using Haiku, auto-falls back to Sonnet if the result looks incomplete.
  * @param {string} frontBase64 - data URI for front image
  * @param {string|null} backBase64 - data URI for back image (optional)
  * @param {function|null} onStatusChange - callback for status updates (e.g. "Retrying with Sonnet...")
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - skip the identification cache and ask the AI again
+ * @param {boolean} [options.useCache] - false to neither read nor write the cache (regression runs)
+ * @param {boolean} [options.transcript] - attach the transcript even when Settings has them off
+ * @param {string|null} [options.providerId] - answer with this provider instead of the configured one
+ * @param {string} [options.cacheKey] - cache under this key rather than one made from the images, so
+ *   re-identifying from a stored (re-encoded) photo replaces the answer for the original upload
+ * @param {Array} [options.parallelCatalog] - check the parallel against these sets instead of the
+ *   user's catalog (regression runs score against the built-in one)
  */
-export async function identifyCard(frontBase64, backBase64 = null, onStatusChange = null) {
-  let apiKey = await getSetting('apiKey');
-  // Fall back to localStorage if IndexedDB lost the key
-  if (!apiKey) {
-    try { apiKey = localStorage.getItem('cw_apiKey'); } catch {}
-  }
-  if (!apiKey) {
-    throw new Error('API key not set. Please add your Claude API key in Settings.');
-  }
-
+export async function identifyCard(frontBase64, backBase64 = null, onStatusChange = null, options = {}) {
   // Always use Sonnet for card identification — Haiku misidentifies parallels
   // too often. One Sonnet call is faster than Haiku + Sonnet fallback.
   const model = FALLBACK_MODEL;
 
-  return await callVisionAPI(apiKey, model, frontBase64, backBase64);
+  return await callVisionAPI(model, frontBase64, backBase64, options);
+}
+
+/** "provider:model" for whoever will answer a request for model */
+async function answeredBy(model, providerId) {
+  const { provider, endpointModel } = await getProviderConfig(providerId);
+  return provider.id === 'openai' ? `${provider.id}:${endpointModel || model}` : `${provider.id}:${model}`;
+}
+
+/**
+ * Cache key for an identification: the exact images sent, the prompt
+ * version and the provider/model answering
+ */
+async function identificationCacheKey(answeredBy, frontContent, backContent) {
+  const input = `${PROMPT_VERSION}|${answeredBy}|${frontContent}|${backContent || ''}`;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
 }
 
 /** Core API call — used by identifyCard and its fallback */
-async function callVisionAPI(apiKey, model, frontBase64, backBase64) {
+async function callVisionAPI(model, frontBase64, backBase64, { force = false, useCache = true, transcript = false, providerId = null, cacheKey: knownKey = null, parallelCatalog } = {}) {
   const frontContent = stripDataUri(frontBase64);
 
   // Analyze dominant colors in the card border to help identify parallels
@@ -204,18 +148,12 @@ async function callVisionAPI(apiKey, model, frontBase64, backBase64) {
 
   // Front image with label
   contentBlocks.push({ type: 'text', text: 'FRONT OF CARD:' });
-  contentBlocks.push({
-    type: 'image',
-    source: { type: 'base64', media_type: 'image/jpeg', data: frontContent }
-  });
+  contentBlocks.push({ type: 'image', data: frontContent });
 
   if (backBase64) {
     // Back image with label
     contentBlocks.push({ type: 'text', text: 'BACK OF CARD:' });
-    contentBlocks.push({
-      type: 'image',
-      source: { type: 'base64', media_type: 'image/jpeg', data: stripDataUri(backBase64) }
-    });
+    contentBlocks.push({ type: 'image', data: stripDataUri(backBase64) });
   }
 
   let colorHint = '';
@@ -249,93 +187,93 @@ Step-by-step:
 4. Note: without the back, some fields (exact year, card number, set name) may be uncertain — use empty string rather than guessing.
 5. Output ONLY the JSON.`;
 
-  const MAX_RETRIES = 2;
-  let lastError = null;
-
-  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-    try {
-      const response = await fetch(API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model,
-          max_tokens: 1024,
-          temperature: 0,
-          system: SYSTEM_PROMPT,
-          messages: [
-            {
-              role: 'user',
-              content: [
-                ...contentBlocks,
-                { type: 'text', text: promptText }
-              ]
-            }
-          ]
-        })
-      });
-
-      if (!response.ok) {
-        const errBody = await response.text();
-        // Don't retry on auth errors or bad requests
-        if (response.status === 401 || response.status === 403) {
-          throw new Error('Invalid API key. Please check your key in Settings.');
-        }
-        if (response.status === 400) {
-          throw new Error('Bad request — the image may be too large or in an unsupported format.');
-        }
-        if (response.status === 429) {
-          throw new Error('Rate limited. Please wait a moment and try again.');
-        }
-        // Retry on server errors
-        if (response.status >= 500 && attempt < MAX_RETRIES) {
-          lastError = new Error(`Server error (${response.status}). Retrying...`);
-          await new Promise(r => setTimeout(r, 1000 * (attempt + 1)));
-          continue;
-        }
-        throw new Error(`API error (${response.status}): ${errBody.substring(0, 200)}`);
-      }
-
-      const result = await response.json();
-      const text = result.content[0].text;
-
-      // Parse JSON from response (handle potential markdown wrapping)
-      const cardData = parseCardJson(text);
-      return cardData;
+  // The raw response is cached, so catalog and checklist changes still
+  // apply when a cached identification is parsed again
+  const source = await answeredBy(model, providerId);
+  const cacheKey = knownKey || await identificationCacheKey(source, frontContent, backBase64 ? stripDataUri(backBase64) : null);
+  let cached = null;
+  if (!force && useCache) {
+    try { cached = await getCachedIdentification(cacheKey); } catch {}
+  }
 
-    } catch (err) {
-      lastError = err;
-      // Only retry on network/server errors
-      if (attempt < MAX_RETRIES && (err.name === 'TypeError' || err.message.includes('Server error'))) {
-        await new Promise(r => setTimeout(r, 1000 * (attempt + 1)));
-        continue;
-      }
-      throw err;
+  let text;
+  let response = null;
+  const started = Date.now();
+  if (cached) {
+    text = cached.text;
+  } else {
+    response = await sendMessage({
+      kind: 'identify',
+      model,
+      system: SYSTEM_PROMPT,
+      content: [...contentBlocks, { type: 'text', text: promptText }],
+      maxTokens: 1024,
+      temperature: 0,
+    }, { providerId });
+    text = response.text;
+  }
+  const latencyMs = Date.now() - started;
+
+  // Parse JSON from response (handle potential markdown wrapping)
+  const cardData = parseCardJson(text, parallelCatalog);
+  if (cached) {
+    cardData._cached = true;
+  } else if (useCache) {
+    // Only responses that parsed are worth replaying
+    putCachedIdentification({ key: cacheKey, text, model, promptVersion: PROMPT_VERSION }).catch(() => {});
+  }
+  if (useCache) cardData._cacheKey = cacheKey;
+  if (cardData.parallel && colorInfo && colorInfo.confidence === 'low') {
+    flagField(cardData, 'parallel', 'medium', 'Border color was unclear in the photo');
+  }
+  if (!backBase64) {
+    for (const field of ['year', 'cardNumber']) {
+      if (cardData[field]) flagField(cardData, field, 'medium', 'Read without a back photo');
     }
   }
 
-  throw lastError || new Error('Failed to identify card after multiple attempts.');
+  // Audit record of what the model was asked and said, when turned on in Settings
+  if (transcript || await getSetting('keepAiTranscripts')) {
+    cardData._transcript = {
+      kind: 'identify',
+      createdAt: new Date().toISOString(),
+      promptVersion: PROMPT_VERSION,
+      source,
+      model: (response && response.model) || model,
+      cached: !!cached,
+      hadBack: !!backBase64,
+      colorAnalysis: colorInfo ? {
+        name: colorInfo.name,
+        confidence: colorInfo.confidence,
+        isReflective: colorInfo.isReflective,
+        lab: colorInfo.lab ? {
+          L: Math.round(colorInfo.lab.L), a: Math.round(colorInfo.lab.a), b: Math.round(colorInfo.lab.b),
+        } : null,
+      } : null,
+      prompt: promptText,
+      response: text,
+      latencyMs: cached ? null : latencyMs,
+      usage: response ? response.usage : null,
+    };
+  }
+  return cardData;
 }
 
 /** Parse JSON from AI response text, handling various formats */
-function parseCardJson(text) {
+function parseCardJson(text, parallelCatalog) {
   // Strip <thinking>...</thinking> block if present
   const stripped = text.replace(/<thinking>[\s\S]*?<\/thinking>/g, '').trim();
 
   // Try direct JSON parse on stripped text first
   try {
-    return normalizeCardData(JSON.parse(stripped));
+    return normalizeCardData(JSON.parse(stripped), parallelCatalog);
   } catch {}
 
   // Try extracting from markdown code block
   const jsonMatch = stripped.match(/```(?:json)?\s*([\s\S]*?)```/);
   if (jsonMatch) {
     try {
-      return normalizeCardData(JSON.parse(jsonMatch[1].trim()));
+      return normalizeCardData(JSON.parse(jsonMatch[1].trim()), parallelCatalog);
     } catch {}
   }
 
@@ -343,7 +281,7 @@ function parseCardJson(text) {
   const braceMatch = stripped.match(/\{[\s\S]*\}/);
   if (braceMatch) {
     try {
-      return normalizeCardData(JSON.parse(braceMatch[0]));
+      return normalizeCardData(JSON.parse(braceMatch[0]), parallelCatalog);
     } catch {}
   }
 
@@ -351,7 +289,7 @@ function parseCardJson(text) {
   const origBraceMatch = text.match(/\{[\s\S]*\}/);
   if (origBraceMatch) {
     try {
-      return normalizeCardData(JSON.parse(origBraceMatch[0]));
+      return normalizeCardData(JSON.parse(origBraceMatch[0]), parallelCatalog);
     } catch {}
   }
 
@@ -368,7 +306,7 @@ function parseCardJson(text) {
  *
  * Returns { name, confidence, lab: {L,a,b}, isReflective } or null.
  */
-async function analyzeCardColors(base64DataUri) {
+export async function analyzeCardColors(base64DataUri) {
   try {
     const img = await new Promise((resolve, reject) => {
       const i = new Image();
@@ -566,36 +504,30 @@ function classifyLabColor(lab) {
 
 /**
  * AI Pre-Grading Analysis — analyze card photos for grading potential.
- * Uses the same Claude Vision API as identifyCard but with a specialized grading prompt.
+ * Uses the same AI provider as identifyCard but with a specialized grading prompt.
  *
  * @param {string} frontBase64 - data URI for front image (required)
  * @param {string|null} backBase64 - data URI for back image (optional but recommended)
+ * @param {Object|null} centering - measured centering { front, back } (scanner.js measureCentering results)
  * @returns {Object} grading results with scores per category, overall grade, recommendation
  */
-export async function gradeCard(frontBase64, backBase64 = null) {
-  let apiKey = await getSetting('apiKey');
-  if (!apiKey) {
-    try { apiKey = localStorage.getItem('cw_apiKey'); } catch {}
-  }
-  if (!apiKey) {
-    throw new Error('API key not set. Please add your Claude API key in Settings.');
-  }
-
+export async function gradeCard(frontBase64, backBase64 = null, centering = null) {
   const frontContent = stripDataUri(frontBase64);
   const contentBlocks = [];
 
   contentBlocks.push({ type: 'text', text: 'FRONT OF CARD:' });
-  contentBlocks.push({
-    type: 'image',
-    source: { type: 'base64', media_type: 'image/jpeg', data: frontContent }
-  });
+  contentBlocks.push({ type: 'image', data: frontContent });
 
   if (backBase64) {
     contentBlocks.push({ type: 'text', text: 'BACK OF CARD:' });
-    contentBlocks.push({
-      type: 'image',
-      source: { type: 'base64', media_type: 'image/jpeg', data: stripDataUri(backBase64) }
-    });
+    contentBlocks.push({ type: 'image', data: stripDataUri(backBase64) });
+  }
+
+  // Measured ratios beat eyeballing borders in a photo
+  let centeringHint = '';
+  if (centering && centering.front) {
+    const back = centering.back ? ` Back: left/right ${centering.back.leftRight}, top/bottom ${centering.back.topBottom}.` : '';
+    centeringHint = `\n\nMEASURED CENTERING (border widths from the straightened photo, ${centering.front.confidence} confidence): Front: left/right ${centering.front.leftRight}, top/bottom ${centering.front.topBottom}.${back} Use these ratios for leftRight/topBottom and score centering from them.`;
   }
 
   const gradingPrompt = `You are an expert sports card grader with years of experience at PSA, BGS, and SGC. Analyze these card images and provide a detailed pre-grading assessment.
@@ -607,7 +539,7 @@ Evaluate the following categories on a 1-10 scale (matching PSA's grading scale
 **Centering**: Examine the borders on all four sides.
 - Measure left/right centering ratio (e.g., 50/50, 55/45, 60/40)
 - Measure top/bottom centering ratio
-- PSA allows 55/45 for a 10, 60/40 for a 9, 65/35 for an 8
+- PSA allows 55/45 for a 10, 60/40 for a 9, 65/35 for an 8${centeringHint}
 
 **Corners**: Examine all 4 corners individually.
 - Look for any whitening, wear, dings, or softness
@@ -665,43 +597,14 @@ Output ONLY a JSON object — no commentary, no code fences:
 - "worthGrading" should be true only if the card likely grades 8+ and is a card that benefits from grading
 - Set confidence to "high", "medium", or "low" based on image quality and your certainty`;
 
-  const response = await fetch(API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-      'anthropic-dangerous-direct-browser-access': 'true'
-    },
-    body: JSON.stringify({
-      model: FALLBACK_MODEL,
-      max_tokens: 1024,
-      temperature: 0,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            ...contentBlocks,
-            { type: 'text', text: gradingPrompt }
-          ]
-        }
-      ]
-    })
+  const { text } = await sendMessage({
+    kind: 'grade',
+    model: FALLBACK_MODEL,
+    content: [...contentBlocks, { type: 'text', text: gradingPrompt }],
+    maxTokens: 1024,
+    temperature: 0,
   });
 
-  if (!response.ok) {
-    if (response.status === 401 || response.status === 403) {
-      throw new Error('Invalid API key.');
-    }
-    if (response.status === 429) {
-      throw new Error('Rate limited. Please wait a moment and try again.');
-    }
-    throw new Error(`API error (${response.status})`);
-  }
-
-  const result = await response.json();
-  const text = result.content[0].text;
-
   // Parse JSON from response
   const stripped = text.replace(/<thinking>[\s\S]*?<\/thinking>/g, '').trim();
   let gradeData;
@@ -721,7 +624,7 @@ Output ONLY a JSON object — no commentary, no code fences:
   return gradeData;
 }
 
-function normalizeCardData(cardData) {
+function normalizeCardData(cardData, parallelCatalog) {
   // Ensure attributes is always an array
   if (typeof cardData.attributes === 'string') {
     cardData.attributes = cardData.attributes ? cardData.attributes.split(',').map(a => a.trim()).filter(Boolean) : [];
@@ -739,13 +642,41 @@ function normalizeCardData(cardData) {
     }
   }
 
-  // Check parallel against set-specific blocklist (cross-set terminology)
+  // Per-field confidence as rated by the model; anything short of high is flagged
+  const rated = cardData.confidence && typeof cardData.confidence === 'object' ? cardData.confidence : {};
+  delete cardData.confidence;
+  cardData.fieldConfidence = {};
+  for (const [field, level] of Object.entries(rated)) {
+    const lvl = String(level).toLowerCase();
+    if (lvl === 'low') flagField(cardData, field, 'low', 'AI was guessing');
+    if (lvl === 'medium') flagField(cardData, field, 'medium', 'AI was not fully sure');
+  }
+
+  // Missing essentials
+  if (!cardData.player || !cardData.player.trim()) {
+    flagField(cardData, 'player', 'low', 'AI could not read the player');
+  }
+  if ((!cardData.brand || !cardData.brand.trim()) && (!cardData.setName || !cardData.setName.trim())) {
+    flagField(cardData, 'setName', 'low', 'AI found no brand or set');
+  }
+
+  // Check the parallel against the set's catalog: synonyms become the
+  // catalog name. Another set's terminology (a Prizm "Refractor") is almost
+  // certainly made up, so it's cleared rather than saved into titles; a name
+  // the catalog just doesn't list may well be right, so that only gets a
+  // medium flag
   if (cardData.setName && cardData.parallel) {
-    const result = validateParallel(cardData.setName, cardData.parallel);
-    if (result.blocked) {
-      // Known wrong parallel for this set — clear it and flag for user review
-      cardData._parallelNeedsReview = cardData.parallel;
-      cardData.parallel = '';
+    const { set, parallel } = resolveParallel(cardData, cardData.parallel, parallelCatalog);
+    if (parallel) {
+      cardData.parallel = parallel.name;
+    } else if (set && cardData.parallel.trim().toLowerCase() !== 'base') {
+      const foreign = foreignParallelSet(cardData, cardData.parallel, parallelCatalog);
+      if (foreign) {
+        flagField(cardData, 'parallel', 'low', `AI said "${cardData.parallel}", which is ${foreign.name} terminology, not ${set.name}`);
+        cardData.parallel = '';
+      } else {
+        flagField(cardData, 'parallel', 'medium', `Not in the ${set.name} parallel catalog`);
+      }
     }
   }
 
@@ -1,12 +1,19 @@
 // Main app initialization, tab navigation, view routing, scan flow
 
 import * as db from './db.js';
-import { toast, showLoading, hideLoading, showView, goBack, formatDate, $, $$, escapeHtml } from './ui.js';
-import { processPhoto } from './camera.js';
-import { identifyCard, gradeCard } from './ai.js';
+import { toast, confirm, showLoading, hideLoading, showView, goBack, formatDate, $, $$, escapeHtml } from './ui.js';
+import { processPhoto, apiImageFromDataUri } from './camera.js';
+import { identifyCard } from './ai.js';
+import { isAiConfigured } from './ai-providers.js';
 import { drawLineChart } from './charts.js';
 import { shareCard } from './share.js';
-import { createCard, generateEbayTitle, cardDisplayName, cardDetailLine } from './card-model.js';
+import {
+  createCard, generateEbayTitle, buildEbayTitle, cardDisplayName, cardDetailLine, cardProfit,
+  COPY_STATUSES, createCopy, cardQuantity, inHandQuantity, setCardQuantity, syncCopyStatus, cardTotalCost,
+  formatLocation, parseLocation, setCardLocation, parseSerialNumber, formatSerialNumber, serialFlags,
+  CONFIDENCE_FIELDS, flagField, confirmField, fieldsNeedingReview,
+} from './card-model.js';
+import { matchPrintRun } from './comps.js';
 import { initListings, refreshListings } from './listing.js';
 import { initCollection, refreshCollection } from './collection.js';
 import { initSettings, refreshStats, getDefaults } from './settings.js';
@@ -16,10 +23,28 @@ import { initSyncListeners, pullAllCards, pullSettings, pushSettings } from './s
 import { initEbayAuth, isEbayConnected, updateEbayUI } from './ebay-auth.js';
 import { initEbayListing, listCardOnEbay } from './ebay-listing.js';
 import { initDashboard, refreshDashboard } from './dashboard.js';
-import { showScanner, autoEnhance } from './scanner.js';
+import { showScanner, autoEnhance, splitCardSheet } from './scanner.js';
+import { photoFeatures, showPairingReview } from './pairing.js';
+import {
+  initScanQueue, getJobs, getQueueState, queueProgress, addJobs, addFailedJob, removeJob, clearJobs, retryJob,
+  startQueue, pauseQueue, cancelQueue,
+} from './scan-queue.js';
+import { cardImageTag, loadLazyImages } from './card-images.js';
+import { initRegression } from './regression.js';
+import { preGradeCard, measuredCenteringHtml, gradeRunsHtml, wireGradeSection } from './grading.js';
+import { initTranscripts, takeTranscript, saveTranscripts, transcriptSectionHtml, wireTranscriptSection } from './transcripts.js';
+import { initDuplicates, findDuplicates, mergeCardData, updateImageHash, showDuplicatesView } from './duplicates.js';
+import { initLocations, refreshLocationOptions } from './locations.js';
+import { initTitleTemplates, loadTitleConfig, getTitleConfig, renderTitlePreview } from './title-templates.js';
+import {
+  initChecklists, refreshChecklistOptions, validateAgainstChecklist, checklistFill, checklistParallels,
+} from './checklists.js';
+import { initParallels, loadParallelCatalog, updateParallelPicker } from './parallels.js';
 
 let currentMode = 'listing';
 let currentCard = null; // Card being reviewed
+let currentCardSource = 'user'; // Change-log source for saving currentCard
+let currentTranscripts = []; // AI transcripts for currentCard, stored when it's saved
 
 // Staged photos before identification
 let stagedFront = null; // { fullBase64, thumbnailBase64, imageBlob, imageThumbnail }
@@ -28,7 +53,6 @@ let stagedBack = null;
 
 
 // Scan queue (unified single + multi-card flow)
-let scanQueue = []; // Array of { photo, backPhoto, status, card, error }
 let continuousMode = false; // When ON, auto-queues cards after capture
 
 // ===== Initialization =====
@@ -70,6 +94,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   $('#btn-identify-now').addEventListener('click', handleIdentifyNow);
   $('#btn-scan-more').addEventListener('click', handleScanMore);
   $('#gallery-upload').addEventListener('change', handleGalleryUpload);
+  $('#sheet-upload').addEventListener('change', handleSheetUpload);
   $('#btn-identify-all').addEventListener('click', handleIdentifyAll);
 
   // Continuous mode toggle
@@ -83,34 +108,99 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Clear queue button
   const clearQueueBtn = document.getElementById('btn-clear-queue');
   if (clearQueueBtn) {
-    clearQueueBtn.addEventListener('click', () => {
-      scanQueue = [];
-      renderScanQueue();
-      updateIdentifyAllButton();
-      document.getElementById('scan-queue-section').classList.add('hidden');
+    clearQueueBtn.addEventListener('click', async () => {
+      if (getQueueState() === 'running') await pauseQueue();
+      await clearJobs();
       toast('Queue cleared', 'info');
     });
   }
+  $('#btn-queue-pause').addEventListener('click', async () => {
+    await pauseQueue();
+    toast('Paused — cards already sent to the AI will still finish', 'info');
+  });
+  $('#btn-queue-cancel').addEventListener('click', async () => {
+    const { pending } = queueProgress();
+    const ok = await confirm('Cancel Identification', `Stop and remove the ${pending} card${pending !== 1 ? 's' : ''} not identified yet? Cards already saved are kept.`);
+    if (ok) await cancelQueue();
+  });
+  $('#scan-queue').addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    if (btn.dataset.action === 'remove') await removeJob(btn.dataset.id);
+    if (btn.dataset.action === 'retry') {
+      await retryJob(btn.dataset.id);
+      if (getQueueState() !== 'running') await handleIdentifyAll();
+    }
+  });
+  window.addEventListener('scan-queue-changed', handleScanQueueChanged);
 
   // Add front/back photo from review screen
   $('#review-add-front-input').addEventListener('change', handleReviewAddFront);
+  $('#btn-reidentify').addEventListener('click', handleReidentify);
   $('#review-add-back-input').addEventListener('change', handleReviewAddBack);
 
   // Review form events
   $('#review-back').addEventListener('click', () => goBack());
   $('#review-save').addEventListener('click', saveCurrentCard);
-  $('#field-ebayTitle').addEventListener('input', updateCharCount);
+  $('#field-ebayTitle').addEventListener('input', () => {
+    updateCharCount();
+    updateTitlePreview();
+  });
+  $('#btn-use-title').addEventListener('click', (e) => {
+    $('#field-ebayTitle').value = e.target.dataset.title || '';
+    updateCharCount();
+    updateTitlePreview();
+  });
   $('#btn-check-sold').addEventListener('click', handleCheckSoldPrices);
   $('#btn-use-suggested').addEventListener('click', applySuggestedPrice);
 
   // Auto-generate eBay title when fields change
   const titleFields = ['field-year', 'field-brand', 'field-setName', 'field-subset',
     'field-player', 'field-cardNumber', 'field-parallel', 'field-attributes',
-    'field-serialNumber', 'field-gradeCompany', 'field-gradeValue'];
+    'field-serialNumber', 'field-gradeCompany', 'field-gradeValue',
+    'field-sport', 'field-team', 'field-graded', 'field-jerseyNumber'];
   titleFields.forEach(id => {
     const el = $(`#${id}`);
     if (el) el.addEventListener('change', autoGenerateTitle);
   });
+  titleFields.forEach(id => {
+    $(`#${id}`)?.addEventListener('input', updateTitlePreview);
+  });
+  $('#field-serialNumber').addEventListener('input', updateSerialHint);
+  $('#field-jerseyNumber').addEventListener('input', updateSerialHint);
+
+  // Checklist autocomplete and validation
+  ['field-year', 'field-brand', 'field-setName', 'field-cardNumber', 'field-player', 'field-team', 'field-parallel']
+    .forEach(id => $(`#${id}`).addEventListener('input', updateChecklistWarnings));
+  ['field-setName', 'field-cardNumber', 'field-player']
+    .forEach(id => $(`#${id}`).addEventListener('change', fillFromChecklist));
+  ['field-year', 'field-brand', 'field-setName', 'field-cardNumber']
+    .forEach(id => $(`#${id}`).addEventListener('change', updateParallelOptions));
+  $('#checklist-warnings').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action="use-checklist"]');
+    if (!btn) return;
+    const field = $(`#field-${btn.dataset.field}`);
+    field.value = btn.dataset.value;
+    field.dispatchEvent(new Event('change'));
+    updateTitlePreview();
+    updateChecklistWarnings();
+  });
+
+  // Per-field review flags
+  Object.keys(CONFIDENCE_FIELDS).forEach(field => {
+    $(`#field-${field}`).addEventListener('change', handleFlaggedFieldEdit);
+  });
+  $('#review-form').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action="confirm-field"]');
+    if (!btn || !currentCard) return;
+    confirmField(currentCard, btn.dataset.field);
+    renderFieldFlags();
+  });
+  $('#field-flags-summary').addEventListener('click', (e) => {
+    if (!e.target.closest('[data-action="confirm-all-fields"]') || !currentCard) return;
+    currentCard.fieldConfidence = {};
+    renderFieldFlags();
+  });
 
   // Graded toggle - disable grade fields when not graded
   $('#field-graded').addEventListener('change', (e) => {
@@ -149,6 +239,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     loadRecentScans();
   });
 
+  // Open the database first so schema migrations run before any module reads
+  try {
+    await db.initDatabase();
+  } catch (err) {
+    console.error('Database init failed:', err);
+    toast(err.message, 'error', 10000);
+    return;
+  }
+
   // Initialize modules
   await initFirebase();
   initAuth();
@@ -157,7 +256,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   await initListings();
   await initCollection();
   await initSettings();
+  initDuplicates();
+  initLocations();
+  await initTitleTemplates();
+  await initChecklists();
+  await initParallels();
   await loadRecentScans();
+  await initScanQueue(processScanJob);
+  await initTranscripts();
+  initRegression();
 
   // Appearance
   initDarkMode();
@@ -224,6 +331,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       try {
         await pushSettings();  // push local settings to cloud first
         await pullSettings();  // then pull anything missing from cloud
+        await loadTitleConfig();
+        await loadParallelCatalog();
         await pullAllCards();
         await refreshListings();
         await refreshCollection();
@@ -341,20 +450,10 @@ function handleSkipBack() {
 }
 
 /** Continuous mode: auto-queue current card and reset wizard immediately */
-function autoQueueAndReset() {
+async function autoQueueAndReset() {
   if (!stagedFront) return;
-  scanQueue.push({
-    photo: stagedFront,
-    backPhoto: stagedBack,
-    status: 'pending',
-    card: null,
-    error: null
-  });
-  renderScanQueue();
-  updateIdentifyAllButton();
-  document.getElementById('scan-queue-section').classList.remove('hidden');
-  const count = scanQueue.filter(q => q.status === 'pending').length;
-  toast(`Card queued (${count} ready)`, 'success');
+  await addJobs([{ photo: stagedFront, backPhoto: stagedBack }]);
+  toast(`Card queued (${queueProgress().pending} ready)`, 'success');
   resetScanWizard();
 }
 
@@ -365,29 +464,15 @@ function showReadyPrompt() {
 
   // Update the "Identify" button label based on queue
   const btn = document.getElementById('btn-identify-now');
-  const pending = scanQueue.filter(q => q.status === 'pending').length;
+  const { pending } = queueProgress();
   btn.textContent = pending > 0 ? `Identify All (${pending + 1})` : 'Identify Card';
 }
 
-function handleScanMore() {
+async function handleScanMore() {
   if (!stagedFront) return;
 
-  // Add to queue
-  scanQueue.push({
-    photo: stagedFront,
-    backPhoto: stagedBack,
-    status: 'pending',
-    card: null,
-    error: null
-  });
-
-  renderScanQueue();
-  updateIdentifyAllButton();
-
-  // Show queue section
-  document.getElementById('scan-queue-section').classList.remove('hidden');
-
-  toast(`Card queued (${scanQueue.filter(q => q.status === 'pending').length} ready)`, 'success');
+  await addJobs([{ photo: stagedFront, backPhoto: stagedBack }]);
+  toast(`Card queued (${queueProgress().pending} ready)`, 'success');
 
   // Reset wizard for next card
   resetScanWizard();
@@ -397,16 +482,9 @@ async function handleIdentifyNow() {
   if (!stagedFront) return;
 
   // If there are queued cards, add this one and identify all
-  if (scanQueue.filter(q => q.status === 'pending').length > 0) {
-    scanQueue.push({
-      photo: stagedFront,
-      backPhoto: stagedBack,
-      status: 'pending',
-      card: null,
-      error: null
-    });
+  if (queueProgress().pending > 0) {
+    await addJobs([{ photo: stagedFront, backPhoto: stagedBack }]);
     resetScanWizard();
-    renderScanQueue();
     await handleIdentifyAll();
     return;
   }
@@ -433,31 +511,18 @@ async function handleIdentifyNow() {
     toast('Haiku struggled — used Sonnet for better accuracy', 'info', 3000);
     delete aiData._fallback;
   }
-
-  // Parallel validation notification
-  if (aiData._parallelNeedsReview) {
-    toast(`"${aiData._parallelNeedsReview}" isn't a known ${aiData.setName || ''} parallel — please fill in`, 'warning', 5000);
-    delete aiData._parallelNeedsReview;
+  if (aiData._cached) {
+    toast('Same photo as before — used the saved identification', 'info', 3000);
+    delete aiData._cached;
   }
 
   const defaults = await getDefaults();
 
+  currentCardSource = 'ai-identify';
+  currentTranscripts = [takeTranscript(aiData)];
   currentCard = createCard({
     mode: currentMode,
-    sport: aiData.sport || defaults.sport,
-    year: aiData.year || '',
-    brand: aiData.brand || '',
-    setName: aiData.setName || '',
-    subset: aiData.subset || '',
-    parallel: aiData.parallel || '',
-    cardNumber: aiData.cardNumber || '',
-    player: aiData.player || '',
-    team: aiData.team || '',
-    attributes: aiData.attributes || [],
-    serialNumber: aiData.serialNumber || '',
-    graded: aiData.graded || 'No',
-    gradeCompany: aiData.gradeCompany || '',
-    gradeValue: aiData.gradeValue || '',
+    ...aiCardFields(aiData, defaults),
     estimatedValueLow: null,
     estimatedValueHigh: null,
     condition: defaults.condition,
@@ -468,55 +533,78 @@ async function handleIdentifyNow() {
     imageBackThumb: stagedBack ? stagedBack.thumbnailBase64 : null
   });
 
-  currentCard.ebayTitle = generateEbayTitle(currentCard);
-
-  // Duplicate detection
-  const existingCards = await db.getAllCards();
-  const duplicate = existingCards.find(c =>
-    c.player && currentCard.player &&
-    c.player.toLowerCase() === currentCard.player.toLowerCase() &&
-    c.year === currentCard.year &&
-    c.brand === currentCard.brand &&
-    c.setName === currentCard.setName &&
-    c.cardNumber === currentCard.cardNumber &&
-    (c.parallel || '') === (currentCard.parallel || '')
-  );
-
-  if (duplicate) {
-    const { showModal } = await import('./ui.js');
-    const choice = await showModal(
-      'Possible Duplicate',
-      `A card matching "${cardDisplayName(currentCard)}" already exists. What would you like to do?`,
-      [
-        { label: 'Add Anyway', value: 'add', class: 'btn-secondary' },
-        { label: 'Update Existing', value: 'update', class: 'btn-primary' }
-      ]
-    );
-    if (choice === 'update') {
-      currentCard.id = duplicate.id;
-      currentCard.dateAdded = duplicate.dateAdded;
-      if (!currentCard.imageBlob && duplicate.imageBlob) {
-        currentCard.imageBlob = duplicate.imageBlob;
-        currentCard.imageThumbnail = duplicate.imageThumbnail;
-      }
-      if (!currentCard.imageBackBlob && duplicate.imageBackBlob) {
-        currentCard.imageBackBlob = duplicate.imageBackBlob;
-        currentCard.imageBackThumb = duplicate.imageBackThumb;
-      }
-    }
+  const checklistIssues = applyChecklist(currentCard);
+  if (checklistIssues.length > 0) {
+    toast(`${checklistIssues.length} detail(s) don't match the set checklist — please review`, 'warning', 5000);
+  } else if (fieldsNeedingReview(currentCard).length > 0) {
+    toast(`Please check: ${reviewFieldLabels(currentCard)}`, 'warning', 5000);
   }
 
+  currentCard.ebayTitle = generateEbayTitle(currentCard, getTitleConfig());
+
   resetScanWizard();
   populateReviewForm(currentCard);
   showView('view-review');
   autoFetchSoldPrices(currentCard);
 }
 
+/** Card fields from an identifyCard result */
+function aiCardFields(aiData, defaults) {
+  return {
+    sport: aiData.sport || defaults.sport,
+    year: aiData.year || '',
+    brand: aiData.brand || '',
+    setName: aiData.setName || '',
+    subset: aiData.subset || '',
+    parallel: aiData.parallel || '',
+    cardNumber: aiData.cardNumber || '',
+    player: aiData.player || '',
+    team: aiData.team || '',
+    attributes: aiData.attributes || [],
+    serialNumber: aiData.serialNumber || '',
+    graded: aiData.graded || 'No',
+    gradeCompany: aiData.gradeCompany || '',
+    gradeValue: aiData.gradeValue || '',
+    fieldConfidence: aiData.fieldConfidence || {},
+    aiCacheKey: aiData._cacheKey || '',
+  };
+}
+
+/** Ask the AI again about the card under review, bypassing the identification cache */
+async function handleReidentify() {
+  if (!currentCard || !currentCard.imageBlob) return;
+  readFormIntoCard();
+
+  showLoading('Re-identifying card with AI...');
+  try {
+    const front = await apiImageFromDataUri(currentCard.imageBlob);
+    const back = currentCard.imageBackBlob ? await apiImageFromDataUri(currentCard.imageBackBlob) : null;
+    // Answer under the original upload's key, or requeuing that photo would
+    // bring back the answer being replaced
+    const aiData = await identifyCard(front, back, (status) => showLoading(status),
+      { force: true, cacheKey: currentCard.aiCacheKey || undefined });
+    hideLoading();
+
+    currentTranscripts.push(takeTranscript(aiData));
+    Object.assign(currentCard, aiCardFields(aiData, await getDefaults()));
+    applyChecklist(currentCard);
+    currentCard.ebayTitle = generateEbayTitle(currentCard, getTitleConfig());
+    currentCardSource = 'ai-identify';
+    populateReviewForm(currentCard);
+    toast('Card re-identified — check the details', 'success');
+  } catch (err) {
+    hideLoading();
+    toast(err.message, 'error', 5000);
+  }
+}
+
 // ===== Manual Card Entry (no AI needed) =====
 
 async function handleManualEntry() {
   const defaults = await getDefaults();
 
+  currentCardSource = 'user';
+  currentTranscripts = [];
   currentCard = createCard({
     mode: currentMode,
     sport: defaults.sport,
@@ -610,6 +698,8 @@ function populateReviewForm(card) {
     addFrontLabel.classList.remove('hidden');
   }
 
+  $('#btn-reidentify').classList.toggle('hidden', !card.imageBlob);
+
   // Back image
   const backImg = $('#review-image-back');
   const addBackLabel = $('#review-add-back-label');
@@ -645,6 +735,7 @@ function populateReviewForm(card) {
   $('#field-parallel').value = card.parallel || '';
   $('#field-cardNumber').value = card.cardNumber || '';
   $('#field-serialNumber').value = card.serialNumber || '';
+  $('#field-jerseyNumber').value = card.jerseyNumber || '';
   $('#field-player').value = card.player || '';
   $('#field-team').value = card.team || '';
   $('#field-attributes').value = (card.attributes || []).join(', ');
@@ -661,6 +752,9 @@ function populateReviewForm(card) {
   $('#field-ebayTitle').value = card.ebayTitle || '';
   $('#field-startPrice').value = card.startPrice || '';
   $('#field-purchasePrice').value = card.purchasePrice || '';
+  $('#field-quantity').value = cardQuantity(card);
+  $('#field-location').value = formatLocation(card.location);
+  refreshLocationOptions().catch(() => {});
   $('#field-notes').value = card.notes || '';
 
   // Comp fields
@@ -690,33 +784,178 @@ function populateReviewForm(card) {
   lastSoldStats = null;
 
   updateCharCount();
+  updateTitlePreview();
+  updateSerialHint();
+  updateParallelOptions();
+  updateChecklistWarnings();
+  renderFieldFlags();
+}
+
+/** Parallel dropdown for the typed set, from the catalog and its checklist */
+function updateParallelOptions() {
+  const fields = readIdentityFields();
+  updateParallelPicker(fields, checklistParallels(fields));
+}
+
+/**
+ * Fill gaps in an AI result from the set checklist, then check what's left
+ * against it. Returns the checklist issues (empty when there's no checklist).
+ */
+function applyChecklist(card) {
+  Object.assign(card, checklistFill(card));
+  const result = validateAgainstChecklist(card);
+  if (!result) return [];
+  for (const issue of result.issues) {
+    flagField(card, issue.field, 'low', issue.message);
+  }
+  return result.issues;
+}
+
+/** "Parallel, Year" — the fields a card still needs checked */
+function reviewFieldLabels(card) {
+  return fieldsNeedingReview(card).map(field => CONFIDENCE_FIELDS[field]).join(', ');
+}
+
+/** Highlight fields the AI or checklist wasn't sure about, with the reasons */
+function renderFieldFlags() {
+  const flags = (currentCard && currentCard.fieldConfidence) || {};
+  for (const field of Object.keys(CONFIDENCE_FIELDS)) {
+    const group = $(`#field-${field}`).closest('.form-group');
+    group.classList.remove('field-low', 'field-medium');
+    group.querySelector('.field-flag')?.remove();
+
+    const flag = flags[field];
+    if (!flag) continue;
+    group.classList.add(`field-${flag.level}`);
+    const note = document.createElement('small');
+    note.className = 'field-flag';
+    note.innerHTML = `
+      <span>${escapeHtml((flag.reasons || []).join(' · ') || 'Not sure about this one')}</span>
+      <button type="button" class="btn btn-secondary btn-sm" data-action="confirm-field" data-field="${field}">Looks right</button>
+    `;
+    group.appendChild(note);
+  }
+
+  const summary = $('#field-flags-summary');
+  const flagged = Object.keys(flags).filter(field => CONFIDENCE_FIELDS[field]);
+  if (flagged.length === 0) {
+    summary.classList.add('hidden');
+    summary.innerHTML = '';
+    return;
+  }
+  const lowCount = currentCard ? fieldsNeedingReview(currentCard).length : 0;
+  summary.innerHTML = `
+    <span>${lowCount > 0
+      ? `${lowCount} field${lowCount !== 1 ? 's' : ''} need${lowCount === 1 ? 's' : ''} checking before listing`
+      : 'A few fields may be worth a second look'}</span>
+    <button type="button" class="btn btn-secondary btn-sm" data-action="confirm-all-fields">All Look Right</button>
+  `;
+  summary.classList.remove('hidden');
+}
+
+/** Editing a flagged field counts as reviewing it */
+function handleFlaggedFieldEdit(e) {
+  const field = e.target.id.replace(/^field-/, '');
+  if (!currentCard || !currentCard.fieldConfidence || !currentCard.fieldConfidence[field]) return;
+  confirmField(currentCard, field);
+  renderFieldFlags();
+}
+
+/** Fill empty review fields the checklist knows (brand, number, player, team) */
+function fillFromChecklist() {
+  const fill = checklistFill(readIdentityFields());
+  if (Object.keys(fill).length === 0) return;
+  for (const [key, value] of Object.entries(fill)) {
+    $(`#field-${key}`).value = value;
+  }
+  autoGenerateTitle();
+  updateParallelOptions();
+  updateChecklistWarnings();
+}
+
+/** Show where the typed details disagree with the set checklist */
+function updateChecklistWarnings() {
+  const box = $('#checklist-warnings');
+  const fields = readIdentityFields();
+  refreshChecklistOptions(fields);
+  const result = validateAgainstChecklist(fields);
+  if (!result || result.issues.length === 0) {
+    box.classList.add('hidden');
+    box.innerHTML = '';
+    return;
+  }
+  box.innerHTML = result.issues.map(issue => `
+    <div class="checklist-warning">
+      <span>${escapeHtml(issue.message)}</span>
+      ${issue.suggestion ? `<button type="button" class="btn btn-secondary btn-sm" data-action="use-checklist" data-field="${issue.field}" data-value="${escapeHtml(issue.suggestion)}">Use ${escapeHtml(issue.suggestion)}</button>` : ''}
+    </div>
+  `).join('');
+  box.classList.remove('hidden');
+}
+
+/** Show what the typed serial parses to — print run, special flags or why it's invalid */
+function updateSerialHint() {
+  const hint = $('#serial-hint');
+  const fields = readIdentityFields();
+  const parsed = parseSerialNumber(fields.serialNumber, fields);
+  hint.classList.toggle('invalid', !!parsed && !parsed.valid);
+  if (!fields.serialNumber) {
+    hint.textContent = '';
+  } else if (!parsed) {
+    hint.textContent = 'Use a format like 23/99 or /99';
+    hint.classList.add('invalid');
+  } else if (!parsed.valid) {
+    hint.textContent = parsed.error;
+  } else {
+    hint.textContent = [`Print run ${parsed.run}`, ...serialFlags(fields)].join(' · ');
+  }
+}
+
+/** Identification fields as currently typed in the review form */
+function readIdentityFields() {
+  return {
+    sport: $('#field-sport').value,
+    year: $('#field-year').value.trim(),
+    brand: $('#field-brand').value.trim(),
+    setName: $('#field-setName').value.trim(),
+    subset: $('#field-subset').value.trim(),
+    parallel: $('#field-parallel').value.trim(),
+    cardNumber: $('#field-cardNumber').value.trim(),
+    serialNumber: $('#field-serialNumber').value.trim(),
+    jerseyNumber: $('#field-jerseyNumber').value.trim(),
+    player: $('#field-player').value.trim(),
+    team: $('#field-team').value.trim(),
+    attributes: $('#field-attributes').value
+      .split(',')
+      .map(a => a.trim())
+      .filter(Boolean),
+    graded: $('#field-graded').value,
+    gradeCompany: $('#field-gradeCompany').value,
+    gradeValue: $('#field-gradeValue').value.trim(),
+  };
 }
 
 function readFormIntoCard() {
   if (!currentCard) return null;
 
-  currentCard.sport = $('#field-sport').value;
-  currentCard.year = $('#field-year').value.trim();
-  currentCard.brand = $('#field-brand').value.trim();
-  currentCard.setName = $('#field-setName').value.trim();
-  currentCard.subset = $('#field-subset').value.trim();
-  currentCard.parallel = $('#field-parallel').value.trim();
-  currentCard.cardNumber = $('#field-cardNumber').value.trim();
-  currentCard.serialNumber = $('#field-serialNumber').value.trim();
-  currentCard.player = $('#field-player').value.trim();
-  currentCard.team = $('#field-team').value.trim();
-  currentCard.attributes = $('#field-attributes').value
-    .split(',')
-    .map(a => a.trim())
-    .filter(Boolean);
-  currentCard.graded = $('#field-graded').value;
-  currentCard.gradeCompany = $('#field-gradeCompany').value;
-  currentCard.gradeValue = $('#field-gradeValue').value.trim();
+  Object.assign(currentCard, readIdentityFields());
   currentCard.condition = $('#field-condition').value;
   currentCard.ebayTitle = $('#field-ebayTitle').value.trim();
   currentCard.startPrice = parseFloat($('#field-startPrice').value) || 0.99;
   const purchaseVal = parseFloat($('#field-purchasePrice').value);
   currentCard.purchasePrice = isNaN(purchaseVal) ? null : purchaseVal;
+  const quantity = parseInt($('#field-quantity').value, 10) || 1;
+  if (quantity !== cardQuantity(currentCard)) {
+    const actual = setCardQuantity(currentCard, quantity);
+    if (actual !== quantity) {
+      toast(`Kept ${actual} copies — sold or listed copies can't be removed`, 'warning');
+    }
+  }
+  // Only touch locations when edited — multi-copy cards may have one per copy
+  const location = parseLocation($('#field-location').value);
+  if (formatLocation(location) !== formatLocation(currentCard.location)) {
+    setCardLocation(currentCard, location);
+  }
   currentCard.notes = $('#field-notes').value.trim();
 
   // Comp data
@@ -741,7 +980,7 @@ function readFormIntoCard() {
 }
 
 async function saveCurrentCard() {
-  const card = readFormIntoCard();
+  let card = readFormIntoCard();
   if (!card) return;
 
   // Validation
@@ -754,10 +993,42 @@ async function saveCurrentCard() {
     return;
   }
 
+  await updateImageHash(card);
+
+  // New card that looks like one we already have (same details or same photo)
+  if (!(await db.getCard(card.id))) {
+    const [match] = findDuplicates(card, await db.getAllCards());
+    if (match) {
+      const { showModal } = await import('./ui.js');
+      const choice = await showModal(
+        'Possible Duplicate',
+        `"${cardDisplayName(match.card)}" is already in your ${match.card.mode === 'listing' ? 'listings' : 'collection'}` +
+          `${match.reasons.includes('image') ? ' with a near-identical photo' : ''}. Merge this scan into it?`,
+        [
+          { label: 'Cancel', value: null, class: 'btn-secondary' },
+          { label: 'Add Anyway', value: 'add', class: 'btn-secondary' },
+          { label: 'Merge', value: 'merge', class: 'btn-primary' }
+        ]
+      );
+      if (!choice) return;
+      if (choice === 'merge') {
+        // This scan's details win; the existing card keeps its id, status
+        // and anything the scan left blank (photos, comps, notes)
+        card = await mergeCardData(
+          { ...card, id: match.card.id, mode: match.card.mode, status: match.card.status },
+          match.card
+        );
+        currentCard = card;
+      }
+    }
+  }
+
   card.lastModified = new Date().toISOString();
 
   try {
-    await db.saveCard(card);
+    await db.saveCard(card, { source: currentCardSource });
+    saveTranscripts(card.id, currentTranscripts);
+    currentTranscripts = [];
 
     // Quick List: auto-trigger eBay listing if in listing mode and not yet listed
     if (card.mode === 'listing' && !card.ebayListingId) {
@@ -812,10 +1083,20 @@ async function saveCurrentCard() {
 function autoGenerateTitle() {
   if (!currentCard) return;
   readFormIntoCard();
-  const title = generateEbayTitle(currentCard);
+  const title = generateEbayTitle(currentCard, getTitleConfig());
   $('#field-ebayTitle').value = title;
   currentCard.ebayTitle = title;
   updateCharCount();
+  updateTitlePreview();
+}
+
+/** Live preview of the templated title as fields are typed, before they're applied */
+function updateTitlePreview() {
+  if (!currentCard) return;
+  const result = buildEbayTitle({ ...currentCard, ...readIdentityFields() }, getTitleConfig());
+  $('#title-preview').innerHTML = renderTitlePreview(result);
+  $('#btn-use-title').classList.toggle('hidden', result.title === $('#field-ebayTitle').value.trim());
+  $('#btn-use-title').dataset.title = result.title;
 }
 
 function updateCharCount() {
@@ -854,9 +1135,8 @@ async function loadRecentScans() {
 
   container.innerHTML = recent.map(card => `
     <div class="recent-scan-item" data-id="${card.id}">
-      ${card.imageThumbnail
-        ? `<img src="${card.imageThumbnail}" alt="Card">`
-        : '<div style="width:48px;height:48px;background:var(--gray-100);border-radius:4px"></div>'}
+      ${cardImageTag(card, 'imageThumbnail', 'alt="Card"')
+        || '<div style="width:48px;height:48px;background:var(--gray-100);border-radius:4px"></div>'}
       <div class="recent-scan-info">
         <div class="name">${escapeHtml(cardDisplayName(card))}</div>
         <div class="detail">${escapeHtml(cardDetailLine(card))} &middot; ${formatDate(card.dateAdded)}</div>
@@ -873,11 +1153,15 @@ async function loadRecentScans() {
       loadRecentScans();
     });
   }
+  loadLazyImages(container);
 }
 
 // ===== Card Detail View =====
 
-function showCardDetail(card) {
+async function showCardDetail(card) {
+  // Full-size images are only loaded from the images store when opened
+  await db.loadCardImages(card, ['imageBlob', 'imageBackBlob']);
+
   const content = $('#detail-content');
   content.dataset.cardId = card.id;
 
@@ -892,30 +1176,47 @@ function showCardDetail(card) {
     ['Player', card.player],
     ['Team', card.team],
     ['Attributes', (card.attributes || []).join(', ')],
-    ['Serial #', card.serialNumber],
+    ['Serial #', card.serialNumber ? [formatSerialNumber(card.serialNumber), ...serialFlags(card)].join(' · ') : ''],
     ['Graded', card.graded === 'Yes' ? `${card.gradeCompany} ${card.gradeValue}` : 'No'],
     ['Condition', card.condition],
   ];
 
+  if (fieldsNeedingReview(card).length > 0) {
+    fields.push(['Needs Review', `<span class="needs-review-text">${escapeHtml(reviewFieldLabels(card))}</span>`]);
+  }
+
   if (card.estimatedValueLow && card.estimatedValueHigh) {
     fields.push(['Est. Value', `$${Number(card.estimatedValueLow).toFixed(2)} – $${Number(card.estimatedValueHigh).toFixed(2)}`]);
   } else if (card.estimatedValueLow) {
     fields.push(['Est. Value', `~$${Number(card.estimatedValueLow).toFixed(2)}`]);
   }
 
-  if (card.purchasePrice) {
+  const quantity = cardQuantity(card);
+  if (quantity > 1) {
+    fields.push(['Quantity', `${inHandQuantity(card)} in hand of ${quantity}`]);
+    const totalCost = cardTotalCost(card);
+    if (totalCost) fields.push(['Cost', `$${totalCost.toFixed(2)} total`]);
+  } else if (card.purchasePrice) {
     fields.push(['Cost', `$${Number(card.purchasePrice).toFixed(2)}`]);
   }
 
+  if (card.location && quantity === 1) {
+    const awaitingPick = card.status === 'sold' && (card.shippingStatus || 'not_shipped') === 'not_shipped';
+    fields.push([awaitingPick ? 'Pick From' : 'Location', formatLocation(card.location)]);
+  }
+
   if (card.mode === 'listing') {
     fields.push(['eBay Title', card.ebayTitle]);
     fields.push(['Start Price', card.startPrice ? `$${Number(card.startPrice).toFixed(2)}` : '']);
   }
 
   if (card.soldPrice) {
-    fields.push(['Sold For', `$${Number(card.soldPrice).toFixed(2)}`]);
-    if (card.purchasePrice) {
-      const profit = card.soldPrice - card.purchasePrice;
+    fields.push(['Sold For', `$${Number(card.soldPrice).toFixed(2)}${card.soldDate ? ` on ${formatDate(card.soldDate)}` : ''}`]);
+    if (card.sellingFees) {
+      fields.push(['Fees', `$${Number(card.sellingFees).toFixed(2)}`]);
+    }
+    if (card.purchasePrice || quantity > 1) {
+      const profit = cardProfit(card);
       const profitClass = profit >= 0 ? 'profit-positive' : 'profit-negative';
       fields.push(['Profit', `<span class="${profitClass}">${profit >= 0 ? '+' : ''}$${profit.toFixed(2)}</span>`]);
     }
@@ -981,7 +1282,7 @@ function showCardDetail(card) {
     ${card.ebayListingId
       ? `<div class="ebay-listed-badge">Listed on eBay — <a href="${escapeHtml(card.ebayListingUrl || '')}" target="_blank">#${escapeHtml(card.ebayListingId)}</a></div>`
       : ''}
-    ${card.aiGradeData ? renderAiGradeSection(card.aiGradeData) : '<div id="detail-ai-grade-section"></div>'}
+    ${renderAiGradeSection(card)}
     <div class="detail-section" id="detail-comps">
       <h3 style="font-size:15px;font-weight:600;color:var(--gray-700);margin-bottom:8px">Recent Sales</h3>
       <canvas id="detail-comps-chart" style="margin-bottom:8px"></canvas>
@@ -989,6 +1290,15 @@ function showCardDetail(card) {
       <div id="detail-comps-stats" class="hidden"></div>
       <div id="detail-comps-list" class="hidden"></div>
     </div>
+    ${quantity > 1 ? renderCopiesSection(card) : ''}
+    <div class="detail-section" id="detail-history">
+      <div style="display:flex;align-items:center;justify-content:space-between">
+        <h3 style="font-size:15px;font-weight:600;color:var(--gray-700)">History</h3>
+        <button class="btn btn-secondary btn-sm" id="detail-history-btn">Show Changes</button>
+      </div>
+      <div id="detail-history-list" class="hidden"></div>
+    </div>
+    ${transcriptSectionHtml()}
     <div class="detail-actions">
       ${card.mode === 'listing' && !card.ebayListingId
         ? '<button class="btn btn-ebay ebay-only hidden" id="detail-ebay-btn">List on eBay</button>'
@@ -1044,6 +1354,10 @@ function showCardDetail(card) {
           <label style="font-size:13px;font-weight:500;color:var(--gray-600)">Sold Price ($)</label>
           <input type="number" id="modal-sold-price" step="0.01" placeholder="${card.startPrice || '0.00'}" value="${card.startPrice || ''}" style="padding:10px 12px;border:1px solid var(--gray-300);border-radius:8px;font-size:15px;width:100%;margin-top:4px">
         </div>
+        <div class="form-group" style="margin-bottom:12px">
+          <label style="font-size:13px;font-weight:500;color:var(--gray-600)">Fees ($)</label>
+          <input type="number" id="modal-sold-fees" step="0.01" min="0" placeholder="eBay + payment fees" style="padding:10px 12px;border:1px solid var(--gray-300);border-radius:8px;font-size:15px;width:100%;margin-top:4px">
+        </div>
       `;
 
       const cancelBtn = document.createElement('button');
@@ -1063,9 +1377,20 @@ function showCardDetail(card) {
           overlay.classList.add('hidden');
           const soldPriceEl = document.getElementById('modal-sold-price');
           const soldPrice = soldPriceEl ? (parseFloat(soldPriceEl.value) || card.startPrice || 0) : (card.startPrice || 0);
-          card.status = 'sold';
-          card.soldPrice = soldPrice;
-          card.lastModified = new Date().toISOString();
+          const fees = parseFloat(document.getElementById('modal-sold-fees')?.value);
+          const soldDate = new Date().toISOString();
+          if (cardQuantity(card) > 1) {
+            // One copy sold; the card itself is sold once every copy is
+            const copy = card.copies.find(c => c.status === 'listed') || card.copies.find(c => c.status === 'in_hand');
+            if (copy) Object.assign(copy, { status: 'sold', soldPrice, sellingFees: isNaN(fees) ? null : fees, soldDate });
+            syncCopyStatus(card);
+          } else {
+            card.status = 'sold';
+            card.soldPrice = soldPrice;
+            card.sellingFees = isNaN(fees) ? null : fees;
+            card.soldDate = soldDate;
+          }
+          card.lastModified = soldDate;
           await db.saveCard(card);
           toast('Card marked as sold', 'success');
           await refreshListings();
@@ -1124,6 +1449,8 @@ function showCardDetail(card) {
     });
   }
 
+  wireGradeSection(card);
+
   // AI Grade button
   const aiGradeBtn = document.getElementById('detail-ai-grade-btn');
   if (aiGradeBtn) {
@@ -1135,14 +1462,14 @@ function showCardDetail(card) {
       aiGradeBtn.disabled = true;
       aiGradeBtn.textContent = 'Analyzing...';
       try {
-        const gradeData = await gradeCard(card.imageBlob, card.imageBackBlob);
-        card.aiGradeData = gradeData;
+        await preGradeCard(card);
         card.lastModified = new Date().toISOString();
         await db.saveCard(card);
         // Render grade section
         const section = document.getElementById('detail-ai-grade-section');
         if (section) {
-          section.outerHTML = renderAiGradeSection(gradeData);
+          section.outerHTML = renderAiGradeSection(card);
+          wireGradeSection(card);
         }
         toast('AI grading complete', 'success');
       } catch (err) {
@@ -1169,7 +1496,7 @@ function showCardDetail(card) {
         trackingNumber: '',
         shippingStatus: 'not_shipped'
       });
-      newCard.ebayTitle = generateEbayTitle(newCard);
+      newCard.ebayTitle = generateEbayTitle(newCard, getTitleConfig());
       newCard.dateAdded = new Date().toISOString();
       newCard.lastModified = new Date().toISOString();
       await db.saveCard(newCard);
@@ -1226,6 +1553,9 @@ function showCardDetail(card) {
           card.shippingCarrier = document.getElementById('modal-carrier')?.value || '';
           card.trackingNumber = (document.getElementById('modal-tracking')?.value || '').trim();
           card.shippingStatus = document.getElementById('modal-ship-status')?.value || 'shipped';
+          for (const copy of card.copies || []) {
+            if (copy.status === 'sold') copy.shippingStatus = card.shippingStatus;
+          }
           card.lastModified = new Date().toISOString();
           await db.saveCard(card);
           toast('Shipping info saved', 'success');
@@ -1258,6 +1588,18 @@ function showCardDetail(card) {
     });
   });
 
+  if (quantity > 1) wireCopiesSection(card);
+
+  // Change history (loaded on demand)
+  $('#detail-history-btn').addEventListener('click', async (e) => {
+    const list = $('#detail-history-list');
+    const showing = !list.classList.contains('hidden');
+    list.classList.toggle('hidden', showing);
+    e.target.textContent = showing ? 'Show Changes' : 'Hide Changes';
+    if (!showing) await renderCardHistory(card.id);
+  });
+  wireTranscriptSection(card);
+
   // Recent Sales: show cached data immediately, then fetch fresh
   renderDetailComps(card);
   fetchAndUpdateDetailComps(card);
@@ -1265,8 +1607,184 @@ function showCardDetail(card) {
   showView('view-detail');
 }
 
-/** Render AI grading results section */
-function renderAiGradeSection(data) {
+// ===== Card History =====
+
+const HISTORY_SOURCE_LABELS = {
+  'user': 'Edited',
+  'ai-identify': 'AI identify',
+  'comp-refresh': 'Comp refresh',
+  'ebay-sync': 'eBay status sync',
+  'cloud-pull': 'Cloud sync',
+  'sync-push': 'Cloud upload',
+  'import': 'Imported',
+  'revert': 'Reverted',
+  'merge': 'Merged duplicate',
+};
+
+const HISTORY_FIELD_LABELS = {
+  setName: 'Set', cardNumber: 'Card #', serialNumber: 'Serial #', jerseyNumber: 'Jersey #', gradeCompany: 'Grade Co.',
+  gradeValue: 'Grade', ebayTitle: 'eBay Title', startPrice: 'Start Price', compData: 'Comps',
+  compLookedUpAt: 'Comps Checked', estimatedValueLow: 'Est. Low', estimatedValueHigh: 'Est. High',
+  purchasePrice: 'Cost', copies: 'Copies', location: 'Location', ebayListingId: 'eBay Item #', ebayListingUrl: 'eBay URL', soldPrice: 'Sold For',
+  soldDate: 'Sold On', sellingFees: 'Fees',
+  shippingCarrier: 'Carrier', trackingNumber: 'Tracking #', shippingStatus: 'Shipping', aiGradeData: 'AI Grade',
+};
+
+// ===== Card Copies =====
+
+const CONDITIONS = ['Near Mint or Better', 'Excellent', 'Very Good', 'Good', 'Fair', 'Poor'];
+
+function renderCopiesSection(card) {
+  const options = (list, selected) => list.map(([value, label]) =>
+    `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`
+  ).join('');
+
+  return `
+    <div class="detail-section" id="detail-copies">
+      <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px">
+        <h3 style="font-size:15px;font-weight:600;color:var(--gray-700)">Copies (${card.copies.length})</h3>
+        <button class="btn btn-secondary btn-sm" id="detail-add-copy">Add Copy</button>
+      </div>
+      ${card.copies.map((copy, i) => `
+        <div class="copy-row" data-copy-id="${copy.id}">
+          <span class="copy-index">#${i + 1}</span>
+          <select data-field="status" aria-label="Copy ${i + 1} status">${options(Object.entries(COPY_STATUSES), copy.status)}</select>
+          <select data-field="condition" aria-label="Copy ${i + 1} condition">${options(CONDITIONS.map(c => [c, c]), copy.condition)}</select>
+          <input type="number" data-field="purchasePrice" step="0.01" placeholder="Cost" value="${copy.purchasePrice ?? ''}" aria-label="Copy ${i + 1} cost">
+          <input type="text" data-field="location" list="location-options" placeholder="Location" value="${escapeHtml(formatLocation(copy.location))}" aria-label="Copy ${i + 1} location">
+          ${copy.status === 'sold'
+            ? `<input type="number" data-field="soldPrice" step="0.01" placeholder="Sold $" value="${copy.soldPrice ?? ''}" aria-label="Copy ${i + 1} sold price">`
+            : ''}
+          ${copy.status === 'in_hand'
+            ? `<button class="copy-remove" data-action="remove" aria-label="Remove copy ${i + 1}">&times;</button>`
+            : ''}
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function wireCopiesSection(card) {
+  const section = $('#detail-copies');
+  if (!section) return;
+
+  const save = async (rerender) => {
+    syncCopyStatus(card);
+    card.lastModified = new Date().toISOString();
+    await db.saveCard(card);
+    if (rerender) showCardDetail(card);
+  };
+
+  section.addEventListener('change', async (e) => {
+    const row = e.target.closest('.copy-row');
+    const field = e.target.dataset.field;
+    if (!row || !field) return;
+    const copy = card.copies.find(c => c.id === row.dataset.copyId);
+    if (!copy) return;
+
+    if (field === 'purchasePrice' || field === 'soldPrice') {
+      const num = parseFloat(e.target.value);
+      copy[field] = isNaN(num) ? null : num;
+    } else {
+      copy[field] = field === 'location' ? parseLocation(e.target.value) : e.target.value;
+    }
+    if (field === 'status') {
+      copy.soldDate = copy.status === 'sold' ? (copy.soldDate || new Date().toISOString()) : null;
+      if (copy.status === 'sold' && copy.soldPrice == null) copy.soldPrice = card.startPrice || null;
+    }
+    await save(field === 'status');
+  });
+
+  section.addEventListener('click', async (e) => {
+    const removeBtn = e.target.closest('[data-action="remove"]');
+    if (removeBtn) {
+      const row = removeBtn.closest('.copy-row');
+      card.copies = card.copies.filter(c => c.id !== row.dataset.copyId);
+      if (card.copies.length === 1) setCardQuantity(card, 1);
+      await save(true);
+      return;
+    }
+    if (e.target.id === 'detail-add-copy') {
+      card.copies.push(createCopy({ condition: card.condition, purchasePrice: card.purchasePrice }));
+      await save(true);
+    }
+  });
+}
+
+function formatHistoryField(field) {
+  return HISTORY_FIELD_LABELS[field] || field.charAt(0).toUpperCase() + field.slice(1);
+}
+
+function formatHistoryValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (typeof value === 'object') {
+    if ('box' in value && 'slot' in value) return formatLocation(value);
+    const json = JSON.stringify(value);
+    return json.length > 60 ? json.slice(0, 57) + '...' : json;
+  }
+  return String(value);
+}
+
+async function renderCardHistory(cardId) {
+  const list = $('#detail-history-list');
+  if (!list) return;
+
+  let entries;
+  try {
+    entries = await db.getCardHistory(cardId);
+  } catch (err) {
+    console.error('Failed to load history:', err);
+    list.innerHTML = '<p class="empty-state" style="padding:8px 0">Could not load history</p>';
+    return;
+  }
+
+  if (entries.length === 0) {
+    list.innerHTML = '<p class="empty-state" style="padding:8px 0">No changes recorded yet</p>';
+    return;
+  }
+
+  list.innerHTML = entries.map(entry => `
+    <div class="history-entry">
+      <div class="history-entry-header">
+        <span class="history-entry-source">${escapeHtml(HISTORY_SOURCE_LABELS[entry.source] || entry.source)}</span>
+        <span class="history-entry-date">${new Date(entry.timestamp).toLocaleString()}</span>
+        ${entry.created ? '' : `<button class="btn btn-secondary btn-sm history-revert-btn" data-entry-id="${entry.id}">Revert</button>`}
+      </div>
+      ${entry.created
+        ? '<div class="history-change">Card added</div>'
+        : Object.entries(entry.changes).map(([field, { from, to }]) => `
+          <div class="history-change">
+            <span class="history-change-field">${escapeHtml(formatHistoryField(field))}:</span>
+            <span class="history-change-from">${escapeHtml(formatHistoryValue(from))}</span>
+            &rarr; ${escapeHtml(formatHistoryValue(to))}
+          </div>
+        `).join('')}
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.history-revert-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const { confirm: confirmFn } = await import('./ui.js');
+      const confirmed = await confirmFn('Revert Changes', 'Undo this change and every change made after it?');
+      if (!confirmed) return;
+      try {
+        const reverted = await db.revertCard(cardId, Number(btn.dataset.entryId));
+        toast('Card reverted', 'success');
+        await refreshCollection();
+        await refreshListings();
+        showCardDetail(reverted);
+      } catch (err) {
+        console.error('Revert failed:', err);
+        toast('Revert failed: ' + err.message, 'error');
+      }
+    });
+  });
+}
+
+/** Render AI grading results section: the latest run, measured centering and earlier runs */
+function renderAiGradeSection(card) {
+  const data = card.aiGradeData;
   if (!data) return '<div id="detail-ai-grade-section"></div>';
   const overall = data.overallGrade || 0;
   const gradeColor = overall >= 9 ? 'var(--success)' : overall >= 7 ? 'var(--warning)' : 'var(--danger)';
@@ -1299,11 +1817,13 @@ function renderAiGradeSection(data) {
           ${cat.notes ? `<div class="ai-grade-bar-notes">${escapeHtml(cat.notes)}</div>` : ''}
         `).join('')}
       </div>
+      ${measuredCenteringHtml(data)}
       ${data.recommendation ? `
       <div class="ai-grade-recommendation ${data.worthGrading ? 'worth-it' : 'not-worth'}">
         ${escapeHtml(data.recommendation)}
       </div>` : ''}
       ${data.timestamp ? `<div style="font-size:10px;color:var(--gray-400);margin-top:8px;text-align:right">${formatDate(data.timestamp)}</div>` : ''}
+      ${gradeRunsHtml(card)}
     </div>
   `;
 }
@@ -1463,7 +1983,7 @@ async function fetchAndUpdateDetailComps(card) {
   }
 
   // Save locally (no sync event)
-  try { await db.saveCardLocal(card); } catch {}
+  try { await db.saveCardLocal(card, { source: 'comp-refresh' }); } catch {}
 
   // Re-render the comps section with fresh data
   if (statsEl) { statsEl.innerHTML = ''; statsEl.classList.add('hidden'); }
@@ -1554,7 +2074,7 @@ async function refreshAllComps(force = false) {
           items: result.items,
           fetchedAt: new Date().toISOString()
         };
-        await db.saveCardLocal(card);
+        await db.saveCardLocal(card, { source: 'comp-refresh' });
         successCount++;
         delay = COMP_CALL_DELAY; // Reset delay on success
       }
@@ -1575,8 +2095,10 @@ function editDetailCard() {
   const cardId = $('#detail-content').dataset.cardId;
   if (!cardId) return;
 
-  db.getCard(cardId).then(card => {
+  db.getCard(cardId).then(card => card && db.loadCardImages(card)).then(card => {
     if (!card) return;
+    currentCardSource = 'user';
+    currentTranscripts = [];
     currentCard = card;
     populateReviewForm(card);
     showView('view-review');
@@ -1637,8 +2159,9 @@ async function handleCheckSoldPrices() {
       return;
     }
 
-    const data = await resp.json();
-    displaySoldPrices(data);
+    // Numbered cards only compare against sales from the same print run
+    const data = matchPrintRun(await resp.json(), currentCard);
+    displaySoldPrices(data || { stats: null, items: [] });
   } catch (err) {
     hideLoading();
     toast('Cannot reach worker. Check Worker URL in Settings.', 'error');
@@ -1745,7 +2268,7 @@ async function fetchCompsForCard(card) {
     const data = await resp.json();
     if (!data.stats || data.stats.count === 0) return null;
 
-    return {
+    return matchPrintRun({
       stats: data.stats,
       items: (data.items || []).map(item => ({
         title: item.title,
@@ -1754,7 +2277,7 @@ async function fetchCompsForCard(card) {
         condition: item.condition || null,
         itemUrl: item.itemUrl || null
       }))
-    };
+    }, card);
   } catch {
     return null;
   }
@@ -1994,7 +2517,7 @@ async function loadDemoCards() {
       imageBlob: thumb
     });
     card.isDemo = true;
-    card.ebayTitle = generateEbayTitle(card);
+    card.ebayTitle = generateEbayTitle(card, getTitleConfig());
     await db.saveCardLocal(card);
   }
 
@@ -2062,16 +2585,13 @@ async function initOnboarding() {
 // ===== API Key Gate =====
 
 async function checkApiKeyGate() {
-  let apiKey = await db.getSetting('apiKey');
-  if (!apiKey) {
-    try { apiKey = localStorage.getItem('cw_apiKey'); } catch {}
-  }
+  const configured = await isAiConfigured();
 
   const gate = $('#api-key-gate');
   const scanArea = document.getElementById('scan-wizard');
   const queueSection = document.getElementById('scan-queue-section');
 
-  if (!apiKey) {
+  if (!configured) {
     gate.classList.remove('hidden');
     if (scanArea) scanArea.style.opacity = '0.4';
     if (scanArea) scanArea.style.pointerEvents = 'none';
@@ -2145,21 +2665,13 @@ async function runGlobalSearch(query) {
     return;
   }
 
-  let all;
+  let matches;
   try {
-    all = await db.getAllCards();
+    ({ cards: matches } = await db.queryCards({ text: query, limit: 30 }));
   } catch (err) {
     console.error('Search failed:', err);
     return;
   }
-  const q = query.toLowerCase();
-  const matches = all.filter(c => {
-    const searchable = [c.player, c.team, c.brand, c.setName, c.year, c.parallel, c.cardNumber, c.ebayTitle, c.notes, c.sport]
-      .filter(Boolean)
-      .join(' ')
-      .toLowerCase();
-    return searchable.includes(q);
-  }).slice(0, 30);
 
   if (matches.length === 0) {
     results.innerHTML = `<p class="empty-state" style="padding:32px 0">No cards match "${escapeHtml(query)}"</p>`;
@@ -2168,9 +2680,8 @@ async function runGlobalSearch(query) {
 
   results.innerHTML = matches.map(card => `
     <div class="global-search-item" data-id="${card.id}">
-      ${card.imageThumbnail
-        ? `<img src="${card.imageThumbnail}" alt="Card">`
-        : '<div style="width:48px;height:48px;background:var(--gray-100);border-radius:4px;flex-shrink:0"></div>'}
+      ${cardImageTag(card, 'imageThumbnail', 'alt="Card"')
+        || '<div style="width:48px;height:48px;background:var(--gray-100);border-radius:4px;flex-shrink:0"></div>'}
       <div class="global-search-item-info">
         <div class="name">${escapeHtml(cardDisplayName(card))}</div>
         <div class="detail">${escapeHtml(cardDetailLine(card))}</div>
@@ -2178,6 +2689,7 @@ async function runGlobalSearch(query) {
       <span class="global-search-mode ${card.mode}">${card.mode === 'listing' ? 'Quick List' : 'Collect'}</span>
     </div>
   `).join('');
+  loadLazyImages(results);
 }
 
 // ===== Pull to Refresh =====
@@ -2339,6 +2851,9 @@ async function handleGalleryUpload(e) {
 
   showLoading(`Processing ${files.length} photo${files.length > 1 ? 's' : ''}...`);
 
+  const photos = [];
+  const features = [];
+  let failed = 0;
   for (const file of files) {
     try {
       const photo = await processPhoto(file);
@@ -2348,183 +2863,232 @@ async function handleGalleryUpload(e) {
         photo.fullBase64 = scanResult.fullBase64;
         photo.imageBlob = scanResult.imageBlob;
       }
-      scanQueue.push({ photo, backPhoto: null, status: 'pending', card: null, error: null });
+      photos.push(photo);
+      features.push(await photoFeatures(file, photo));
     } catch {
-      scanQueue.push({ photo: null, backPhoto: null, status: 'error', card: null, error: 'Failed to process photo' });
+      failed++;
     }
   }
 
   hideLoading();
-  document.getElementById('scan-queue-section').classList.remove('hidden');
-  renderScanQueue();
-  updateIdentifyAllButton();
-  toast(`${files.length} photo${files.length > 1 ? 's' : ''} added`, 'success');
+
+  // Several photos may be fronts and backs of the same cards — pair them
+  // up and let the user fix mistakes before anything is queued
+  let cards = photos.map(photo => ({ photo, backPhoto: null }));
+  if (photos.length >= 2) {
+    cards = await showPairingReview(photos, features);
+    if (!cards) return;
+  }
+
+  await addJobs(cards);
+  for (let i = 0; i < failed; i++) {
+    await addFailedJob('Failed to process photo');
+  }
+
+  toast(`${cards.length} card${cards.length !== 1 ? 's' : ''} added`, 'success');
+}
+
+/**
+ * Sheet mode: one photo of several cards laid out together. Each detected
+ * card is cropped, straightened and queued on its own for Identify All.
+ */
+async function handleSheetUpload(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  e.target.value = '';
+
+  showLoading('Finding cards...');
+  const photos = [];
+  try {
+    const cards = await splitCardSheet(file);
+    for (let i = 0; i < cards.length; i++) {
+      showLoading(`Processing card ${i + 1} of ${cards.length}...`);
+      photos.push({ photo: await processPhoto(cards[i]), backPhoto: null });
+    }
+  } catch (err) {
+    hideLoading();
+    toast('Could not split photo: ' + err.message, 'error');
+    return;
+  }
+  hideLoading();
+
+  const added = photos.length;
+  if (added === 0) {
+    toast('No cards found — lay cards flat with space between them on a plain surface', 'warning', 5000);
+    return;
+  }
+  await addJobs(photos);
+  toast(`Found ${added} card${added > 1 ? 's' : ''} — remove any bad crops before identifying`, 'success', 4000);
 }
 
 function renderScanQueue() {
   const container = document.getElementById('scan-queue');
   if (!container) return;
 
+  const jobs = getJobs();
+  const progress = queueProgress();
+  const state = getQueueState();
+  document.getElementById('scan-queue-section').classList.toggle('hidden', jobs.length === 0);
+
   // Update queue count
   const countEl = document.getElementById('scan-queue-count');
   if (countEl) {
-    const pending = scanQueue.filter(q => q.status === 'pending').length;
-    const total = scanQueue.length;
-    countEl.textContent = `${total} card${total !== 1 ? 's' : ''} queued${pending !== total ? ` (${pending} ready)` : ''}`;
+    countEl.textContent = `${progress.total} card${progress.total !== 1 ? 's' : ''} queued${progress.pending !== progress.total ? ` (${progress.pending} ready)` : ''}`;
   }
 
-  if (scanQueue.length === 0) {
+  // Run progress — stays up while a run is going or paused
+  const finished = progress.done + progress.error;
+  $('#scan-queue-progress').classList.toggle('hidden', state === 'idle');
+  $('#scan-queue-bar-fill').style.width = `${progress.total ? Math.round((finished / progress.total) * 100) : 0}%`;
+  $('#scan-queue-status').textContent = state === 'paused'
+    ? `Paused · ${finished} of ${progress.total} done`
+    : `Identifying · ${finished} of ${progress.total} done${progress.error ? ` · ${progress.error} failed` : ''}`;
+  $('#btn-queue-pause').classList.toggle('hidden', state !== 'running');
+
+  if (jobs.length === 0) {
     container.innerHTML = '';
-    document.getElementById('scan-queue-section').classList.add('hidden');
     return;
   }
 
-  container.innerHTML = scanQueue.map((item, i) => {
+  container.innerHTML = jobs.map((job, i) => {
     let statusHtml = '';
     let statusClass = '';
-    if (item.status === 'pending') {
-      statusHtml = 'Ready';
-    } else if (item.status === 'identifying') {
+    if (job.status === 'pending') {
+      statusHtml = job.error ? escapeHtml(job.error) : 'Ready';
+    } else if (job.status === 'identifying') {
       statusHtml = 'Identifying...';
-    } else if (item.status === 'done') {
-      statusHtml = item.card ? escapeHtml(item.card.player || 'Done') : 'Done';
-      statusClass = 'identified';
-    } else if (item.status === 'error') {
-      statusHtml = item.error || 'Error';
+    } else if (job.status === 'done') {
+      statusHtml = job.duplicateOf ? 'Saved · possible duplicate' : 'Saved';
+      statusClass = job.duplicateOf ? 'duplicate' : 'identified';
+    } else if (job.status === 'error') {
+      statusHtml = escapeHtml(job.error || 'Error');
       statusClass = 'error';
     }
 
-    const thumb = item.photo ? item.photo.thumbnailBase64 : '';
-    const hasBack = item.backPhoto ? ' +back' : '';
+    const thumb = job.photo ? job.photo.thumbnailBase64 : '';
+    const hasBack = job.backPhoto ? ' +back' : '';
+    const canRetry = job.status === 'error' && job.photo;
+    const canRemove = job.status === 'pending' || job.status === 'error';
     return `
       <div class="batch-queue-item">
         ${thumb ? `<img src="${thumb}" alt="Card ${i + 1}">` : '<div style="width:48px;height:48px;background:var(--gray-100);border-radius:4px"></div>'}
         <span class="batch-queue-status ${statusClass}">Card ${i + 1}${hasBack} &middot; ${statusHtml}</span>
-        ${item.status === 'pending' ? `<button class="btn btn-danger btn-sm batch-remove-btn" data-index="${i}" style="padding:4px 8px;font-size:11px">&times;</button>` : ''}
+        ${canRetry ? `<button class="btn btn-secondary btn-sm" data-action="retry" data-id="${job.id}" style="padding:4px 8px;font-size:11px">Retry</button>` : ''}
+        ${canRemove ? `<button class="btn btn-danger btn-sm batch-remove-btn" data-action="remove" data-id="${job.id}" style="padding:4px 8px;font-size:11px">&times;</button>` : ''}
       </div>
     `;
   }).join('');
-
-  container.querySelectorAll('.batch-remove-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      scanQueue.splice(parseInt(btn.dataset.index), 1);
-      renderScanQueue();
-      updateIdentifyAllButton();
-    });
-  });
 }
 
 function updateIdentifyAllButton() {
   const btn = document.getElementById('btn-identify-all');
   if (!btn) return;
-  const pendingCount = scanQueue.filter(q => q.status === 'pending').length;
-  btn.disabled = pendingCount === 0;
-  btn.textContent = pendingCount > 0 ? `Identify All (${pendingCount})` : 'Identify All';
+  const { pending } = queueProgress();
+  const state = getQueueState();
+  btn.disabled = pending === 0 || state === 'running';
+  if (state === 'running') {
+    btn.textContent = 'Identifying...';
+  } else if (state === 'paused') {
+    btn.textContent = `Resume (${pending})`;
+  } else {
+    btn.textContent = pending > 0 ? `Identify All (${pending})` : 'Identify All';
+  }
 }
 
 async function handleIdentifyAll() {
-  const pending = scanQueue.filter(q => q.status === 'pending');
-  if (pending.length === 0) {
+  if (queueProgress().pending === 0) {
     toast('No cards ready to identify.', 'info');
     return;
   }
 
-  // Check API key
-  let apiKey = await db.getSetting('apiKey');
-  if (!apiKey) {
-    try { apiKey = localStorage.getItem('cw_apiKey'); } catch {}
-  }
-  if (!apiKey) {
-    toast('API key required. Add your Claude API key in Settings first.', 'error', 4000);
+  if (!(await isAiConfigured())) {
+    toast('AI not set up. Add your Claude API key or an AI endpoint in Settings first.', 'error', 4000);
     return;
   }
 
-  const btn = document.getElementById('btn-identify-all');
-  btn.disabled = true;
-  btn.textContent = `Scanning 0/${pending.length}...`;
-
-  try {
-    const defaults = await getDefaults();
-    let processed = 0;
-
-    for (const item of pending) {
-      if (!item.photo) continue;
-
-      item.status = 'identifying';
-      btn.textContent = `Scanning ${processed + 1}/${pending.length}...`;
-      renderScanQueue();
+  await startQueue();
+}
 
-      try {
-        const backBase64 = item.backPhoto ? item.backPhoto.apiBase64 : null;
-        const aiData = await identifyCard(item.photo.apiBase64, backBase64,
-          (status) => { btn.textContent = status; });
-
-        const card = createCard({
-          mode: currentMode,
-          sport: aiData.sport || defaults.sport,
-          year: aiData.year || '',
-          brand: aiData.brand || '',
-          setName: aiData.setName || '',
-          subset: aiData.subset || '',
-          parallel: aiData.parallel || '',
-          cardNumber: aiData.cardNumber || '',
-          player: aiData.player || '',
-          team: aiData.team || '',
-          attributes: aiData.attributes || [],
-          serialNumber: aiData.serialNumber || '',
-          graded: aiData.graded || 'No',
-          gradeCompany: aiData.gradeCompany || '',
-          gradeValue: aiData.gradeValue || '',
-          estimatedValueLow: null,
-          estimatedValueHigh: null,
-          condition: defaults.condition,
-          startPrice: defaults.startPrice,
-          imageBlob: item.photo.imageBlob,
-          imageThumbnail: item.photo.thumbnailBase64,
-          imageBackBlob: item.backPhoto ? item.backPhoto.imageBlob : null,
-          imageBackThumb: item.backPhoto ? item.backPhoto.thumbnailBase64 : null
-        });
+/** Identify one queued job and save it as a card — the scan queue's worker step */
+async function processScanJob(job) {
+  const defaults = await getDefaults();
+  const aiData = await identifyCard(job.photo.apiBase64, job.backPhoto ? job.backPhoto.apiBase64 : null);
+  const transcript = takeTranscript(aiData);
 
-        // Parallel validation notification for batch
-        if (aiData._parallelNeedsReview) {
-          toast(`${aiData.player || 'Card'}: "${aiData._parallelNeedsReview}" isn't a known ${aiData.setName || ''} parallel`, 'warning', 5000);
-          delete aiData._parallelNeedsReview;
-        }
+  const card = createCard({
+    mode: currentMode,
+    ...aiCardFields(aiData, defaults),
+    estimatedValueLow: null,
+    estimatedValueHigh: null,
+    condition: defaults.condition,
+    startPrice: defaults.startPrice,
+    imageBlob: job.photo.imageBlob,
+    imageThumbnail: job.photo.thumbnailBase64,
+    imageBackBlob: job.backPhoto ? job.backPhoto.imageBlob : null,
+    imageBackThumb: job.backPhoto ? job.backPhoto.thumbnailBase64 : null
+  });
 
-        card.ebayTitle = generateEbayTitle(card);
-        await db.saveCard(card);
-        autoFetchSoldPrices(card);
+  applyChecklist(card);
+  card.ebayTitle = generateEbayTitle(card, getTitleConfig());
+  await updateImageHash(card);
+  // Same check as a manual save, but a batch can't stop to ask — the card
+  // is saved and the job flagged so the review carousel can point it out
+  const [match] = findDuplicates(card, await db.getAllCards());
+  job.duplicateOf = match ? match.card.id : null;
+  await db.saveCard(card, { source: 'ai-identify' });
+  saveTranscripts(card.id, [transcript]);
+  autoFetchSoldPrices(card);
+  return card;
+}
 
-        item.card = card;
-        item.status = 'done';
-        processed++;
-      } catch (err) {
-        item.status = 'error';
-        item.error = err.message || 'AI identification failed';
-      }
+async function handleScanQueueChanged(e) {
+  renderScanQueue();
+  updateIdentifyAllButton();
 
-      renderScanQueue();
-    }
+  const detail = e.detail || {};
+  if (detail.resumed) {
+    toast(`Resuming identification of ${queueProgress().pending} card${queueProgress().pending !== 1 ? 's' : ''}`, 'info', 4000);
+  }
+  if (detail.resumeBlocked) {
+    toast('Identification paused — add your Claude API key or an AI endpoint in Settings, then resume.', 'warning', 5000);
+  }
+  if (detail.error) {
+    toast(detail.error, 'error', 5000);
+  }
+  if (!detail.finished) return;
 
-    if (processed > 0) {
-      toast(`${processed} card${processed > 1 ? 's' : ''} identified and saved`, 'success');
-      await refreshListings();
-      await refreshCollection();
-      await loadRecentScans();
+  await refreshListings();
+  await refreshCollection();
+  await loadRecentScans();
+  if (!detail.completed) return;
 
-      // Show batch review carousel if multiple cards were identified
-      const identified = scanQueue.filter(q => q.status === 'done' && q.card);
-      if (identified.length > 1) {
-        showBatchReviewCarousel(identified);
-      }
-    } else {
-      toast('All cards failed to identify. Check your API key and try again.', 'error');
-    }
-  } catch (err) {
-    toast('Identify failed: ' + (err.message || 'Unknown error'), 'error');
+  if (detail.done === 0) {
+    if (detail.failed > 0) toast('All cards failed to identify. Check your AI settings and try again.', 'error');
+    return;
   }
 
-  updateIdentifyAllButton();
+  // Only this run's cards — done jobs from earlier runs can still be listed
+  const runJobs = new Set(detail.jobIds || []);
+  const items = [];
+  for (const job of getJobs().filter(j => j.status === 'done' && j.cardId && runJobs.has(j.id))) {
+    const card = await db.getCard(job.cardId);
+    if (!card) continue;
+    await db.loadCardImages(card, ['imageThumbnail']);
+    const duplicate = job.duplicateOf ? await db.getCard(job.duplicateOf) : null;
+    items.push({ card, duplicate: duplicate && duplicate.status !== 'deleted' ? duplicate : null });
+  }
+  const flagged = items.filter(({ card }) => fieldsNeedingReview(card).length > 0).length;
+  const duplicates = items.filter(item => item.duplicate).length;
+  toast(`${detail.done} card${detail.done > 1 ? 's' : ''} identified and saved` +
+    `${flagged ? ` — ${flagged} need${flagged === 1 ? 's' : ''} review` : ''}` +
+    `${duplicates ? ` — ${duplicates} possible duplicate${duplicates !== 1 ? 's' : ''}` : ''}` +
+    `${detail.failed ? `, ${detail.failed} failed` : ''}`,
+    flagged || duplicates || detail.failed ? 'warning' : 'success', 5000);
+
+  // Show batch review carousel if multiple cards were identified, or any may be a duplicate
+  if (items.length > 1 || duplicates > 0) {
+    showBatchReviewCarousel(items);
+  }
 }
 
 // ===== Batch Review Carousel =====
@@ -2570,7 +3134,18 @@ function showBatchReviewCarousel(items) {
           ${card.cardNumber ? `<div style="font-size:13px;color:var(--gray-500)">#${escapeHtml(card.cardNumber)}</div>` : ''}
         </div>
       </div>
+      ${item.duplicate ? `
+        <div class="batch-review-duplicate">
+          Possible duplicate of "${escapeHtml(cardDisplayName(item.duplicate))}" in your ${item.duplicate.mode === 'listing' ? 'listings' : 'collection'}
+          <button class="btn btn-secondary btn-sm" id="batch-review-duplicates">Review Duplicates</button>
+        </div>
+      ` : ''}
     `;
+    document.getElementById('batch-review-duplicates')?.addEventListener('click', () => {
+      overlay.remove();
+      clearJobs(['done']);
+      showDuplicatesView().catch(err => toast('Duplicate check failed: ' + err.message, 'error'));
+    });
   }
 
   document.getElementById('batch-review-prev').addEventListener('click', () => {
@@ -2579,9 +3154,18 @@ function showBatchReviewCarousel(items) {
   document.getElementById('batch-review-next').addEventListener('click', () => {
     if (currentIdx < items.length - 1) { currentIdx++; render(); }
   });
-  document.getElementById('batch-review-edit').addEventListener('click', () => {
+  document.getElementById('batch-review-edit').addEventListener('click', async () => {
     const card = items[currentIdx].card;
+    try {
+      await db.loadCardImages(card);
+    } catch (err) {
+      console.error('Failed to load card for edit:', err);
+      toast('Failed to load card', 'error');
+      return;
+    }
     overlay.remove();
+    currentCardSource = 'user';
+    currentTranscripts = [];
     currentCard = card;
     populateReviewForm(card);
     showView('view-review');
@@ -2589,9 +3173,7 @@ function showBatchReviewCarousel(items) {
   document.getElementById('batch-review-done').addEventListener('click', () => {
     overlay.remove();
     // Clear completed items from queue
-    scanQueue = scanQueue.filter(q => q.status !== 'done');
-    renderScanQueue();
-    updateIdentifyAllButton();
+    clearJobs(['done']);
   });
 
   render();
@@ -0,0 +1,270 @@
+// ZIP backup archives: cards.json, settings.json and images/ as separate files
+
+import { exportAllData } from './db.js';
+
+// Image fields and their file name suffix inside images/
+const IMAGE_FILES = {
+  imageBlob: 'front',
+  imageThumbnail: 'front-thumb',
+  imageBackBlob: 'back',
+  imageBackThumb: 'back-thumb',
+};
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+const ZIP_MAX_SIZE = 0xffffffff;
+
+// ===== CRC-32 =====
+
+let crcTable = null;
+
+function crc32(bytes, crc = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  crc = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+// ===== ZIP Writer =====
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Minimal ZIP writer. Entries are added one at a time and the archive is
+ * assembled from Blob parts, so image data is only held in memory while its
+ * checksum is computed. compress deflates the entry when the browser
+ * supports CompressionStream; already-compressed images should be stored.
+ */
+function createZipWriter() {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  const stamp = dosDateTime(new Date());
+
+  async function add(name, data, { compress = false } = {}) {
+    const nameBytes = encoder.encode(name);
+    const blob = typeof data === 'string' ? new Blob([encoder.encode(data)]) : data;
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const crc = crc32(bytes);
+
+    let method = ZIP_STORED;
+    let body = blob;
+    let compressedSize = bytes.length;
+    if (compress && typeof CompressionStream !== 'undefined') {
+      const deflated = await deflateRaw(bytes);
+      if (deflated.length < bytes.length) {
+        method = ZIP_DEFLATED;
+        body = new Blob([deflated]);
+        compressedSize = deflated.length;
+      }
+    }
+
+    if (offset + 30 + nameBytes.length + compressedSize > ZIP_MAX_SIZE) {
+      throw new Error('Backup is too large for a ZIP archive');
+    }
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, ZIP_LOCAL_HEADER, true);
+    header.setUint16(4, 20, true); // version needed
+    header.setUint16(6, 0x0800, true); // UTF-8 names
+    header.setUint16(8, method, true);
+    header.setUint16(10, stamp.time, true);
+    header.setUint16(12, stamp.date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, compressedSize, true);
+    header.setUint32(22, bytes.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    parts.push(header.buffer, nameBytes, body);
+    directory.push({ nameBytes, method, crc, compressedSize, size: bytes.length, offset });
+    offset += 30 + nameBytes.length + compressedSize;
+  }
+
+  function finish() {
+    const start = offset;
+    for (const entry of directory) {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, ZIP_CENTRAL_HEADER, true);
+      record.setUint16(4, 20, true); // version made by
+      record.setUint16(6, 20, true); // version needed
+      record.setUint16(8, 0x0800, true);
+      record.setUint16(10, entry.method, true);
+      record.setUint16(12, stamp.time, true);
+      record.setUint16(14, stamp.date, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.compressedSize, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      record.setUint32(42, entry.offset, true);
+      parts.push(record.buffer, entry.nameBytes);
+      offset += 46 + entry.nameBytes.length;
+    }
+
+    if (directory.length > 0xffff) {
+      throw new Error('Backup has too many files for a ZIP archive');
+    }
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, ZIP_END_OF_DIRECTORY, true);
+    end.setUint16(8, directory.length, true);
+    end.setUint16(10, directory.length, true);
+    end.setUint32(12, offset - start, true);
+    end.setUint32(16, start, true);
+    parts.push(end.buffer);
+
+    return new Blob(parts, { type: 'application/zip' });
+  }
+
+  return { add, finish };
+}
+
+// ===== ZIP Reader =====
+
+/**
+ * Read a ZIP file's central directory. Returns a Map of name → entry, where
+ * entry.blob(type) lazily extracts that file.
+ */
+async function readZip(file) {
+  const tailSize = Math.min(file.size, 22 + 0xffff);
+  const tail = new DataView(await file.slice(file.size - tailSize).arrayBuffer());
+  let endPos = -1;
+  for (let i = tailSize - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+      endPos = i;
+      break;
+    }
+  }
+  if (endPos < 0) throw new Error('Not a valid ZIP file');
+
+  const count = tail.getUint16(endPos + 10, true);
+  const dirSize = tail.getUint32(endPos + 12, true);
+  const dirOffset = tail.getUint32(endPos + 16, true);
+  const dir = new DataView(await file.slice(dirOffset, dirOffset + dirSize).arrayBuffer());
+  const decoder = new TextDecoder();
+
+  const entries = new Map();
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    if (dir.getUint32(pos, true) !== ZIP_CENTRAL_HEADER) throw new Error('Corrupt ZIP directory');
+    const method = dir.getUint16(pos + 10, true);
+    const compressedSize = dir.getUint32(pos + 20, true);
+    const nameLength = dir.getUint16(pos + 28, true);
+    const extraLength = dir.getUint16(pos + 30, true);
+    const commentLength = dir.getUint16(pos + 32, true);
+    const localOffset = dir.getUint32(pos + 42, true);
+    const name = decoder.decode(new Uint8Array(dir.buffer, pos + 46, nameLength));
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    entries.set(name, {
+      async blob(type = '') {
+        const local = new DataView(await file.slice(localOffset, localOffset + 30).arrayBuffer());
+        if (local.getUint32(0, true) !== ZIP_LOCAL_HEADER) throw new Error(`Corrupt ZIP entry: ${name}`);
+        const start = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+        const data = file.slice(start, start + compressedSize);
+        if (method === ZIP_STORED) return new Blob([data], { type });
+        if (method !== ZIP_DEFLATED) throw new Error(`Unsupported ZIP compression in ${name}`);
+        if (typeof DecompressionStream === 'undefined') {
+          throw new Error('This browser cannot read compressed ZIP files');
+        }
+        const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Blob([await new Response(stream).arrayBuffer()], { type });
+      },
+    });
+  }
+  return entries;
+}
+
+// ===== Backup Archives =====
+
+/** Whether a file looks like a ZIP archive (by its PK signature) */
+export async function isZipFile(file) {
+  const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  return head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04;
+}
+
+/**
+ * Build a ZIP backup. Same contents and query options as exportAllData, but
+ * images are written as files under images/ instead of inline base64.
+ * Returns { blob, cardCount }.
+ */
+export async function exportZipBackup(query = null) {
+  const data = await exportAllData(query, { inlineImages: false });
+  const zip = createZipWriter();
+
+  for (const card of data.cards) {
+    for (const [field, suffix] of Object.entries(IMAGE_FILES)) {
+      const blob = card[field];
+      if (!blob) continue;
+      const ext = IMAGE_EXTENSIONS[blob.type] || 'bin';
+      await zip.add(`images/${card.id}-${suffix}.${ext}`, blob);
+      delete card[field];
+    }
+  }
+
+  const { settings, ...manifest } = data;
+  await zip.add('cards.json', JSON.stringify(manifest, null, 2), { compress: true });
+  if (settings) {
+    await zip.add('settings.json', JSON.stringify(settings, null, 2), { compress: true });
+  }
+  return { blob: zip.finish(), cardCount: data.cards.length };
+}
+
+/**
+ * Read a ZIP backup back into the JSON backup shape, with images attached
+ * to their cards as Blobs, ready for previewImport/importData.
+ */
+export async function readZipBackup(file) {
+  const entries = await readZip(file);
+
+  const cardsEntry = entries.get('cards.json');
+  if (!cardsEntry) throw new Error('ZIP file has no cards.json — is it a Card Wallet backup?');
+  const data = JSON.parse(await (await cardsEntry.blob()).text());
+
+  const settingsEntry = entries.get('settings.json');
+  if (settingsEntry) {
+    data.settings = JSON.parse(await (await settingsEntry.blob()).text());
+  }
+
+  if (Array.isArray(data.cards)) {
+    const byId = new Map(data.cards.filter(c => c && c.id).map(c => [c.id, c]));
+    const fieldFor = Object.fromEntries(Object.entries(IMAGE_FILES).map(([field, suffix]) => [suffix, field]));
+    const mimeFor = Object.fromEntries(Object.entries(IMAGE_EXTENSIONS).map(([mime, ext]) => [ext, mime]));
+    for (const [name, entry] of entries) {
+      const match = name.match(/^images\/(.+)-(front|front-thumb|back|back-thumb)\.(\w+)$/);
+      const card = match && byId.get(match[1]);
+      if (!card) continue;
+      card[fieldFor[match[2]]] = await entry.blob(mimeFor[match[3]] || 'image/jpeg');
+    }
+  }
+  return data;
+}
@@ -37,6 +37,21 @@ export async function processPhoto(file) {
   };
 }
 
+/**
+ * Downsize a stored image (data URI) to what processPhoto sends for AI
+ * identification, for re-identifying a card that's already saved.
+ */
+export async function apiImageFromDataUri(dataUri) {
+  const img = await new Promise((resolve, reject) => {
+    const i = new Image();
+    i.onload = () => resolve(i);
+    i.onerror = () => reject(new Error('Failed to load image'));
+    i.src = dataUri;
+  });
+  const { canvas } = resizeToFit(img, API_DIMENSION);
+  return canvas.toDataURL('image/jpeg', API_QUALITY);
+}
+
 /**
  * Get the base64 content (without data URI prefix) for the API call.
  */
@@ -0,0 +1,54 @@
+// Lazy loading for card images kept in the IndexedDB images store
+
+import { getCardImage, hasCardImage } from './db.js';
+
+let observer = null;
+
+/**
+ * <img> markup for a card image. Inline data URIs (unsaved cards) render
+ * directly; stored images get a placeholder src filled by loadLazyImages().
+ * Returns '' if the card has no such image so callers can fall back.
+ */
+export function cardImageTag(card, field, attrs = '') {
+  if (!hasCardImage(card, field)) return '';
+  if (typeof card[field] === 'string') {
+    return `<img src="${card[field]}" ${attrs}>`;
+  }
+  return `<img data-card-id="${card.id}" data-image-field="${field}" ${attrs}>`;
+}
+
+/** Start loading stored images under root as they scroll into view */
+export function loadLazyImages(root) {
+  if (!root) return;
+  const imgs = root.querySelectorAll('img[data-image-field]:not([src])');
+  if (imgs.length === 0) return;
+
+  if (typeof IntersectionObserver === 'undefined') {
+    imgs.forEach(loadImage);
+    return;
+  }
+
+  if (!observer) {
+    observer = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue;
+        observer.unobserve(entry.target);
+        loadImage(entry.target);
+      }
+    }, { rootMargin: '200px' });
+  }
+  imgs.forEach(img => observer.observe(img));
+}
+
+async function loadImage(img) {
+  try {
+    const blob = await getCardImage(img.dataset.cardId, img.dataset.imageField);
+    if (!blob || !img.isConnected) return;
+    const url = URL.createObjectURL(blob);
+    img.addEventListener('load', () => URL.revokeObjectURL(url), { once: true });
+    img.addEventListener('error', () => URL.revokeObjectURL(url), { once: true });
+    img.src = url;
+  } catch (err) {
+    console.warn('Failed to load card image:', err.message);
+  }
+}
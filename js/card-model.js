@@ -1,7 +1,7 @@
 // Card validation, eBay title generation, search query building
 
 /** Generate a UUID that works over plain HTTP (crypto.randomUUID needs HTTPS). */
-function uuid() {
+export function uuid() {
   if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
     return crypto.randomUUID();
   }
@@ -31,6 +31,7 @@ export function createCard(data = {}) {
     team: data.team || '',
     attributes: data.attributes || [],
     serialNumber: data.serialNumber || '',
+    jerseyNumber: data.jerseyNumber || '',        // player's jersey number (serial jersey matches)
     graded: data.graded || 'No',
     gradeCompany: data.gradeCompany || '',
     gradeValue: data.gradeValue || '',
@@ -43,6 +44,7 @@ export function createCard(data = {}) {
     imageThumbnail: data.imageThumbnail || null, // front thumbnail
     imageBackBlob: data.imageBackBlob || null,   // back full image
     imageBackThumb: data.imageBackThumb || null,  // back thumbnail
+    imageHash: data.imageHash || '',             // perceptual hash of the front thumbnail (duplicate detection)
     dateAdded: data.dateAdded || new Date().toISOString(),
     lastModified: data.lastModified || new Date().toISOString(),
     estimatedValueLow: data.estimatedValueLow ?? null,
@@ -51,54 +53,522 @@ export function createCard(data = {}) {
     ebayListingId: data.ebayListingId || null,
     ebayListingUrl: data.ebayListingUrl || null,
     soldPrice: data.soldPrice ?? null,
+    soldDate: data.soldDate ?? null,           // ISO timestamp of the sale
+    sellingFees: data.sellingFees ?? null,     // eBay/payment fees on the sale
     shippingCarrier: data.shippingCarrier || '',
     trackingNumber: data.trackingNumber || '',
     shippingStatus: data.shippingStatus || 'not_shipped', // 'not_shipped', 'shipped', 'delivered'
     notes: data.notes || '',
-    aiGradeData: data.aiGradeData || null,        // AI pre-grading analysis results
+    aiGradeData: data.aiGradeData || null,        // AI pre-grading analysis results (latest run)
+    aiGradeHistory: data.aiGradeHistory || [],     // earlier aiGradeData runs, oldest first (max 10)
     compHistory: data.compHistory || [],           // Array of { date, avg, low, high, volume } snapshots (max 90)
+    location: normalizeLocation(data.location),   // storage location { box, row, slot } or null
+    quantity: data.quantity || 1,                  // number of physical copies
+    copies: data.copies || [],                     // per-copy records (createCopy) when quantity > 1
+    fieldConfidence: data.fieldConfidence || {},   // { field: { level, reasons } } for fields not yet confirmed
+    aiCacheKey: data.aiCacheKey || '',             // identification cache entry for the photo as first uploaded
   };
 }
 
+// ===== Copies =====
+
+// Per-copy status labels
+export const COPY_STATUSES = { in_hand: 'In Hand', listed: 'Listed', sold: 'Sold' };
+
 /**
- * Generate an eBay title (80 char max).
- * Priority: Year > Brand > Set > Player > Card# > Parallel > Attributes > Serial#
+ * Create one physical copy of a multi-copy card.
  */
-export function generateEbayTitle(card) {
-  const parts = [];
+export function createCopy(data = {}) {
+  return {
+    id: data.id || uuid(),
+    condition: data.condition || 'Near Mint or Better',
+    purchasePrice: data.purchasePrice ?? null,
+    location: normalizeLocation(data.location),
+    status: data.status || 'in_hand',     // 'in_hand', 'listed', 'sold'
+    soldPrice: data.soldPrice ?? null,
+    soldDate: data.soldDate ?? null,
+    sellingFees: data.sellingFees ?? null,
+    shippingStatus: data.shippingStatus || 'not_shipped',
+    ebayListingId: data.ebayListingId || null,
+  };
+}
 
-  if (card.year) parts.push(card.year);
-  if (card.brand) parts.push(card.brand);
-  if (card.setName) parts.push(card.setName);
-  if (card.subset && card.subset.toLowerCase() !== 'base') parts.push(card.subset);
-  if (card.player) parts.push(card.player);
-  if (card.cardNumber) parts.push(`#${card.cardNumber}`);
-  if (card.parallel) parts.push(card.parallel);
+/** Number of physical copies a card record stands for */
+export function cardQuantity(card) {
+  return card.copies && card.copies.length > 0 ? card.copies.length : 1;
+}
+
+/**
+ * A card's copies. Single-copy cards get one copy built from the card's own
+ * fields (not stored), so callers can treat every card the same way.
+ */
+export function cardCopies(card) {
+  if (card.copies && card.copies.length > 0) return card.copies;
+  const status = card.status === 'sold' ? 'sold' : card.status === 'listed' ? 'listed' : 'in_hand';
+  return [createCopy({
+    id: card.id,
+    condition: card.condition,
+    purchasePrice: card.purchasePrice,
+    location: card.location,
+    status,
+    soldPrice: card.soldPrice,
+    soldDate: card.soldDate,
+    sellingFees: card.sellingFees,
+    shippingStatus: card.shippingStatus,
+    ebayListingId: card.ebayListingId,
+  })];
+}
+
+/** Copies not yet sold */
+export function inHandQuantity(card) {
+  return cardCopies(card).filter(c => c.status !== 'sold').length;
+}
 
-  // Add attributes
-  if (card.attributes && card.attributes.length > 0) {
-    parts.push(...card.attributes);
+/**
+ * Change how many copies a card has. New copies take the card's condition
+ * and purchase price; shrinking only removes in-hand copies (newest first).
+ * Going back to one copy folds it into the card's own fields.
+ * Returns the quantity actually set.
+ */
+export function setCardQuantity(card, quantity) {
+  quantity = Math.max(1, Math.floor(quantity) || 1);
+  const copies = cardCopies(card).map(c => ({ ...c }));
+  if (!card.copies || card.copies.length === 0) copies[0].id = uuid();
+
+  while (copies.length < quantity) {
+    copies.push(createCopy({ condition: card.condition, purchasePrice: card.purchasePrice, location: card.location }));
+  }
+  while (copies.length > quantity) {
+    const index = copies.map(c => c.status).lastIndexOf('in_hand');
+    if (index < 0) break;
+    copies.splice(index, 1);
   }
 
-  if (card.serialNumber) parts.push(card.serialNumber);
+  if (copies.length === 1) {
+    const [only] = copies;
+    card.condition = only.condition;
+    card.purchasePrice = only.purchasePrice;
+    card.location = normalizeLocation(only.location);
+    if (only.status === 'sold') {
+      Object.assign(card, {
+        status: 'sold', soldPrice: only.soldPrice, soldDate: only.soldDate,
+        sellingFees: only.sellingFees, shippingStatus: only.shippingStatus || card.shippingStatus,
+      });
+    } else if (only.status === 'listed') {
+      card.status = 'listed';
+    }
+    card.copies = [];
+  } else {
+    card.copies = copies;
+  }
+  card.quantity = copies.length;
+  return card.quantity;
+}
 
-  // Grading info
-  if (card.graded === 'Yes' && card.gradeCompany) {
-    parts.push(`${card.gradeCompany} ${card.gradeValue}`);
+/**
+ * Bring a multi-copy card's own status in line with its copies: sold once
+ * every copy is sold, listed while any copy is listed.
+ */
+export function syncCopyStatus(card) {
+  if (!card.copies || card.copies.length === 0) return card;
+  const copies = card.copies;
+  card.quantity = copies.length;
+  if (copies.every(c => c.status === 'sold')) {
+    card.status = 'sold';
+    card.soldPrice = copies.reduce((sum, c) => sum + (c.soldPrice || 0), 0);
+    card.soldDate = copies.map(c => c.soldDate).filter(Boolean).sort().pop() || card.soldDate;
+  } else if (copies.some(c => c.status === 'listed')) {
+    card.status = 'listed';
+  } else if (card.status === 'sold' || card.status === 'listed') {
+    card.status = 'unsold';
   }
+  return card;
+}
 
-  // Build title respecting 80 char limit
-  let title = '';
-  for (const part of parts) {
-    const candidate = title ? `${title} ${part}` : part;
-    if (candidate.length <= 80) {
-      title = candidate;
-    } else {
-      break;
+/**
+ * Sales recorded on a card, one card-shaped record per sold copy (with that
+ * copy's cost, price, fees and date) so P&L code can treat them like sold
+ * cards. Single-copy cards return [card] once sold.
+ */
+export function cardSales(card) {
+  if (!card.copies || card.copies.length === 0) {
+    return card.status === 'sold' ? [card] : [];
+  }
+  return card.copies.filter(c => c.status === 'sold').map(copy => ({
+    ...card,
+    copies: [],
+    quantity: 1,
+    copyId: copy.id,
+    status: 'sold',
+    condition: copy.condition,
+    purchasePrice: copy.purchasePrice,
+    location: normalizeLocation(copy.location),
+    soldPrice: copy.soldPrice,
+    soldDate: copy.soldDate,
+    sellingFees: copy.sellingFees,
+    shippingStatus: copy.shippingStatus || 'not_shipped',
+  }));
+}
+
+// ===== Storage Locations =====
+
+const LOCATION_PARTS = ['box', 'row', 'slot'];
+
+/**
+ * Parse a location typed as text, e.g. "Box 12 / Row 3 / Slot 40" or
+ * "Red Binder / Slot 7". Parts are split on "/"; parts starting with
+ * "Row" or "Slot" fill those, anything else names the box or binder.
+ */
+export function parseLocation(text) {
+  const location = { box: '', row: '', slot: '' };
+  for (const part of String(text || '').split('/').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(row|slot)\b\s*#?\s*(.+)$/i);
+    if (match) location[match[1].toLowerCase()] = match[2].trim();
+    else if (!location.box) location.box = part;
+    else location.box += ` / ${part}`;
+  }
+  return normalizeLocation(location);
+}
+
+/** Accept a location object or text; returns { box, row, slot } or null if empty */
+export function normalizeLocation(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return parseLocation(value);
+  const location = {};
+  for (const part of LOCATION_PARTS) location[part] = String(value[part] ?? '').trim();
+  return LOCATION_PARTS.some(p => location[p]) ? location : null;
+}
+
+/** "Box 12 / Row 3 / Slot 40" — empty string when there is no location */
+export function formatLocation(value) {
+  const location = normalizeLocation(value);
+  if (!location) return '';
+  return [
+    location.box,
+    location.row && `Row ${location.row}`,
+    location.slot && `Slot ${location.slot}`,
+  ].filter(Boolean).join(' / ');
+}
+
+/** Sort order for pick lists: box, then row, then slot (numbers compared as numbers); no location last */
+export function compareLocations(a, b) {
+  const la = normalizeLocation(a);
+  const lb = normalizeLocation(b);
+  if (!la || !lb) return (la ? 0 : 1) - (lb ? 0 : 1);
+  for (const part of LOCATION_PARTS) {
+    const diff = la[part].localeCompare(lb[part], undefined, { numeric: true, sensitivity: 'base' });
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Store a card (all of its copies still in hand) at a location.
+ * The card's own location is also the default for copies added later.
+ */
+export function setCardLocation(card, value) {
+  const location = normalizeLocation(value);
+  card.location = location;
+  for (const copy of card.copies || []) {
+    if (copy.status === 'in_hand') copy.location = location && { ...location };
+  }
+  return card;
+}
+
+/** Total purchase price across all copies */
+export function cardTotalCost(card) {
+  return cardCopies(card).reduce((sum, c) => sum + (c.purchasePrice || 0), 0);
+}
+
+// ===== Serial Numbers =====
+
+/**
+ * Parse a serial number such as "23/99", "023/099", "#23 of 99", "1/1" or
+ * "/99" (print run only). Returns null when blank or not a serial, else
+ * { number, run, valid, error, oneOfOne, firstOfRun, lastOfRun, jerseyMatch }.
+ * number is null when only the print run is known. jerseyMatch compares
+ * against card.jerseyNumber when a card is given.
+ */
+export function parseSerialNumber(serial, card = null) {
+  const text = String(serial || '').trim();
+  if (!text) return null;
+  const match = text.match(/^(?:#\s*)?(\d+)?\s*(?:\/|of)\s*(\d+)$/i);
+  if (!match) return null;
+
+  const number = match[1] != null ? parseInt(match[1], 10) : null;
+  const run = parseInt(match[2], 10);
+  let error = null;
+  if (run < 1) error = 'Print run must be at least 1';
+  else if (number === 0) error = 'Serial number must be at least 1';
+  else if (number != null && number > run) error = `${number} is higher than the print run of ${run}`;
+
+  const valid = !error;
+  const jersey = parseInt(card?.jerseyNumber, 10);
+  return {
+    number,
+    run,
+    valid,
+    error,
+    oneOfOne: valid && run === 1,
+    firstOfRun: valid && run > 1 && number === 1,
+    lastOfRun: valid && run > 1 && number === run,
+    jerseyMatch: valid && number != null && !isNaN(jersey) && number === jersey,
+  };
+}
+
+/** Canonical serial text ("23/99", "/99", "1/1"), or the original text if it doesn't parse */
+export function formatSerialNumber(serial) {
+  const parsed = parseSerialNumber(serial);
+  if (!parsed || !parsed.valid) return String(serial || '').trim();
+  return parsed.number != null ? `${parsed.number}/${parsed.run}` : `/${parsed.run}`;
+}
+
+/** Short labels for what makes a serial special, e.g. ['Jersey Match'] */
+export function serialFlags(card) {
+  const parsed = parseSerialNumber(card.serialNumber, card);
+  if (!parsed) return [];
+  const flags = [];
+  if (parsed.oneOfOne) flags.push('1 of 1');
+  if (parsed.firstOfRun) flags.push('First Numbered');
+  if (parsed.lastOfRun) flags.push('Last Numbered');
+  if (parsed.jerseyMatch) flags.push('Jersey Match');
+  return flags;
+}
+
+/** Title parts for a serial: the canonical number followed by its flags */
+function serialTitleParts(card) {
+  if (!card.serialNumber) return [];
+  const parsed = parseSerialNumber(card.serialNumber, card);
+  if (!parsed || !parsed.valid) return [card.serialNumber];
+  return [formatSerialNumber(card.serialNumber), ...serialFlags(card).filter(f => f !== '1 of 1')];
+}
+
+/**
+ * Rarity for sorting: the print run of a valid serial (1/1 first), with
+ * unnumbered cards after every numbered one.
+ */
+export function serialRarity(card) {
+  const parsed = parseSerialNumber(card.serialNumber);
+  return parsed && parsed.valid ? parsed.run : Infinity;
+}
+
+// ===== Field Confidence =====
+
+// Identification fields that can carry a confidence flag
+export const CONFIDENCE_FIELDS = {
+  sport: 'Sport', year: 'Year', brand: 'Brand', setName: 'Set', subset: 'Subset',
+  parallel: 'Parallel', cardNumber: 'Card #', player: 'Player', team: 'Team',
+  attributes: 'Attributes', serialNumber: 'Serial #', gradeCompany: 'Grader', gradeValue: 'Grade',
+};
+
+const CONFIDENCE_RANK = { low: 0, medium: 1, high: 2 };
+
+/**
+ * Record how sure we are of a field. Flags from several sources (the model,
+ * the parallel catalog, the checklist) combine: the lowest level wins and
+ * every reason is kept. 'high' is a no-op — an unflagged field is a sure one.
+ */
+export function flagField(card, field, level, reason = '') {
+  if (!CONFIDENCE_FIELDS[field] || !(level in CONFIDENCE_RANK)) return card;
+  if (level === 'high') return card;
+  if (!card.fieldConfidence) card.fieldConfidence = {};
+  const current = card.fieldConfidence[field];
+  const next = current ? { ...current, reasons: [...current.reasons] } : { level, reasons: [] };
+  if (CONFIDENCE_RANK[level] < CONFIDENCE_RANK[next.level]) next.level = level;
+  if (reason && !next.reasons.includes(reason)) next.reasons.push(reason);
+  card.fieldConfidence[field] = next;
+  return card;
+}
+
+/** Mark a field as checked by the user, dropping its flag */
+export function confirmField(card, field) {
+  if (card.fieldConfidence) delete card.fieldConfidence[field];
+  return card;
+}
+
+/** Fields flagged low confidence — these must be checked before listing */
+export function fieldsNeedingReview(card) {
+  return Object.entries(card.fieldConfidence || {})
+    .filter(([field, flag]) => CONFIDENCE_FIELDS[field] && flag.level === 'low')
+    .map(([field]) => field);
+}
+
+/** Fields flagged medium confidence — worth a look, but they don't block listing */
+export function fieldsWorthChecking(card) {
+  return Object.entries(card.fieldConfidence || {})
+    .filter(([field, flag]) => CONFIDENCE_FIELDS[field] && flag.level === 'medium')
+    .map(([field]) => field);
+}
+
+export function needsReview(card) {
+  return fieldsNeedingReview(card).length > 0;
+}
+
+// ===== eBay Titles =====
+
+const TITLE_MAX = 80;
+
+/**
+ * Tokens usable in title templates as {name}. value(card) returns text, or
+ * an array for multi-part tokens (each part can be dropped separately).
+ */
+export const TITLE_TOKENS = {
+  year: { label: 'Year', value: c => c.year },
+  brand: { label: 'Brand', value: c => c.brand },
+  set: { label: 'Set', value: c => c.setName },
+  subset: { label: 'Subset / Insert', value: c => (c.subset && c.subset.toLowerCase() !== 'base' ? c.subset : '') },
+  player: { label: 'Player', value: c => c.player },
+  team: { label: 'Team', value: c => c.team },
+  number: { label: 'Card #', value: c => (c.cardNumber ? `#${c.cardNumber}` : '') },
+  parallel: { label: 'Parallel', value: c => c.parallel },
+  attributes: { label: 'Attributes', value: c => c.attributes || [] },
+  serial: { label: 'Serial #', value: c => serialTitleParts(c) },
+  grade: { label: 'Grade', value: c => (c.graded === 'Yes' && c.gradeCompany ? `${c.gradeCompany} ${c.gradeValue || ''}`.trim() : '') },
+  sport: { label: 'Sport', value: c => c.sport },
+};
+
+/**
+ * Built-in title settings. The template matches the original fixed order;
+ * priority lists tokens most-important first (the last ones are dropped
+ * first when a title runs long). Abbreviations apply only when a title is
+ * too long unless alwaysAbbreviate is set.
+ */
+export const DEFAULT_TITLE_CONFIG = {
+  template: '{year} {brand} {set} {subset} {player} {number} {parallel} {attributes} {serial} {grade}',
+  overrides: [], // [{ type: 'sport'|'set', match, template }]
+  abbreviations: {
+    'Super Short Print': 'SSP',
+    'Short Print': 'SP',
+    'Rated Rookie': 'RR',
+    'Rookie Card': 'RC',
+    'Rookie': 'RC',
+    'Autograph': 'Auto',
+    'Refractor': 'Ref',
+    'Memorabilia': 'Mem',
+  },
+  alwaysAbbreviate: false,
+  priority: ['player', 'year', 'set', 'brand', 'number', 'parallel', 'serial', 'grade', 'attributes', 'subset', 'team', 'sport'],
+};
+
+/** Fill in anything missing from a saved title config with the defaults */
+export function normalizeTitleConfig(config) {
+  const merged = { ...DEFAULT_TITLE_CONFIG, ...(config || {}) };
+  if (!merged.template || !merged.template.trim()) merged.template = DEFAULT_TITLE_CONFIG.template;
+  if (!Array.isArray(merged.overrides)) merged.overrides = [];
+  if (!merged.abbreviations || typeof merged.abbreviations !== 'object') merged.abbreviations = {};
+  if (!Array.isArray(merged.priority) || merged.priority.length === 0) merged.priority = DEFAULT_TITLE_CONFIG.priority;
+  return merged;
+}
+
+/**
+ * The template for a card: a matching set override wins over a sport
+ * override, which wins over the default. Returns { template, source }.
+ */
+export function pickTitleTemplate(card, config = DEFAULT_TITLE_CONFIG) {
+  const lower = (v) => String(v || '').trim().toLowerCase();
+  const setNames = [lower(card.setName), lower(`${card.brand || ''} ${card.setName || ''}`)];
+  const overrides = (config.overrides || []).filter(o => o && o.match && o.template);
+  const bySet = overrides.find(o => o.type === 'set' && setNames.includes(lower(o.match)));
+  if (bySet) return { template: bySet.template, source: `Set: ${bySet.match}` };
+  const bySport = overrides.find(o => o.type === 'sport' && lower(o.match) === lower(card.sport));
+  if (bySport) return { template: bySport.template, source: `Sport: ${bySport.match}` };
+  return { template: config.template || DEFAULT_TITLE_CONFIG.template, source: 'Default' };
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Replace whole words/phrases using the abbreviation dictionary (longest first) */
+function abbreviate(text, abbreviations) {
+  const entries = Object.entries(abbreviations || {})
+    .filter(([from, to]) => from && to != null)
+    .sort((a, b) => b[0].length - a[0].length);
+  for (const [from, to] of entries) {
+    text = text.replace(new RegExp(`(^|\\s)${escapeRegExp(from)}(?=\\s|$)`, 'gi'), `$1${to}`);
+  }
+  return text;
+}
+
+/** Template → [{ token, text }] segments; literal words have token null */
+function renderTitleSegments(card, template, abbreviations) {
+  const segments = [];
+  const seen = new Set();
+  const push = (token, text) => {
+    text = String(text ?? '').trim().replace(/\s+/g, ' ');
+    if (abbreviations) text = abbreviate(text, abbreviations);
+    if (!text || seen.has(text.toLowerCase())) return;
+    seen.add(text.toLowerCase());
+    segments.push({ token, text });
+  };
+
+  for (const [, name, literal] of template.matchAll(/\{(\w+)\}|([^\s{}]+)/g)) {
+    if (literal) {
+      push(null, literal);
+      continue;
     }
+    const def = TITLE_TOKENS[name];
+    if (!def) continue;
+    const value = def.value(card);
+    for (const part of Array.isArray(value) ? value : [value]) push(name, part);
+  }
+  return segments;
+}
+
+const joinSegments = (segments) => segments.map(s => s.text).join(' ');
+
+/**
+ * Build an eBay title from the card's template. Long titles are shortened
+ * by abbreviating, then dropping the lowest-priority tokens, and only then
+ * cut at a word boundary.
+ * Returns { title, source, abbreviated, dropped: [token names], truncated }.
+ */
+export function buildEbayTitle(card, config = DEFAULT_TITLE_CONFIG) {
+  config = normalizeTitleConfig(config);
+  const { template, source } = pickTitleTemplate(card, config);
+  const result = { source, abbreviated: !!config.alwaysAbbreviate, dropped: [], truncated: false };
+
+  let segments = renderTitleSegments(card, template, config.alwaysAbbreviate ? config.abbreviations : null);
+  if (joinSegments(segments).length > TITLE_MAX && !config.alwaysAbbreviate) {
+    segments = renderTitleSegments(card, template, config.abbreviations);
+    result.abbreviated = true;
   }
 
-  return title;
+  // Drop one part at a time from the least important token still present
+  const rank = (token) => {
+    const index = config.priority.indexOf(token);
+    return index < 0 ? config.priority.length : index;
+  };
+  while (joinSegments(segments).length > TITLE_MAX) {
+    let victim = -1;
+    segments.forEach((seg, i) => {
+      if (seg.token && (victim < 0 || rank(seg.token) >= rank(segments[victim].token))) victim = i;
+    });
+    if (victim < 0 || rank(segments[victim].token) === 0) break; // never drop the top token
+    if (!result.dropped.includes(segments[victim].token)) result.dropped.push(segments[victim].token);
+    segments.splice(victim, 1);
+  }
+
+  // Last resort: keep whole words up to the limit
+  const full = joinSegments(segments);
+  let title = '';
+  for (const word of full.split(' ')) {
+    const candidate = title ? `${title} ${word}` : word;
+    if (candidate.length > TITLE_MAX) break;
+    title = candidate;
+  }
+  if (!title && full) title = full.slice(0, TITLE_MAX);
+  result.truncated = title.length < full.length;
+  result.title = title;
+  return result;
+}
+
+/**
+ * Generate an eBay title (80 char max) from the title config — see
+ * buildEbayTitle. Without a config, uses the built-in template.
+ */
+export function generateEbayTitle(card, config = DEFAULT_TITLE_CONFIG) {
+  return buildEbayTitle(card, config).title;
 }
 
 /**
@@ -130,6 +600,37 @@ export function cardDisplayName(card) {
   return card.ebayTitle || 'Unknown Card';
 }
 
+/**
+ * Estimated market value: midpoint of the AI estimate range, or whichever
+ * end is set. 0 if unknown.
+ */
+export function cardValue(card) {
+  if (card.estimatedValueLow && card.estimatedValueHigh) {
+    return (card.estimatedValueLow + card.estimatedValueHigh) / 2;
+  }
+  if (card.estimatedValueLow) return card.estimatedValueLow;
+  if (card.estimatedValueHigh) return card.estimatedValueHigh;
+  return 0;
+}
+
+/** Estimated value of the copies still in hand */
+export function cardTotalValue(card) {
+  return cardValue(card) * inHandQuantity(card);
+}
+
+/**
+ * Profit on a sold card after cost and selling fees, or null if unsold.
+ * Multi-copy cards sum the profit on each sold copy.
+ */
+export function cardProfit(card) {
+  if (card.copies && card.copies.length > 0) {
+    const sales = cardSales(card);
+    return sales.length > 0 ? sales.reduce((sum, sale) => sum + cardProfit(sale), 0) : null;
+  }
+  if (card.soldPrice == null) return null;
+  return (card.soldPrice || 0) - (card.purchasePrice || 0) - (card.sellingFees || 0);
+}
+
 /**
  * Get a short detail line for a card.
  */
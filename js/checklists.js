@@ -0,0 +1,478 @@
+// Set checklists — import, review-form autocomplete and validation, and set completion
+
+import * as db from './db.js';
+import { inHandQuantity } from './card-model.js';
+import { parseDelimited } from './csv-import.js';
+import { resolveParallel } from './parallels.js';
+import { toast, $, escapeHtml, showView, goBack, confirm } from './ui.js';
+
+// Spreadsheet columns → checklist fields
+const CHECKLIST_COLUMNS = {
+  year: ['year', 'season'],
+  brand: ['brand', 'manufacturer'],
+  setName: ['set', 'set name', 'setname', 'product'],
+  sport: ['sport'],
+  number: ['card #', 'card number', 'cardnumber', 'number', 'no', 'no.', '#'],
+  player: ['player', 'name', 'subject'],
+  team: ['team'],
+  parallels: ['parallels', 'parallel', 'known parallels', 'variations'],
+};
+
+let checklists = [];
+
+// ===== Matching =====
+
+/** Loose comparison key: case, accents and punctuation ignored */
+function norm(value) {
+  return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/** Card numbers compare without '#' or leading zeros ("#007" = "7") */
+export function normalizeCardNumber(number) {
+  const value = String(number || '').trim().replace(/^(no\.?|#)\s*/i, '').toUpperCase();
+  return /^\d+$/.test(value) ? String(parseInt(value, 10)) : value;
+}
+
+function isBase(parallel) {
+  return !norm(parallel) || norm(parallel) === 'base';
+}
+
+/** "Topps Chrome" — the brand is left off when the set name already starts with it */
+export function checklistLabel(set) {
+  const brand = (set.brand || '').trim();
+  const name = (set.setName || '').trim();
+  if (!brand || norm(name).startsWith(norm(brand))) return name || brand;
+  return `${brand} ${name}`;
+}
+
+function checklistId(set) {
+  return `${String(set.year || '').trim()}|${norm(checklistLabel(set))}`;
+}
+
+/** The checklist for a card's year and set, or null */
+export function findChecklist(card) {
+  if (!card || !card.setName) return null;
+  const year = String(card.year || '').trim();
+  const ids = new Set([checklistId(card), `${year}|${norm(card.setName)}`]);
+  const exact = checklists.find(c => ids.has(c.id));
+  if (exact || card.brand) return exact || null;
+  // No brand typed yet: "Chrome" is enough when only one brand has that set
+  const named = checklists.filter(c => c.year === year && norm(c.setName) === norm(card.setName));
+  return named.length === 1 ? named[0] : null;
+}
+
+/** Known parallels for a checklist entry (set-wide plus the card's own) */
+function knownParallels(checklist, entry) {
+  return [...new Set([...checklist.parallels, ...(entry ? entry.parallels : [])])];
+}
+
+/**
+ * Look up a card on its set's checklist: by card number, or by player when
+ * no number is given. Returns { checklist, entry } (entry may be null) or null.
+ */
+export function findChecklistEntry(card) {
+  const checklist = findChecklist(card);
+  if (!checklist) return null;
+  const number = normalizeCardNumber(card.cardNumber);
+  let entry = null;
+  if (number) {
+    entry = checklist.cards.find(c => normalizeCardNumber(c.number) === number) || null;
+  } else if (card.player) {
+    const matches = checklist.cards.filter(c => norm(c.player) === norm(card.player));
+    if (matches.length === 1) entry = matches[0];
+  }
+  return { checklist, entry };
+}
+
+/**
+ * Check a card's details against its set checklist. Returns null when there
+ * is no checklist for the set, else { checklist, entry, issues } where each
+ * issue is { field, message, suggestion } (suggestion may be '').
+ */
+export function validateAgainstChecklist(card) {
+  const found = findChecklistEntry(card);
+  if (!found) return null;
+  const { checklist, entry } = found;
+  const label = `${checklist.year} ${checklistLabel(checklist)}`;
+  const issues = [];
+
+  if (card.cardNumber && !entry) {
+    const byPlayer = card.player ? checklist.cards.filter(c => norm(c.player) === norm(card.player)) : [];
+    issues.push({
+      field: 'cardNumber',
+      message: `#${card.cardNumber} isn't on the ${label} checklist`,
+      suggestion: byPlayer.length === 1 ? byPlayer[0].number : '',
+    });
+  }
+
+  if (entry) {
+    if (entry.player && norm(entry.player) !== norm(card.player)) {
+      issues.push({
+        field: 'player',
+        message: card.player ? `Checklist has #${entry.number} as ${entry.player}` : `#${entry.number} is ${entry.player}`,
+        suggestion: entry.player,
+      });
+    }
+    if (entry.team && card.team && norm(entry.team) !== norm(card.team)) {
+      issues.push({ field: 'team', message: `Checklist team is ${entry.team}`, suggestion: entry.team });
+    }
+  }
+
+  const parallels = knownParallels(checklist, entry);
+  // Compare through the parallel catalog so "Silver Prizm" matches "Silver"
+  const canonical = (name) => resolveParallel(card, name).parallel?.name || name;
+  if (!isBase(card.parallel) && parallels.length > 0
+    && !parallels.some(p => norm(canonical(p)) === norm(canonical(card.parallel)))) {
+    const shown = parallels.slice(0, 6).join(', ') + (parallels.length > 6 ? '…' : '');
+    issues.push({ field: 'parallel', message: `"${card.parallel}" isn't a known parallel (${shown})`, suggestion: '' });
+  }
+
+  return { checklist, entry, issues };
+}
+
+// ===== Review Form Autocomplete =====
+
+/** Parallels the card's checklist knows for it (empty without a checklist) */
+export function checklistParallels(card) {
+  const found = findChecklistEntry(card);
+  return found ? knownParallels(found.checklist, found.entry) : [];
+}
+
+/**
+ * Fill the review form's datalists: set names from every checklist (for the
+ * typed year when there is one) and players from the card's set.
+ */
+export function refreshChecklistOptions(card) {
+  const setList = $('#checklist-set-options');
+  const playerList = $('#checklist-player-options');
+  if (!setList || !playerList) return;
+
+  const year = String(card.year || '').trim();
+  const sets = checklists.filter(c => !year || c.year === year);
+  const names = [...new Set(sets.map(c => c.setName).filter(Boolean))].sort();
+  setList.innerHTML = names.map(n => `<option value="${escapeHtml(n)}">`).join('');
+
+  const checklist = findChecklist(card);
+  playerList.innerHTML = checklist
+    ? checklist.cards.filter(c => c.player).map(c => `<option value="${escapeHtml(c.player)}">#${escapeHtml(c.number)}</option>`).join('')
+    : '';
+}
+
+/**
+ * Values the checklist can fill in for empty form fields: brand/sport from
+ * the set, and number/player/team from the matching card.
+ */
+export function checklistFill(card) {
+  const found = findChecklistEntry(card);
+  if (!found) return {};
+  const { checklist, entry } = found;
+  const fill = {};
+  if (!card.brand && checklist.brand) fill.brand = checklist.brand;
+  if (!card.sport && checklist.sport) fill.sport = checklist.sport;
+  if (entry) {
+    if (!card.cardNumber) fill.cardNumber = entry.number;
+    if (!card.player && entry.player) fill.player = entry.player;
+    if (!card.team && entry.team) fill.team = entry.team;
+  }
+  return fill;
+}
+
+// ===== Import =====
+
+function splitParallels(value) {
+  if (Array.isArray(value)) return value.map(p => String(p).trim()).filter(Boolean);
+  return String(value || '').split(/[;|]/).map(p => p.trim()).filter(Boolean);
+}
+
+function normalizeChecklist(set) {
+  const checklist = {
+    year: String(set.year || '').trim(),
+    brand: String(set.brand || '').trim(),
+    setName: String(set.setName || set.set || '').trim(),
+    sport: String(set.sport || '').trim(),
+    parallels: splitParallels(set.parallels),
+    cards: (set.cards || [])
+      .map(c => ({
+        number: String(c.number ?? c.cardNumber ?? '').trim().replace(/^#/, ''),
+        player: String(c.player || '').trim(),
+        team: String(c.team || '').trim(),
+        parallels: splitParallels(c.parallels),
+      }))
+      .filter(c => c.number),
+  };
+  checklist.id = checklistId(checklist);
+  return checklist;
+}
+
+/** Group spreadsheet rows (one per card) into sets */
+function rowsToSets(headers, rows) {
+  const columns = {};
+  headers.forEach((header, col) => {
+    const name = header.trim().toLowerCase().replace(/\s+/g, ' ');
+    const field = Object.keys(CHECKLIST_COLUMNS).find(f => CHECKLIST_COLUMNS[f].includes(name));
+    if (field && columns[field] === undefined) columns[field] = col;
+  });
+  for (const required of ['year', 'setName', 'number']) {
+    if (columns[required] === undefined) {
+      throw new Error(`Missing a ${required === 'setName' ? 'Set' : required === 'number' ? 'Card #' : 'Year'} column`);
+    }
+  }
+
+  const sets = new Map();
+  for (const row of rows) {
+    const value = (field) => (columns[field] === undefined ? '' : (row[columns[field]] || '').trim());
+    const set = { year: value('year'), brand: value('brand'), setName: value('setName'), sport: value('sport') };
+    const key = checklistId(set);
+    if (!sets.has(key)) sets.set(key, { ...set, parallels: [], cards: [] });
+    sets.get(key).cards.push({
+      number: value('number'), player: value('player'), team: value('team'), parallels: value('parallels'),
+    });
+  }
+  return [...sets.values()];
+}
+
+/**
+ * Parse checklist file text: JSON ({ sets: [...] }, an array of sets or one
+ * set, each { year, brand, setName, sport, parallels, cards: [{ number,
+ * player, team, parallels }] }) or CSV/TSV with one card per row.
+ */
+export function parseChecklistText(text) {
+  let sets;
+  if (/^\s*[[{]/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Not valid JSON');
+    }
+    sets = Array.isArray(data) ? data : data.sets || [data];
+  } else {
+    const { headers, rows } = parseDelimited(text);
+    if (headers.length === 0 || rows.length === 0) {
+      throw new Error('No rows found — the first line should be column headers');
+    }
+    sets = rowsToSets(headers, rows);
+  }
+
+  const parsed = sets.map(normalizeChecklist).filter(c => c.setName && c.cards.length > 0);
+  if (parsed.length === 0) throw new Error('No sets with a name and card numbers found');
+  return parsed;
+}
+
+/**
+ * Merge checklists into the saved ones. Cards are matched by number, so
+ * re-importing a set updates it and adds any new cards.
+ * Returns { sets, cards } counts imported.
+ */
+export async function importChecklists(parsed) {
+  const byId = new Map(checklists.map(c => [c.id, c]));
+  const now = new Date().toISOString();
+  let cardCount = 0;
+  for (const incoming of parsed) {
+    const existing = byId.get(incoming.id);
+    if (!existing) {
+      byId.set(incoming.id, { ...incoming, importedAt: now });
+      cardCount += incoming.cards.length;
+      continue;
+    }
+    const cards = new Map(existing.cards.map(c => [normalizeCardNumber(c.number), c]));
+    for (const card of incoming.cards) {
+      const prev = cards.get(normalizeCardNumber(card.number));
+      cards.set(normalizeCardNumber(card.number), prev
+        ? { ...prev, ...card, player: card.player || prev.player, team: card.team || prev.team,
+          parallels: [...new Set([...prev.parallels, ...card.parallels])] }
+        : card);
+    }
+    byId.set(incoming.id, {
+      ...existing,
+      brand: incoming.brand || existing.brand,
+      sport: incoming.sport || existing.sport,
+      parallels: [...new Set([...existing.parallels, ...incoming.parallels])],
+      cards: [...cards.values()],
+      importedAt: now,
+    });
+    cardCount += incoming.cards.length;
+  }
+
+  const changed = parsed.map(p => byId.get(p.id));
+  await db.saveChecklists(changed);
+  checklists = [...byId.values()];
+  return { sets: changed.length, cards: cardCount };
+}
+
+export async function loadChecklists() {
+  try {
+    checklists = await db.getChecklists();
+  } catch {
+    checklists = [];
+  }
+  return checklists;
+}
+
+// ===== Set Completion =====
+
+function compareNumbers(a, b) {
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Owned vs missing for every checklist. Cards count as owned while at least
+ * one copy is unsold. Returns [{ checklist, owned: Map(number → [cards]),
+ * ownedCount, total, percent }], most complete first.
+ */
+export async function getSetCompletion() {
+  const owned = await db.reduceCards({ filter: card => inHandQuantity(card) > 0 }, (acc, card) => {
+    const checklist = findChecklist(card);
+    const number = checklist && normalizeCardNumber(card.cardNumber);
+    if (!number) return acc;
+    const byNumber = acc.get(checklist.id);
+    if (!byNumber.has(number)) byNumber.set(number, []);
+    byNumber.get(number).push(card);
+    return acc;
+  }, new Map(checklists.map(c => [c.id, new Map()])));
+
+  return checklists.map(checklist => {
+    const byNumber = owned.get(checklist.id);
+    const total = checklist.cards.length;
+    const ownedCount = checklist.cards.filter(c => byNumber.has(normalizeCardNumber(c.number))).length;
+    return { checklist, owned: byNumber, ownedCount, total, percent: total ? Math.round((ownedCount / total) * 100) : 0 };
+  }).sort((a, b) => b.percent - a.percent || compareNumbers(checklistLabel(a.checklist), checklistLabel(b.checklist)));
+}
+
+let openSetId = null;
+let setFilter = 'missing';
+
+function progressBar(percent) {
+  return `<div class="set-progress"><div class="set-progress-bar" style="width:${percent}%"></div></div>`;
+}
+
+export async function showSetsView() {
+  showView('view-sets');
+  await renderSets();
+}
+
+async function renderSets() {
+  const list = $('#sets-list');
+  const sets = await getSetCompletion();
+  $('#sets-count').textContent = sets.length;
+
+  if (sets.length === 0) {
+    list.innerHTML = `<div class="empty-state-rich">
+      <div class="empty-state-icon">&#128203;</div>
+      <div class="empty-state-title">No checklists yet</div>
+      <div class="empty-state-desc">Import a checklist from Settings → Data Management: a CSV with Year, Brand, Set, Card #, Player, Team and Parallels (separated by ;) columns, or JSON.</div>
+    </div>`;
+    return;
+  }
+
+  list.innerHTML = sets.map(s => `
+    <div class="set-row" data-set-id="${escapeHtml(s.checklist.id)}">
+      <div class="set-row-head">
+        <span class="set-row-name">${escapeHtml(`${s.checklist.year} ${checklistLabel(s.checklist)}`)}</span>
+        <span class="set-row-percent">${s.percent}%</span>
+      </div>
+      ${progressBar(s.percent)}
+      <div class="set-row-detail">${s.ownedCount} of ${s.total} owned${s.checklist.sport ? ` · ${escapeHtml(s.checklist.sport)}` : ''}</div>
+    </div>
+  `).join('');
+}
+
+async function showSetDetail(id) {
+  openSetId = id;
+  showView('view-set-detail');
+  await renderSetDetail();
+}
+
+async function renderSetDetail() {
+  const set = (await getSetCompletion()).find(s => s.checklist.id === openSetId);
+  const list = $('#set-detail-list');
+  if (!set) {
+    list.innerHTML = '<p class="empty-state">Checklist not found</p>';
+    return;
+  }
+
+  const { checklist, owned } = set;
+  $('#set-detail-title').textContent = `${checklist.year} ${checklistLabel(checklist)}`;
+  document.querySelectorAll('#set-detail-filter .pill').forEach(p => {
+    p.classList.toggle('active', p.dataset.filter === setFilter);
+  });
+
+  const entries = [...checklist.cards]
+    .sort((a, b) => compareNumbers(a.number, b.number))
+    .map(entry => ({ entry, cards: owned.get(normalizeCardNumber(entry.number)) || [] }))
+    .filter(({ cards }) => setFilter === 'all' || (setFilter === 'owned') === (cards.length > 0));
+
+  list.innerHTML = `
+    <div class="set-summary">
+      <div class="set-row-head">
+        <span>${set.ownedCount} of ${set.total} owned · ${set.total - set.ownedCount} missing</span>
+        <span class="set-row-percent">${set.percent}%</span>
+      </div>
+      ${progressBar(set.percent)}
+    </div>
+    ${entries.length === 0 ? `<p class="empty-state">${setFilter === 'missing' ? 'Set complete!' : 'Nothing here yet'}</p>` : ''}
+    ${entries.map(({ entry, cards }) => `
+      <div class="set-card${cards.length > 0 ? ' owned' : ''}"${cards.length > 0 ? ` data-card-id="${cards[0].id}"` : ''}>
+        <span class="set-card-number">#${escapeHtml(entry.number)}</span>
+        <span class="set-card-name">${escapeHtml(entry.player || '—')}${entry.team ? ` <small>${escapeHtml(entry.team)}</small>` : ''}</span>
+        <span class="set-card-status">${cards.length > 0 ? `Owned${cards.length > 1 ? ` ×${cards.length}` : ''}` : 'Missing'}</span>
+      </div>
+    `).join('')}
+    <div class="set-detail-actions">
+      <button class="btn btn-danger btn-sm" id="set-delete">Delete Checklist</button>
+    </div>
+  `;
+
+  $('#set-delete').addEventListener('click', async () => {
+    const confirmed = await confirm('Delete Checklist', `Remove the ${$('#set-detail-title').textContent} checklist? Your cards are not affected.`);
+    if (!confirmed) return;
+    try {
+      await db.deleteChecklist(checklist.id);
+      checklists = checklists.filter(c => c.id !== checklist.id);
+      toast('Checklist deleted', 'success');
+      goBack();
+      await renderSets();
+    } catch (err) {
+      toast('Could not delete checklist: ' + err.message, 'error');
+    }
+  });
+}
+
+export async function initChecklists() {
+  await loadChecklists();
+
+  $('#btn-set-completion').addEventListener('click', () => showSetsView());
+  $('#sets-back').addEventListener('click', () => goBack());
+  $('#set-detail-back').addEventListener('click', async () => {
+    goBack();
+    await renderSets();
+  });
+
+  $('#sets-list').addEventListener('click', (e) => {
+    const row = e.target.closest('.set-row');
+    if (row) showSetDetail(row.dataset.setId);
+  });
+  $('#set-detail-filter').addEventListener('click', (e) => {
+    const pill = e.target.closest('.pill');
+    if (!pill) return;
+    setFilter = pill.dataset.filter;
+    renderSetDetail();
+  });
+  $('#set-detail-list').addEventListener('click', (e) => {
+    const owned = e.target.closest('.set-card.owned');
+    if (owned) window.dispatchEvent(new CustomEvent('show-card-detail', { detail: { id: owned.dataset.cardId } }));
+  });
+
+  $('#btn-import-checklist').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const result = await importChecklists(parseChecklistText(await file.text()));
+      toast(`Imported ${result.cards} cards in ${result.sets} set(s)`, 'success', 4000);
+    } catch (err) {
+      toast('Checklist import failed: ' + err.message, 'error');
+    }
+    e.target.value = '';
+  });
+}
@@ -1,19 +1,32 @@
 // Collection grid, list, binder views — search, filter, sort
 
 import * as db from './db.js';
-import { cardDisplayName, cardDetailLine } from './card-model.js';
-import { $, $$, escapeHtml } from './ui.js';
-
-let allCards = [];
-let filteredCards = [];
+import { cardDisplayName, cardDetailLine, cardValue, cardQuantity, cardTotalValue, serialRarity, needsReview } from './card-model.js';
+import { toast, $, $$, escapeHtml } from './ui.js';
+import { cardImageTag, loadLazyImages } from './card-images.js';
+import { exportCardsCsv } from './csv-export.js';
+import { bulkAssignLocation } from './locations.js';
+
+let collectionTotal = 0;
+let filteredCards = [];   // pages loaded so far for the current filters
+let filteredTotal = 0;    // total matches for the current filters
+let nextCursor = null;
+let queryToken = 0;
 let currentFilter = 'all';
 let currentSort = 'dateAdded-desc';
 let searchQuery = '';
 let currentViewMode = localStorage.getItem('cw_collectionView') || 'grid';
 let binderPage = 0;
+let selecting = false;       // select mode for bulk actions
+let selectedIds = new Set();
 const COLLECTION_PAGE_SIZE = 50;
 const BINDER_SLOTS = 9; // 3x3 grid per page
-let collectionShown = COLLECTION_PAGE_SIZE;
+
+// Collection cards + listing-mode cards that are NOT active on eBay
+const COLLECTION_SCOPE = {
+  mode: ['collection', 'listing'],
+  filter: c => c.mode === 'collection' || c.status !== 'listed' || !c.ebayListingId,
+};
 
 // Restore saved sort preference
 try {
@@ -50,6 +63,45 @@ export async function initCollection() {
   const sortEl = $('#collection-sort');
   if (sortEl) sortEl.value = currentSort;
 
+  // Export the current search/filter/sort as CSV (every match, not just loaded pages)
+  $('#btn-export-collection').addEventListener('click', async () => {
+    try {
+      const { cards } = await db.queryCards(buildQuery());
+      if (cards.length === 0) {
+        toast('No cards to export', 'warning');
+        return;
+      }
+      const count = await exportCardsCsv(cards, 'Collection');
+      if (count) toast(`Exported ${count} cards`, 'success');
+    } catch (err) {
+      toast('Export failed: ' + err.message, 'error');
+    }
+  });
+
+  // Select mode — pick cards for bulk location assignment
+  $('#btn-collection-select').addEventListener('click', () => setSelecting(!selecting));
+
+  $('#collection-select-all').addEventListener('click', async () => {
+    const { cards } = await db.queryCards(buildQuery());
+    selectedIds = new Set(cards.map(c => c.id));
+    updateSelectionBar();
+    render();
+  });
+
+  $('#collection-set-location').addEventListener('click', async () => {
+    try {
+      // Every match in display order, so slot numbering follows what's on screen
+      const { cards } = await db.queryCards(buildQuery());
+      const count = await bulkAssignLocation(cards.filter(c => selectedIds.has(c.id)));
+      if (!count) return;
+      toast(`Location set on ${count} card${count === 1 ? '' : 's'}`, 'success');
+      setSelecting(false);
+      await refreshCollection();
+    } catch (err) {
+      toast('Could not set location: ' + err.message, 'error');
+    }
+  });
+
   // View mode toggle
   $$('.view-mode-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -58,7 +110,6 @@ export async function initCollection() {
       currentViewMode = btn.dataset.mode;
       try { localStorage.setItem('cw_collectionView', currentViewMode); } catch {}
       binderPage = 0;
-      collectionShown = COLLECTION_PAGE_SIZE;
       render();
     });
   });
@@ -71,7 +122,13 @@ export async function initCollection() {
   // Event delegation on grid/list/binder
   $('#collection-grid').addEventListener('click', (e) => {
     const tile = e.target.closest('.card-tile') || e.target.closest('.collection-list-item') || e.target.closest('.binder-slot[data-id]');
-    if (tile && tile.dataset.id) {
+    if (tile && tile.dataset.id && selecting) {
+      const id = tile.dataset.id;
+      if (selectedIds.has(id)) selectedIds.delete(id);
+      else selectedIds.add(id);
+      tile.classList.toggle('selected', selectedIds.has(id));
+      updateSelectionBar();
+    } else if (tile && tile.dataset.id) {
       window.dispatchEvent(new CustomEvent('show-card-detail', { detail: { id: tile.dataset.id } }));
     }
 
@@ -82,10 +139,10 @@ export async function initCollection() {
         binderPage--;
         render();
       } else if (navBtn.classList.contains('binder-nav-next')) {
-        const totalPages = Math.ceil(filteredCards.length / BINDER_SLOTS);
+        const totalPages = Math.ceil(filteredTotal / BINDER_SLOTS);
         if (binderPage < totalPages - 1) {
           binderPage++;
-          render();
+          ensureLoaded((binderPage + 1) * BINDER_SLOTS).then(render);
         }
       }
     }
@@ -93,8 +150,8 @@ export async function initCollection() {
     // Load more
     const loadMore = e.target.closest('#btn-collection-load-more');
     if (loadMore) {
-      collectionShown += COLLECTION_PAGE_SIZE;
-      render();
+      loadMore.disabled = true;
+      loadNextPage().then(render);
     }
   });
 
@@ -102,76 +159,68 @@ export async function initCollection() {
 }
 
 export async function refreshCollection() {
-  // Include collection cards + listing-mode cards that are NOT active on eBay
-  const collectionCards = await db.getCardsByMode('collection');
-  const listingCards = await db.getCardsByMode('listing');
-  const nonActiveListings = listingCards.filter(c => c.status !== 'listed' || !c.ebayListingId);
-  allCards = [...collectionCards, ...nonActiveListings];
-  $('#collection-count').textContent = allCards.length;
-
-  // Calculate and show collection value
-  const totalValue = allCards.reduce((sum, c) => sum + getCardValue(c), 0);
+  // Count and value in one cursor pass — the grid itself loads page by page
+  const summary = await db.reduceCards(COLLECTION_SCOPE, (acc, c) => {
+    acc.count++;
+    acc.value += cardTotalValue(c);
+    return acc;
+  }, { count: 0, value: 0 });
+  collectionTotal = summary.count;
+  $('#collection-count').textContent = summary.count;
+
   const valueEl = $('#collection-value');
   if (valueEl) {
-    valueEl.textContent = totalValue > 0 ? `$${totalValue.toFixed(0)}` : '';
+    valueEl.textContent = summary.value > 0 ? `$${summary.value.toFixed(0)}` : '';
   }
 
-  collectionShown = COLLECTION_PAGE_SIZE;
-  binderPage = 0;
-  applyFilters();
+  await applyFilters();
 }
 
-function getCardValue(card) {
-  if (card.estimatedValueLow && card.estimatedValueHigh) {
-    return (card.estimatedValueLow + card.estimatedValueHigh) / 2;
-  }
-  if (card.estimatedValueLow) return card.estimatedValueLow;
-  if (card.estimatedValueHigh) return card.estimatedValueHigh;
-  return 0;
+function buildQuery() {
+  const reviewOnly = currentFilter === 'needs-review';
+  return {
+    ...COLLECTION_SCOPE,
+    filter: reviewOnly ? c => COLLECTION_SCOPE.filter(c) && needsReview(c) : COLLECTION_SCOPE.filter,
+    sport: currentFilter !== 'all' && !reviewOnly ? currentFilter : undefined,
+    text: searchQuery,
+    sort: currentSort,
+    sortKey: currentSort.startsWith('value-') ? cardValue
+      : currentSort.startsWith('rarity-') ? serialRarity
+      : undefined,
+  };
 }
 
-function applyFilters() {
+async function applyFilters() {
   binderPage = 0;
-  filteredCards = [...allCards];
+  const token = ++queryToken;
+  const query = buildQuery();
+  const [page, total] = await Promise.all([
+    db.queryCards({ ...query, limit: COLLECTION_PAGE_SIZE }),
+    db.countCards(query),
+  ]);
+  // A newer search/filter started while this one was loading
+  if (token !== queryToken) return;
+
+  filteredCards = page.cards;
+  nextCursor = page.nextCursor;
+  filteredTotal = total;
+  render();
+}
 
-  // Filter by sport
-  if (currentFilter !== 'all') {
-    filteredCards = filteredCards.filter(c => c.sport === currentFilter);
-  }
+async function loadNextPage() {
+  if (!nextCursor) return;
+  const token = queryToken;
+  const page = await db.queryCards({ ...buildQuery(), limit: COLLECTION_PAGE_SIZE, cursor: nextCursor });
+  if (token !== queryToken) return;
+  filteredCards = filteredCards.concat(page.cards);
+  nextCursor = page.nextCursor;
+}
 
-  // Search
-  if (searchQuery) {
-    filteredCards = filteredCards.filter(c => {
-      const searchable = [c.player, c.team, c.brand, c.setName, c.year, c.parallel, c.cardNumber, c.notes]
-        .filter(Boolean)
-        .join(' ')
-        .toLowerCase();
-      return searchable.includes(searchQuery);
-    });
+/** Load pages until at least count cards (or all matches) are in memory */
+async function ensureLoaded(count) {
+  while (filteredCards.length < count && nextCursor) {
+    await loadNextPage();
   }
-
-  // Sort
-  const [field, dir] = currentSort.split('-');
-  filteredCards.sort((a, b) => {
-    let aVal, bVal;
-
-    if (field === 'value') {
-      aVal = getCardValue(a);
-      bVal = getCardValue(b);
-    } else if (field === 'dateAdded') {
-      aVal = new Date(a[field] || 0).getTime();
-      bVal = new Date(b[field] || 0).getTime();
-    } else {
-      aVal = String(a[field] || '').toLowerCase();
-      bVal = String(b[field] || '').toLowerCase();
-    }
-
-    if (aVal < bVal) return dir === 'asc' ? -1 : 1;
-    if (aVal > bVal) return dir === 'asc' ? 1 : -1;
-    return 0;
-  });
-
-  render();
 }
 
 function render() {
@@ -180,10 +229,11 @@ function render() {
     case 'binder': renderBinder(); break;
     default: renderGrid(); break;
   }
+  loadLazyImages($('#collection-grid'));
 }
 
 function renderEmptyState() {
-  if (allCards.length === 0) {
+  if (collectionTotal === 0) {
     return `<div class="empty-state-rich" style="grid-column:1/-1">
       <div class="empty-state-icon">&#127183;</div>
       <div class="empty-state-title">Your collection is empty</div>
@@ -206,6 +256,38 @@ function formatValue(card) {
   return '';
 }
 
+// ===== Select Mode =====
+
+function setSelecting(on) {
+  selecting = on;
+  selectedIds = new Set();
+  $('#btn-collection-select').textContent = on ? 'Done' : 'Select';
+  $('#collection-select-bar').classList.toggle('hidden', !on);
+  $('#view-collection').classList.toggle('selecting', on);
+  updateSelectionBar();
+  render();
+}
+
+function updateSelectionBar() {
+  $('#collection-selected-count').textContent = `${selectedIds.size} selected`;
+  $('#collection-set-location').disabled = selectedIds.size === 0;
+}
+
+function selectedClass(card) {
+  return selecting && selectedIds.has(card.id) ? ' selected' : '';
+}
+
+/** Flag for cards with low-confidence fields nobody has checked yet */
+function reviewBadge(card) {
+  return needsReview(card) ? '<span class="card-review-badge" title="Some details need checking">Check</span>' : '';
+}
+
+/** ×N badge for cards standing for more than one copy */
+function quantityBadge(card) {
+  const quantity = cardQuantity(card);
+  return quantity > 1 ? `<span class="card-qty-badge">×${quantity}</span>` : '';
+}
+
 function renderGrid() {
   const container = $('#collection-grid');
   container.className = 'collection-grid';
@@ -215,21 +297,19 @@ function renderGrid() {
     return;
   }
 
-  const visible = filteredCards.slice(0, collectionShown);
-
-  container.innerHTML = visible.map(card => {
+  container.innerHTML = filteredCards.map(card => {
     const valueStr = formatValue(card);
     const valueBadge = valueStr ? `<span class="card-tile-value">${valueStr}</span>` : '';
     return `
-    <div class="card-tile" data-id="${card.id}">
+    <div class="card-tile${selectedClass(card)}" data-id="${card.id}">
       <div class="card-tile-image-wrap">
-        ${card.imageThumbnail
-          ? `<img src="${card.imageThumbnail}" alt="${escapeHtml(card.player || 'Card')}" loading="lazy">`
-          : '<div class="no-image-placeholder">No Image</div>'}
+        ${cardImageTag(card, 'imageThumbnail', `alt="${escapeHtml(card.player || 'Card')}"`)
+          || '<div class="no-image-placeholder">No Image</div>'}
         ${valueBadge}
+        ${quantityBadge(card)}
       </div>
       <div class="card-tile-info">
-        <div class="name">${escapeHtml(card.player || 'Unknown')}</div>
+        <div class="name">${escapeHtml(card.player || 'Unknown')} ${reviewBadge(card)}</div>
         <div class="detail">${escapeHtml(cardDetailLine(card))}</div>
       </div>
     </div>
@@ -248,17 +328,14 @@ function renderList() {
     return;
   }
 
-  const visible = filteredCards.slice(0, collectionShown);
-
-  container.innerHTML = visible.map(card => {
+  container.innerHTML = filteredCards.map(card => {
     const valueStr = formatValue(card);
     return `
-    <div class="collection-list-item" data-id="${card.id}">
-      ${card.imageThumbnail
-        ? `<img src="${card.imageThumbnail}" alt="${escapeHtml(card.player || 'Card')}" loading="lazy">`
-        : '<div style="width:48px;height:48px;background:var(--gray-100);border-radius:4px;flex-shrink:0"></div>'}
+    <div class="collection-list-item${selectedClass(card)}" data-id="${card.id}">
+      ${cardImageTag(card, 'imageThumbnail', `alt="${escapeHtml(card.player || 'Card')}"`)
+        || '<div style="width:48px;height:48px;background:var(--gray-100);border-radius:4px;flex-shrink:0"></div>'}
       <div class="collection-list-info">
-        <div class="name">${escapeHtml(card.player || 'Unknown')}</div>
+        <div class="name">${escapeHtml(card.player || 'Unknown')} ${quantityBadge(card)} ${reviewBadge(card)}</div>
         <div class="detail">${escapeHtml(cardDetailLine(card))}</div>
       </div>
       ${valueStr ? `<span class="collection-list-value">${valueStr}</span>` : ''}
@@ -278,7 +355,7 @@ function renderBinder() {
     return;
   }
 
-  const totalPages = Math.ceil(filteredCards.length / BINDER_SLOTS);
+  const totalPages = Math.ceil(filteredTotal / BINDER_SLOTS);
   const pageCards = filteredCards.slice(binderPage * BINDER_SLOTS, (binderPage + 1) * BINDER_SLOTS);
 
   // Fill remaining slots with empty placeholders
@@ -287,10 +364,9 @@ function renderBinder() {
     const card = pageCards[i];
     if (card) {
       slots.push(`
-        <div class="binder-slot" data-id="${card.id}">
-          ${card.imageThumbnail
-            ? `<img src="${card.imageThumbnail}" alt="${escapeHtml(card.player || 'Card')}" loading="lazy">`
-            : '<div class="binder-slot-empty">Empty</div>'}
+        <div class="binder-slot${selectedClass(card)}" data-id="${card.id}">
+          ${cardImageTag(card, 'imageThumbnail', `alt="${escapeHtml(card.player || 'Card')}"`)
+            || '<div class="binder-slot-empty">Empty</div>'}
           <div class="binder-slot-name">${escapeHtml(card.player || 'Unknown')}</div>
         </div>
       `);
@@ -318,8 +394,8 @@ function renderBinder() {
 }
 
 function appendLoadMore(container) {
-  if (filteredCards.length > collectionShown) {
-    const remaining = filteredCards.length - collectionShown;
+  if (filteredTotal > filteredCards.length) {
+    const remaining = filteredTotal - filteredCards.length;
     container.innerHTML += `<div class="load-more-sentinel" style="${currentViewMode === 'grid' ? 'grid-column:1/-1' : ''}"><button class="btn btn-secondary btn-sm" id="btn-collection-load-more">Show More (${remaining} remaining)</button></div>`;
   }
 }
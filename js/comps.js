@@ -1,6 +1,6 @@
 // 130point.com comp lookup
 
-import { buildSearchQuery } from './card-model.js';
+import { buildSearchQuery, parseSerialNumber } from './card-model.js';
 import { toast } from './ui.js';
 
 const COMP_BASE_URL = 'https://www.130point.com/sales';
@@ -79,3 +79,57 @@ async function copyAndOpen(query) {
   const url = `${COMP_BASE_URL}`;
   window.open(url, '_blank');
 }
+
+// ===== Print Run Matching =====
+
+/**
+ * Print runs mentioned in a sold listing title: "23/99", "/99", "#'d to 99",
+ * "numbered to 99", "1/1" or "one of one". Four-digit numerators are
+ * skipped so seasons like "2023/24" aren't read as serials.
+ */
+export function titlePrintRuns(title) {
+  const text = String(title || '').toLowerCase();
+  const runs = new Set();
+  for (const [, number, run] of text.matchAll(/(?:^|[^\d])(\d{1,3})?\s*\/\s*(\d{1,4})(?!\d)/g)) {
+    if (number && parseInt(number, 10) > parseInt(run, 10)) continue;
+    runs.add(parseInt(run, 10));
+  }
+  for (const [, run] of text.matchAll(/(?:#'?d|numbered|serial(?:ed)?)\s*(?:to|out of|of)?\s*(\d{1,4})(?!\d)/g)) {
+    runs.add(parseInt(run, 10));
+  }
+  if (/\bone of one\b/.test(text)) runs.add(1);
+  return runs;
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Narrow sold comps to listings of the card's own print run, recomputing
+ * the stats from what's left. Unnumbered cards pass through unchanged;
+ * returns null when a numbered card has no comps from its run.
+ */
+export function matchPrintRun(result, card) {
+  const serial = parseSerialNumber(card.serialNumber);
+  if (!serial || !serial.valid || !result || !Array.isArray(result.items)) return result;
+
+  const items = result.items.filter(item => titlePrintRuns(item.title).has(serial.run));
+  const prices = items.map(item => Number(item.price)).filter(p => p > 0).sort((a, b) => a - b);
+  if (prices.length === 0) return null;
+
+  return {
+    ...result,
+    items,
+    stats: {
+      ...result.stats,
+      count: result.stats?.count ?? result.items.length,
+      filteredCount: prices.length,
+      low: prices[0],
+      high: prices[prices.length - 1],
+      average: prices.reduce((sum, p) => sum + p, 0) / prices.length,
+      median: median(prices),
+    },
+  };
+}
@@ -0,0 +1,279 @@
+// CSV export of card lists and a sold-cards tax report (opens in Excel/Sheets)
+
+import * as db from './db.js';
+import {
+  cardDisplayName, cardDetailLine, cardValue, cardProfit, cardQuantity, cardSales, cardTotalValue, formatLocation,
+} from './card-model.js';
+import { escapeHtml, restoreModalDOM } from './ui.js';
+
+const DAY_MS = 86400000;
+
+function money(value) {
+  return value == null || value === '' ? '' : Number(value).toFixed(2);
+}
+
+/** Local calendar date as YYYY-MM-DD (what spreadsheets parse as a date) */
+function isoDay(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return '';
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/** Sale date, falling back to lastModified for cards sold before soldDate existed */
+function saleDate(card) {
+  return card.soldDate || card.lastModified || null;
+}
+
+function daysHeld(card) {
+  if (!card.dateAdded) return null;
+  const end = card.status === 'sold' && saleDate(card) ? new Date(saleDate(card)) : new Date();
+  return Math.max(0, Math.floor((end - new Date(card.dateAdded)) / DAY_MS));
+}
+
+/**
+ * Exportable columns. value(card) returns the cell; columns marked
+ * computed are derived rather than stored on the card.
+ */
+const CSV_COLUMNS = [
+  { key: 'player', label: 'Player', value: c => c.player },
+  { key: 'year', label: 'Year', value: c => c.year },
+  { key: 'brand', label: 'Brand', value: c => c.brand },
+  { key: 'setName', label: 'Set', value: c => c.setName },
+  { key: 'subset', label: 'Subset', value: c => c.subset },
+  { key: 'parallel', label: 'Parallel', value: c => c.parallel },
+  { key: 'cardNumber', label: 'Card #', value: c => c.cardNumber },
+  { key: 'team', label: 'Team', value: c => c.team },
+  { key: 'sport', label: 'Sport', value: c => c.sport },
+  { key: 'attributes', label: 'Attributes', value: c => (c.attributes || []).join('; ') },
+  { key: 'serialNumber', label: 'Serial #', value: c => c.serialNumber },
+  { key: 'jerseyNumber', label: 'Jersey #', value: c => c.jerseyNumber },
+  { key: 'graded', label: 'Graded', value: c => c.graded },
+  { key: 'gradeCompany', label: 'Grade Company', value: c => c.gradeCompany },
+  { key: 'gradeValue', label: 'Grade', value: c => c.gradeValue },
+  { key: 'condition', label: 'Condition', value: c => c.condition },
+  { key: 'quantity', label: 'Quantity', value: c => cardQuantity(c) },
+  { key: 'location', label: 'Storage Location', value: c => formatLocation(c.location) },
+  { key: 'mode', label: 'Mode', value: c => c.mode },
+  { key: 'status', label: 'Status', value: c => c.status },
+  { key: 'ebayTitle', label: 'eBay Title', value: c => c.ebayTitle },
+  { key: 'startPrice', label: 'Start Price', value: c => money(c.startPrice) },
+  { key: 'purchasePrice', label: 'Purchase Price', value: c => money(c.purchasePrice) },
+  { key: 'estimatedValueLow', label: 'Est. Low', value: c => money(c.estimatedValueLow) },
+  { key: 'estimatedValueHigh', label: 'Est. High', value: c => money(c.estimatedValueHigh) },
+  { key: 'soldPrice', label: 'Sold Price', value: c => money(c.soldPrice) },
+  { key: 'soldDate', label: 'Sold Date', value: c => (c.status === 'sold' ? isoDay(saleDate(c)) : '') },
+  { key: 'sellingFees', label: 'Fees', value: c => money(c.sellingFees) },
+  { key: 'ebayListingId', label: 'eBay Item #', value: c => c.ebayListingId },
+  { key: 'ebayListingUrl', label: 'eBay URL', value: c => c.ebayListingUrl },
+  { key: 'shippingStatus', label: 'Shipping', value: c => c.shippingStatus },
+  { key: 'shippingCarrier', label: 'Carrier', value: c => c.shippingCarrier },
+  { key: 'trackingNumber', label: 'Tracking #', value: c => c.trackingNumber },
+  { key: 'dateAdded', label: 'Date Added', value: c => isoDay(c.dateAdded) },
+  { key: 'lastModified', label: 'Last Modified', value: c => isoDay(c.lastModified) },
+  { key: 'notes', label: 'Notes', value: c => c.notes },
+  { key: 'id', label: 'Card ID', value: c => c.id },
+  { key: 'value', label: 'Est. Value', computed: true, value: c => money(cardValue(c) || null) },
+  { key: 'totalValue', label: 'Total Value (in hand)', computed: true, value: c => money(cardTotalValue(c) || null) },
+  { key: 'compAvg', label: 'Comp Avg', computed: true, value: c => money(c.compData?.avg || null) },
+  { key: 'profit', label: 'Profit', computed: true, value: c => money(cardProfit(c)) },
+  { key: 'daysHeld', label: 'Days Held', computed: true, value: c => daysHeld(c) ?? '' },
+];
+
+const DEFAULT_COLUMNS = [
+  'player', 'year', 'brand', 'setName', 'parallel', 'cardNumber', 'sport', 'status',
+  'purchasePrice', 'soldPrice', 'value', 'compAvg', 'profit',
+];
+
+// ===== CSV Writing =====
+
+function csvCell(value) {
+  let str = value == null ? '' : String(value);
+  // Keep spreadsheets from evaluating text as a formula
+  if (/^[=+\-@]/.test(str) && isNaN(Number(str))) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/** Build CSV text from rows of cell values (first row is the header) */
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function downloadCsv(filename, text) {
+  // BOM so Excel opens the file as UTF-8
+  const blob = new Blob(['\uFEFF' + text], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function fileDate() {
+  return new Date().toISOString().split('T')[0];
+}
+
+// ===== Card List Export =====
+
+/** Ask which columns to include. Resolves an array of column keys, or null. */
+async function showColumnPicker(title, count) {
+  const saved = await db.getSetting('csvExportColumns');
+  const selected = new Set(Array.isArray(saved) && saved.length > 0 ? saved : DEFAULT_COLUMNS);
+
+  return new Promise((resolve) => {
+    const overlay = document.getElementById('modal-overlay');
+    const modal = overlay.querySelector('.modal');
+    const checkbox = (col) => `
+      <label class="csv-column">
+        <input type="checkbox" value="${col.key}"${selected.has(col.key) ? ' checked' : ''}>
+        <span>${escapeHtml(col.label)}</span>
+      </label>`;
+
+    modal.classList.add('modal-scroll');
+    modal.innerHTML = `
+      <h3>${escapeHtml(title)}</h3>
+      <p>${count} card(s), in the current order.</p>
+      <div class="csv-columns">${CSV_COLUMNS.filter(c => !c.computed).map(checkbox).join('')}</div>
+      <p class="csv-columns-heading">Calculated</p>
+      <div class="csv-columns">${CSV_COLUMNS.filter(c => c.computed).map(checkbox).join('')}</div>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="csv-export-cancel">Cancel</button>
+        <button class="btn btn-primary" id="csv-export-confirm">Export CSV</button>
+      </div>
+    `;
+    overlay.classList.remove('hidden');
+
+    const close = (result) => {
+      overlay.classList.add('hidden');
+      modal.classList.remove('modal-scroll');
+      restoreModalDOM();
+      resolve(result);
+    };
+
+    document.getElementById('csv-export-cancel').addEventListener('click', () => close(null));
+    document.getElementById('csv-export-confirm').addEventListener('click', async () => {
+      const keys = [...modal.querySelectorAll('.csv-column input:checked')].map(el => el.value);
+      if (keys.length === 0) return;
+      await db.setSetting('csvExportColumns', keys);
+      close(keys);
+    });
+  });
+}
+
+/**
+ * Export cards (already filtered and sorted by the caller) as CSV after
+ * letting the user pick columns. name is used in the title and filename.
+ * Returns the number of cards exported, or null if cancelled.
+ */
+export async function exportCardsCsv(cards, name) {
+  const keys = await showColumnPicker(`Export ${name}`, cards.length);
+  if (!keys) return null;
+
+  const columns = keys.map(key => CSV_COLUMNS.find(c => c.key === key)).filter(Boolean);
+  const rows = [columns.map(c => c.label), ...cards.map(card => columns.map(c => c.value(card)))];
+  downloadCsv(`card-wallet-${name.toLowerCase().replace(/\W+/g, '-')}-${fileDate()}.csv`, toCsv(rows));
+  return cards.length;
+}
+
+// ===== Tax Report =====
+
+/** Every sale as a card-shaped record — one per sold copy for multi-copy cards */
+async function getAllSales() {
+  const cards = await db.getAllCards();
+  return cards.flatMap(cardSales);
+}
+
+/** Sales whose sale date falls in the given calendar year, oldest first */
+async function getSoldCardsForYear(year) {
+  const sales = await getAllSales();
+  return sales
+    .filter(c => new Date(saleDate(c)).getFullYear() === year)
+    .sort((a, b) => new Date(saleDate(a)) - new Date(saleDate(b)));
+}
+
+/** Build the tax report rows: one line per sale plus a totals line */
+function buildTaxRows(cards) {
+  const rows = [[
+    'Description', 'Date Acquired', 'Date Sold', 'Days Held', 'Term',
+    'Cost Basis', 'Sold Price', 'Fees', 'Net Proceeds', 'Gain/Loss', 'eBay Item #',
+  ]];
+  const totals = { cost: 0, sold: 0, fees: 0 };
+
+  for (const card of cards) {
+    const cost = card.purchasePrice || 0;
+    const sold = card.soldPrice || 0;
+    const fees = card.sellingFees || 0;
+    totals.cost += cost;
+    totals.sold += sold;
+    totals.fees += fees;
+    const held = daysHeld(card);
+    rows.push([
+      [cardDisplayName(card), cardDetailLine(card)].filter(Boolean).join(' — '),
+      isoDay(card.dateAdded),
+      isoDay(saleDate(card)),
+      held ?? '',
+      held == null ? '' : held > 365 ? 'Long' : 'Short',
+      money(card.purchasePrice),
+      money(sold),
+      money(fees),
+      money(sold - fees),
+      money(sold - fees - cost),
+      card.ebayListingId || '',
+    ]);
+  }
+
+  rows.push([
+    `Total (${cards.length} sales)`, '', '', '', '',
+    money(totals.cost), money(totals.sold), money(totals.fees),
+    money(totals.sold - totals.fees), money(totals.sold - totals.fees - totals.cost), '',
+  ]);
+  return rows;
+}
+
+/**
+ * Ask for a tax year and download that year's sold cards with sale date,
+ * cost basis, sold price, fees and gain/loss.
+ * Returns the number of sales exported, or null if cancelled.
+ */
+export async function exportTaxYearCsv() {
+  const sold = await getAllSales();
+  const years = [...new Set(sold.map(c => new Date(saleDate(c)).getFullYear()).filter(y => !isNaN(y)))]
+    .sort((a, b) => b - a);
+  if (years.length === 0) throw new Error('No sold cards to export');
+
+  const year = await new Promise((resolve) => {
+    const overlay = document.getElementById('modal-overlay');
+    const modal = overlay.querySelector('.modal');
+    modal.innerHTML = `
+      <h3>Tax Year Export</h3>
+      <p>Sold cards with sale date, cost basis, sold price and fees.</p>
+      <div class="form-group">
+        <label for="tax-year">Tax Year</label>
+        <select id="tax-year">
+          ${years.map(y => `<option value="${y}">${y}</option>`).join('')}
+        </select>
+      </div>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="tax-cancel">Cancel</button>
+        <button class="btn btn-primary" id="tax-confirm">Export CSV</button>
+      </div>
+    `;
+    overlay.classList.remove('hidden');
+
+    const close = (result) => {
+      overlay.classList.add('hidden');
+      restoreModalDOM();
+      resolve(result);
+    };
+    document.getElementById('tax-cancel').addEventListener('click', () => close(null));
+    document.getElementById('tax-confirm').addEventListener('click', () => {
+      close(Number(document.getElementById('tax-year').value));
+    });
+  });
+  if (!year) return null;
+
+  const cards = await getSoldCardsForYear(year);
+  downloadCsv(`card-wallet-sales-${year}.csv`, toCsv(buildTaxRows(cards)));
+  return cards.length;
+}
@@ -0,0 +1,413 @@
+// CSV/TSV inventory import: column mapping, validation, duplicate check, dry run
+
+import * as db from './db.js';
+import { createCard, cardDisplayName, setCardQuantity } from './card-model.js';
+import { escapeHtml, restoreModalDOM } from './ui.js';
+
+const SPORTS = ['Baseball', 'Basketball', 'Football', 'Hockey', 'Soccer'];
+const GRADE_COMPANIES = ['PSA', 'BGS', 'SGC', 'CGC', 'CSG', 'HGA'];
+
+// Rows shown in the dry-run error and duplicate lists
+const PREVIEW_LIMIT = 20;
+
+/**
+ * Importable card fields. type drives parsing/validation; aliases are
+ * lowercased header names auto-mapped to the field.
+ */
+const CSV_FIELDS = [
+  { key: 'player', label: 'Player', type: 'text', aliases: ['player', 'name', 'player name', 'athlete'] },
+  { key: 'year', label: 'Year', type: 'year', aliases: ['year', 'yr', 'season'] },
+  { key: 'brand', label: 'Brand', type: 'text', aliases: ['brand', 'manufacturer', 'make'] },
+  { key: 'setName', label: 'Set', type: 'text', aliases: ['set', 'set name', 'setname', 'product'] },
+  { key: 'subset', label: 'Subset / Insert', type: 'text', aliases: ['subset', 'insert'] },
+  { key: 'parallel', label: 'Parallel', type: 'text', aliases: ['parallel', 'variation', 'refractor'] },
+  { key: 'cardNumber', label: 'Card #', type: 'cardNumber', aliases: ['card #', 'card number', 'cardnumber', 'number', 'no', 'no.', '#'] },
+  { key: 'team', label: 'Team', type: 'text', aliases: ['team'] },
+  { key: 'sport', label: 'Sport', type: 'sport', aliases: ['sport'] },
+  { key: 'attributes', label: 'Attributes', type: 'list', aliases: ['attributes', 'features', 'tags'] },
+  { key: 'serialNumber', label: 'Serial #', type: 'text', aliases: ['serial', 'serial #', 'serial number', 'numbered', 'print run'] },
+  { key: 'jerseyNumber', label: 'Jersey #', type: 'text', aliases: ['jersey', 'jersey #', 'jersey number'] },
+  { key: 'graded', label: 'Graded (Yes/No)', type: 'yesNo', aliases: ['graded'] },
+  { key: 'gradeCompany', label: 'Grade Company', type: 'gradeCompany', aliases: ['grader', 'grade company', 'grading company', 'company'] },
+  { key: 'gradeValue', label: 'Grade', type: 'text', aliases: ['grade', 'grade value'] },
+  { key: 'condition', label: 'Condition', type: 'text', aliases: ['condition'] },
+  { key: 'purchasePrice', label: 'Purchase Price', type: 'price', aliases: ['purchase price', 'cost', 'paid', 'price paid', 'cost basis'] },
+  { key: 'startPrice', label: 'Start Price', type: 'price', aliases: ['start price', 'list price', 'asking price'] },
+  { key: 'soldPrice', label: 'Sold Price', type: 'price', aliases: ['sold price', 'sale price', 'sold for'] },
+  { key: 'soldDate', label: 'Sold Date', type: 'date', aliases: ['sold date', 'sale date', 'date sold', 'sold on'] },
+  { key: 'quantity', label: 'Quantity', type: 'quantity', aliases: ['quantity', 'qty', 'count', 'copies'] },
+  { key: 'dateAdded', label: 'Date Added', type: 'date', aliases: ['date added', 'date', 'purchase date', 'acquired'] },
+  { key: 'ebayTitle', label: 'eBay Title', type: 'text', aliases: ['title', 'ebay title', 'listing title'] },
+  { key: 'location', label: 'Storage Location', type: 'text', aliases: ['location', 'storage', 'storage location', 'box'] },
+  { key: 'notes', label: 'Notes', type: 'text', aliases: ['notes', 'note', 'comments', 'description'] },
+];
+
+// Fields compared when looking for cards that already exist
+const DUPLICATE_KEY_FIELDS = ['year', 'brand', 'setName', 'player', 'cardNumber', 'parallel'];
+
+// ===== Parsing =====
+
+/** Pick the delimiter (tab, comma or semicolon) used most in the header line */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = ['\t', ',', ';'].map(d => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse CSV/TSV text into { headers, rows } (rows are arrays of strings).
+ * Handles quoted fields with embedded delimiters, quotes and newlines.
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  text = text.replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(v => v.trim() !== ''));
+  const [headers = [], ...rows] = nonEmpty;
+  return { headers: headers.map(h => h.trim()), rows };
+}
+
+// ===== Mapping =====
+
+function normalizeHeader(header) {
+  return header.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Map each header index to a card field key (or '' to skip), preferring a
+ * saved preset ({ normalized header: field }) and falling back to aliases.
+ */
+export function autoMapColumns(headers, preset = {}) {
+  const used = new Set();
+  return headers.map(header => {
+    const name = normalizeHeader(header);
+    let key = preset[name];
+    if (key === undefined) {
+      const field = CSV_FIELDS.find(f => f.key.toLowerCase() === name || f.aliases.includes(name));
+      key = field ? field.key : '';
+    }
+    if (key && used.has(key)) key = '';
+    if (key) used.add(key);
+    return key;
+  });
+}
+
+// ===== Validation =====
+
+/**
+ * Commas are thousands separators ("1,250.00") unless followed by exactly
+ * two digits at the end ("1,50" is a decimal comma). Anything else with a
+ * comma is ambiguous and rejected.
+ */
+function parsePrice(value) {
+  let cleaned = value.replace(/[$\s]/g, '');
+  if (/^\d+,\d{2}$/.test(cleaned)) {
+    cleaned = cleaned.replace(',', '.');
+  } else if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(cleaned)) {
+    cleaned = cleaned.replace(/,/g, '');
+  }
+  const num = Number(cleaned);
+  if (cleaned === '' || !Number.isFinite(num) || num < 0) return { error: 'is not a valid price' };
+  return { value: Math.round(num * 100) / 100 };
+}
+
+/** Parse one cell for a field; returns { value } or { error } */
+function parseCell(field, raw) {
+  const value = raw.trim();
+  switch (field.type) {
+    case 'year': {
+      // Accept "2023" or season style "2023-24"
+      const match = value.match(/^(\d{4})(-\d{2,4})?$/);
+      const year = match && Number(match[1]);
+      if (!year || year < 1860 || year > new Date().getFullYear() + 1) return { error: 'is not a valid year' };
+      return { value };
+    }
+    case 'price':
+      return parsePrice(value);
+    case 'quantity': {
+      const quantity = Number(value);
+      if (!Number.isInteger(quantity) || quantity < 1) return { error: 'should be a whole number of copies' };
+      return { value: quantity };
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) return { error: 'is not a valid date' };
+      return { value: date.toISOString() };
+    }
+    case 'yesNo': {
+      const lower = value.toLowerCase();
+      if (['yes', 'y', 'true', '1'].includes(lower)) return { value: 'Yes' };
+      if (['no', 'n', 'false', '0'].includes(lower)) return { value: 'No' };
+      return { error: 'should be Yes or No' };
+    }
+    case 'sport': {
+      const sport = SPORTS.find(s => s.toLowerCase() === value.toLowerCase());
+      return sport ? { value: sport } : { error: `should be one of ${SPORTS.join(', ')}` };
+    }
+    case 'gradeCompany': {
+      const company = GRADE_COMPANIES.find(c => c === value.toUpperCase());
+      return { value: company || value };
+    }
+    case 'cardNumber':
+      return { value: value.replace(/^#/, '') };
+    case 'list':
+      return { value: value.split(/[;|]/).map(s => s.trim()).filter(Boolean) };
+    default:
+      return { value };
+  }
+}
+
+function duplicateKey(card) {
+  return DUPLICATE_KEY_FIELDS.map(f => String(card[f] || '').trim().toLowerCase()).join('|');
+}
+
+/**
+ * Turn parsed rows into import candidates without saving anything.
+ * Each entry is { rowNumber, card, errors: [], duplicateOf } where
+ * duplicateOf is an existing card or an earlier row's card.
+ */
+export function buildImportRows(rows, mapping, existingCards, { mode = 'collection' } = {}) {
+  const existing = new Map();
+  for (const card of existingCards) {
+    if (card.status !== 'deleted') existing.set(duplicateKey(card), card);
+  }
+  const seen = new Map();
+
+  return rows.map((row, i) => {
+    const rowNumber = i + 2; // 1-based, after the header row
+    const errors = [];
+    const data = { mode };
+
+    mapping.forEach((key, col) => {
+      if (!key) return;
+      const field = CSV_FIELDS.find(f => f.key === key);
+      const raw = row[col] || '';
+      if (raw.trim() === '') return;
+      const result = parseCell(field, raw);
+      if (result.error) {
+        errors.push(`${field.label} "${raw.trim()}" ${result.error}`);
+      } else {
+        data[key] = result.value;
+      }
+    });
+
+    if (data.gradeCompany && !data.graded) data.graded = 'Yes';
+    if (!data.player && !data.ebayTitle) errors.push('Needs a player or title');
+    if (data.soldPrice != null && !data.status) data.status = 'sold';
+    // Undated sales would land on the import date in the tax-year report
+    if (data.status === 'sold' && !data.soldDate) errors.push('Sold rows need a Sold Date');
+    if (data.status === 'sold' && data.quantity > 1) errors.push('Sold rows should be one copy each');
+
+    const { quantity, ...fields } = data;
+    const card = createCard(fields);
+    if (quantity > 1) setCardQuantity(card, quantity);
+    const key = duplicateKey(card);
+    const duplicateOf = errors.length === 0 ? (existing.get(key) || seen.get(key) || null) : null;
+    if (errors.length === 0 && !seen.has(key)) seen.set(key, card);
+
+    return { rowNumber, card, errors, duplicateOf };
+  });
+}
+
+// ===== Import UI =====
+
+function fieldOptions(selected) {
+  return `<option value="">— Skip —</option>` + CSV_FIELDS.map(f =>
+    `<option value="${f.key}"${f.key === selected ? ' selected' : ''}>${escapeHtml(f.label)}</option>`
+  ).join('');
+}
+
+/**
+ * Walk the user through importing a CSV/TSV file: map columns, review a
+ * dry run, then save. Resolves { imported } or null if cancelled.
+ */
+export async function runCsvImport(file) {
+  const { headers, rows } = parseDelimited(await file.text());
+  if (headers.length === 0 || rows.length === 0) {
+    throw new Error('No rows found — the first line should be column headers');
+  }
+
+  const preset = (await db.getSetting('csvImportMapping')) || {};
+  let mapping = autoMapColumns(headers, preset);
+  let mode = 'collection';
+
+  const overlay = document.getElementById('modal-overlay');
+  const modal = overlay.querySelector('.modal');
+  modal.classList.add('modal-scroll');
+  overlay.classList.remove('hidden');
+
+  return new Promise((resolve, reject) => {
+    const close = (result) => {
+      overlay.classList.add('hidden');
+      modal.classList.remove('modal-scroll');
+      restoreModalDOM();
+      resolve(result);
+    };
+
+    const showMapping = () => {
+      modal.innerHTML = `
+        <h3>Import ${escapeHtml(file.name)}</h3>
+        <p>${rows.length} row(s). Match each column to a card field.</p>
+        <div class="csv-mapping">
+          ${headers.map((header, col) => `
+            <div class="csv-mapping-row">
+              <div class="csv-mapping-source">
+                <span class="csv-mapping-header">${escapeHtml(header || `Column ${col + 1}`)}</span>
+                <span class="csv-mapping-sample">${escapeHtml((rows.find(r => (r[col] || '').trim()) || [])[col] || '')}</span>
+              </div>
+              <select data-col="${col}">${fieldOptions(mapping[col])}</select>
+            </div>
+          `).join('')}
+        </div>
+        <div class="form-group">
+          <label for="csv-import-mode">Add cards to</label>
+          <select id="csv-import-mode">
+            <option value="collection"${mode === 'collection' ? ' selected' : ''}>Collection</option>
+            <option value="listing"${mode === 'listing' ? ' selected' : ''}>Listings</option>
+          </select>
+        </div>
+        <label class="toggle-row">
+          <span>Remember this mapping</span>
+          <input type="checkbox" id="csv-save-mapping" class="toggle-input" checked>
+          <span class="toggle-switch"></span>
+        </label>
+        <div class="modal-actions">
+          <button class="btn btn-secondary" id="csv-cancel">Cancel</button>
+          <button class="btn btn-primary" id="csv-preview">Preview</button>
+        </div>
+      `;
+
+      document.getElementById('csv-cancel').addEventListener('click', () => close(null));
+      document.getElementById('csv-preview').addEventListener('click', async () => {
+        mapping = [...modal.querySelectorAll('select[data-col]')].map(sel => sel.value);
+        mode = document.getElementById('csv-import-mode').value;
+
+        const chosen = mapping.filter(Boolean);
+        if (new Set(chosen).size !== chosen.length) {
+          const dupe = CSV_FIELDS.find(f => chosen.indexOf(f.key) !== chosen.lastIndexOf(f.key));
+          modal.querySelector('p').textContent = `${dupe.label} is mapped to more than one column.`;
+          return;
+        }
+
+        try {
+          if (document.getElementById('csv-save-mapping').checked) {
+            const saved = { ...preset };
+            headers.forEach((header, col) => { saved[normalizeHeader(header)] = mapping[col]; });
+            await db.setSetting('csvImportMapping', saved);
+            window.dispatchEvent(new CustomEvent('settings-changed'));
+          }
+          const existing = await db.getAllCards();
+          showDryRun(buildImportRows(rows, mapping, existing, { mode }));
+        } catch (err) {
+          close(null);
+          reject(err);
+        }
+      });
+    };
+
+    const showDryRun = (results) => {
+      const valid = results.filter(r => r.errors.length === 0);
+      const invalid = results.filter(r => r.errors.length > 0);
+      const duplicates = valid.filter(r => r.duplicateOf);
+      const unique = valid.filter(r => !r.duplicateOf);
+
+      const errorList = invalid.slice(0, PREVIEW_LIMIT).map(r =>
+        `<li>Row ${r.rowNumber}: ${escapeHtml(r.errors.join('; '))}</li>`
+      ).join('') + (invalid.length > PREVIEW_LIMIT ? `<li>…and ${invalid.length - PREVIEW_LIMIT} more</li>` : '');
+
+      const duplicateList = duplicates.slice(0, PREVIEW_LIMIT).map(r =>
+        `<li>Row ${r.rowNumber}: ${escapeHtml(cardDisplayName(r.card))}</li>`
+      ).join('') + (duplicates.length > PREVIEW_LIMIT ? `<li>…and ${duplicates.length - PREVIEW_LIMIT} more</li>` : '');
+
+      modal.innerHTML = `
+        <h3>Dry Run</h3>
+        <p>Nothing has been saved yet.</p>
+        <div class="import-preview">
+          <details class="import-preview-bucket">
+            <summary><span>Ready to import</span><span class="import-preview-count">${unique.length}</span></summary>
+            <ul>${unique.slice(0, PREVIEW_LIMIT).map(r => `<li>${escapeHtml(cardDisplayName(r.card))}</li>`).join('')}</ul>
+          </details>
+          ${duplicates.length > 0 ? `
+          <details class="import-preview-bucket">
+            <summary><span>Possible duplicates</span><span class="import-preview-count">${duplicates.length}</span></summary>
+            <ul>${duplicateList}</ul>
+          </details>` : ''}
+          ${invalid.length > 0 ? `
+          <details class="import-preview-bucket" open>
+            <summary><span>Rows with errors (skipped)</span><span class="import-preview-count">${invalid.length}</span></summary>
+            <ul class="csv-errors">${errorList}</ul>
+          </details>` : ''}
+        </div>
+        ${duplicates.length > 0 ? `
+        <label class="toggle-row" style="margin-top:8px">
+          <span>Import duplicates anyway</span>
+          <input type="checkbox" id="csv-include-duplicates" class="toggle-input">
+          <span class="toggle-switch"></span>
+        </label>` : ''}
+        <div class="modal-actions">
+          <button class="btn btn-secondary" id="csv-back">Back</button>
+          <button class="btn btn-primary" id="csv-commit">Import ${unique.length}</button>
+        </div>
+      `;
+
+      const commitBtn = document.getElementById('csv-commit');
+      const includeDupes = document.getElementById('csv-include-duplicates');
+      const toImport = () => (includeDupes && includeDupes.checked ? valid : unique);
+      commitBtn.disabled = unique.length === 0;
+      includeDupes?.addEventListener('change', () => {
+        commitBtn.textContent = `Import ${toImport().length}`;
+        commitBtn.disabled = toImport().length === 0;
+      });
+
+      document.getElementById('csv-back').addEventListener('click', showMapping);
+      commitBtn.addEventListener('click', async () => {
+        commitBtn.disabled = true;
+        try {
+          const cards = toImport().map(r => r.card);
+          await db.saveCards(cards, { source: 'import' });
+          close({ imported: cards.length, skipped: results.length - cards.length });
+        } catch (err) {
+          close(null);
+          reject(err);
+        }
+      });
+    };
+
+    showMapping();
+  });
+}
@@ -1,11 +1,26 @@
 // Dashboard — seller-focused metrics, P&L, sold history, recent activity, charts
 
 import * as db from './db.js';
-import { formatDate, $, escapeHtml } from './ui.js';
-import { cardDisplayName } from './card-model.js';
+import { toast, formatDate, $, escapeHtml } from './ui.js';
+import { cardDisplayName, cardQuantity, inHandQuantity, cardSales, cardTotalCost, cardProfit } from './card-model.js';
+import { cardImageTag, loadLazyImages } from './card-images.js';
+import { exportTaxYearCsv } from './csv-export.js';
 import { drawLineChart, drawBarChart, drawDonutChart, SPORT_COLORS } from './charts.js';
+import { gradingCandidates, getGradingCost } from './grading.js';
 
 export async function initDashboard() {
+  const taxBtn = document.getElementById('btn-export-tax');
+  if (taxBtn) {
+    taxBtn.addEventListener('click', async () => {
+      try {
+        const count = await exportTaxYearCsv();
+        if (count !== null) toast(`Exported ${count} sales`, 'success');
+      } catch (err) {
+        toast(err.message, 'error');
+      }
+    });
+  }
+
   // Event delegation for card clicks in dashboard
   const content = document.getElementById('dashboard-content');
   if (content) {
@@ -18,8 +33,48 @@ export async function initDashboard() {
   }
 }
 
+/** Market value of one copy: comp average, else the estimate midpoint */
+function marketValue(c) {
+  if (c.compData && c.compData.avg) return Number(c.compData.avg);
+  if (c.estimatedValueLow && c.estimatedValueHigh) return (Number(c.estimatedValueLow) + Number(c.estimatedValueHigh)) / 2;
+  return 0;
+}
+
+// Cards shown in the Top Cards list
+const TOP_CARDS = 5;
+
+/**
+ * Fold one card into the dashboard totals, so refreshDashboard reads the
+ * store in a single cursor pass instead of loading every card
+ */
+function addDashboardCard(totals, c) {
+  const quantity = cardQuantity(c);
+  const inHand = inHandQuantity(c);
+  const value = marketValue(c);
+
+  totals.totalCards += quantity;
+  totals.inHand += inHand;
+  totals.invested += cardTotalCost(c);
+  totals.portfolioValue += value * inHand;
+  if (c.mode === 'collection') totals.collectionCount++;
+
+  const sport = c.sport || 'Other';
+  totals.sports[sport] = (totals.sports[sport] || 0) + quantity;
+
+  totals.sold.push(...cardSales(c));
+
+  if (c.status !== 'sold' && value > 0) {
+    totals.topCards.push({ ...c, _value: value });
+    totals.topCards.sort((a, b) => b._value - a._value);
+    totals.topCards.length = Math.min(totals.topCards.length, TOP_CARDS);
+  }
+
+  if (c.aiGradeData) totals.preGraded.push(c);
+  return totals;
+}
+
 /** Save today's portfolio snapshot if not already recorded */
-async function recordPortfolioSnapshot(all) {
+async function recordPortfolioSnapshot(totals) {
   const today = new Date().toISOString().split('T')[0];
   let history = [];
   try {
@@ -29,18 +84,7 @@ async function recordPortfolioSnapshot(all) {
   // Skip if already recorded today
   if (history.length > 0 && history[history.length - 1].date === today) return history;
 
-  // Calculate portfolio value using comp avg or estimated value
-  const totalValue = all.reduce((sum, c) => {
-    if (c.status === 'sold') return sum;
-    if (c.compData && c.compData.avg) return sum + Number(c.compData.avg);
-    if (c.estimatedValueLow && c.estimatedValueHigh) return sum + (Number(c.estimatedValueLow) + Number(c.estimatedValueHigh)) / 2;
-    return sum;
-  }, 0);
-
-  const totalInvested = all.reduce((sum, c) => sum + (c.purchasePrice || 0), 0);
-  const count = all.filter(c => c.status !== 'sold').length;
-
-  history.push({ date: today, value: totalValue, count, invested: totalInvested });
+  history.push({ date: today, value: totals.portfolioValue, count: totals.inHand, invested: totals.invested });
 
   // Cap at 365 entries
   if (history.length > 365) history = history.slice(-365);
@@ -49,14 +93,14 @@ async function recordPortfolioSnapshot(all) {
   return history;
 }
 
-/** Compute monthly P&L from sold cards */
+/** Compute monthly P&L from sold cards, after selling fees */
 function computeMonthlyPnl(sold) {
   const months = {};
   for (const c of sold) {
-    const date = new Date(c.lastModified || c.dateAdded);
+    const date = new Date(c.soldDate || c.lastModified || c.dateAdded);
     const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
     if (!months[key]) months[key] = 0;
-    months[key] += (c.soldPrice || 0) - (c.purchasePrice || 0);
+    months[key] += cardProfit(c) || 0;
   }
   // Sort by month and take last 12
   return Object.entries(months)
@@ -68,13 +112,8 @@ function computeMonthlyPnl(sold) {
     }));
 }
 
-/** Get sport breakdown counts */
-function getSportBreakdown(all) {
-  const counts = {};
-  for (const c of all) {
-    const sport = c.sport || 'Other';
-    counts[sport] = (counts[sport] || 0) + 1;
-  }
+/** Sport breakdown from per-sport copy counts */
+function getSportBreakdown(counts) {
   return Object.entries(counts)
     .sort((a, b) => b[1] - a[1])
     .map(([label, value]) => ({
@@ -84,34 +123,18 @@ function getSportBreakdown(all) {
     }));
 }
 
-/** Get top cards by value */
-function getTopCards(all) {
-  return all
-    .filter(c => c.status !== 'sold')
-    .map(c => {
-      let value = 0;
-      if (c.compData && c.compData.avg) value = Number(c.compData.avg);
-      else if (c.estimatedValueLow && c.estimatedValueHigh) value = (Number(c.estimatedValueLow) + Number(c.estimatedValueHigh)) / 2;
-      return { ...c, _value: value };
-    })
-    .filter(c => c._value > 0)
-    .sort((a, b) => b._value - a._value)
-    .slice(0, 5);
-}
-
 /** Compute performance metrics */
-function computePerformanceMetrics(sold, all) {
+function computePerformanceMetrics(sold) {
   const soldCount = sold.length;
   const totalInvested = sold.reduce((sum, c) => sum + (c.purchasePrice || 0), 0);
-  const totalRevenue = sold.reduce((sum, c) => sum + (c.soldPrice || 0), 0);
-  const netProfit = totalRevenue - totalInvested;
+  const netProfit = sold.reduce((sum, c) => sum + (cardProfit(c) || 0), 0);
   const roi = totalInvested > 0 ? (netProfit / totalInvested) * 100 : 0;
   const avgProfit = soldCount > 0 ? netProfit / soldCount : 0;
 
   // Best and worst performers
   const withProfit = sold.map(c => ({
     ...c,
-    _profit: (c.soldPrice || 0) - (c.purchasePrice || 0)
+    _profit: cardProfit(c) || 0
   }));
   const best = withProfit.sort((a, b) => b._profit - a._profit)[0] || null;
   const worst = withProfit.sort((a, b) => a._profit - b._profit)[0] || null;
@@ -120,40 +143,43 @@ function computePerformanceMetrics(sold, all) {
 }
 
 export async function refreshDashboard() {
-  const all = await db.getAllCards();
-  const collection = all.filter(c => c.mode === 'collection');
+  const totals = await db.reduceCards({}, addDashboardCard, {
+    totalCards: 0, inHand: 0, invested: 0, portfolioValue: 0, collectionCount: 0,
+    sports: {}, sold: [], topCards: [], preGraded: [],
+  });
   const activeListings = await db.getActiveListings();
-  const sold = all.filter(c => c.status === 'sold');
+  // One entry per sale (multi-copy cards can have several), newest first
+  const sold = totals.sold
+    .sort((a, b) => new Date(b.soldDate || b.lastModified) - new Date(a.soldDate || a.lastModified));
 
   // Record portfolio snapshot
-  const portfolioHistory = await recordPortfolioSnapshot(all);
+  const portfolioHistory = await recordPortfolioSnapshot(totals);
 
   // Calculate stats
-  const totalCards = all.length;
-  const totalInvested = all.reduce((sum, c) => sum + (c.purchasePrice || 0), 0);
+  const totalCards = totals.totalCards;
+  const totalInvested = totals.invested;
   const totalRevenue = sold.reduce((sum, c) => sum + (c.soldPrice || 0), 0);
   const activeListingValue = activeListings.reduce((sum, c) => sum + (c.startPrice || 0), 0);
-  const netProfit = totalRevenue - sold.reduce((sum, c) => sum + (c.purchasePrice || 0), 0);
+  const netProfit = sold.reduce((sum, c) => sum + (cardProfit(c) || 0), 0);
 
   // Compute new data
   const monthlyPnl = computeMonthlyPnl(sold);
-  const sportBreakdown = getSportBreakdown(all);
-  const topCards = getTopCards(all);
-  const perf = computePerformanceMetrics(sold, all);
+  const sportBreakdown = getSportBreakdown(totals.sports);
+  const topCards = totals.topCards;
+  const gradingCost = await getGradingCost();
+  const candidates = gradingCandidates(totals.preGraded, gradingCost).filter(c => c.uplift > 0).slice(0, 5);
+  const perf = computePerformanceMetrics(sold);
 
   // Sold history (newest first, max 10)
-  const soldHistory = [...sold]
-    .sort((a, b) => new Date(b.lastModified || b.dateAdded) - new Date(a.lastModified || a.dateAdded))
+  const soldHistory = sold
     .slice(0, 10)
-    .map(c => ({ ...c, profit: (c.soldPrice || 0) - (c.purchasePrice || 0) }));
+    .map(c => ({ ...c, profit: cardProfit(c) || 0 }));
 
   // Recent activity (last 8 cards by lastModified)
-  const recent = [...all]
-    .sort((a, b) => new Date(b.lastModified || b.dateAdded) - new Date(a.lastModified || a.dateAdded))
-    .slice(0, 8);
+  const { cards: recent } = await db.queryCards({ sort: 'lastModified-desc', limit: 8 });
 
   // Update tab badge counts
-  updateTabBadges(activeListings.length, collection.length);
+  updateTabBadges(activeListings.length, totals.collectionCount);
 
   // Render
   const content = document.getElementById('dashboard-content');
@@ -264,7 +290,7 @@ export async function refreshDashboard() {
         ${topCards.map((c, i) => `
           <div class="dash-top-item" data-card-id="${c.id}">
             <span class="dash-top-rank">${i + 1}</span>
-            ${c.imageThumbnail ? `<img src="${c.imageThumbnail}" alt="Card" class="dash-top-thumb">` : '<div class="dash-top-thumb-placeholder"></div>'}
+            ${cardImageTag(c, 'imageThumbnail', 'alt="Card" class="dash-top-thumb"') || '<div class="dash-top-thumb-placeholder"></div>'}
             <div class="dash-top-info">
               <div class="dash-top-name">${escapeHtml(cardDisplayName(c))}</div>
               <div class="dash-top-detail">${escapeHtml(c.setName || '')} ${c.parallel ? '- ' + escapeHtml(c.parallel) : ''}</div>
@@ -276,6 +302,26 @@ export async function refreshDashboard() {
     </div>
     ` : ''}
 
+    <!-- Grading Candidates -->
+    ${candidates.length > 0 ? `
+    <div class="dash-section">
+      <h3>Grading Candidates</h3>
+      <div class="dash-top-list">
+        ${candidates.map(({ card: c, rawValue, gradedValue, uplift }) => `
+          <div class="dash-top-item" data-card-id="${c.id}">
+            ${cardImageTag(c, 'imageThumbnail', 'alt="Card" class="dash-top-thumb"') || '<div class="dash-top-thumb-placeholder"></div>'}
+            <div class="dash-top-info">
+              <div class="dash-top-name">${escapeHtml(cardDisplayName(c))}</div>
+              <div class="dash-top-detail">AI grade ${Number(c.aiGradeData.overallGrade)} · $${rawValue.toFixed(2)} raw → ~$${gradedValue.toFixed(2)} graded (est.)</div>
+            </div>
+            <span class="dash-top-value">+$${uplift.toFixed(2)}</span>
+          </div>
+        `).join('')}
+      </div>
+      <div class="dash-grading-note">Expected gain after $${gradingCost.toFixed(2)} grading cost, from each card's latest AI pre-grade. Graded values are fixed multiples of raw value for each grade, not graded sales.</div>
+    </div>
+    ` : ''}
+
     ${soldHistory.length > 0 ? `
     <!-- Sold History -->
     <div class="dash-section">
@@ -283,7 +329,7 @@ export async function refreshDashboard() {
       <div class="dash-flip-list">
         ${soldHistory.map(c => `
           <div class="dash-flip-item" data-card-id="${c.id}">
-            ${c.imageThumbnail ? `<img src="${c.imageThumbnail}" alt="Card" style="width:36px;height:36px;border-radius:6px;object-fit:cover;margin-right:8px">` : ''}
+            ${cardImageTag(c, 'imageThumbnail', 'alt="Card" style="width:36px;height:36px;border-radius:6px;object-fit:cover;margin-right:8px"')}
             <span class="dash-flip-name">${escapeHtml(cardDisplayName(c))}</span>
             <span style="margin-left:auto;display:flex;align-items:center;gap:8px">
               <span style="color:var(--text-secondary);font-size:0.85em">$${(c.soldPrice || 0).toFixed(2)}</span>
@@ -302,7 +348,7 @@ export async function refreshDashboard() {
         <div class="dash-recent-list">
           ${recent.map(c => `
             <div class="dash-recent-item" data-card-id="${c.id}">
-              ${c.imageThumbnail ? `<img src="${c.imageThumbnail}" alt="Card">` : '<div class="dash-recent-placeholder"></div>'}
+              ${cardImageTag(c, 'imageThumbnail', 'alt="Card"') || '<div class="dash-recent-placeholder"></div>'}
               <div class="dash-recent-info">
                 <div class="dash-recent-name">${escapeHtml(cardDisplayName(c))}</div>
                 <div class="dash-recent-meta">${c.mode === 'listing' ? 'Listing' : 'Collection'} &middot; ${formatDate(c.lastModified || c.dateAdded)}</div>
@@ -317,6 +363,7 @@ export async function refreshDashboard() {
       </div>`}
     </div>
   `;
+  loadLazyImages(content);
 
   // Render charts after DOM is ready
   requestAnimationFrame(() => {
@@ -1,21 +1,62 @@
 // IndexedDB wrapper for Card Wallet
 
+import { createCard } from './card-model.js';
+
 const DB_NAME = 'CardWalletDB';
-const DB_VERSION = 1;
 const CARDS_STORE = 'cards';
 const SETTINGS_STORE = 'settings';
+const IMAGES_STORE = 'images';
+const HISTORY_STORE = 'history';
+const CHECKLISTS_STORE = 'checklists';
+const AI_CACHE_STORE = 'aiCache';
+const SCAN_JOBS_STORE = 'scanJobs';
+const TRANSCRIPTS_STORE = 'transcripts';
 
-let dbInstance = null;
+// Max change-log entries kept per card (oldest dropped first)
+const HISTORY_LIMIT = 100;
 
-function open() {
-  if (dbInstance) return Promise.resolve(dbInstance);
+// Trash retention default (days) and how long purge tombstones are kept
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TOMBSTONE_TTL_DAYS = 365;
 
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+// Fields left out of change-log diffs: images, sync and cache bookkeeping,
+// compHistory and aiGradeHistory which are already their own time series,
+// and review flags
+const UNTRACKED_FIELDS = [
+  'id', 'lastModified', 'imageSides', 'imageStorageUrl', 'imageBackStorageUrl', 'compHistory', 'imageHash',
+  'fieldConfidence', 'aiGradeHistory', 'aiCacheKey',
+];
 
-    request.onupgradeneeded = (e) => {
-      const db = e.target.result;
+// Card image fields and the side each is stored under in the images store
+const IMAGE_FIELDS = {
+  imageBlob: 'front',
+  imageThumbnail: 'frontThumb',
+  imageBackBlob: 'back',
+  imageBackThumb: 'backThumb',
+};
+
+let dbInstance = null;
+let migrationReport = null;
+
+// Image values loaded onto a card object by loadCardImages(), so saving the
+// same object again doesn't rewrite unchanged images
+const hydratedImages = new WeakMap();
+
+// ===== Schema Migrations =====
 
+/**
+ * Ordered migration registry. Each entry upgrades the database from
+ * (version - 1) to version and runs inside the versionchange transaction.
+ * A step may return a promise; the next step starts once it settles. Steps
+ * must only wait on IndexedDB requests — awaiting anything else (fetch,
+ * timers, FileReader) lets the transaction commit early.
+ * Append new steps to the end; never edit or reorder shipped ones.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create cards and settings stores',
+    upgrade(db) {
       if (!db.objectStoreNames.contains(CARDS_STORE)) {
         const store = db.createObjectStore(CARDS_STORE, { keyPath: 'id' });
         store.createIndex('mode', 'mode', { unique: false });
@@ -29,19 +70,539 @@ function open() {
       if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
         db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
       }
+    }
+  },
+  {
+    // Replaces the old listingQueueMigrated settings flag. Cards with
+    // status='listed' stay as mode='listing'; all others (pending, sold,
+    // unsold, exported) move to mode='collection'.
+    version: 2,
+    description: 'Move non-active listing queue cards to collection',
+    async upgrade(db, tx) {
+      const settings = tx.objectStore(SETTINGS_STORE);
+      const flag = await promisifyRequest(settings.get('listingQueueMigrated'));
+      if (flag && flag.value) return;
+      const now = new Date().toISOString();
+      await forEachRecord(tx.objectStore(CARDS_STORE).index('mode'), IDBKeyRange.only('listing'), (card) => {
+        if (card.status === 'listed' || card.status === 'deleted') return false;
+        card.mode = 'collection';
+        card.lastModified = now;
+        return true;
+      });
+      await promisifyRequest(settings.put({ key: 'listingQueueMigrated', value: true }));
+    }
+  },
+  {
+    version: 3,
+    description: 'Backfill card defaults and index lastModified',
+    upgrade(db, tx) {
+      const store = tx.objectStore(CARDS_STORE);
+      if (!store.indexNames.contains('lastModified')) {
+        store.createIndex('lastModified', 'lastModified', { unique: false });
+      }
+      return forEachRecord(store, null, (card) => {
+        let changed = backfillFields(card, V3_CARD_DEFAULTS);
+        for (const field of ['dateAdded', 'lastModified']) {
+          if (card[field] === undefined) {
+            card[field] = new Date().toISOString();
+            changed = true;
+          }
+        }
+        return changed;
+      });
+    }
+  },
+  {
+    // Full-size data URIs inline on every card meant getAllCards() pulled
+    // every image into memory. Images now live as Blobs keyed [cardId, side]
+    // and cards only list which sides they have in imageSides.
+    version: 4,
+    description: 'Move inline card images to the images store',
+    upgrade(db, tx) {
+      if (!db.objectStoreNames.contains(IMAGES_STORE)) {
+        db.createObjectStore(IMAGES_STORE, { keyPath: ['cardId', 'side'] });
+      }
+      const imageStore = tx.objectStore(IMAGES_STORE);
+      return forEachRecord(tx.objectStore(CARDS_STORE), null, (card) => {
+        const images = collectCardImages(card);
+        for (const { side, blob } of images) {
+          imageStore.put({ cardId: card.id, side, blob });
+        }
+        for (const field of Object.keys(IMAGE_FIELDS)) delete card[field];
+        card.imageSides = images.map(i => i.side);
+        return true;
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Add per-card change history store',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('cardId', 'cardId', { unique: false });
+      }
+    }
+  },
+  {
+    // Sales used to be dated only by lastModified, which moves on every
+    // edit. Pin the best guess we have so tax-year exports stay stable.
+    version: 6,
+    description: 'Record sale dates on sold cards',
+    upgrade(db, tx) {
+      return forEachRecord(tx.objectStore(CARDS_STORE).index('status'), IDBKeyRange.only('sold'), (card) => {
+        if (card.soldDate) return false;
+        card.soldDate = card.lastModified || card.dateAdded || null;
+        return true;
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Add set checklists store',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(CHECKLISTS_STORE)) {
+        db.createObjectStore(CHECKLISTS_STORE, { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Add identification cache store',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(AI_CACHE_STORE)) {
+        const store = db.createObjectStore(AI_CACHE_STORE, { keyPath: 'key' });
+        store.createIndex('lastUsedAt', 'lastUsedAt');
+      }
+    }
+  },
+  {
+    version: 9,
+    description: 'Add batch identification job store',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(SCAN_JOBS_STORE)) {
+        db.createObjectStore(SCAN_JOBS_STORE, { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 10,
+    description: 'Add AI transcript store',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(TRANSCRIPTS_STORE)) {
+        const store = db.createObjectStore(TRANSCRIPTS_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('cardId', 'cardId');
+      }
+    }
+  },
+  {
+    version: 11,
+    description: 'Backfill identification cache key',
+    upgrade(db, tx) {
+      return backfillStore(tx, { aiCacheKey: '' });
+    }
+  },
+  {
+    // Cards trashed before deletedAt existed would otherwise age from
+    // lastModified and be purged on first launch, before the user has seen
+    // the retention setting. Their window starts at the upgrade instead.
+    version: 12,
+    description: 'Date cards already in the trash',
+    upgrade(db, tx) {
+      const now = new Date().toISOString();
+      return forEachRecord(tx.objectStore(CARDS_STORE).index('status'), IDBKeyRange.only('deleted'), (card) => {
+        if (card.deletedAt) return false;
+        card.deletedAt = now;
+        return true;
+      });
+    }
+  },
+  {
+    version: 13,
+    description: 'Backfill sale date and selling fees',
+    upgrade(db, tx) {
+      return backfillStore(tx, { soldDate: null, sellingFees: null });
+    }
+  },
+  {
+    version: 14,
+    description: 'Backfill image hash',
+    upgrade(db, tx) {
+      return backfillStore(tx, { imageHash: '' });
+    }
+  },
+  {
+    version: 15,
+    description: 'Backfill quantity and copies',
+    upgrade(db, tx) {
+      return backfillStore(tx, { quantity: 1, copies: [] });
+    }
+  },
+  {
+    version: 16,
+    description: 'Backfill storage location',
+    upgrade(db, tx) {
+      return backfillStore(tx, { location: null });
+    }
+  },
+  {
+    version: 17,
+    description: 'Backfill jersey number',
+    upgrade(db, tx) {
+      return backfillStore(tx, { jerseyNumber: '' });
+    }
+  },
+  {
+    version: 18,
+    description: 'Backfill field confidence',
+    upgrade(db, tx) {
+      return backfillStore(tx, { fieldConfidence: {} });
+    }
+  },
+  {
+    version: 19,
+    description: 'Backfill grading run history',
+    upgrade(db, tx) {
+      return backfillStore(tx, { aiGradeHistory: [] });
+    }
+  },
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Walk a store or index with a cursor, writing back each record the
+ * callback reports as changed (returns true). Resolves when the walk ends.
+ */
+function forEachRecord(source, range, fn) {
+  return new Promise((resolve, reject) => {
+    const request = source.openCursor(range);
+    request.onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const record = cursor.value;
+      if (fn(record)) cursor.update(record);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Card fields as createCard() had them when migration v3 shipped. Fields
+// added since get their own migration step, so v3 always does the same thing.
+const V3_CARD_DEFAULTS = {
+  mode: 'listing',
+  status: 'pending',
+  sport: '',
+  year: '',
+  brand: '',
+  setName: '',
+  subset: '',
+  parallel: '',
+  cardNumber: '',
+  player: '',
+  team: '',
+  attributes: [],
+  serialNumber: '',
+  graded: 'No',
+  gradeCompany: '',
+  gradeValue: '',
+  condition: 'Near Mint or Better',
+  ebayTitle: '',
+  startPrice: 0.99,
+  compData: {},
+  compLookedUpAt: null,
+  imageBlob: null,
+  imageThumbnail: null,
+  imageBackBlob: null,
+  imageBackThumb: null,
+  estimatedValueLow: null,
+  estimatedValueHigh: null,
+  purchasePrice: null,
+  ebayListingId: null,
+  ebayListingUrl: null,
+  soldPrice: null,
+  shippingCarrier: '',
+  trackingNumber: '',
+  shippingStatus: 'not_shipped',
+  notes: '',
+  aiGradeData: null,
+  compHistory: [],
+};
+
+/** Set each of the given fields a record is missing to its default. Returns true if changed. */
+function backfillFields(record, defaults) {
+  let changed = false;
+  for (const [key, value] of Object.entries(defaults)) {
+    if (record[key] === undefined) {
+      record[key] = value;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/** Backfill fields on every stored card */
+function backfillStore(tx, defaults) {
+  return forEachRecord(tx.objectStore(CARDS_STORE), null, (card) => backfillFields(card, defaults));
+}
+
+/**
+ * Add any createCard() fields missing from a card in an old backup file.
+ * Returns true if changed. (Migrations use fixed defaults instead.)
+ */
+function backfillCardDefaults(card) {
+  return backfillFields(card, createCard({ id: card.id, dateAdded: card.dateAdded, lastModified: card.lastModified }));
+}
+
+// ===== Image Helpers =====
+
+/** Decode a data URI into a Blob synchronously (safe inside upgrade transactions) */
+function dataUriToBlob(dataUri) {
+  const [header, data] = dataUri.split(',');
+  const mime = (header.match(/^data:([^;,]+)/) || [])[1] || 'image/jpeg';
+  if (!header.includes(';base64')) {
+    return new Blob([decodeURIComponent(data)], { type: mime });
+  }
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mime });
+}
+
+function blobToDataUri(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read image'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Collect inline image values on a card as [{ side, blob }], skipping any
+ * that were loaded from the images store and haven't changed since.
+ */
+function collectCardImages(card) {
+  const loaded = hydratedImages.get(card);
+  const unchanged = loaded && loaded.cardId === card.id ? loaded.values : {};
+  const images = [];
+  for (const [field, side] of Object.entries(IMAGE_FIELDS)) {
+    const value = card[field];
+    if (!value || unchanged[field] === value) continue;
+    if (typeof value !== 'string' && !(value instanceof Blob)) continue;
+    images.push({ side, blob: value instanceof Blob ? value : dataUriToBlob(value) });
+  }
+  return images;
+}
+
+/**
+ * Sides whose image was loaded onto this card and has since been cleared to
+ * null or '' — the stored image should go too. Fields that were never loaded
+ * say nothing about what's stored, so they're left out.
+ */
+function clearedCardImages(card) {
+  const loaded = hydratedImages.get(card);
+  if (!loaded || loaded.cardId !== card.id) return [];
+  const cleared = [];
+  for (const [field, side] of Object.entries(IMAGE_FIELDS)) {
+    if (loaded.values[field] && (card[field] === null || card[field] === '')) {
+      cleared.push(side);
+      delete loaded.values[field];
+    }
+  }
+  return cleared;
+}
+
+/** Attach a card's stored images to it as Blobs (no data URI conversion) */
+async function attachImageBlobs(card) {
+  const store = await tx(IMAGES_STORE);
+  const records = await promisifyRequest(store.getAll(cardImageRange(card.id)));
+  for (const [field, side] of Object.entries(IMAGE_FIELDS)) {
+    const record = records.find(r => r.side === side);
+    if (record) card[field] = record.blob;
+  }
+  return card;
+}
+
+/** Key range covering every stored image for one card */
+function cardImageRange(cardId) {
+  return IDBKeyRange.bound([cardId], [cardId, '\uffff']);
+}
+
+/**
+ * Queue writes for a card, its images and a change-log entry on a
+ * transaction spanning the cards, images and history stores. Empty image
+ * fields leave stored images alone, unless the image was loaded onto this
+ * card with loadCardImages() and then cleared — that deletes it.
+ */
+function putCard(transaction, card, source) {
+  const cardStore = transaction.objectStore(CARDS_STORE);
+  const imageStore = transaction.objectStore(IMAGES_STORE);
+
+  const images = collectCardImages(card);
+  for (const { side, blob } of images) {
+    imageStore.put({ cardId: card.id, side, blob });
+  }
+  const cleared = clearedCardImages(card);
+  for (const side of cleared) {
+    imageStore.delete([card.id, side]);
+  }
+
+  const record = { ...card };
+  for (const field of Object.keys(IMAGE_FIELDS)) delete record[field];
+
+  cardStore.get(card.id).onsuccess = (e) => {
+    const existing = e.target.result;
+    const sides = new Set((existing && existing.imageSides) || []);
+    for (const { side } of images) sides.add(side);
+    for (const side of cleared) sides.delete(side);
+    record.imageSides = [...sides];
+    card.imageSides = record.imageSides;
+    cardStore.put(record);
+    logChange(transaction, existing, record, source);
+  };
+}
+
+// ===== Change History =====
+
+function isTrackedField(field) {
+  return !UNTRACKED_FIELDS.includes(field) && !(field in IMAGE_FIELDS);
+}
+
+/** Field-level diff between two card records: { field: { from, to } } */
+function diffCards(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (!isTrackedField(field)) continue;
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/** Queue a history entry for a card write, then trim the card's log to HISTORY_LIMIT */
+function logChange(transaction, before, after, source) {
+  const store = transaction.objectStore(HISTORY_STORE);
+  const entry = { cardId: after.id, timestamp: new Date().toISOString(), source };
+  if (before) {
+    entry.changes = diffCards(before, after);
+    if (Object.keys(entry.changes).length === 0) return;
+  } else {
+    entry.created = true;
+  }
+  store.add(entry);
+
+  store.index('cardId').getAllKeys(after.id).onsuccess = (e) => {
+    const keys = e.target.result;
+    for (const key of keys.slice(0, Math.max(0, keys.length - HISTORY_LIMIT))) {
+      store.delete(key);
+    }
+  };
+}
+
+/** Drop a card's change history and AI transcripts */
+function deleteCardHistory(transaction, cardId) {
+  for (const name of [HISTORY_STORE, TRANSCRIPTS_STORE]) {
+    const store = transaction.objectStore(name);
+    store.index('cardId').getAllKeys(cardId).onsuccess = (e) => {
+      for (const key of e.target.result) store.delete(key);
+    };
+  }
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Run pending migrations one after another on the upgrade transaction,
+ * recording each step in ran. A failing step aborts the whole upgrade so
+ * the database stays at its old version.
+ */
+async function runMigrations(db, tx, oldVersion, ran) {
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= oldVersion) continue;
+    try {
+      await migration.upgrade(db, tx);
+    } catch (err) {
+      console.error(`[Migration] v${migration.version} failed:`, err);
+      tx.abort();
+      return;
+    }
+    ran.push({ version: migration.version, description: migration.description });
+  }
+}
+
+function open() {
+  if (dbInstance) return Promise.resolve(dbInstance);
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    const ran = [];
+    let fromVersion = DB_VERSION;
+
+    request.onupgradeneeded = (e) => {
+      fromVersion = e.oldVersion;
+      runMigrations(e.target.result, e.target.transaction, e.oldVersion, ran);
     };
 
     request.onsuccess = (e) => {
       dbInstance = e.target.result;
+      // Let another tab running a newer build upgrade the schema
+      dbInstance.onversionchange = () => {
+        dbInstance.close();
+        dbInstance = null;
+      };
+      migrationReport = { from: fromVersion, to: DB_VERSION, ran };
+      if (ran.length > 0) {
+        console.log(`[Migration] Upgraded database v${fromVersion} → v${DB_VERSION}:`, ran.map(m => `v${m.version} ${m.description}`));
+      }
       resolve(dbInstance);
     };
 
     request.onerror = (e) => {
+      if (e.target.error && e.target.error.name === 'VersionError') {
+        reject(new Error('Your data was saved by a newer version of Card Wallet. Please reload to update the app.'));
+        return;
+      }
       reject(new Error('Failed to open database: ' + e.target.error));
     };
+
+    request.onblocked = () => {
+      console.warn('[Migration] Upgrade blocked — close other Card Wallet tabs to continue');
+    };
   });
 }
 
+/**
+ * Open the database (running any pending migrations) and return the
+ * migration report: { from, to, ran: [{ version, description }] }.
+ * Rejects if the stored database is newer than this build supports.
+ */
+export async function initDatabase() {
+  await open();
+  return getMigrationReport();
+}
+
+/** Report of migrations applied when the database was opened this session. */
+export function getMigrationReport() {
+  return migrationReport;
+}
+
 function tx(storeName, mode = 'readonly') {
   return open().then(db => {
     const transaction = db.transaction(storeName, mode);
@@ -58,8 +619,12 @@ function promisifyRequest(request) {
 
 // ===== Card CRUD =====
 
-/** Save card to IndexedDB only (no events dispatched). Used by sync to avoid loops. */
-export async function saveCardLocal(card) {
+/**
+ * Save card to IndexedDB only (no events dispatched). Used by sync to avoid loops.
+ * source tags the change-log entry: 'user', 'ai-identify', 'comp-refresh',
+ * 'ebay-sync', 'cloud-pull', 'sync-push', 'import', 'revert' or 'merge'.
+ */
+export async function saveCardLocal(card, { source = 'user' } = {}) {
   if (!card.id) {
     card.id = (typeof crypto !== 'undefined' && crypto.randomUUID)
       ? crypto.randomUUID()
@@ -71,39 +636,73 @@ export async function saveCardLocal(card) {
   if (!card.dateAdded) {
     card.dateAdded = new Date().toISOString();
   }
-  const store = await tx(CARDS_STORE, 'readwrite');
-  await promisifyRequest(store.put(card));
+  const db = await open();
+  const transaction = db.transaction([CARDS_STORE, IMAGES_STORE, HISTORY_STORE], 'readwrite');
+  putCard(transaction, card, source);
+  await transactionDone(transaction);
   return card;
 }
 
-export async function saveCard(card) {
-  const saved = await saveCardLocal(card);
+export async function saveCard(card, options) {
+  const saved = await saveCardLocal(card, options);
   window.dispatchEvent(new CustomEvent('card-saved', { detail: { card: saved } }));
   return saved;
 }
 
+/**
+ * Save many cards in one transaction (no events dispatched). Used by bulk
+ * imports; callers dispatch 'data-imported' once afterwards.
+ */
+export async function saveCardsLocal(cards, { source = 'user' } = {}) {
+  if (cards.length === 0) return cards;
+  const db = await open();
+  const transaction = db.transaction([CARDS_STORE, IMAGES_STORE, HISTORY_STORE], 'readwrite');
+  for (const card of cards) {
+    putCard(transaction, card, source);
+  }
+  await transactionDone(transaction);
+  return cards;
+}
+
+/** Save many cards in one transaction, then tell sync with a single 'cards-saved' event */
+export async function saveCards(cards, options) {
+  await saveCardsLocal(cards, options);
+  if (cards.length > 0) window.dispatchEvent(new CustomEvent('cards-saved', { detail: { cards } }));
+  return cards;
+}
+
 export async function getCard(id) {
   const store = await tx(CARDS_STORE);
   return promisifyRequest(store.get(id));
 }
 
 export async function deleteCard(id) {
-  const store = await tx(CARDS_STORE, 'readwrite');
-  await promisifyRequest(store.delete(id));
+  await deleteCardsLocal([id]);
   window.dispatchEvent(new CustomEvent('card-deleted', { detail: { id } }));
 }
 
-export async function deleteCards(ids) {
+/**
+ * Permanently delete cards, their images and history, and leave a tombstone
+ * for each so sync doesn't bring them back from another device. No events
+ * dispatched — used by sync when applying remote tombstones.
+ */
+export async function deleteCardsLocal(ids) {
+  if (ids.length === 0) return;
   const db = await open();
-  const transaction = db.transaction(CARDS_STORE, 'readwrite');
+  const transaction = db.transaction([CARDS_STORE, IMAGES_STORE, HISTORY_STORE, TRANSCRIPTS_STORE, SETTINGS_STORE], 'readwrite');
   const store = transaction.objectStore(CARDS_STORE);
+  const imageStore = transaction.objectStore(IMAGES_STORE);
   for (const id of ids) {
     store.delete(id);
+    imageStore.delete(cardImageRange(id));
+    deleteCardHistory(transaction, id);
   }
-  await new Promise((resolve, reject) => {
-    transaction.oncomplete = () => resolve();
-    transaction.onerror = () => reject(transaction.error);
-  });
+  addTombstones(transaction, ids);
+  await transactionDone(transaction);
+}
+
+export async function deleteCards(ids) {
+  await deleteCardsLocal(ids);
   window.dispatchEvent(new CustomEvent('cards-deleted', { detail: { ids } }));
 }
 
@@ -120,12 +719,285 @@ export async function getCardsByMode(mode) {
   return cards.filter(c => c.status !== 'deleted');
 }
 
+// ===== Card Queries =====
+
+// Sort fields whose index order matches the in-memory comparison, so pages
+// can be read straight off the index with a cursor
+const INDEXED_SORTS = ['dateAdded', 'lastModified', 'year'];
+
+const TEXT_SEARCH_FIELDS = ['player', 'team', 'brand', 'setName', 'year', 'parallel', 'cardNumber', 'ebayTitle', 'notes', 'sport'];
+
+function asList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return Array.isArray(value) ? value : [value];
+}
+
+/** Build a record predicate from a query's filters */
+function cardMatcher(query) {
+  const modes = asList(query.mode);
+  const statuses = asList(query.status);
+  const includeDeleted = query.includeDeleted || (statuses && statuses.includes('deleted'));
+  const [minYear, maxYear] = query.yearRange || [];
+  const text = query.text ? query.text.trim().toLowerCase() : '';
+
+  return (card) => {
+    if (!includeDeleted && card.status === 'deleted') return false;
+    if (modes && !modes.includes(card.mode)) return false;
+    if (statuses && !statuses.includes(card.status)) return false;
+    if (query.sport && card.sport !== query.sport) return false;
+    if (minYear != null || maxYear != null) {
+      const year = parseInt(card.year, 10);
+      if (isNaN(year)) return false;
+      if (minYear != null && year < minYear) return false;
+      if (maxYear != null && year > maxYear) return false;
+    }
+    if (text) {
+      const searchable = TEXT_SEARCH_FIELDS.map(f => card[f]).filter(Boolean).join(' ').toLowerCase();
+      if (!searchable.includes(text)) return false;
+    }
+    if (query.filter && !query.filter(card)) return false;
+    return true;
+  };
+}
+
+/**
+ * Pick the narrowest equality index for a query: [indexName, keys] or null
+ * for a full store scan.
+ */
+function pickFilterIndex(query) {
+  const statuses = asList(query.status);
+  if (statuses) return ['status', statuses];
+  if (query.sport) return ['sport', [query.sport]];
+  const modes = asList(query.mode);
+  if (modes) return ['mode', modes];
+  return null;
+}
+
+function compareCards(a, b, field, dir, sortKey) {
+  let aVal, bVal;
+  if (sortKey) {
+    aVal = sortKey(a);
+    bVal = sortKey(b);
+  } else if (field === 'dateAdded' || field === 'lastModified') {
+    aVal = new Date(a[field] || 0).getTime();
+    bVal = new Date(b[field] || 0).getTime();
+  } else {
+    aVal = String(a[field] || '').toLowerCase();
+    bVal = String(b[field] || '').toLowerCase();
+  }
+  if (aVal < bVal) return dir === 'asc' ? -1 : 1;
+  if (aVal > bVal) return dir === 'asc' ? 1 : -1;
+  return 0;
+}
+
+/** Walk a sort index in order, collecting up to limit matches after the cursor */
+async function queryByIndexOrder(query, field, dir, matches) {
+  const store = await tx(CARDS_STORE);
+  const index = store.index(field);
+  const limit = query.limit || Infinity;
+  const after = query.cursor || null;
+  const cards = [];
+
+  return new Promise((resolve, reject) => {
+    let nextCursor = null;
+    let resumed = !after;
+    const request = index.openCursor(null, dir === 'asc' ? 'next' : 'prev');
+
+    request.onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) {
+        resolve({ cards, nextCursor: null });
+        return;
+      }
+
+      // Jump to where the previous page stopped, then step past it
+      if (!resumed) {
+        resumed = true;
+        if (indexedDB.cmp(cursor.key, after.key) !== 0 || indexedDB.cmp(cursor.primaryKey, after.primaryKey) !== 0) {
+          cursor.continuePrimaryKey(after.key, after.primaryKey);
+          return;
+        }
+      }
+      if (after && indexedDB.cmp(cursor.key, after.key) === 0 && indexedDB.cmp(cursor.primaryKey, after.primaryKey) === 0) {
+        cursor.continue();
+        return;
+      }
+
+      if (matches(cursor.value)) {
+        if (cards.length >= limit) {
+          resolve({ cards, nextCursor });
+          return;
+        }
+        cards.push(cursor.value);
+        nextCursor = { key: cursor.key, primaryKey: cursor.primaryKey };
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** Load matches via the narrowest filter index, sort in memory, slice by offset */
+async function queryByFilterIndex(query, field, dir, matches) {
+  const store = await tx(CARDS_STORE);
+  const picked = pickFilterIndex(query);
+  let candidates;
+  if (picked) {
+    const index = store.index(picked[0]);
+    const groups = await Promise.all(picked[1].map(key => promisifyRequest(index.getAll(key))));
+    candidates = groups.flat();
+  } else {
+    candidates = await promisifyRequest(store.getAll());
+  }
+
+  const sorted = candidates.filter(matches).sort((a, b) => compareCards(a, b, field, dir, query.sortKey));
+  const offset = (query.cursor && query.cursor.offset) || 0;
+  const end = query.limit ? offset + query.limit : sorted.length;
+  return {
+    cards: sorted.slice(offset, end),
+    nextCursor: end < sorted.length ? { offset: end } : null,
+  };
+}
+
+/**
+ * Query cards with filtering, sorting and pagination done at the DB layer.
+ * Sorting by dateAdded, lastModified or year walks that index with a cursor
+ * and stops once the page is full; other sorts (or a custom sortKey) load
+ * through the narrowest of the status/sport/mode indexes and sort in memory.
+ * Deleted cards are excluded unless status includes 'deleted'.
+ *
+ * @param {Object} [query]
+ * @param {string|string[]} [query.mode]
+ * @param {string|string[]} [query.status]
+ * @param {string} [query.sport]
+ * @param {Array<number|null>} [query.yearRange] - inclusive [min, max]; either end may be null
+ * @param {string} [query.text] - case-insensitive match on player, team, set, etc.
+ * @param {Function} [query.filter] - extra predicate for conditions the fields above can't express
+ * @param {string} [query.sort='dateAdded-desc'] - 'field-dir'
+ * @param {Function} [query.sortKey] - computed sort value (e.g. card value); sorts in memory
+ * @param {number} [query.limit] - page size; omit for all matches
+ * @param {Object} [query.cursor] - nextCursor from the previous page
+ * @returns {Promise<{ cards: Object[], nextCursor: Object|null }>}
+ */
+export async function queryCards(query = {}) {
+  const [field, dir = 'desc'] = (query.sort || 'dateAdded-desc').split('-');
+  const matches = cardMatcher(query);
+  if (INDEXED_SORTS.includes(field) && !query.sortKey) {
+    return queryByIndexOrder(query, field, dir, matches);
+  }
+  return queryByFilterIndex(query, field, dir, matches);
+}
+
+/**
+ * Fold over every card matching a query without holding them all in memory.
+ * Takes the same filters as queryCards (sort/limit/cursor are ignored).
+ */
+export async function reduceCards(query, fn, initial) {
+  const matches = cardMatcher(query);
+  const store = await tx(CARDS_STORE);
+  const picked = pickFilterIndex(query);
+  const sources = picked
+    ? picked[1].map(key => store.index(picked[0]).openCursor(IDBKeyRange.only(key)))
+    : [store.openCursor()];
+
+  let acc = initial;
+  await Promise.all(sources.map(request => new Promise((resolve, reject) => {
+    request.onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      if (matches(cursor.value)) acc = fn(acc, cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  })));
+  return acc;
+}
+
+/** Count cards matching a query's filters */
+export function countCards(query = {}) {
+  return reduceCards(query, n => n + 1, 0);
+}
+
+// ===== Card Images =====
+
+/** Whether a card has the given image field, either inline or in the images store */
+export function hasCardImage(card, field) {
+  if (!card) return false;
+  return !!card[field] || (card.imageSides || []).includes(IMAGE_FIELDS[field]);
+}
+
+/** Get one stored image for a card as a Blob (field: imageBlob, imageThumbnail, ...) */
+export async function getCardImage(cardId, field) {
+  const store = await tx(IMAGES_STORE);
+  const record = await promisifyRequest(store.get([cardId, IMAGE_FIELDS[field]]));
+  return record ? record.blob : null;
+}
+
+/**
+ * Load stored images onto a card as data URIs, for code that needs them
+ * inline (detail view, eBay upload, sync). Only fills fields that are empty.
+ */
+export async function loadCardImages(card, fields = Object.keys(IMAGE_FIELDS)) {
+  const wanted = fields.filter(f => IMAGE_FIELDS[f] && !card[f]);
+  if (!card.id || wanted.length === 0) return card;
+
+  const store = await tx(IMAGES_STORE);
+  const records = await Promise.all(wanted.map(f => promisifyRequest(store.get([card.id, IMAGE_FIELDS[f]]))));
+
+  const previous = hydratedImages.get(card);
+  const values = previous && previous.cardId === card.id ? previous.values : {};
+  for (let i = 0; i < wanted.length; i++) {
+    if (!records[i]) continue;
+    const dataUri = await blobToDataUri(records[i].blob);
+    card[wanted[i]] = dataUri;
+    values[wanted[i]] = dataUri;
+  }
+  hydratedImages.set(card, { cardId: card.id, values });
+  return card;
+}
+
+// ===== Card History =====
+
+/** Change-log entries for a card, newest first */
+export async function getCardHistory(cardId) {
+  const store = await tx(HISTORY_STORE);
+  const entries = await promisifyRequest(store.index('cardId').getAll(cardId));
+  return entries.sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Revert a card to how it was just before a change-log entry, undoing that
+ * change and every later one. The revert is itself logged, so it can be undone.
+ */
+export async function revertCard(cardId, entryId) {
+  const card = await getCard(cardId);
+  if (!card) throw new Error('Card not found');
+
+  const history = await getCardHistory(cardId);
+  if (!history.some(e => e.id === entryId)) throw new Error('History entry not found');
+
+  // Walk back from the newest entry, restoring each change's previous value
+  for (const entry of history) {
+    if (entry.id < entryId) break;
+    for (const [field, { from }] of Object.entries(entry.changes || {})) {
+      card[field] = from;
+    }
+  }
+
+  card.lastModified = new Date().toISOString();
+  return saveCard(card, { source: 'revert' });
+}
+
 /** Soft-delete: mark as deleted instead of removing from DB */
 export async function softDeleteCard(id) {
   const card = await getCard(id);
   if (!card) return;
   card.status = 'deleted';
-  card.lastModified = new Date().toISOString();
+  card.deletedAt = new Date().toISOString();
+  card.lastModified = card.deletedAt;
   await saveCard(card);
   window.dispatchEvent(new CustomEvent('trash-changed'));
   return card;
@@ -137,6 +1009,62 @@ export async function softDeleteCards(ids) {
   }
 }
 
+/** Take a card out of the trash */
+export async function restoreCard(card) {
+  card.status = 'pending';
+  card.deletedAt = null;
+  card.lastModified = new Date().toISOString();
+  return saveCard(card);
+}
+
+/**
+ * Permanently delete trashed cards older than the retention window
+ * (trashRetentionDays setting; 0 keeps them forever). Cards with no
+ * deletedAt (trashed by an older version on another device) are kept.
+ * Returns the number purged.
+ */
+export async function purgeExpiredTrash() {
+  const setting = await getSetting('trashRetentionDays');
+  const days = setting === null ? DEFAULT_TRASH_RETENTION_DAYS : Number(setting);
+  if (!days) return 0;
+
+  const cutoff = Date.now() - days * 86400000;
+  const { cards: trashed } = await queryCards({ status: 'deleted' });
+  const expired = trashed.filter(c => c.deletedAt && new Date(c.deletedAt).getTime() < cutoff);
+  if (expired.length === 0) return 0;
+
+  await deleteCards(expired.map(c => c.id));
+  console.log(`[Trash] Purged ${expired.length} card(s) older than ${days} days`);
+  return expired.length;
+}
+
+// ===== Tombstones =====
+
+/** Record purged card ids in the cardTombstones setting, dropping expired ones */
+function addTombstones(transaction, ids) {
+  const store = transaction.objectStore(SETTINGS_STORE);
+  store.get('cardTombstones').onsuccess = (e) => {
+    const tombstones = pruneTombstones((e.target.result && e.target.result.value) || {});
+    const now = new Date().toISOString();
+    for (const id of ids) tombstones[id] = now;
+    store.put({ key: 'cardTombstones', value: tombstones });
+  };
+}
+
+function pruneTombstones(tombstones) {
+  const cutoff = Date.now() - TOMBSTONE_TTL_DAYS * 86400000;
+  const kept = {};
+  for (const [id, deletedAt] of Object.entries(tombstones)) {
+    if (new Date(deletedAt).getTime() >= cutoff) kept[id] = deletedAt;
+  }
+  return kept;
+}
+
+/** Ids of permanently deleted cards → ISO purge time */
+export async function getTombstones() {
+  return pruneTombstones((await getSetting('cardTombstones')) || {});
+}
+
 export async function getCardCount() {
   const store = await tx(CARDS_STORE);
   return promisifyRequest(store.count());
@@ -165,6 +1093,133 @@ export async function getAllSettings() {
   return settings;
 }
 
+// ===== Checklists =====
+
+export async function getChecklists() {
+  const store = await tx(CHECKLISTS_STORE);
+  return promisifyRequest(store.getAll());
+}
+
+/** Write checklists in one transaction (replacing any with the same id) */
+export async function saveChecklists(checklists) {
+  const db = await open();
+  const transaction = db.transaction(CHECKLISTS_STORE, 'readwrite');
+  const store = transaction.objectStore(CHECKLISTS_STORE);
+  for (const checklist of checklists) store.put(checklist);
+  await transactionDone(transaction);
+}
+
+export async function deleteChecklist(id) {
+  const store = await tx(CHECKLISTS_STORE, 'readwrite');
+  return promisifyRequest(store.delete(id));
+}
+
+// ===== Identification Cache =====
+
+// Oldest-used entries beyond this are dropped when new ones are added
+const AI_CACHE_MAX_ENTRIES = 2000;
+
+/** Cached AI response for a key, counting the hit. Resolves null on a miss. */
+export async function getCachedIdentification(key) {
+  const db = await open();
+  const transaction = db.transaction(AI_CACHE_STORE, 'readwrite');
+  const store = transaction.objectStore(AI_CACHE_STORE);
+  const entry = await promisifyRequest(store.get(key));
+  if (!entry) return null;
+  entry.hits = (entry.hits || 0) + 1;
+  entry.lastUsedAt = new Date().toISOString();
+  store.put(entry);
+  await transactionDone(transaction);
+  return entry;
+}
+
+export async function putCachedIdentification(entry) {
+  const db = await open();
+  const transaction = db.transaction(AI_CACHE_STORE, 'readwrite');
+  const store = transaction.objectStore(AI_CACHE_STORE);
+  const now = new Date().toISOString();
+  // A forced re-identify replaces the response but keeps the hit count
+  const existing = await promisifyRequest(store.get(entry.key));
+  store.put({ hits: existing ? existing.hits || 0 : 0, ...entry, createdAt: now, lastUsedAt: now });
+
+  const count = await promisifyRequest(store.count());
+  if (count > AI_CACHE_MAX_ENTRIES) {
+    let excess = count - AI_CACHE_MAX_ENTRIES;
+    store.index('lastUsedAt').openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor || excess-- <= 0) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  }
+  await transactionDone(transaction);
+}
+
+/** Entry count, total hits (API calls saved) and approximate size */
+export async function getIdentificationCacheStats() {
+  const store = await tx(AI_CACHE_STORE);
+  const entries = await promisifyRequest(store.getAll());
+  return {
+    entries: entries.length,
+    hits: entries.reduce((sum, e) => sum + (e.hits || 0), 0),
+    bytes: entries.reduce((sum, e) => sum + (e.text ? e.text.length : 0), 0),
+  };
+}
+
+export async function clearIdentificationCache() {
+  const store = await tx(AI_CACHE_STORE, 'readwrite');
+  return promisifyRequest(store.clear());
+}
+
+// ===== Batch Identification Jobs =====
+
+export async function getScanJobs() {
+  const store = await tx(SCAN_JOBS_STORE);
+  const jobs = await promisifyRequest(store.getAll());
+  return jobs.sort((a, b) => a.seq - b.seq);
+}
+
+/** Write jobs in one transaction (replacing any with the same id) */
+export async function saveScanJobs(jobs) {
+  const db = await open();
+  const transaction = db.transaction(SCAN_JOBS_STORE, 'readwrite');
+  const store = transaction.objectStore(SCAN_JOBS_STORE);
+  for (const job of jobs) store.put(job);
+  await transactionDone(transaction);
+}
+
+export async function deleteScanJobs(ids) {
+  const db = await open();
+  const transaction = db.transaction(SCAN_JOBS_STORE, 'readwrite');
+  const store = transaction.objectStore(SCAN_JOBS_STORE);
+  for (const id of ids) store.delete(id);
+  await transactionDone(transaction);
+}
+
+// ===== AI Transcripts =====
+
+export async function addTranscript(entry) {
+  const store = await tx(TRANSCRIPTS_STORE, 'readwrite');
+  return promisifyRequest(store.add(entry));
+}
+
+/** A card's transcripts, newest first */
+export async function getCardTranscripts(cardId) {
+  const store = await tx(TRANSCRIPTS_STORE);
+  const entries = await promisifyRequest(store.index('cardId').getAll(cardId));
+  return entries.sort((a, b) => b.id - a.id);
+}
+
+export async function getAllTranscripts() {
+  const store = await tx(TRANSCRIPTS_STORE);
+  return promisifyRequest(store.getAll());
+}
+
+export async function clearTranscripts() {
+  const store = await tx(TRANSCRIPTS_STORE, 'readwrite');
+  return promisifyRequest(store.clear());
+}
+
 // ===== Active Listings =====
 
 /** Get cards that are actively listed on eBay (status=listed + has ebayListingId) */
@@ -182,83 +1237,209 @@ export async function getAllListingHistory() {
   return all.filter(c => c.ebayListingId && c.status !== 'deleted');
 }
 
+// ===== Data Export / Import =====
+
+export const BACKUP_VERSION = 4;
+
+// Settings that describe this device's own state and never come from a backup
+const LOCAL_ONLY_SETTINGS = ['apiKey', 'aiEndpointKey', 'firebaseConfig', 'listingQueueMigrated', 'cardTombstones', 'scanQueueState'];
+
 /**
- * One-time migration: move non-active listing cards to collection.
- * Cards with status='listed' stay as mode='listing'.
- * All others (pending, sold, unsold, exported) move to mode='collection'.
+ * Upgrade steps for older backup files, keyed by the version they upgrade
+ * from. Each takes the parsed backup and returns it at version + 1.
  */
-export async function migrateListingQueueToCollection() {
-  const migrated = await getSetting('listingQueueMigrated');
-  if (migrated) return;
+const BACKUP_UPGRADES = {
+  // v1: no version field (or a bare card array); cards may predate fields
+  // added to createCard since
+  1: (data) => ({
+    ...data,
+    cards: data.cards.map(card => {
+      backfillCardDefaults(card);
+      return card;
+    }),
+    version: 2,
+  }),
+  // v3 adds deletedAt for trashed cards, which drives trash retention. Like
+  // migration v12, the window for older trashed cards starts on import.
+  2: (data) => {
+    const now = new Date().toISOString();
+    return {
+      ...data,
+      cards: data.cards.map(card => {
+        if (card.status === 'deleted' && !card.deletedAt) card.deletedAt = now;
+        return card;
+      }),
+      version: 3,
+    };
+  },
+  // v4 adds soldDate for sold cards (see migration v6)
+  3: (data) => ({
+    ...data,
+    cards: data.cards.map(card => {
+      if (card.status === 'sold' && !card.soldDate) card.soldDate = card.lastModified || card.dateAdded || null;
+      return card;
+    }),
+    version: 4,
+  }),
+};
 
-  const store = await tx(CARDS_STORE);
-  const index = store.index('mode');
-  const listingCards = await promisifyRequest(index.getAll('listing'));
+/**
+ * Validate a parsed backup file and upgrade it to BACKUP_VERSION.
+ * Throws if it isn't a backup or was written by a newer app version.
+ */
+export function upgradeBackup(data) {
+  if (Array.isArray(data)) data = { cards: data };
+  if (!data || typeof data !== 'object' || !Array.isArray(data.cards)) {
+    throw new Error('Invalid import data');
+  }
+
+  let version = data.version === undefined ? 1 : Number(data.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unrecognized backup version: ${data.version}`);
+  }
+  if (version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of Card Wallet. Please update the app first.');
+  }
 
-  let count = 0;
-  for (const card of listingCards) {
-    if (card.status === 'listed' || card.status === 'deleted') continue;
-    card.mode = 'collection';
-    card.lastModified = new Date().toISOString();
-    await saveCardLocal(card);
-    count++;
+  const invalid = data.cards.filter(c => !c || typeof c !== 'object' || !c.id);
+  if (invalid.length > 0) {
+    throw new Error(`${invalid.length} card(s) in the backup have no id`);
   }
 
-  await setSetting('listingQueueMigrated', true);
-  if (count > 0) {
-    console.log(`[Migration] Moved ${count} non-active listing cards to collection`);
+  while (version < BACKUP_VERSION) {
+    data = BACKUP_UPGRADES[version](data);
+    version = data.version;
   }
+  return data;
 }
 
-// ===== Data Export / Import =====
+/**
+ * Build a backup. With a query (same filters as queryCards, e.g.
+ * { sport: 'Baseball' } or { status: 'sold' }) only matching cards are
+ * exported and settings are left out; without one everything is,
+ * including trashed cards. Images are inline data URIs unless
+ * inlineImages is false, in which case they're attached as Blobs
+ * (for the ZIP format, which stores them as separate files).
+ */
+export async function exportAllData(query = null, { inlineImages = true } = {}) {
+  const cards = query
+    ? (await queryCards(query)).cards
+    : await getAllCards(true); // include trashed cards in backup
+
+  // JSON backups keep images inline as data URIs so files stay self-contained
+  for (const card of cards) {
+    if (inlineImages) {
+      await loadCardImages(card);
+      hydratedImages.delete(card);
+    } else {
+      await attachImageBlobs(card);
+    }
+    delete card.imageSides;
+  }
+
+  const data = { cards, exportDate: new Date().toISOString(), version: BACKUP_VERSION };
+  if (query) {
+    data.filter = Object.fromEntries(Object.entries(query).filter(([, v]) => typeof v !== 'function'));
+  } else {
+    const settings = await getAllSettings();
+    // Never export sensitive or device-specific settings
+    for (const key of LOCAL_ONLY_SETTINGS) delete settings[key];
+    data.settings = settings;
+  }
+  return data;
+}
 
-export async function exportAllData() {
-  const cards = await getAllCards(true); // include trashed cards in backup
-  const settings = await getAllSettings();
-  // Never export sensitive settings
-  delete settings.apiKey;
-  delete settings.firebaseConfig;
-  return { cards, settings, exportDate: new Date().toISOString(), version: 2 };
+/** Classify one imported card against its local copy */
+function classifyImport(imported, local) {
+  if (!local) return 'new';
+  if (Object.keys(diffCards(local, imported)).length === 0) return 'same';
+  const importedTime = new Date(imported.lastModified || 0).getTime();
+  const localTime = new Date(local.lastModified || 0).getTime();
+  if (!importedTime || !localTime || importedTime === localTime) return 'conflict';
+  return importedTime > localTime ? 'newer' : 'older';
 }
 
-export async function importData(data) {
-  if (!data || !data.cards) throw new Error('Invalid import data');
+/**
+ * Compare a backup against local data without writing anything.
+ * Returns { data, version, exportDate, cards: { new, newer, older, conflict, same },
+ * settings: [keys that differ] } where each card bucket holds
+ * { card, local, changes } entries.
+ */
+export async function previewImport(rawData) {
+  const originalVersion = Array.isArray(rawData) ? 1 : (rawData && rawData.version) || 1;
+  const data = upgradeBackup(rawData);
+
+  const store = await tx(CARDS_STORE);
+  const locals = await Promise.all(data.cards.map(c => promisifyRequest(store.get(c.id))));
+
+  const cards = { new: [], newer: [], older: [], conflict: [], same: [] };
+  data.cards.forEach((card, i) => {
+    const local = locals[i];
+    const bucket = classifyImport(card, local);
+    cards[bucket].push({ card, local, changes: local ? diffCards(local, card) : {} });
+  });
+
+  const localSettings = await getAllSettings();
+  const settings = Object.keys(data.settings || {})
+    .filter(key => !LOCAL_ONLY_SETTINGS.includes(key))
+    .filter(key => JSON.stringify(localSettings[key]) !== JSON.stringify(data.settings[key]));
+
+  return { data, version: originalVersion, exportDate: data.exportDate || null, cards, settings };
+}
+
+/**
+ * Import a backup. Image fields may hold data URIs or Blobs. strategy decides which side wins when a card exists in
+ * both: 'newest' (default; by lastModified, conflicts keep local), 'local'
+ * (only add new cards) or 'imported' (backup overwrites local). Settings are
+ * only applied when includeSettings is set.
+ * Returns { added, updated, skipped }.
+ */
+export async function importData(rawData, { strategy = 'newest', includeSettings = false } = {}) {
+  const preview = await previewImport(rawData);
+  const { cards } = preview;
+
+  const toWrite = cards.new.map(e => e.card);
+  if (strategy === 'newest') {
+    toWrite.push(...cards.newer.map(e => e.card));
+  } else if (strategy === 'imported') {
+    toWrite.push(...cards.newer.map(e => e.card), ...cards.older.map(e => e.card), ...cards.conflict.map(e => e.card));
+  } else if (strategy !== 'local') {
+    throw new Error(`Unknown merge strategy: ${strategy}`);
+  }
 
   const db = await open();
 
-  // Import cards
-  const cardTx = db.transaction(CARDS_STORE, 'readwrite');
-  const cardStore = cardTx.objectStore(CARDS_STORE);
-  for (const card of data.cards) {
-    cardStore.put(card);
+  // Import cards (inline images move to the images store)
+  const cardTx = db.transaction([CARDS_STORE, IMAGES_STORE, HISTORY_STORE], 'readwrite');
+  for (const card of toWrite) {
+    putCard(cardTx, card, 'import');
   }
-  await new Promise((resolve, reject) => {
-    cardTx.oncomplete = () => resolve();
-    cardTx.onerror = () => reject(cardTx.error);
-  });
+  await transactionDone(cardTx);
 
   // Import settings
-  if (data.settings) {
+  if (includeSettings && preview.settings.length > 0) {
     const settingsTx = db.transaction(SETTINGS_STORE, 'readwrite');
     const settingsStore = settingsTx.objectStore(SETTINGS_STORE);
-    for (const [key, value] of Object.entries(data.settings)) {
-      settingsStore.put({ key, value });
+    for (const key of preview.settings) {
+      settingsStore.put({ key, value: preview.data.settings[key] });
     }
-    await new Promise((resolve, reject) => {
-      settingsTx.oncomplete = () => resolve();
-      settingsTx.onerror = () => reject(settingsTx.error);
-    });
+    await transactionDone(settingsTx);
   }
 
-  return data.cards.length;
+  const updated = toWrite.length - cards.new.length;
+  return {
+    added: cards.new.length,
+    updated,
+    skipped: preview.data.cards.length - toWrite.length,
+  };
 }
 
 export async function clearAllData() {
   const db = await open();
-  const cardTx = db.transaction(CARDS_STORE, 'readwrite');
+  const cardTx = db.transaction([CARDS_STORE, IMAGES_STORE, HISTORY_STORE, TRANSCRIPTS_STORE], 'readwrite');
   cardTx.objectStore(CARDS_STORE).clear();
-  await new Promise((resolve, reject) => {
-    cardTx.oncomplete = () => resolve();
-    cardTx.onerror = () => reject(cardTx.error);
-  });
+  cardTx.objectStore(IMAGES_STORE).clear();
+  cardTx.objectStore(HISTORY_STORE).clear();
+  cardTx.objectStore(TRANSCRIPTS_STORE).clear();
+  await transactionDone(cardTx);
 }
@@ -0,0 +1,363 @@
+// Duplicate card detection (card details + thumbnail image hash), review screen and merge
+
+import * as db from './db.js';
+import { cardDisplayName, cardDetailLine, cardValue, formatSerialNumber } from './card-model.js';
+import { toast, showView, goBack, formatDate, $, escapeHtml } from './ui.js';
+import { cardImageTag, loadLazyImages } from './card-images.js';
+import { GRADE_HISTORY_LIMIT } from './grading.js';
+
+// Max differing bits (of 64) for two thumbnails to count as the same photo
+const IMAGE_HASH_THRESHOLD = 6;
+
+// Max compHistory snapshots kept on a card (matches the comp refresh cap)
+const COMP_HISTORY_LIMIT = 90;
+
+// Fields merge never copies from the card being merged away
+const MERGE_SKIP_FIELDS = ['id', 'mode', 'status', 'dateAdded', 'lastModified', 'imageSides', 'deletedAt'];
+
+// ===== Image Hash =====
+
+function loadImage(src) {
+  const url = src instanceof Blob ? URL.createObjectURL(src) : src;
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      if (url !== src) URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      if (url !== src) URL.revokeObjectURL(url);
+      reject(new Error('Failed to load image'));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Perceptual difference hash (dHash) of an image: shrink to 9x8 grayscale
+ * and record whether each pixel is brighter than its right neighbour.
+ * Returns 16 hex chars; near-identical photos differ in only a few bits.
+ */
+export async function computeImageHash(src) {
+  const img = await loadImage(src);
+  const canvas = document.createElement('canvas');
+  canvas.width = 9;
+  canvas.height = 8;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, 9, 8);
+  const { data } = ctx.getImageData(0, 0, 9, 8);
+
+  const gray = [];
+  for (let i = 0; i < data.length; i += 4) {
+    gray.push(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+  }
+
+  let hash = '';
+  for (let y = 0; y < 8; y++) {
+    let nibble = 0;
+    for (let x = 0; x < 8; x++) {
+      nibble = (nibble << 1) | (gray[y * 9 + x] > gray[y * 9 + x + 1] ? 1 : 0);
+      if (x % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hash;
+}
+
+/** Number of differing bits between two hashes from computeImageHash */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let xor = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (xor) {
+      distance += xor & 1;
+      xor >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Set card.imageHash from an inline front thumbnail (new or replaced photo).
+ * Cards whose thumbnail is only in the images store are left alone.
+ */
+export async function updateImageHash(card) {
+  const thumb = card.imageThumbnail;
+  if (!thumb || (typeof thumb !== 'string' && !(thumb instanceof Blob))) return card;
+  try {
+    card.imageHash = await computeImageHash(thumb);
+  } catch (err) {
+    console.warn('Image hash failed:', err.message);
+  }
+  return card;
+}
+
+/** Hash stored thumbnails for cards saved before imageHash existed */
+async function backfillImageHashes(cards) {
+  for (const card of cards) {
+    if (card.imageHash || !db.hasCardImage(card, 'imageThumbnail')) continue;
+    try {
+      const blob = await db.getCardImage(card.id, 'imageThumbnail');
+      if (!blob) continue;
+      card.imageHash = await computeImageHash(blob);
+      await db.saveCardLocal(card);
+    } catch (err) {
+      console.warn('Image hash failed for', card.id, err.message);
+    }
+  }
+}
+
+// ===== Matching =====
+
+function norm(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Whether two cards describe the same card: year, brand, set, number,
+ * player and parallel all match. Serial numbers must match when both are
+ * set, since #12/99 and #13/99 are different copies.
+ */
+function sameCardDetails(a, b) {
+  if (!a.player || !b.player) return false;
+  for (const field of ['player', 'year', 'brand', 'setName', 'cardNumber', 'parallel']) {
+    if (norm(a[field]) !== norm(b[field])) return false;
+  }
+  if (a.serialNumber && b.serialNumber
+    && norm(formatSerialNumber(a.serialNumber)) !== norm(formatSerialNumber(b.serialNumber))) return false;
+  return true;
+}
+
+function compareCards(a, b) {
+  const reasons = [];
+  if (sameCardDetails(a, b)) reasons.push('details');
+  let similarity = null;
+  if (a.imageHash && b.imageHash) {
+    const distance = hammingDistance(a.imageHash, b.imageHash);
+    similarity = 1 - distance / 64;
+    if (distance <= IMAGE_HASH_THRESHOLD) reasons.push('image');
+  }
+  return reasons.length > 0 ? { reasons, similarity } : null;
+}
+
+/**
+ * Existing cards that look like duplicates of card.
+ * Returns [{ card, reasons: ['details' | 'image'], similarity }], strongest first.
+ */
+export function findDuplicates(card, candidates) {
+  const matches = [];
+  for (const other of candidates) {
+    if (other.id === card.id || other.status === 'deleted') continue;
+    const match = compareCards(card, other);
+    if (match) matches.push({ card: other, ...match });
+  }
+  return matches.sort((a, b) => b.reasons.length - a.reasons.length || (b.similarity || 0) - (a.similarity || 0));
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/** All likely duplicate pairs among cards, skipping pairs marked "not duplicates" */
+function findDuplicatePairs(cards, dismissed) {
+  const active = cards.filter(c => c.status !== 'deleted');
+  const pairs = [];
+  for (let i = 0; i < active.length; i++) {
+    for (let j = i + 1; j < active.length; j++) {
+      const a = active[i];
+      const b = active[j];
+      if (dismissed.has(pairKey(a.id, b.id))) continue;
+      const match = compareCards(a, b);
+      if (match) pairs.push({ a, b, ...match });
+    }
+  }
+  return pairs.sort((x, y) => y.reasons.length - x.reasons.length);
+}
+
+// ===== Merge =====
+
+function isEmptyValue(value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object' && !(value instanceof Blob)) return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Combine two records of the same card. primary's values win; anything it
+ * lacks (fields, images) comes from secondary. Comp history, grading runs
+ * and attributes are unioned, notes are kept from both and the earlier
+ * dateAdded is used.
+ * Returns a new card object with primary's id, images inline.
+ */
+export async function mergeCardData(primary, secondary) {
+  await db.loadCardImages(primary);
+  await db.loadCardImages(secondary);
+
+  const merged = { ...primary };
+  for (const [field, value] of Object.entries(secondary)) {
+    if (MERGE_SKIP_FIELDS.includes(field)) continue;
+    if (isEmptyValue(merged[field]) && !isEmptyValue(value)) merged[field] = value;
+  }
+
+  const history = new Map();
+  for (const snap of [...(secondary.compHistory || []), ...(primary.compHistory || [])]) {
+    history.set(snap.date, snap);
+  }
+  merged.compHistory = [...history.values()]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .slice(-COMP_HISTORY_LIMIT);
+
+  // Every grading run either record had, except the one kept as the latest
+  const runs = [secondary.aiGradeData, ...(secondary.aiGradeHistory || []), primary.aiGradeData, ...(primary.aiGradeHistory || [])]
+    .filter(run => run && run !== merged.aiGradeData);
+  merged.aiGradeHistory = runs
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .slice(-GRADE_HISTORY_LIMIT);
+
+  merged.attributes = [...new Set([...(primary.attributes || []), ...(secondary.attributes || [])])];
+
+  const notes = [primary.notes, secondary.notes].map(n => (n || '').trim()).filter(Boolean);
+  merged.notes = [...new Set(notes)].join('\n\n');
+
+  if (secondary.dateAdded && (!primary.dateAdded || secondary.dateAdded < primary.dateAdded)) {
+    merged.dateAdded = secondary.dateAdded;
+  }
+  merged.lastModified = new Date().toISOString();
+  return merged;
+}
+
+/** Merge removeId into keepId, then move removeId to the trash */
+export async function mergeDuplicate(keepId, removeId) {
+  const [keep, remove] = await Promise.all([db.getCard(keepId), db.getCard(removeId)]);
+  if (!keep || !remove) throw new Error('Card no longer exists');
+  const merged = await mergeCardData(keep, remove);
+  await db.saveCard(merged, { source: 'merge' });
+  await db.softDeleteCard(removeId);
+  return merged;
+}
+
+// ===== Review Screen =====
+
+async function getDismissedPairs() {
+  return new Set((await db.getSetting('duplicatesDismissed')) || []);
+}
+
+function reasonText(pair) {
+  const parts = [];
+  if (pair.reasons.includes('details')) parts.push('Same card details');
+  if (pair.similarity !== null && pair.reasons.includes('image')) {
+    parts.push(`Photo ${Math.round(pair.similarity * 100)}% similar`);
+  }
+  return parts.join(' · ');
+}
+
+function renderDuplicateCard(card) {
+  const value = cardValue(card);
+  return `
+    <div class="dup-card" data-card-id="${card.id}">
+      ${cardImageTag(card, 'imageThumbnail', 'class="dup-thumb" alt=""') || '<div class="dup-thumb dup-thumb-empty">&#127183;</div>'}
+      <div class="dup-name">${escapeHtml(cardDisplayName(card))}</div>
+      <div class="dup-detail">${escapeHtml(cardDetailLine(card))}</div>
+      <div class="dup-meta">
+        ${escapeHtml(card.mode === 'listing' ? 'Listing' : 'Collection')} &middot; Added ${formatDate(card.dateAdded)}
+        ${card.serialNumber ? `<br>Serial ${escapeHtml(card.serialNumber)}` : ''}
+        ${value ? `<br>Value $${value.toFixed(2)}` : ''}
+      </div>
+    </div>
+  `;
+}
+
+function renderNoDuplicates() {
+  $('#duplicates-count').textContent = 0;
+  $('#duplicates-list').innerHTML = `
+    <div class="empty-state-rich">
+      <div class="empty-state-icon">&#9989;</div>
+      <div class="empty-state-title">No duplicates found</div>
+      <div class="empty-state-desc">Cards with matching details or near-identical photos will show up here.</div>
+    </div>`;
+}
+
+/** Scan all cards and show the possible-duplicates screen */
+export async function showDuplicatesView() {
+  const list = $('#duplicates-list');
+  list.innerHTML = '<p class="empty-state">Checking for duplicates...</p>';
+  showView('view-duplicates');
+
+  const cards = await db.getAllCards();
+  await backfillImageHashes(cards);
+  const pairs = findDuplicatePairs(cards, await getDismissedPairs());
+
+  if (pairs.length === 0) {
+    renderNoDuplicates();
+    return;
+  }
+  $('#duplicates-count').textContent = pairs.length;
+
+  list.innerHTML = pairs.map(pair => `
+    <div class="dup-pair" data-a="${pair.a.id}" data-b="${pair.b.id}">
+      <div class="dup-reason">${escapeHtml(reasonText(pair))}</div>
+      <div class="dup-cards">
+        ${renderDuplicateCard(pair.a)}
+        ${renderDuplicateCard(pair.b)}
+      </div>
+      <div class="dup-actions">
+        <button class="btn btn-secondary btn-sm" data-action="keep-a">Keep Left</button>
+        <button class="btn btn-secondary btn-sm" data-action="keep-b">Keep Right</button>
+        <button class="btn btn-secondary btn-sm" data-action="dismiss">Not Duplicates</button>
+      </div>
+    </div>
+  `).join('');
+  loadLazyImages(list);
+}
+
+function removePair(el) {
+  el.remove();
+  const remaining = document.querySelectorAll('#duplicates-list .dup-pair').length;
+  $('#duplicates-count').textContent = remaining;
+  if (remaining === 0) renderNoDuplicates();
+}
+
+export function initDuplicates() {
+  $('#duplicates-back').addEventListener('click', () => {
+    // Merges change card lists elsewhere; refresh them on the way out
+    window.dispatchEvent(new CustomEvent('data-imported'));
+    goBack();
+  });
+
+  $('#duplicates-list').addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-action]');
+    const pairEl = e.target.closest('.dup-pair');
+    if (!pairEl) return;
+
+    if (!btn) {
+      const cardEl = e.target.closest('.dup-card');
+      if (cardEl) window.dispatchEvent(new CustomEvent('show-card-detail', { detail: { id: cardEl.dataset.cardId } }));
+      return;
+    }
+
+    const { a, b } = pairEl.dataset;
+    btn.disabled = true;
+    try {
+      if (btn.dataset.action === 'dismiss') {
+        const dismissed = await getDismissedPairs();
+        dismissed.add(pairKey(a, b));
+        await db.setSetting('duplicatesDismissed', [...dismissed]);
+        removePair(pairEl);
+        return;
+      }
+      const [keepId, removeId] = btn.dataset.action === 'keep-a' ? [a, b] : [b, a];
+      await mergeDuplicate(keepId, removeId);
+      toast('Cards merged — the other copy is in Recently Deleted', 'success', 4000);
+      // Any other pair involving the trashed card is now moot
+      document.querySelectorAll('#duplicates-list .dup-pair').forEach(el => {
+        if (el.dataset.a === removeId || el.dataset.b === removeId) removePair(el);
+      });
+    } catch (err) {
+      btn.disabled = false;
+      toast('Merge failed: ' + err.message, 'error');
+    }
+  });
+}
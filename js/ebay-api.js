@@ -128,8 +128,9 @@ export async function getBusinessPolicies() {
  * @param {string} sku - Unique SKU (we use the card ID)
  * @param {object} card - Card data
  * @param {string[]} imageUrls - eBay-hosted image URLs
+ * @param {number} [quantity] - Copies available to sell
  */
-export async function createInventoryItem(sku, card, imageUrls) {
+export async function createInventoryItem(sku, card, imageUrls, quantity = 1) {
   // Required aspects for category 261328 — always include with fallback defaults
   const aspects = {
     'Sport': [card.sport || 'Baseball'],
@@ -219,7 +220,7 @@ export async function createInventoryItem(sku, card, imageUrls) {
   const body = {
     availability: {
       shipToLocationAvailability: {
-        quantity: 1,
+        quantity,
       },
     },
     condition: conditionEnum,
@@ -354,9 +355,10 @@ async function ensureMerchantLocation() {
  * @param {string} format - 'AUCTION' or 'FIXED_PRICE'
  * @param {number} price - Listing price
  * @param {object} policyIds - Business policy IDs
+ * @param {number} [quantity] - Copies offered (fixed price only; auctions are always 1)
  * @returns {string} offerId
  */
-export async function createOffer(sku, card, format, price, policyIds) {
+export async function createOffer(sku, card, format, price, policyIds, quantity = 1) {
   // Ensure merchant location exists (eBay requires Item.Country)
   const locationKey = await ensureMerchantLocation();
 
@@ -407,6 +409,7 @@ export async function createOffer(sku, card, format, price, policyIds) {
     body.pricingSummary = {
       price: { value: priceValue.toFixed(2), currency: 'USD' },
     };
+    body.availableQuantity = quantity;
     body.listingDuration = 'GTC';
   }
 
@@ -1,9 +1,10 @@
 // eBay listing flow — format picker, image upload, create + publish listing
 
 import * as db from './db.js';
-import { toast, showLoading, hideLoading, $, restoreModalDOM } from './ui.js';
+import { toast, showLoading, hideLoading, $, restoreModalDOM, confirm } from './ui.js';
 import { isEbayConnected } from './ebay-auth.js';
 import { processPhoto } from './camera.js';
+import { cardCopies, syncCopyStatus, fieldsNeedingReview, fieldsWorthChecking, CONFIDENCE_FIELDS } from './card-model.js';
 import {
   uploadImage,
   getBusinessPolicies,
@@ -91,21 +92,36 @@ export async function listCardOnEbay(card) {
     return;
   }
 
+  // Don't let a guessed or uncertain detail go out in a listing unnoticed
+  const labels = (fields) => fields.map(field => CONFIDENCE_FIELDS[field]).join(', ');
+  const unchecked = fieldsNeedingReview(card);
+  const uncertain = fieldsWorthChecking(card);
+  if (unchecked.length > 0 || uncertain.length > 0) {
+    const parts = [];
+    if (unchecked.length > 0) parts.push(`The AI wasn't sure about: ${labels(unchecked)}.`);
+    if (uncertain.length > 0) parts.push(`Worth double-checking: ${labels(uncertain)}.`);
+    const ok = await confirm('Unchecked Details',
+      `${parts.join(' ')} List on eBay anyway? Mistakes here can mean returns.`);
+    if (!ok) return;
+  }
+
   // Ensure we have a zip code for the shipping location (one-time prompt)
   if (!(await ensureZipCode())) return;
 
   // If no images, prompt user to add photos first
+  await db.loadCardImages(card, ['imageBlob', 'imageBackBlob']);
   if (!card.imageBlob) {
     const added = await promptForPhotos(card);
     if (!added) return; // User cancelled
   }
 
   // Show format picker modal
-  const result = await showFormatPicker(card.startPrice || 0.99);
+  const inHand = cardCopies(card).filter(c => c.status === 'in_hand').length;
+  const result = await showFormatPicker(card.startPrice || 0.99, Math.max(1, inHand));
   if (!result) return; // User cancelled
 
   try {
-    await executeListingFlow(card, result.format, result.price);
+    await executeListingFlow(card, result.format, result.price, result.quantity);
   } catch (err) {
     hideLoading();
     console.error('[eBay] Listing failed:', err);
@@ -115,10 +131,11 @@ export async function listCardOnEbay(card) {
 
 /**
  * Show format picker modal.
- * Returns { format: 'AUCTION'|'FIXED_PRICE', price: number } or null if cancelled.
- * For auctions, price=0 means no Buy It Now (pure auction).
+ * Returns { format: 'AUCTION'|'FIXED_PRICE', price: number, quantity: number } or null if cancelled.
+ * For auctions, price=0 means no Buy It Now (pure auction) and quantity is always 1.
+ * maxQuantity > 1 offers a quantity field for Buy It Now.
  */
-function showFormatPicker(defaultPrice) {
+function showFormatPicker(defaultPrice, maxQuantity = 1) {
   return new Promise((resolve) => {
     const overlay = document.getElementById('modal-overlay');
     const modal = overlay.querySelector('.modal');
@@ -144,6 +161,11 @@ function showFormatPicker(defaultPrice) {
           <label for="ebay-price" id="ebay-price-label">Price ($)</label>
           <input type="number" id="ebay-price" step="0.01" value="${defaultPrice}" min="0.01">
         </div>
+        ${maxQuantity > 1 ? `
+        <div class="form-group" id="ebay-quantity-group">
+          <label for="ebay-quantity">Quantity (of ${maxQuantity} in hand)</label>
+          <input type="number" id="ebay-quantity" step="1" value="${maxQuantity}" min="1" max="${maxQuantity}">
+        </div>` : ''}
       </div>
       <div class="modal-actions">
         <button class="btn btn-secondary" id="ebay-cancel">Cancel</button>
@@ -159,6 +181,8 @@ function showFormatPicker(defaultPrice) {
         const isAuction = document.querySelector('input[name="ebay-format"]:checked').value === 'AUCTION';
         document.getElementById('auction-note').style.display = isAuction ? 'block' : 'none';
         const priceInput = document.getElementById('ebay-price');
+        const quantityGroup = document.getElementById('ebay-quantity-group');
+        if (quantityGroup) quantityGroup.style.display = isAuction ? 'none' : '';
         if (isAuction) {
           document.getElementById('ebay-price-label').textContent = 'Buy It Now Price ($)';
           priceInput.placeholder = 'Optional';
@@ -187,9 +211,15 @@ function showFormatPicker(defaultPrice) {
         return;
       }
 
+      let quantity = 1;
+      const quantityInput = document.getElementById('ebay-quantity');
+      if (format === 'FIXED_PRICE' && quantityInput) {
+        quantity = Math.min(maxQuantity, Math.max(1, parseInt(quantityInput.value, 10) || 1));
+      }
+
       overlay.classList.add('hidden');
       restoreModalDOM();
-      resolve({ format, price });
+      resolve({ format, price, quantity });
     });
   });
 }
@@ -288,12 +318,14 @@ function promptForPhotos(card) {
 
 /**
  * Execute the full listing flow for a single card.
+ * quantity lists that many in-hand copies of a multi-copy card together.
  * Throws on failure so callers can track success/failure.
  */
-async function executeListingFlow(card, format, price) {
+async function executeListingFlow(card, format, price, quantity = 1) {
   const sku = card.id;
 
   // Check for images — prompt if missing
+  await db.loadCardImages(card, ['imageBlob', 'imageBackBlob']);
   if (!card.imageBlob && !card.imageBackBlob) {
     hideLoading();
     const added = await promptForPhotos(card);
@@ -335,7 +367,7 @@ async function executeListingFlow(card, format, price) {
   // Step 3: Create inventory item
   console.log('[eBay] Step 3: Creating inventory item, SKU:', sku);
   showLoading('Creating inventory item...');
-  await createInventoryItem(sku, card, imageUrls);
+  await createInventoryItem(sku, card, imageUrls, quantity);
   console.log('[eBay] Inventory item created');
 
   // Step 4: Create offer
@@ -343,7 +375,7 @@ async function executeListingFlow(card, format, price) {
   showLoading('Creating offer...');
   let offerId;
   try {
-    offerId = await createOffer(sku, card, format, price, policies);
+    offerId = await createOffer(sku, card, format, price, policies, quantity);
     console.log('[eBay] Offer created:', offerId);
   } catch (err) {
     await deleteInventoryItem(sku);
@@ -365,7 +397,15 @@ async function executeListingFlow(card, format, price) {
   console.log('[eBay] Published! Listing ID:', listingId);
 
   // Step 6: Update card with listing info
-  card.status = 'listed';
+  if (card.copies && card.copies.length > 0) {
+    card.copies
+      .filter(c => c.status === 'in_hand')
+      .slice(0, quantity)
+      .forEach(c => { c.status = 'listed'; c.ebayListingId = listingId; });
+    syncCopyStatus(card);
+  } else {
+    card.status = 'listed';
+  }
   card.ebayListingId = listingId;
   card.ebayListingUrl = `https://www.ebay.com/itm/${listingId}`;
   card.lastModified = new Date().toISOString();
@@ -379,7 +419,7 @@ async function executeListingFlow(card, format, price) {
  * Show a simple bulk auction confirmation modal.
  * Returns { price: number } or null if cancelled.
  */
-function showBulkAuctionPrompt(cardCount) {
+function showBulkAuctionPrompt(cardCount, uncertainCount = 0) {
   return new Promise((resolve) => {
     const overlay = document.getElementById('modal-overlay');
     const modal = overlay.querySelector('.modal');
@@ -389,6 +429,10 @@ function showBulkAuctionPrompt(cardCount) {
       <p style="font-size:14px;color:var(--gray-400);margin-bottom:16px">
         List <strong>${cardCount} card${cardCount > 1 ? 's' : ''}</strong> as 7-day auctions.
       </p>
+      ${uncertainCount > 0 ? `
+      <p style="font-size:13px;color:var(--warning);margin-bottom:16px">
+        ${uncertainCount} of these ha${uncertainCount > 1 ? 've' : 's'} details worth double-checking first.
+      </p>` : ''}
       <div class="form-group">
         <label for="bulk-price">Starting Price ($)</label>
         <input type="number" id="bulk-price" step="0.01" value="0.99" min="0.01" style="font-size:18px;text-align:center;padding:8px">
@@ -439,20 +483,30 @@ async function handleBatchListing() {
   const checkboxes = document.querySelectorAll('.listing-checkbox:checked');
   const allSelectedIds = Array.from(checkboxes).map(cb => cb.dataset.id);
   const listableCards = [];
+  let unchecked = 0;
+  let uncertain = 0;
   for (const id of allSelectedIds) {
     const card = await db.getCard(id);
-    if (card && card.status !== 'listed' && card.status !== 'sold') {
-      listableCards.push(card);
+    if (!card || card.status === 'listed' || card.status === 'sold') continue;
+    // Cards with unreviewed low-confidence fields are listed one at a time
+    if (fieldsNeedingReview(card).length > 0) {
+      unchecked++;
+      continue;
     }
+    if (fieldsWorthChecking(card).length > 0) uncertain++;
+    listableCards.push(card);
   }
 
+  if (unchecked > 0) {
+    toast(`Skipped ${unchecked} card${unchecked > 1 ? 's' : ''} with details that need review`, 'warning', 5000);
+  }
   if (listableCards.length === 0) {
-    toast('No unlisted cards selected', 'warning');
+    if (unchecked === 0) toast('No unlisted cards selected', 'warning');
     return;
   }
 
   // Show bulk auction prompt
-  const result = await showBulkAuctionPrompt(listableCards.length);
+  const result = await showBulkAuctionPrompt(listableCards.length, uncertain);
   if (!result) return;
 
   let successCount = 0;
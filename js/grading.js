@@ -0,0 +1,278 @@
+// Pre-grading — measured centering, kept grading runs and cards ranked by expected grading uplift
+
+import * as db from './db.js';
+import { formatDate, escapeHtml } from './ui.js';
+import { gradeCard } from './ai.js';
+import { measureCentering } from './scanner.js';
+import { cardValue, inHandQuantity } from './card-model.js';
+
+// Earlier runs kept per card; the latest lives in aiGradeData
+export const GRADE_HISTORY_LIMIT = 10;
+const DEFAULT_GRADING_COST = 25;
+const OVERLAY_WIDTH = 280;
+
+// Worst-side share allowed for each PSA grade (PSA's published tolerances)
+const FRONT_CENTERING_CAPS = [[55, 10], [60, 9], [65, 8], [70, 7], [80, 6], [85, 5], [90, 4]];
+const BACK_CENTERING_CAPS = [[75, 10], [90, 9]];
+
+// Graded value as a multiple of raw value — rough premiums for modern cards,
+// not graded comps, so the dashboard labels the result as an estimate
+const GRADE_MULTIPLIERS = { 10: 3.5, 9: 1.6, 8: 1.1, 7: 0.85, 6: 0.75 };
+const LOW_GRADE_MULTIPLIER = 0.6;
+
+// How a pre-grade spreads over the grade a card actually gets: [offset, chance]
+const GRADE_SPREAD = {
+  high: [[0, 0.6], [-1, 0.3], [1, 0.1]],
+  medium: [[0, 0.45], [-1, 0.35], [-2, 0.1], [1, 0.1]],
+  low: [[0, 0.3], [-1, 0.35], [-2, 0.2], [1, 0.15]],
+};
+
+// ===== Centering =====
+
+function ratioCap(ratio, caps, fallback) {
+  const worst = Math.max(...ratio.split('/').map(Number));
+  for (const [limit, grade] of caps) {
+    if (worst <= limit) return grade;
+  }
+  return fallback;
+}
+
+/** Highest PSA grade a measured centering allows */
+export function centeringCap(centering) {
+  const { front, back } = centering;
+  let cap = Math.min(ratioCap(front.leftRight, FRONT_CENTERING_CAPS, 3), ratioCap(front.topBottom, FRONT_CENTERING_CAPS, 3));
+  if (back) {
+    cap = Math.min(cap, ratioCap(back.leftRight, BACK_CENTERING_CAPS, 4), ratioCap(back.topBottom, BACK_CENTERING_CAPS, 4));
+  }
+  return cap;
+}
+
+/** The measurement replaces the AI's centering guess, and caps the grade when it's reliable */
+function applyMeasuredCentering(gradeData, centering) {
+  gradeData.centering = {
+    ...(gradeData.centering || {}),
+    leftRight: centering.front.leftRight,
+    topBottom: centering.front.topBottom,
+    measured: centering,
+  };
+  if (centering.front.confidence === 'low') return;
+
+  const cap = centeringCap(centering);
+  gradeData.centeringCap = cap;
+  if (gradeData.centering.score > cap) gradeData.centering.score = cap;
+  if (gradeData.overallGrade > cap) {
+    gradeData.overallGrade = cap;
+    gradeData.estimatedPSA = `PSA ${cap}`;
+    gradeData.cappedByCentering = true;
+  }
+}
+
+async function tryMeasureCentering(imageSrc, side) {
+  try {
+    return await measureCentering(imageSrc);
+  } catch (err) {
+    console.warn(`[Grading] ${side} centering not measured:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Pre-grade a card: measure centering on its photos, grade with the AI
+ * given the measurement, and keep the previous run in aiGradeHistory.
+ * Updates card in place; the caller saves it.
+ */
+export async function preGradeCard(card) {
+  const front = await tryMeasureCentering(card.imageBlob, 'Front');
+  const back = front && card.imageBackBlob ? await tryMeasureCentering(card.imageBackBlob, 'Back') : null;
+  const centering = front ? { front, back } : null;
+
+  const gradeData = await gradeCard(card.imageBlob, card.imageBackBlob, centering);
+  if (centering) applyMeasuredCentering(gradeData, centering);
+
+  if (card.aiGradeData) {
+    card.aiGradeHistory = [...(card.aiGradeHistory || []), card.aiGradeData].slice(-GRADE_HISTORY_LIMIT);
+  }
+  card.aiGradeData = gradeData;
+  return gradeData;
+}
+
+// ===== Grade Section =====
+
+/** Measured centering figures for the AI grade section, with an overlay canvas */
+export function measuredCenteringHtml(data) {
+  const measured = data.centering && data.centering.measured;
+  if (!measured) {
+    return data.centering && data.centering.leftRight
+      ? `<div class="centering-measured">Centering (AI estimate): ${escapeHtml(data.centering.leftRight)} L/R · ${escapeHtml(data.centering.topBottom || '')} T/B</div>`
+      : '';
+  }
+  const { front, back } = measured;
+  return `
+    <div class="centering-measured">
+      <div>Measured centering: <strong>${front.leftRight}</strong> L/R · <strong>${front.topBottom}</strong> T/B (${front.confidence} confidence)</div>
+      ${back ? `<div>Back: ${back.leftRight} L/R · ${back.topBottom} T/B</div>` : ''}
+      ${data.cappedByCentering ? `<div class="centering-cap">Centering limits this card to PSA ${data.centeringCap}</div>` : ''}
+      <canvas id="detail-centering-overlay" class="centering-overlay"></canvas>
+    </div>
+  `;
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = src;
+  });
+}
+
+/**
+ * Draw the front photo with the measured card edge (blue) and the inner
+ * edge of the border (amber), labeled with each side's share
+ */
+export async function drawCenteringOverlay(canvas, imageSrc, front) {
+  const img = await loadImage(imageSrc);
+  const width = Math.min(canvas.parentElement.clientWidth || OVERLAY_WIDTH, OVERLAY_WIDTH);
+  const height = Math.round(width * img.height / img.width);
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, width, height);
+
+  const [tl, tr, br, bl] = front.outer.map(p => ({ x: p.x * width, y: p.y * height }));
+  // Point at (u, v) across the card, between its four corners
+  const at = (u, v) => ({
+    x: (1 - u) * (1 - v) * tl.x + u * (1 - v) * tr.x + u * v * br.x + (1 - u) * v * bl.x,
+    y: (1 - u) * (1 - v) * tl.y + u * (1 - v) * tr.y + u * v * br.y + (1 - u) * v * bl.y,
+  });
+  const outline = (points, color, dash) => {
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.setLineDash(dash);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  };
+
+  const { left, right, top, bottom } = front.borders;
+  outline([tl, tr, br, bl], '#2563eb', []);
+  outline([at(left, top), at(1 - right, top), at(1 - right, 1 - bottom), at(left, 1 - bottom)], '#f59e0b', [5, 3]);
+
+  const [leftShare, rightShare] = front.leftRight.split('/');
+  const [topShare, bottomShare] = front.topBottom.split('/');
+  ctx.setLineDash([]);
+  ctx.font = 'bold 12px -apple-system, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const label = (text, p) => {
+    const w = ctx.measureText(text).width + 8;
+    ctx.fillStyle = 'rgba(17, 24, 39, 0.75)';
+    ctx.fillRect(p.x - w / 2, p.y - 9, w, 18);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(text, p.x, p.y);
+  };
+  label(`${leftShare}%`, at(left / 2, 0.5));
+  label(`${rightShare}%`, at(1 - right / 2, 0.5));
+  label(`${topShare}%`, at(0.5, top / 2));
+  label(`${bottomShare}%`, at(0.5, 1 - bottom / 2));
+}
+
+const RUN_COLUMNS = [
+  ['Overall', d => d.overallGrade],
+  ['Cent.', d => d.centering?.score],
+  ['Corn.', d => d.corners?.score],
+  ['Edges', d => d.edges?.score],
+  ['Surf.', d => d.surface?.score],
+];
+
+/** Every grading run side by side, newest first, with changes from the run before */
+export function gradeRunsHtml(card) {
+  const runs = [card.aiGradeData, ...[...(card.aiGradeHistory || [])].reverse()].filter(Boolean);
+  if (runs.length < 2) return '';
+
+  return `
+    <div class="grade-runs">
+      <button class="btn btn-secondary btn-sm" id="detail-grade-runs-btn" data-label="Compare ${runs.length} Runs">Compare ${runs.length} Runs</button>
+      <table class="grade-runs-table hidden" id="detail-grade-runs">
+        <tr><th>Date</th>${RUN_COLUMNS.map(([label]) => `<th>${label}</th>`).join('')}<th>L/R</th></tr>
+        ${runs.map((run, i) => {
+          const previous = runs[i + 1];
+          return `
+            <tr>
+              <td>${run.timestamp ? formatDate(run.timestamp) : '—'}</td>
+              ${RUN_COLUMNS.map(([, value]) => {
+                const score = value(run);
+                const before = previous ? value(previous) : undefined;
+                const change = typeof score === 'number' && typeof before === 'number' ? score - before : 0;
+                return `<td class="${change > 0 ? 'grade-up' : change < 0 ? 'grade-down' : ''}">${escapeHtml(String(score ?? '—'))}</td>`;
+              }).join('')}
+              <td>${escapeHtml(run.centering?.leftRight || '—')}${run.centering?.measured ? '*' : ''}</td>
+            </tr>
+          `;
+        }).join('')}
+      </table>
+    </div>
+  `;
+}
+
+/** Wire the AI grade section after it's rendered: overlay and run comparison */
+export function wireGradeSection(card) {
+  const data = card.aiGradeData;
+  const canvas = document.getElementById('detail-centering-overlay');
+  if (canvas && data && data.centering && data.centering.measured && card.imageBlob) {
+    drawCenteringOverlay(canvas, card.imageBlob, data.centering.measured.front).catch(err => {
+      console.warn('[Grading] Overlay failed:', err.message);
+      canvas.remove();
+    });
+  }
+
+  const runsBtn = document.getElementById('detail-grade-runs-btn');
+  if (runsBtn) {
+    runsBtn.addEventListener('click', () => {
+      const table = document.getElementById('detail-grade-runs');
+      const showing = !table.classList.contains('hidden');
+      table.classList.toggle('hidden', showing);
+      runsBtn.textContent = showing ? runsBtn.dataset.label : 'Hide Runs';
+    });
+  }
+}
+
+// ===== Grading Candidates =====
+
+export async function getGradingCost() {
+  const cost = parseFloat(await db.getSetting('gradingCost'));
+  return isNaN(cost) ? DEFAULT_GRADING_COST : cost;
+}
+
+/** Expected value once graded, over the grades a pre-grade could turn into */
+function expectedGradedValue(rawValue, gradeData) {
+  const predicted = Math.round(Number(gradeData.overallGrade));
+  const cap = gradeData.centeringCap || 10;
+  const spread = GRADE_SPREAD[gradeData.confidence] || GRADE_SPREAD.low;
+  let expected = 0;
+  for (const [offset, chance] of spread) {
+    const grade = Math.max(1, Math.min(cap, predicted + offset));
+    expected += chance * rawValue * (GRADE_MULTIPLIERS[grade] || LOW_GRADE_MULTIPLIER);
+  }
+  return expected;
+}
+
+/**
+ * Pre-graded raw cards still in hand, ranked by expected uplift from
+ * grading: expected graded value − raw value − grading cost.
+ * Returns [{ card, rawValue, gradedValue, uplift }].
+ */
+export function gradingCandidates(cards, gradingCost) {
+  return cards
+    .filter(c => c.aiGradeData && Number(c.aiGradeData.overallGrade) > 0 && c.graded !== 'Yes' && inHandQuantity(c) > 0)
+    .map(card => {
+      // Sold comps when we have them, else the estimate
+      const rawValue = Number(card.compData?.avg) || cardValue(card);
+      if (!rawValue) return null;
+      const gradedValue = expectedGradedValue(rawValue, card.aiGradeData);
+      return { card, rawValue, gradedValue, uplift: gradedValue - rawValue - gradingCost };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.uplift - a.uplift);
+}
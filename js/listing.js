@@ -2,7 +2,9 @@
 
 import * as db from './db.js';
 import { toast, $, escapeHtml } from './ui.js';
-import { cardDisplayName, cardDetailLine } from './card-model.js';
+import { cardDisplayName, cardDetailLine, syncCopyStatus, cardSales, formatLocation } from './card-model.js';
+import { cardImageTag, loadLazyImages } from './card-images.js';
+import { exportCardsCsv } from './csv-export.js';
 
 let allCards = [];       // all cards with an ebayListingId
 let filteredCards = [];  // after applying status filter
@@ -22,9 +24,6 @@ try {
 } catch {}
 
 export async function initListings() {
-  // Run one-time migration from listing queue to collection
-  await db.migrateListingQueueToCollection();
-
   // Wire refresh button
   const refreshBtn = $('#btn-refresh-listings');
   if (refreshBtn) {
@@ -56,6 +55,25 @@ export async function initListings() {
     });
   }
 
+  // Export the current filter/sort as CSV
+  const exportBtn = $('#btn-export-listings');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', async () => {
+      if (filteredCards.length === 0) {
+        toast('No listings to export', 'warning');
+        return;
+      }
+      sortListings();
+      const name = { active: 'Active Listings', sold: 'Sold Listings', unsold: 'Unsold Listings', all: 'Listings' }[currentFilter];
+      try {
+        const count = await exportCardsCsv(filteredCards, name);
+        if (count) toast(`Exported ${count} listings`, 'success');
+      } catch (err) {
+        toast('Export failed: ' + err.message, 'error');
+      }
+    });
+  }
+
   // Filter pills
   const pillsContainer = $('#listings-filter-pills');
   if (pillsContainer) {
@@ -130,6 +148,39 @@ function updatePillCounts() {
   });
 }
 
+/**
+ * Multi-copy cards: mark copies sold as eBay reports sales on a
+ * multi-quantity listing, and return the rest to hand once it ends.
+ * Returns true if anything changed.
+ */
+function syncListedCopies(card, listing, ended) {
+  const onListing = card.copies.filter(c => c.ebayListingId === card.ebayListingId);
+  const listed = onListing.filter(c => c.status === 'listed');
+  const alreadySold = onListing.filter(c => c.status === 'sold').length;
+
+  let soldQuantity = Number(listing?.estimatedAvailabilities?.[0]?.estimatedSoldQuantity);
+  if (isNaN(soldQuantity)) soldQuantity = ended && (listing?.bidCount || 0) > 0 ? 1 : 0;
+  const price = Number(listing?.currentBidPrice?.value || listing?.price?.value || 0);
+
+  let changed = false;
+  for (const copy of listed.slice(0, Math.max(0, soldQuantity - alreadySold))) {
+    const soldDate = (ended && listing?.itemEndDate) || new Date().toISOString();
+    Object.assign(copy, { status: 'sold', soldPrice: price, soldDate });
+    changed = true;
+  }
+  if (ended) {
+    for (const copy of listed.filter(c => c.status === 'listed')) {
+      copy.status = 'in_hand';
+      changed = true;
+    }
+  }
+  if (!changed) return false;
+
+  syncCopyStatus(card);
+  card.mode = card.status === 'listed' ? 'listing' : 'collection';
+  return true;
+}
+
 async function fetchLiveData(cards) {
   const workerUrl = await db.getSetting('ebayWorkerUrl');
   if (!workerUrl) return;
@@ -161,6 +212,13 @@ async function fetchLiveData(cards) {
       const card = allCards.find(c => c.ebayListingId === listing.legacyItemId);
       if (!card) continue;
 
+      if (card.copies?.length > 0 && (!listing.error || listing.status === 404)) {
+        if (!listing.error) liveData.set(listing.legacyItemId, listing);
+        const ended = listing.error || (listing.itemEndDate && new Date(listing.itemEndDate) <= new Date());
+        if (syncListedCopies(card, listing.error ? null : listing, !!ended)) changedCards.push(card);
+        continue;
+      }
+
       if (listing.error && listing.status === 404) {
         // 404 = listing gone from eBay — unsold (no bid data available)
         if (card.status !== 'unsold') {
@@ -182,6 +240,7 @@ async function fetchLiveData(cards) {
           // Ended with bids = sold
           if (card.status !== 'sold') {
             card.soldPrice = Number(listing.currentBidPrice?.value || listing.price?.value || 0);
+            card.soldDate = listing.itemEndDate || new Date().toISOString();
             card.status = 'sold';
             card.mode = 'collection';
             changedCards.push(card);
@@ -207,7 +266,7 @@ async function fetchLiveData(cards) {
     // Save all changed cards
     for (const card of changedCards) {
       card.lastModified = new Date().toISOString();
-      await db.saveCard(card);
+      await db.saveCard(card, { source: 'ebay-sync' });
     }
 
     if (changedCards.length > 0) {
@@ -423,6 +482,12 @@ function render() {
       endedDateHtml = `<span class="listing-ended-date">${d.toLocaleDateString([], { month: 'short', day: 'numeric' })}</span>`;
     }
 
+    // Where to find sold cards that still need shipping
+    const toPick = cardSales(card).filter(s => (s.shippingStatus || 'not_shipped') === 'not_shipped' && s.location);
+    const pickHtml = toPick.length > 0
+      ? `<div class="active-listing-location">&#128230; ${escapeHtml([...new Set(toPick.map(s => formatLocation(s.location)))].join(', '))}</div>`
+      : '';
+
     // Avg sold price from comp data
     const avgSold = card.compData?.avg;
     const avgHtml = avgSold ? `<span class="listing-avg-sold">Avg sold: $${Number(avgSold).toFixed(2)}</span>` : '';
@@ -433,13 +498,12 @@ function render() {
     return `
       <div class="active-listing-card${!isActive ? ' ended' : ''}" data-id="${card.id}">
         <div class="active-listing-thumb">
-          ${card.imageThumbnail
-            ? `<img src="${card.imageThumbnail}" alt="Card" loading="lazy">`
-            : '<div class="no-image-placeholder">No img</div>'}
+          ${cardImageTag(card, 'imageThumbnail', 'alt="Card"') || '<div class="no-image-placeholder">No img</div>'}
         </div>
         <div class="active-listing-info">
           <div class="active-listing-title">${escapeHtml(card.ebayTitle || cardDisplayName(card))}</div>
           <div class="active-listing-meta">${escapeHtml(cardDetailLine(card))}</div>
+          ${pickHtml}
           <div class="active-listing-badges">
             ${statusBadge}${formatBadge}${bidHtml}${countdownHtml}${endedDateHtml}
           </div>
@@ -452,4 +516,5 @@ function render() {
       </div>
     `;
   }).join('');
+  loadLazyImages(container);
 }
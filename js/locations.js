@@ -0,0 +1,264 @@
+// Storage locations — bulk assignment and the pick list for sold cards awaiting shipment
+
+import * as db from './db.js';
+import {
+  cardDisplayName, cardDetailLine, cardSales, formatLocation, normalizeLocation,
+  compareLocations, setCardLocation,
+} from './card-model.js';
+import { toast, $, escapeHtml, showView, goBack, restoreModalDOM, formatDate } from './ui.js';
+import { cardImageTag, loadLazyImages } from './card-images.js';
+
+// ===== Known Locations =====
+
+/**
+ * Fill the shared #location-options datalist with the boxes and box/row
+ * combinations already in use, so typing a location autocompletes.
+ */
+export async function refreshLocationOptions() {
+  const datalist = $('#location-options');
+  if (!datalist) return;
+  const containers = await db.reduceCards({}, (acc, card) => {
+    for (const location of [card.location, ...(card.copies || []).map(c => c.location)]) {
+      const loc = normalizeLocation(location);
+      if (!loc || !loc.box) continue;
+      acc.set(loc.box, { box: loc.box });
+      if (loc.row) acc.set(`${loc.box}\n${loc.row}`, { box: loc.box, row: loc.row });
+    }
+    return acc;
+  }, new Map());
+  datalist.innerHTML = [...containers.values()]
+    .sort(compareLocations)
+    .map(loc => `<option value="${escapeHtml(formatLocation(loc))}">`)
+    .join('');
+}
+
+// ===== Bulk Assignment =====
+
+/**
+ * Store cards at a location, in the order given. With numberSlots each
+ * in-hand copy gets the next slot, counting up from location.slot.
+ */
+export function assignLocations(cards, location, { numberSlots = false } = {}) {
+  location = normalizeLocation(location);
+  let slot = numberSlots && location ? parseInt(location.slot, 10) : NaN;
+  const next = () => (isNaN(slot) ? location : { ...location, slot: String(slot++) });
+
+  for (const card of cards) {
+    if (!card.copies || card.copies.length === 0) {
+      setCardLocation(card, next());
+      continue;
+    }
+    setCardLocation(card, location);
+    for (const copy of card.copies) {
+      if (copy.status === 'in_hand') copy.location = next();
+    }
+  }
+  return cards;
+}
+
+/** Ask where a batch of cards is stored. Resolves { location, numberSlots } or null. */
+function showLocationPrompt(count) {
+  return new Promise((resolve) => {
+    const overlay = document.getElementById('modal-overlay');
+    const modal = overlay.querySelector('.modal');
+
+    modal.innerHTML = `
+      <h3>Set Location</h3>
+      <p>${count} card(s), in the order shown.</p>
+      <div class="form-group">
+        <label for="loc-box">Box / Binder</label>
+        <input type="text" id="loc-box" placeholder="e.g. Box 12" list="location-boxes">
+        <datalist id="location-boxes"></datalist>
+      </div>
+      <div class="location-fields">
+        <div class="form-group">
+          <label for="loc-row">Row</label>
+          <input type="text" id="loc-row" placeholder="Optional">
+        </div>
+        <div class="form-group">
+          <label for="loc-slot">Slot</label>
+          <input type="text" id="loc-slot" placeholder="Optional">
+        </div>
+      </div>
+      <label class="toggle-row">
+        <span>Number slots in order from this slot</span>
+        <input type="checkbox" id="loc-number" class="toggle-input">
+        <span class="toggle-switch"></span>
+      </label>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="loc-clear">Clear</button>
+        <button class="btn btn-secondary" id="loc-cancel">Cancel</button>
+        <button class="btn btn-primary" id="loc-confirm">Assign</button>
+      </div>
+    `;
+    overlay.classList.remove('hidden');
+
+    // Offer boxes already in use
+    const boxes = [...($('#location-options')?.options || [])]
+      .map(o => normalizeLocation(o.value)?.box)
+      .filter((box, i, all) => box && all.indexOf(box) === i);
+    document.getElementById('location-boxes').innerHTML = boxes.map(b => `<option value="${escapeHtml(b)}">`).join('');
+    document.getElementById('loc-box').focus();
+
+    const slotInput = document.getElementById('loc-slot');
+    slotInput.addEventListener('input', () => {
+      document.getElementById('loc-number').checked = count > 1 && /^\d+$/.test(slotInput.value.trim());
+    });
+
+    const close = (result) => {
+      overlay.classList.add('hidden');
+      restoreModalDOM();
+      resolve(result);
+    };
+
+    document.getElementById('loc-cancel').addEventListener('click', () => close(null));
+    document.getElementById('loc-clear').addEventListener('click', () => close({ location: null, numberSlots: false }));
+    document.getElementById('loc-confirm').addEventListener('click', () => {
+      const location = normalizeLocation({
+        box: document.getElementById('loc-box').value,
+        row: document.getElementById('loc-row').value,
+        slot: slotInput.value,
+      });
+      if (!location) {
+        toast('Enter a box, row or slot', 'warning');
+        return;
+      }
+      const numberSlots = document.getElementById('loc-number').checked;
+      if (numberSlots && !/^\d+$/.test(location.slot)) {
+        toast('Numbering needs a starting slot number', 'warning');
+        return;
+      }
+      close({ location, numberSlots });
+    });
+  });
+}
+
+/**
+ * Prompt for a location and assign it to the given cards (in display order).
+ * Returns the number of cards updated, or null if cancelled.
+ */
+export async function bulkAssignLocation(cards) {
+  if (cards.length === 0) return null;
+  await refreshLocationOptions();
+  const result = await showLocationPrompt(cards.length);
+  if (!result) return null;
+
+  assignLocations(cards, result.location, { numberSlots: result.numberSlots });
+  const now = new Date().toISOString();
+  for (const card of cards) {
+    card.lastModified = now;
+    await db.saveCard(card);
+  }
+  return cards.length;
+}
+
+// ===== Pick List =====
+
+/** Sold cards (one entry per sold copy) not yet shipped, in storage order */
+export async function getPickList() {
+  const sales = await db.reduceCards({}, (acc, card) => {
+    for (const sale of cardSales(card)) {
+      if ((sale.shippingStatus || 'not_shipped') === 'not_shipped') acc.push(sale);
+    }
+    return acc;
+  }, []);
+  return sales
+    .sort((a, b) => compareLocations(a.location, b.location)
+      || new Date(a.soldDate || 0) - new Date(b.soldDate || 0));
+}
+
+function renderPickEntry(sale) {
+  const loc = normalizeLocation(sale.location);
+  const spot = loc ? [loc.row && `Row ${loc.row}`, loc.slot && `Slot ${loc.slot}`].filter(Boolean).join(' · ') : '';
+  return `
+    <div class="pick-entry" data-card-id="${sale.id}" data-copy-id="${sale.copyId || ''}">
+      <div class="pick-spot">${escapeHtml(spot || '—')}</div>
+      ${cardImageTag(sale, 'imageThumbnail', 'alt="Card"') || '<div class="pick-thumb-empty"></div>'}
+      <div class="pick-info">
+        <div class="pick-name">${escapeHtml(cardDisplayName(sale))}</div>
+        <div class="pick-detail">${escapeHtml(cardDetailLine(sale))}</div>
+        <div class="pick-detail">Sold ${sale.soldDate ? formatDate(sale.soldDate) : ''}${sale.soldPrice ? ` · $${Number(sale.soldPrice).toFixed(2)}` : ''}</div>
+      </div>
+      <button class="btn btn-secondary btn-sm" data-action="shipped">Shipped</button>
+    </div>
+  `;
+}
+
+export async function showPickListView() {
+  const list = $('#picklist-list');
+  list.innerHTML = '<p class="empty-state">Loading...</p>';
+  showView('view-picklist');
+  await renderPickList();
+}
+
+async function renderPickList() {
+  const list = $('#picklist-list');
+  const entries = await getPickList();
+  $('#picklist-count').textContent = entries.length;
+
+  if (entries.length === 0) {
+    list.innerHTML = `<div class="empty-state-rich">
+      <div class="empty-state-icon">&#128230;</div>
+      <div class="empty-state-title">Nothing to ship</div>
+      <div class="empty-state-desc">Sold cards that haven't shipped yet show up here, sorted by where they're stored.</div>
+    </div>`;
+    return;
+  }
+
+  // Group by box so each one only has to be pulled once
+  const groups = new Map();
+  for (const entry of entries) {
+    const box = normalizeLocation(entry.location)?.box || (entry.location ? 'Unboxed' : 'No location');
+    if (!groups.has(box)) groups.set(box, []);
+    groups.get(box).push(entry);
+  }
+
+  list.innerHTML = [...groups].map(([box, group]) => `
+    <div class="pick-group">
+      <h3>${escapeHtml(box)} <span class="pick-group-count">${group.length}</span></h3>
+      ${group.map(renderPickEntry).join('')}
+    </div>
+  `).join('');
+  loadLazyImages(list);
+}
+
+/** Mark one pick-list entry (a card, or one sold copy of it) as shipped */
+async function markShipped(cardId, copyId) {
+  const card = await db.getCard(cardId);
+  if (!card) return;
+  const copy = copyId && (card.copies || []).find(c => c.id === copyId);
+  if (copy) {
+    copy.shippingStatus = 'shipped';
+    // The card itself counts as shipped once every sold copy is
+    if (card.status === 'sold' && card.copies.every(c => c.shippingStatus === 'shipped')) {
+      card.shippingStatus = 'shipped';
+    }
+  } else {
+    card.shippingStatus = 'shipped';
+  }
+  card.lastModified = new Date().toISOString();
+  await db.saveCard(card);
+}
+
+export function initLocations() {
+  $('#btn-pick-list').addEventListener('click', () => showPickListView());
+  $('#picklist-back').addEventListener('click', () => goBack());
+
+  $('#picklist-list').addEventListener('click', async (e) => {
+    const entry = e.target.closest('.pick-entry');
+    if (!entry) return;
+    const btn = e.target.closest('[data-action="shipped"]');
+    if (!btn) {
+      window.dispatchEvent(new CustomEvent('show-card-detail', { detail: { id: entry.dataset.cardId } }));
+      return;
+    }
+    btn.disabled = true;
+    try {
+      await markShipped(entry.dataset.cardId, entry.dataset.copyId);
+      await renderPickList();
+    } catch (err) {
+      btn.disabled = false;
+      toast('Could not update shipping: ' + err.message, 'error');
+    }
+  });
+}
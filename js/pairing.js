@@ -0,0 +1,280 @@
+// Front/back pairing for bulk gallery uploads — capture times, a card-back heuristic and the review grid
+
+import { $, restoreModalDOM } from './ui.js';
+
+// Photos taken further apart than this aren't the same card
+const PAIR_MAX_GAP_MS = 3 * 60 * 1000;
+// Back scores this far apart split cleanly into fronts and backs
+const MIN_CLUSTER_GAP = 0.12;
+
+// ===== Photo Features =====
+
+/** DateTimeOriginal from a JPEG's EXIF block as epoch ms, or null */
+async function readExifDate(file) {
+  try {
+    const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+    if (view.getUint16(0) !== 0xFFD8) return null;
+
+    let offset = 2;
+    while (offset + 4 < view.byteLength) {
+      const marker = view.getUint16(offset);
+      const size = view.getUint16(offset + 2);
+      // APP1 holding "Exif\0\0"
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+        return parseExifDate(view, offset + 10);
+      }
+      if ((marker & 0xFF00) !== 0xFF00) return null;
+      offset += 2 + size;
+    }
+  } catch {
+    // Not a JPEG we can read — fall back to the file date
+  }
+  return null;
+}
+
+function parseExifDate(view, tiff) {
+  const little = view.getUint16(tiff) === 0x4949;
+  const u16 = (o) => view.getUint16(tiff + o, little);
+  const u32 = (o) => view.getUint32(tiff + o, little);
+
+  const findTag = (ifd, tag) => {
+    const count = u16(ifd);
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (u16(entry) === tag) return entry;
+    }
+    return null;
+  };
+
+  const exifPointer = findTag(u32(4), 0x8769);
+  if (exifPointer === null) return null;
+  const dateEntry = findTag(u32(exifPointer + 8), 0x9003);
+  if (dateEntry === null) return null;
+
+  // "YYYY:MM:DD HH:MM:SS"
+  const start = tiff + u32(dateEntry + 8);
+  let text = '';
+  for (let i = 0; i < 19; i++) text += String.fromCharCode(view.getUint8(start + i));
+  const m = text.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+  if (!m) return null;
+  return new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]).getTime();
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = src;
+  });
+}
+
+/**
+ * How much a photo looks like a card back (0–1). Backs are mostly one flat,
+ * low-saturation background color with text; fronts are colorful photos.
+ */
+async function cardBackScore(thumbnailSrc) {
+  const img = await loadImage(thumbnailSrc);
+  const canvas = document.createElement('canvas');
+  canvas.width = 48;
+  canvas.height = 64;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  let saturation = 0;
+  const bins = new Map();
+  const pixels = data.length / 4;
+  for (let i = 0; i < data.length; i += 4) {
+    const max = Math.max(data[i], data[i + 1], data[i + 2]);
+    const min = Math.min(data[i], data[i + 1], data[i + 2]);
+    saturation += max === 0 ? 0 : (max - min) / max;
+    // Coarse color bins: 4 levels per channel
+    const bin = (data[i] >> 6) * 16 + (data[i + 1] >> 6) * 4 + (data[i + 2] >> 6);
+    bins.set(bin, (bins.get(bin) || 0) + 1);
+  }
+  const dominantShare = Math.max(...bins.values()) / pixels;
+  return 0.6 * (1 - saturation / pixels) + 0.4 * dominantShare;
+}
+
+/**
+ * Pairing inputs for an uploaded photo: capture time (EXIF, else the file
+ * date) and its card-back score. The score is null if it can't be measured.
+ */
+export async function photoFeatures(file, photo) {
+  const time = (await readExifDate(file)) || file.lastModified || null;
+  let backScore = null;
+  try {
+    backScore = await cardBackScore(photo.thumbnailBase64);
+  } catch {
+    // Leave it to capture order
+  }
+  return { time, backScore };
+}
+
+// ===== Pairing =====
+
+/**
+ * Split back scores into fronts and backs (two-means on one dimension).
+ * Returns a boolean per photo, or null when the scores don't separate.
+ */
+function classifyBacks(scores) {
+  const known = scores.filter(s => s !== null);
+  if (known.length < 2) return null;
+  const sorted = [...known].sort((a, b) => a - b);
+
+  // Best split point between consecutive sorted scores
+  let best = null;
+  for (let i = 1; i < sorted.length; i++) {
+    const low = sorted.slice(0, i);
+    const high = sorted.slice(i);
+    const mean = (arr) => arr.reduce((sum, v) => sum + v, 0) / arr.length;
+    const gap = mean(high) - mean(low);
+    if (!best || gap > best.gap) best = { gap, threshold: (sorted[i - 1] + sorted[i]) / 2 };
+  }
+  if (best.gap < MIN_CLUSTER_GAP) return null;
+  return scores.map(s => s !== null && s > best.threshold);
+}
+
+/**
+ * Pair photos into cards. Returns [{ front, back }] as indexes into
+ * features (back is null for a card without one).
+ *   'auto'  — capture order, with the back heuristic deciding which photos
+ *             are backs and capture times splitting cards shot far apart.
+ *             If the heuristic finds no backs, every photo is its own card
+ *   'order' — front, back, front, back... as selected
+ *   'none'  — every photo is its own card
+ */
+export function pairPhotos(features, strategy = 'auto') {
+  const indexes = features.map((_, i) => i);
+  if (strategy === 'none') return indexes.map(i => ({ front: i, back: null }));
+  if (strategy === 'order') {
+    const pairs = [];
+    for (let i = 0; i < indexes.length; i += 2) {
+      pairs.push({ front: i, back: i + 1 < indexes.length ? i + 1 : null });
+    }
+    return pairs;
+  }
+
+  const hasTimes = features.every(f => f.time);
+  if (hasTimes) indexes.sort((a, b) => features[a].time - features[b].time || a - b);
+  const isBack = classifyBacks(indexes.map(i => features[i].backScore));
+  // Fronts only, or nothing to tell them apart by — pairing on timing alone
+  // would attach one card's front to another as its back
+  if (!isBack) return indexes.map(i => ({ front: i, back: null }));
+
+  const pairs = [];
+  for (let k = 0; k < indexes.length; k++) {
+    const current = indexes[k];
+    const next = indexes[k + 1];
+    const closeInTime = next !== undefined
+      && (!hasTimes || features[next].time - features[current].time <= PAIR_MAX_GAP_MS);
+
+    if (closeInTime && isBack[k] !== isBack[k + 1]) {
+      // Front and back in either order
+      pairs.push(isBack[k] ? { front: next, back: current } : { front: current, back: next });
+      k++;
+    } else {
+      // Unmatched — a lone back still becomes a card so nothing is lost
+      pairs.push({ front: current, back: null });
+    }
+  }
+  return pairs;
+}
+
+// ===== Review Grid =====
+
+function pairRow(pair, i, photos, canJoin) {
+  const front = photos[pair.front];
+  const back = pair.back !== null ? photos[pair.back] : null;
+  return `
+    <div class="pair-row" data-index="${i}">
+      <span class="pair-number">${i + 1}</span>
+      <img src="${front.thumbnailBase64}" alt="Card ${i + 1} front">
+      ${back ? `<img src="${back.thumbnailBase64}" alt="Card ${i + 1} back">` : '<div class="pair-no-back">No back</div>'}
+      <div class="pair-actions">
+        ${back ? `
+          <button type="button" class="btn btn-secondary btn-sm" data-action="swap">Swap</button>
+          <button type="button" class="btn btn-secondary btn-sm" data-action="split">Unpair</button>
+        ` : ''}
+        ${canJoin ? '<button type="button" class="btn btn-secondary btn-sm" data-action="join">Pair with next</button>' : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Review automatic pairing before photos go into the scan queue. Resolves
+ * [{ photo, backPhoto }] in card order, or null if cancelled.
+ */
+export function showPairingReview(photos, features) {
+  return new Promise((resolve) => {
+    const overlay = document.getElementById('modal-overlay');
+    const modal = overlay.querySelector('.modal');
+    let strategy = 'auto';
+    let pairs = pairPhotos(features, strategy);
+
+    modal.classList.add('modal-scroll');
+    modal.innerHTML = `
+      <h3>Pair Fronts &amp; Backs</h3>
+      <div class="form-group">
+        <label for="pair-strategy">Pairing</label>
+        <select id="pair-strategy">
+          <option value="auto">Automatic (time taken + card backs)</option>
+          <option value="order">In order: front, back, front, back</option>
+          <option value="none">No backs — one photo per card</option>
+        </select>
+      </div>
+      <p id="pair-summary"></p>
+      <div id="pair-grid" class="pair-grid"></div>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="pair-cancel">Cancel</button>
+        <button class="btn btn-primary" id="pair-confirm">Add Cards</button>
+      </div>
+    `;
+    overlay.classList.remove('hidden');
+
+    const render = () => {
+      const withBacks = pairs.filter(p => p.back !== null).length;
+      $('#pair-summary').textContent = `${photos.length} photos → ${pairs.length} cards (${withBacks} with backs). Check each row shows a front, then its back.`;
+      $('#pair-grid').innerHTML = pairs.map((pair, i) => pairRow(pair, i, photos,
+        pair.back === null && pairs[i + 1] && pairs[i + 1].back === null)).join('');
+      $('#pair-confirm').textContent = `Add ${pairs.length} Card${pairs.length !== 1 ? 's' : ''}`;
+    };
+    render();
+
+    $('#pair-strategy').addEventListener('change', (e) => {
+      strategy = e.target.value;
+      pairs = pairPhotos(features, strategy);
+      render();
+    });
+
+    $('#pair-grid').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+      const i = parseInt(btn.closest('.pair-row').dataset.index, 10);
+      const pair = pairs[i];
+      if (btn.dataset.action === 'swap') {
+        pairs[i] = { front: pair.back, back: pair.front };
+      } else if (btn.dataset.action === 'split') {
+        pairs.splice(i, 1, { front: pair.front, back: null }, { front: pair.back, back: null });
+      } else if (btn.dataset.action === 'join') {
+        pairs.splice(i, 2, { front: pair.front, back: pairs[i + 1].front });
+      }
+      render();
+    });
+
+    const close = (result) => {
+      overlay.classList.add('hidden');
+      modal.classList.remove('modal-scroll');
+      restoreModalDOM();
+      resolve(result);
+    };
+
+    $('#pair-cancel').addEventListener('click', () => close(null));
+    $('#pair-confirm').addEventListener('click', () => {
+      close(pairs.map(p => ({ photo: photos[p.front], backPhoto: p.back !== null ? photos[p.back] : null })));
+    });
+  });
+}
+
@@ -0,0 +1,493 @@
+// Parallel catalog — known parallels per set, synonym matching, the review picker and the editor
+
+import * as db from './db.js';
+import { toast, $, escapeHtml, restoreModalDOM } from './ui.js';
+
+export const PARALLEL_TIERS = ['Common', 'Uncommon', 'Rare', 'Super Rare', 'One of One'];
+
+/**
+ * Built-in catalog. Each set lists the fragments that identify it in
+ * "brand set name" (the longest matching fragment wins, so Bowman Chrome
+ * beats Chrome), an optional year range, and its parallels. Synonyms are
+ * other names the same parallel goes by; they're rewritten to the name.
+ */
+const BUILTIN_SETS = [
+  {
+    id: 'panini-prizm',
+    name: 'Panini Prizm',
+    match: ['prizm'],
+    parallels: [
+      { name: 'Silver', color: 'Silver', synonyms: ['Silver Prizm', 'Prizm', 'Silver Prizms'], tier: 'Common' },
+      { name: 'Hyper', color: 'Multi', synonyms: ['Hyper Prizm'], tier: 'Uncommon' },
+      { name: 'Red White & Blue', color: 'Red/White/Blue', synonyms: ['Red White and Blue', 'RWB'], tier: 'Uncommon' },
+      { name: 'Green', color: 'Green', synonyms: ['Green Prizm'], tier: 'Uncommon' },
+      { name: 'Blue', color: 'Blue', synonyms: ['Blue Prizm'], printRun: 199, tier: 'Rare' },
+      { name: 'Red', color: 'Red', synonyms: ['Red Prizm'], printRun: 299, tier: 'Rare' },
+      { name: 'Orange', color: 'Orange', synonyms: ['Orange Prizm'], printRun: 49, tier: 'Rare' },
+      { name: 'Gold', color: 'Gold', synonyms: ['Gold Prizm'], printRun: 10, tier: 'Super Rare' },
+      { name: 'Black', color: 'Black', synonyms: ['Black Prizm', 'Black Finite'], printRun: 1, tier: 'One of One' },
+    ],
+  },
+  {
+    id: 'panini-select',
+    name: 'Panini Select',
+    match: ['select'],
+    parallels: [
+      { name: 'Silver', color: 'Silver', synonyms: ['Silver Prizm', 'Prizm'], tier: 'Common' },
+      { name: 'Tri-Color', color: 'Multi', synonyms: ['Tri Color', 'Tricolor'], tier: 'Uncommon' },
+      { name: 'Zebra', color: 'Black/White', synonyms: ['Zebra Prizm'], tier: 'Rare' },
+      { name: 'Tie-Dye', color: 'Multi', synonyms: ['Tie Dye', 'Tie-Dye Prizm'], printRun: 25, tier: 'Rare' },
+      { name: 'Gold', color: 'Gold', synonyms: ['Gold Prizm'], printRun: 10, tier: 'Super Rare' },
+      { name: 'Black', color: 'Black', synonyms: ['Black Prizm'], printRun: 1, tier: 'One of One' },
+    ],
+  },
+  {
+    id: 'panini-mosaic',
+    name: 'Panini Mosaic',
+    match: ['mosaic'],
+    parallels: [
+      { name: 'Silver', color: 'Silver', synonyms: ['Silver Mosaic', 'Mosaic Silver', 'Silver Prizm'], tier: 'Common' },
+      { name: 'Green', color: 'Green', synonyms: ['Green Mosaic'], tier: 'Uncommon' },
+      { name: 'Reactive Blue', color: 'Blue', synonyms: ['Blue Reactive'], tier: 'Uncommon' },
+      { name: 'Gold', color: 'Gold', synonyms: ['Gold Mosaic'], printRun: 10, tier: 'Super Rare' },
+      { name: 'Black', color: 'Black', synonyms: ['Black Mosaic'], printRun: 1, tier: 'One of One' },
+    ],
+  },
+  {
+    id: 'donruss-optic',
+    name: 'Donruss Optic',
+    match: ['optic'],
+    parallels: [
+      { name: 'Holo', color: 'Silver', synonyms: ['Silver Holo', 'Silver', 'Holo Silver'], tier: 'Common' },
+      { name: 'Purple Shock', color: 'Purple', synonyms: ['Purple'], tier: 'Uncommon' },
+      { name: 'Blue Velocity', color: 'Blue', synonyms: ['Velocity'], tier: 'Uncommon' },
+      { name: 'Hyper Blue', color: 'Blue', synonyms: [], tier: 'Uncommon' },
+      { name: 'Gold', color: 'Gold', synonyms: ['Gold Holo'], printRun: 10, tier: 'Super Rare' },
+      { name: 'Black', color: 'Black', synonyms: ['Black Holo'], printRun: 1, tier: 'One of One' },
+    ],
+  },
+  {
+    id: 'topps-chrome',
+    name: 'Topps Chrome',
+    match: ['chrome'],
+    parallels: [
+      { name: 'Refractor', color: 'Silver', synonyms: ['Silver Refractor'], tier: 'Common' },
+      { name: 'Prism Refractor', color: 'Silver', synonyms: ['Prism'], tier: 'Common' },
+      { name: 'X-Fractor', color: 'Silver', synonyms: ['Xfractor', 'X Fractor'], tier: 'Uncommon' },
+      { name: 'Sepia Refractor', color: 'Sepia', synonyms: ['Sepia'], tier: 'Uncommon' },
+      { name: 'Pink Refractor', color: 'Pink', synonyms: ['Pink'], tier: 'Uncommon' },
+      { name: 'Negative Refractor', color: 'Black/White', synonyms: ['Negative'], tier: 'Uncommon' },
+      { name: 'Blue Refractor', color: 'Blue', synonyms: ['Blue'], printRun: 150, tier: 'Rare' },
+      { name: 'Green Refractor', color: 'Green', synonyms: ['Green'], printRun: 99, tier: 'Rare' },
+      { name: 'Gold Refractor', color: 'Gold', synonyms: ['Gold'], printRun: 50, tier: 'Rare' },
+      { name: 'Orange Refractor', color: 'Orange', synonyms: ['Orange'], printRun: 25, tier: 'Super Rare' },
+      { name: 'Red Refractor', color: 'Red', synonyms: ['Red'], printRun: 5, tier: 'Super Rare' },
+      { name: 'Superfractor', color: 'Gold', synonyms: ['SuperFractor', 'Super Refractor'], printRun: 1, tier: 'One of One' },
+    ],
+  },
+  {
+    id: 'bowman-chrome',
+    name: 'Bowman Chrome',
+    match: ['bowman chrome'],
+    parallels: [
+      { name: 'Refractor', color: 'Silver', synonyms: ['Silver Refractor'], printRun: 499, tier: 'Uncommon' },
+      { name: 'Atomic Refractor', color: 'Silver', synonyms: ['Atomic'], tier: 'Uncommon' },
+      { name: 'Blue Refractor', color: 'Blue', synonyms: ['Blue'], printRun: 150, tier: 'Rare' },
+      { name: 'Green Refractor', color: 'Green', synonyms: ['Green'], printRun: 99, tier: 'Rare' },
+      { name: 'Gold Refractor', color: 'Gold', synonyms: ['Gold'], printRun: 50, tier: 'Rare' },
+      { name: 'Orange Refractor', color: 'Orange', synonyms: ['Orange'], printRun: 25, tier: 'Super Rare' },
+      { name: 'Red Refractor', color: 'Red', synonyms: ['Red'], printRun: 5, tier: 'Super Rare' },
+      { name: 'Superfractor', color: 'Gold', synonyms: ['SuperFractor', 'Super Refractor'], printRun: 1, tier: 'One of One' },
+    ],
+  },
+];
+
+const OTHER_VALUE = '__other';
+
+let catalog = mergeCatalog(null);
+
+// ===== Catalog =====
+
+function norm(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function isBase(name) {
+  return !norm(name) || norm(name) === 'base';
+}
+
+function slug(value) {
+  return norm(value).replace(/ /g, '-') || 'set';
+}
+
+function normalizeParallel(p) {
+  const printRun = parseInt(p.printRun, 10);
+  return {
+    name: String(p.name || '').trim(),
+    color: String(p.color || '').trim(),
+    printRun: printRun > 0 ? printRun : null,
+    tier: PARALLEL_TIERS.includes(p.tier) ? p.tier : '',
+    synonyms: (Array.isArray(p.synonyms) ? p.synonyms : String(p.synonyms || '').split(','))
+      .map(s => String(s).trim()).filter(Boolean),
+  };
+}
+
+function normalizeSet(set) {
+  const from = parseInt(set.years?.from, 10);
+  const to = parseInt(set.years?.to, 10);
+  return {
+    id: String(set.id || slug(set.name)),
+    name: String(set.name || '').trim(),
+    match: (Array.isArray(set.match) ? set.match : String(set.match || '').split(','))
+      .map(norm).filter(Boolean),
+    years: from || to ? { from: from || null, to: to || null } : null,
+    parallels: (set.parallels || []).map(normalizeParallel).filter(p => p.name),
+  };
+}
+
+/**
+ * The catalog in effect: built-in sets, with any the user has edited
+ * replaced by their version, plus sets the user added.
+ */
+function mergeCatalog(saved) {
+  const custom = (saved && Array.isArray(saved.sets) ? saved.sets : []).map(normalizeSet).filter(s => s.name);
+  const byId = new Map(BUILTIN_SETS.map(s => [s.id, normalizeSet(s)]));
+  for (const set of custom) byId.set(set.id, set);
+  return [...byId.values()];
+}
+
+export function getParallelCatalog() {
+  return catalog;
+}
+
+/** The built-in sets alone, ignoring the user's edits */
+export function builtinParallelCatalog() {
+  return mergeCatalog(null);
+}
+
+export async function loadParallelCatalog() {
+  try {
+    catalog = mergeCatalog(await db.getSetting('parallelCatalog'));
+  } catch {
+    catalog = mergeCatalog(null);
+  }
+  return catalog;
+}
+
+function yearFits(set, year) {
+  if (!set.years) return true;
+  const y = parseInt(year, 10);
+  if (!y) return true;
+  return (!set.years.from || y >= set.years.from) && (!set.years.to || y <= set.years.to);
+}
+
+/** The catalog set for a card's brand/set name and year, or null */
+export function findParallelSet(card, sets = catalog) {
+  if (!card || !card.setName) return null;
+  const name = ` ${norm(`${card.brand || ''} ${card.setName}`)} `;
+  let best = null;
+  let bestScore = -1;
+  for (const set of sets) {
+    if (!yearFits(set, card.year)) continue;
+    for (const fragment of set.match) {
+      if (!name.includes(` ${fragment} `)) continue;
+      // Longer fragments are more specific; a year range beats none
+      const score = fragment.length * 2 + (set.years ? 1 : 0);
+      if (score > bestScore) {
+        best = set;
+        bestScore = score;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Match a parallel name against the card's set catalog, accepting synonyms.
+ * Returns { set, parallel }: set is null when the set isn't catalogued,
+ * parallel is the catalog entry or null when the name isn't known. sets
+ * defaults to the catalog in effect.
+ */
+export function resolveParallel(card, name = card.parallel, sets = catalog) {
+  const set = findParallelSet(card, sets);
+  if (!set || isBase(name)) return { set, parallel: null };
+  const key = norm(name);
+  const parallel = set.parallels.find(p => norm(p.name) === key || p.synonyms.some(s => norm(s) === key)) || null;
+  return { set, parallel };
+}
+
+// Words that only describe a color, which every set's parallels share
+const COLOR_WORDS = ['silver', 'gold', 'black', 'white', 'red', 'blue', 'green', 'orange', 'purple', 'pink', 'yellow', 'teal', 'aqua', 'bronze', 'multi', 'color', 'and'];
+
+function colorWords(sets) {
+  const words = new Set(COLOR_WORDS);
+  for (const set of sets) {
+    for (const p of set.parallels) norm(p.color).split(' ').filter(Boolean).forEach(w => words.add(w));
+  }
+  return words;
+}
+
+/** The non-color words a set's parallel names use: "refractor", "holo", "prizm" */
+function setTerminology(set, colors) {
+  const words = new Set();
+  for (const p of set.parallels) {
+    for (const name of [p.name, ...p.synonyms]) {
+      norm(name).split(' ').filter(w => w && !colors.has(w)).forEach(w => words.add(w));
+    }
+  }
+  return words;
+}
+
+/**
+ * Another catalogued set whose terminology a parallel name uses when the
+ * card's own set never does — a "Refractor" on a Prizm card, a "Holo" on a
+ * Select card — or null. A name that's merely missing from the catalog
+ * (a color or term no set lists) returns null: the catalog isn't complete.
+ */
+export function foreignParallelSet(card, name = card.parallel, sets = catalog) {
+  const set = findParallelSet(card, sets);
+  if (!set || isBase(name)) return null;
+  const colors = colorWords(sets);
+  const own = setTerminology(set, colors);
+  const foreign = norm(name).split(' ').filter(w => w && !colors.has(w) && !own.has(w));
+  if (foreign.length === 0) return null;
+  return sets.find(other => other !== set && foreign.some(w => setTerminology(other, colors).has(w))) || null;
+}
+
+/** "Gold · /10 · Super Rare" */
+export function parallelLabel(parallel) {
+  const parts = [parallel.name];
+  if (parallel.printRun) parts.push(parallel.printRun === 1 ? '1/1' : `/${parallel.printRun}`);
+  if (parallel.tier) parts.push(parallel.tier);
+  return parts.join(' · ');
+}
+
+// ===== Review Picker =====
+
+/**
+ * Show a parallel dropdown for catalogued sets (plus any extra known names,
+ * e.g. from a checklist) and fall back to free text otherwise or when
+ * "Other" is picked. The text input stays the source of truth.
+ */
+export function updateParallelPicker(card, extraNames = []) {
+  const select = $('#field-parallel-select');
+  const input = $('#field-parallel');
+  if (!select || !input) return;
+
+  const set = findParallelSet(card);
+  const options = set ? [...set.parallels] : [];
+  for (const name of extraNames) {
+    if (!isBase(name) && !options.some(p => norm(p.name) === norm(name) || p.synonyms.some(s => norm(s) === norm(name)))) {
+      options.push(normalizeParallel({ name }));
+    }
+  }
+
+  if (options.length === 0) {
+    select.classList.add('hidden');
+    input.classList.remove('hidden');
+    select.closest('.form-group').querySelector('label').htmlFor = 'field-parallel';
+    return;
+  }
+
+  const current = input.value.trim();
+  const known = isBase(current) ? { name: '' } : resolveParallel(card, current).parallel
+    || options.find(p => norm(p.name) === norm(current));
+  select.innerHTML = `
+    <option value="">Base</option>
+    ${options.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(parallelLabel(p))}</option>`).join('')}
+    <option value="${OTHER_VALUE}">Other…</option>
+  `;
+  if (known) {
+    select.value = known.name;
+    input.value = known.name;
+  } else {
+    select.value = OTHER_VALUE;
+  }
+  select.classList.remove('hidden');
+  input.classList.toggle('hidden', !!known);
+  select.closest('.form-group').querySelector('label').htmlFor = 'field-parallel-select';
+}
+
+function wireParallelPicker() {
+  const select = $('#field-parallel-select');
+  const input = $('#field-parallel');
+  select.addEventListener('change', () => {
+    if (select.value === OTHER_VALUE) {
+      input.classList.remove('hidden');
+      input.focus();
+      return;
+    }
+    input.classList.add('hidden');
+    input.value = select.value;
+    // Let the title, checklist and other listeners on the text field react
+    input.dispatchEvent(new Event('input'));
+    input.dispatchEvent(new Event('change'));
+  });
+}
+
+// ===== Editor =====
+
+function parallelRow(p = normalizeParallel({})) {
+  return `
+    <div class="parallel-row">
+      <input type="text" data-field="name" placeholder="Name" value="${escapeHtml(p.name)}" aria-label="Parallel name">
+      <input type="text" data-field="color" placeholder="Color" value="${escapeHtml(p.color)}" aria-label="Color">
+      <button type="button" class="copy-remove" data-action="remove" aria-label="Remove parallel">&times;</button>
+      <input type="number" data-field="printRun" placeholder="Print run" min="1" value="${p.printRun || ''}" aria-label="Print run">
+      <select data-field="tier" aria-label="Rarity tier">
+        <option value="">Tier...</option>
+        ${PARALLEL_TIERS.map(t => `<option value="${t}"${p.tier === t ? ' selected' : ''}>${t}</option>`).join('')}
+      </select>
+      <input type="text" data-field="synonyms" placeholder="Also called (comma separated)" value="${escapeHtml(p.synonyms.join(', '))}" aria-label="Synonyms">
+    </div>
+  `;
+}
+
+/** Open the parallel catalog editor. Resolves true if saved. */
+export function showParallelCatalogEditor() {
+  return new Promise((resolve) => {
+    const overlay = document.getElementById('modal-overlay');
+    const modal = overlay.querySelector('.modal');
+    const builtinIds = new Set(BUILTIN_SETS.map(s => s.id));
+    const working = catalog.map(s => structuredClone(s));
+    let current = working[0]?.id || null;
+
+    const readSet = () => {
+      const set = working.find(s => s.id === current);
+      if (!set) return;
+      Object.assign(set, normalizeSet({
+        id: set.id,
+        name: $('#parallel-set-name').value,
+        match: $('#parallel-set-match').value,
+        years: { from: $('#parallel-set-from').value, to: $('#parallel-set-to').value },
+        parallels: [...modal.querySelectorAll('.parallel-row')].map(row => ({
+          name: row.querySelector('[data-field="name"]').value,
+          color: row.querySelector('[data-field="color"]').value,
+          printRun: row.querySelector('[data-field="printRun"]').value,
+          tier: row.querySelector('[data-field="tier"]').value,
+          synonyms: row.querySelector('[data-field="synonyms"]').value,
+        })),
+      }));
+    };
+
+    const render = () => {
+      const set = working.find(s => s.id === current);
+      modal.innerHTML = `
+        <h3>Parallel Catalog</h3>
+        <div class="form-group">
+          <label for="parallel-set">Set</label>
+          <select id="parallel-set">
+            ${working.map(s => `<option value="${escapeHtml(s.id)}"${s.id === current ? ' selected' : ''}>${escapeHtml(s.name || 'New Set')}</option>`).join('')}
+          </select>
+        </div>
+        ${set ? `
+          <div class="form-group">
+            <label for="parallel-set-name">Name</label>
+            <input type="text" id="parallel-set-name" value="${escapeHtml(set.name)}">
+          </div>
+          <div class="form-group">
+            <label for="parallel-set-match">Matches set names containing (comma separated)</label>
+            <input type="text" id="parallel-set-match" value="${escapeHtml(set.match.join(', '))}">
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="parallel-set-from">From Year</label>
+              <input type="number" id="parallel-set-from" value="${set.years?.from || ''}" placeholder="Any">
+            </div>
+            <div class="form-group">
+              <label for="parallel-set-to">To Year</label>
+              <input type="number" id="parallel-set-to" value="${set.years?.to || ''}" placeholder="Any">
+            </div>
+          </div>
+          <div class="form-group">
+            <label>Parallels</label>
+            <div id="parallel-rows">${set.parallels.map(parallelRow).join('')}</div>
+            <button type="button" class="btn btn-secondary btn-sm" id="parallel-add">Add Parallel</button>
+          </div>
+        ` : '<p class="empty-state">No sets yet</p>'}
+        <div class="modal-actions">
+          <button class="btn btn-secondary" id="parallel-new-set">New Set</button>
+          ${set ? `<button class="btn btn-secondary" id="parallel-remove-set">${builtinIds.has(set.id) ? 'Reset Set' : 'Delete Set'}</button>` : ''}
+          <button class="btn btn-secondary" id="parallel-cancel">Cancel</button>
+          <button class="btn btn-primary" id="parallel-save">Save</button>
+        </div>
+      `;
+
+      $('#parallel-set').addEventListener('change', (e) => {
+        readSet();
+        current = e.target.value;
+        render();
+      });
+      $('#parallel-add')?.addEventListener('click', () => {
+        $('#parallel-rows').insertAdjacentHTML('beforeend', parallelRow());
+      });
+      $('#parallel-rows')?.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="remove"]')) e.target.closest('.parallel-row').remove();
+      });
+      $('#parallel-new-set').addEventListener('click', () => {
+        readSet();
+        const id = `custom-${Date.now().toString(36)}`;
+        working.push(normalizeSet({ id, name: '', match: [], parallels: [] }));
+        current = id;
+        render();
+        $('#parallel-set-name').focus();
+      });
+      $('#parallel-remove-set')?.addEventListener('click', () => {
+        const index = working.findIndex(s => s.id === current);
+        if (builtinIds.has(current)) {
+          working[index] = normalizeSet(BUILTIN_SETS.find(s => s.id === current));
+        } else {
+          working.splice(index, 1);
+          current = working[0]?.id || null;
+        }
+        render();
+      });
+      $('#parallel-cancel').addEventListener('click', () => close(false));
+      $('#parallel-save').addEventListener('click', save);
+    };
+
+    const close = (result) => {
+      overlay.classList.add('hidden');
+      modal.classList.remove('modal-scroll');
+      restoreModalDOM();
+      resolve(result);
+    };
+
+    const save = async () => {
+      readSet();
+      const incomplete = working.find(s => !s.name || s.match.length === 0);
+      if (incomplete) {
+        current = incomplete.id;
+        render();
+        toast('Each set needs a name and at least one set name to match', 'warning');
+        return;
+      }
+      // Only store sets that differ from the built-in catalog
+      const builtins = new Map(BUILTIN_SETS.map(s => [s.id, JSON.stringify(normalizeSet(s))]));
+      const sets = working.filter(s => builtins.get(s.id) !== JSON.stringify(s));
+      try {
+        await db.setSetting('parallelCatalog', { sets });
+        catalog = mergeCatalog({ sets });
+        window.dispatchEvent(new CustomEvent('settings-changed'));
+        close(true);
+      } catch (err) {
+        toast('Could not save catalog: ' + err.message, 'error');
+      }
+    };
+
+    modal.classList.add('modal-scroll');
+    render();
+    overlay.classList.remove('hidden');
+  });
+}
+
+export async function initParallels() {
+  await loadParallelCatalog();
+  // Settings can also change through sync and backup imports
+  window.addEventListener('settings-changed', () => loadParallelCatalog());
+  window.addEventListener('data-imported', () => loadParallelCatalog());
+  wireParallelPicker();
+  $('#btn-parallel-catalog').addEventListener('click', async () => {
+    if (await showParallelCatalogEditor()) toast('Parallel catalog saved', 'success');
+  });
+}
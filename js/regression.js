@@ -0,0 +1,354 @@
+// Identification regression runs — labeled fixture photos through the pipeline, field accuracy and confusion matrices
+
+import { $, escapeHtml, restoreModalDOM } from './ui.js';
+import { processPhoto, stripDataUri } from './camera.js';
+import { identifyCard, analyzeCardColors, PROMPT_VERSION } from './ai.js';
+import { registerProvider } from './ai-providers.js';
+import { builtinParallelCatalog } from './parallels.js';
+
+// Fields scored when a case's expected answer includes them
+const SCORED_FIELDS = ['year', 'brand', 'setName', 'subset', 'parallel', 'cardNumber', 'player', 'team', 'serialNumber'];
+const NO_PARALLEL = 'Base';
+const NO_COLOR = 'none';
+
+/*
+ * A fixture folder holds card photos plus a labels.json:
+ *   { "cases": [{ "name", "front", "back", "expected": { year, setName,
+ *     parallel, cardNumber, ... }, "borderColor", "response" }] }
+ * front/back are file names in the folder (back optional), borderColor is
+ * what analyzeCardColors should call the border (e.g. "purple") and
+ * response is a recorded model reply for offline replay. An exported
+ * transcript file works too once each case has its front photo named.
+ */
+
+// Recorded replies by front image, answered by the replay provider
+const recorded = new Map();
+
+const replayProvider = {
+  id: 'replay',
+  label: 'Recorded responses',
+
+  async send(config, req) {
+    const front = req.content.find(block => block.type === 'image');
+    const text = front && recorded.get(front.data);
+    if (!text) throw new Error('No recorded response for this photo');
+    return { text, model: 'replay', usage: { inputTokens: null, outputTokens: null } };
+  },
+};
+
+// ===== Fixtures =====
+
+/** Cases from a picked folder, with their photo files attached */
+async function loadFixtures(files) {
+  const byName = new Map(files.map(f => [f.name, f]));
+  const labels = byName.get('labels.json');
+  if (!labels) throw new Error('The folder needs a labels.json describing each card');
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await labels.text());
+  } catch {
+    throw new Error('labels.json is not valid JSON');
+  }
+  const cases = Array.isArray(manifest) ? manifest : manifest.cases;
+  if (!Array.isArray(cases) || cases.length === 0) throw new Error('labels.json has no cases');
+
+  return cases.map((c, i) => ({
+    ...c,
+    name: c.name || c.front || `Case ${i + 1}`,
+    frontFile: c.front ? byName.get(c.front) || null : null,
+    backFile: c.back ? byName.get(c.back) || null : null,
+  }));
+}
+
+// ===== Scoring =====
+
+function normalizeValue(field, value) {
+  let v = String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (field === 'cardNumber') v = v.replace(/^(#|no\.?)\s*/, '');
+  if (field === 'parallel' && v === NO_PARALLEL.toLowerCase()) v = '';
+  return v;
+}
+
+/** Color names like "gold/yellow" match either half */
+function colorMatches(expected, actual) {
+  if (!expected) return true;
+  const want = expected.trim().toLowerCase();
+  const got = (actual || NO_COLOR).toLowerCase();
+  return got === want || got.split('/').includes(want);
+}
+
+function countInto(matrix, expected, actual) {
+  matrix[expected] = matrix[expected] || {};
+  matrix[expected][actual] = (matrix[expected][actual] || 0) + 1;
+}
+
+/** Compare one case's result with its labels and add it to the report totals */
+function scoreCase(report, fixture, aiData, colorInfo) {
+  const result = { name: fixture.name, status: 'ok', mismatches: [], color: null };
+  const expected = fixture.expected || {};
+
+  if (aiData) {
+    for (const field of SCORED_FIELDS) {
+      if (!(field in expected)) continue;
+      const stats = report.fields[field] = report.fields[field] || { correct: 0, total: 0 };
+      stats.total++;
+      if (normalizeValue(field, expected[field]) === normalizeValue(field, aiData[field])) {
+        stats.correct++;
+      } else {
+        result.mismatches.push({ field, expected: expected[field] || '', actual: aiData[field] || '' });
+      }
+    }
+    if ('parallel' in expected) {
+      countInto(report.parallelMatrix, expected.parallel || NO_PARALLEL, aiData.parallel || NO_PARALLEL);
+    }
+  }
+
+  if (fixture.borderColor) {
+    const actual = colorInfo ? colorInfo.name : NO_COLOR;
+    const matched = colorMatches(fixture.borderColor, actual);
+    result.color = { expected: fixture.borderColor, actual, confidence: colorInfo ? colorInfo.confidence : null, matched };
+    report.color.total++;
+    if (matched) report.color.correct++;
+    countInto(report.colorMatrix, fixture.borderColor.toLowerCase(), actual);
+  }
+
+  if (result.mismatches.length > 0 || (result.color && !result.color.matched)) result.status = 'mismatch';
+  return result;
+}
+
+// ===== Running =====
+
+/**
+ * Run fixtures through identification. mode is 'replay' (recorded
+ * responses, no network), 'live' (the configured provider — point the
+ * OpenAI-compatible endpoint at a mock server to stay offline) or 'colors'
+ * (border color analysis only). onProgress(done, total) reports progress.
+ * Parallels are checked against the built-in catalog, not the user's edited
+ * one, so the same fixtures always score the same; checklists aren't applied.
+ */
+export async function runRegression(fixtures, mode, onProgress = () => {}) {
+  const report = {
+    mode,
+    ranAt: new Date().toISOString(),
+    promptVersion: PROMPT_VERSION,
+    parallelCatalog: 'built-in',
+    fields: {},
+    color: { correct: 0, total: 0 },
+    parallelMatrix: {},
+    colorMatrix: {},
+    cases: [],
+  };
+  // Live replies, so a live run can be saved as the next replay set
+  const responses = new Map();
+  const parallelCatalog = builtinParallelCatalog();
+
+  for (let i = 0; i < fixtures.length; i++) {
+    const fixture = fixtures[i];
+    onProgress(i, fixtures.length);
+
+    if (!fixture.frontFile) {
+      report.cases.push({ name: fixture.name, status: 'skipped', error: `Front photo ${fixture.front ? `"${fixture.front}" not found` : 'not named'}` });
+      continue;
+    }
+    if (mode === 'replay' && !fixture.response) {
+      report.cases.push({ name: fixture.name, status: 'skipped', error: 'No recorded response' });
+      continue;
+    }
+
+    try {
+      const front = await processPhoto(fixture.frontFile);
+      if (mode === 'colors') {
+        report.cases.push(scoreCase(report, fixture, null, await analyzeCardColors(front.apiBase64)));
+        continue;
+      }
+
+      const back = fixture.backFile ? await processPhoto(fixture.backFile) : null;
+      if (mode === 'replay') recorded.set(stripDataUri(front.apiBase64), fixture.response);
+      const aiData = await identifyCard(front.apiBase64, back ? back.apiBase64 : null, null, {
+        useCache: false,
+        transcript: true,
+        providerId: mode === 'replay' ? replayProvider.id : null,
+        parallelCatalog,
+      });
+      const transcript = aiData._transcript;
+      responses.set(fixture, transcript.response);
+      report.cases.push(scoreCase(report, fixture, aiData, transcript.colorAnalysis));
+    } catch (err) {
+      report.cases.push({ name: fixture.name, status: 'error', error: err.message });
+    } finally {
+      recorded.clear();
+    }
+  }
+
+  onProgress(fixtures.length, fixtures.length);
+  return { report, responses };
+}
+
+// ===== Report =====
+
+function percent(correct, total) {
+  return total > 0 ? `${Math.round(correct / total * 100)}%` : '—';
+}
+
+function matrixHtml(title, matrix) {
+  const rows = Object.keys(matrix).sort();
+  if (rows.length === 0) return '';
+  const cols = [...new Set(rows.flatMap(r => Object.keys(matrix[r])))].sort();
+  return `
+    <h4>${title}</h4>
+    <div class="confusion-scroll">
+      <table class="confusion-matrix">
+        <tr><th>Expected ↓ / Got →</th>${cols.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr>
+        ${rows.map(r => `
+          <tr>
+            <th>${escapeHtml(r)}</th>
+            ${cols.map(c => {
+              const count = matrix[r][c] || 0;
+              const cls = count === 0 ? '' : r.toLowerCase() === c.toLowerCase() ? 'hit' : 'miss';
+              return `<td class="${cls}">${count || ''}</td>`;
+            }).join('')}
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+  `;
+}
+
+function reportHtml(report) {
+  const counts = { ok: 0, mismatch: 0, skipped: 0, error: 0 };
+  for (const c of report.cases) counts[c.status]++;
+  const fields = Object.entries(report.fields);
+
+  return `
+    <p class="regression-summary">
+      ${counts.ok} passed · ${counts.mismatch} mismatched · ${counts.error} failed · ${counts.skipped} skipped
+    </p>
+    <p class="regression-help">Parallels checked against the built-in catalog; your catalog edits and checklists aren't applied.</p>
+    ${fields.length > 0 ? `
+      <h4>Field Accuracy</h4>
+      <table class="regression-fields">
+        ${fields.map(([field, s]) => `<tr><td>${field}</td><td>${s.correct}/${s.total}</td><td>${percent(s.correct, s.total)}</td></tr>`).join('')}
+      </table>
+    ` : ''}
+    ${report.color.total > 0 ? `<p class="regression-summary">Border color: ${report.color.correct}/${report.color.total} (${percent(report.color.correct, report.color.total)})</p>` : ''}
+    ${matrixHtml('Parallels', report.parallelMatrix)}
+    ${matrixHtml('Border Colors', report.colorMatrix)}
+    <h4>Cases</h4>
+    <div class="regression-cases">
+      ${report.cases.filter(c => c.status !== 'ok').map(c => `
+        <div class="regression-case ${c.status}">
+          <strong>${escapeHtml(c.name)}</strong>
+          ${c.error ? `<span>${escapeHtml(c.error)}</span>` : ''}
+          ${(c.mismatches || []).map(m => `<span>${m.field}: expected "${escapeHtml(m.expected)}", got "${escapeHtml(m.actual)}"</span>`).join('')}
+          ${c.color && !c.color.matched ? `<span>border: expected ${escapeHtml(c.color.expected)}, got ${escapeHtml(c.color.actual)}${c.color.confidence ? ` (${c.color.confidence})` : ''}</span>` : ''}
+        </div>
+      `).join('') || '<p class="empty-state" style="padding:8px 0">Every case matched</p>'}
+    </div>
+  `;
+}
+
+function downloadJson(data, fileName) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** labels.json with this run's live replies recorded, for later replay runs */
+function recordingFor(fixtures, responses) {
+  return {
+    promptVersion: PROMPT_VERSION,
+    recordedAt: new Date().toISOString(),
+    cases: fixtures.map(fixture => {
+      const { frontFile, backFile, ...labels } = fixture;
+      return responses.has(fixture) ? { ...labels, response: responses.get(fixture) } : labels;
+    }),
+  };
+}
+
+// ===== Runner =====
+
+export function showRegressionRunner() {
+  const overlay = document.getElementById('modal-overlay');
+  const modal = overlay.querySelector('.modal');
+  let fixtures = null;
+  let lastRun = null;
+
+  modal.classList.add('modal-scroll');
+  modal.innerHTML = `
+    <h3>Identification Tests</h3>
+    <p class="regression-help">Pick a folder of card photos with a labels.json giving each card's expected details, then run it after changing the prompt or color analysis to see what got better or worse.</p>
+    <div class="form-group">
+      <label for="regression-folder">Fixture Folder</label>
+      <input type="file" id="regression-folder" webkitdirectory multiple>
+    </div>
+    <div class="form-group">
+      <label for="regression-mode">Answer With</label>
+      <select id="regression-mode">
+        <option value="replay">Recorded responses (offline)</option>
+        <option value="live">AI provider from Settings (makes API calls)</option>
+        <option value="colors">Border color analysis only (offline)</option>
+      </select>
+    </div>
+    <p id="regression-status" class="regression-summary"></p>
+    <div id="regression-report"></div>
+    <div class="modal-actions">
+      <button class="btn btn-secondary" id="regression-close">Close</button>
+      <button class="btn btn-secondary hidden" id="regression-recording">Save Recording</button>
+      <button class="btn btn-secondary hidden" id="regression-download">Download Report</button>
+      <button class="btn btn-primary" id="regression-run" disabled>Run</button>
+    </div>
+  `;
+  overlay.classList.remove('hidden');
+
+  $('#regression-folder').addEventListener('change', async (e) => {
+    try {
+      fixtures = await loadFixtures([...e.target.files]);
+      $('#regression-status').textContent = `${fixtures.length} case${fixtures.length !== 1 ? 's' : ''} loaded`;
+      $('#regression-run').disabled = false;
+    } catch (err) {
+      fixtures = null;
+      $('#regression-status').textContent = err.message;
+      $('#regression-run').disabled = true;
+    }
+  });
+
+  $('#regression-run').addEventListener('click', async () => {
+    const mode = $('#regression-mode').value;
+    const runBtn = $('#regression-run');
+    runBtn.disabled = true;
+    $('#regression-report').innerHTML = '';
+    $('#regression-download').classList.add('hidden');
+    $('#regression-recording').classList.add('hidden');
+
+    lastRun = await runRegression(fixtures, mode, (done, total) => {
+      $('#regression-status').textContent = done < total ? `Running case ${done + 1} of ${total}...` : `Ran ${total} cases`;
+    });
+    $('#regression-report').innerHTML = reportHtml(lastRun.report);
+    $('#regression-download').classList.remove('hidden');
+    $('#regression-recording').classList.toggle('hidden', mode !== 'live' || lastRun.responses.size === 0);
+    runBtn.disabled = false;
+  });
+
+  $('#regression-download').addEventListener('click', () => {
+    downloadJson(lastRun.report, `identification-report-${lastRun.report.ranAt.split('T')[0]}.json`);
+  });
+  $('#regression-recording').addEventListener('click', () => {
+    downloadJson(recordingFor(fixtures, lastRun.responses), 'labels.json');
+  });
+
+  $('#regression-close').addEventListener('click', () => {
+    overlay.classList.add('hidden');
+    modal.classList.remove('modal-scroll');
+    restoreModalDOM();
+  });
+}
+
+export function initRegression() {
+  registerProvider(replayProvider);
+  $('#btn-regression-tests').addEventListener('click', showRegressionRunner);
+}
@@ -0,0 +1,263 @@
+// Batch identification queue — jobs persisted in IndexedDB, concurrent workers, pause/resume/cancel
+
+import * as db from './db.js';
+import { uuid } from './card-model.js';
+import { isTransientError, isAiConfigured } from './ai-providers.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 4;
+// Temporary failures (rate limits, server errors, offline) before a job errors out
+const MAX_ATTEMPTS = 4;
+const BACKOFF_BASE_MS = 5000;
+
+let jobs = [];          // every queued job, in queue order — mirrors the scanJobs store
+let state = 'idle';     // 'idle' | 'running' | 'paused'
+let workers = 0;        // workers still looping
+let backoffUntil = 0;   // after a rate limit every worker waits until this time
+let processJob = null;  // async (job) => card, supplied by the app
+let runDone = 0;        // outcome counts for the current run
+let runFailed = 0;
+let runJobIds = [];     // jobs the current run finished, for the review carousel
+
+/*
+ * A job is { id, seq, status, photo, backPhoto, attempts, error, cardId,
+ * duplicateOf } where status is 'pending' | 'identifying' | 'done' | 'error'
+ * and duplicateOf is an existing card the processor found the saved one may
+ * duplicate. Photos keep only what identification and the saved card need;
+ * once a job is done just the thumbnail stays for the progress list.
+ */
+
+function notify(detail = {}) {
+  window.dispatchEvent(new CustomEvent('scan-queue-changed', { detail }));
+}
+
+function keepPhoto(photo) {
+  if (!photo) return null;
+  return { apiBase64: photo.apiBase64, thumbnailBase64: photo.thumbnailBase64, imageBlob: photo.imageBlob };
+}
+
+async function saveState(next) {
+  state = next;
+  await db.setSetting('scanQueueState', state);
+}
+
+async function getConcurrency() {
+  const saved = parseInt(await db.getSetting('scanConcurrency'), 10);
+  return Math.min(MAX_CONCURRENCY, Math.max(1, saved || DEFAULT_CONCURRENCY));
+}
+
+/**
+ * Load saved jobs and pick up where a reloaded tab left off. processor
+ * turns one job into a saved card (or throws).
+ */
+export async function initScanQueue(processor) {
+  processJob = processor;
+  jobs = await db.getScanJobs();
+
+  // Jobs that were mid-request when the tab closed start over
+  const interrupted = jobs.filter(j => j.status === 'identifying');
+  for (const job of interrupted) job.status = 'pending';
+  if (interrupted.length > 0) await db.saveScanJobs(interrupted);
+
+  const saved = (await db.getSetting('scanQueueState')) || 'idle';
+  const hasPending = jobs.some(j => j.status === 'pending');
+  state = saved === 'paused' && hasPending ? 'paused' : 'idle';
+  notify();
+
+  if (saved === 'running' && hasPending) {
+    // Without a key every resumed job would just fail — hold them until one is added
+    if (!(await isAiConfigured())) {
+      await saveState('paused');
+      notify({ resumeBlocked: true });
+      return;
+    }
+    notify({ resumed: true });
+    startQueue();
+  }
+}
+
+export function getJobs() {
+  return jobs;
+}
+
+export function getQueueState() {
+  return state;
+}
+
+/** Counts by status, for progress display */
+export function queueProgress() {
+  const counts = { pending: 0, identifying: 0, done: 0, error: 0 };
+  for (const job of jobs) counts[job.status]++;
+  return { ...counts, total: jobs.length };
+}
+
+/** Queue photos for identification: items are { photo, backPhoto } */
+export async function addJobs(items) {
+  let seq = jobs.length > 0 ? jobs[jobs.length - 1].seq + 1 : 1;
+  const added = items.map(({ photo, backPhoto }) => ({
+    id: uuid(),
+    seq: seq++,
+    status: 'pending',
+    photo: keepPhoto(photo),
+    backPhoto: keepPhoto(backPhoto),
+    attempts: 0,
+    error: null,
+    cardId: null,
+    duplicateOf: null,
+  }));
+  await db.saveScanJobs(added);
+  jobs.push(...added);
+  notify();
+  return added;
+}
+
+/** A job that couldn't be processed at all (e.g. the photo failed to load) */
+export async function addFailedJob(error) {
+  const [job] = await addJobs([{ photo: null, backPhoto: null }]);
+  job.status = 'error';
+  job.error = error;
+  await db.saveScanJobs([job]);
+  notify();
+}
+
+export async function removeJob(id) {
+  const job = jobs.find(j => j.id === id);
+  if (!job || job.status === 'identifying') return;
+  jobs = jobs.filter(j => j !== job);
+  await db.deleteScanJobs([id]);
+  notify();
+}
+
+/** Drop jobs with the given statuses (all but in-flight ones by default) */
+export async function clearJobs(statuses = ['pending', 'done', 'error']) {
+  const removed = jobs.filter(j => statuses.includes(j.status));
+  jobs = jobs.filter(j => !statuses.includes(j.status));
+  await db.deleteScanJobs(removed.map(j => j.id));
+  if (!jobs.some(j => j.status === 'pending') && state === 'paused') await saveState('idle');
+  notify();
+}
+
+/** Put a failed job back in line; a running queue picks it up */
+export async function retryJob(id) {
+  const job = jobs.find(j => j.id === id);
+  if (!job || job.status !== 'error' || !job.photo) return;
+  job.status = 'pending';
+  job.attempts = 0;
+  job.error = null;
+  await db.saveScanJobs([job]);
+  notify();
+}
+
+// ===== Running =====
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/** Start (or resume) identifying pending jobs */
+export async function startQueue() {
+  if (!processJob || state === 'running') return;
+  if (!jobs.some(j => j.status === 'pending')) return;
+  // A new run, unless this resumes a paused one
+  if (state === 'idle') {
+    runDone = 0;
+    runFailed = 0;
+    runJobIds = [];
+  }
+  await saveState('running');
+  notify();
+
+  // Workers from before a pause may still be finishing their last job
+  const needed = (await getConcurrency()) - workers;
+  for (let i = 0; i < needed; i++) {
+    runWorker().catch(err => {
+      console.error('[ScanQueue] Worker stopped:', err);
+      notify({ error: `Identification stopped — ${err.message}` });
+    });
+  }
+}
+
+/** Stop taking new jobs; ones already sent to the AI still finish */
+export async function pauseQueue() {
+  if (state !== 'running') return;
+  await saveState('paused');
+  notify();
+}
+
+/** Stop the run and drop everything not yet identified */
+export async function cancelQueue() {
+  await saveState('idle');
+  await clearJobs(['pending']);
+}
+
+async function runWorker() {
+  workers++;
+  try {
+    while (state === 'running') {
+      const wait = backoffUntil - Date.now();
+      if (wait > 0) {
+        await sleep(Math.min(wait, 1000));
+        continue;
+      }
+      const job = jobs.find(j => j.status === 'pending');
+      if (!job) break;
+      await runJob(job).catch(err => jobCrashed(job, err));
+    }
+  } finally {
+    workers--;
+  }
+
+  // The last worker out closes the run — completed unless it was paused or cancelled
+  if (workers === 0) {
+    const completed = state === 'running';
+    if (completed) await saveState('idle');
+    notify({ finished: true, completed, done: runDone, failed: runFailed, jobIds: runJobIds });
+  }
+}
+
+/**
+ * Saving a job's progress failed. Its card may already be saved (status
+ * 'done'); otherwise the job errors out so it can be retried.
+ */
+function jobCrashed(job, err) {
+  console.error('[ScanQueue] Job failed:', err);
+  const message = `Couldn't save queue progress — ${err.message}`;
+  if (job.status !== 'done') {
+    job.status = 'error';
+    job.error = message;
+    runFailed++;
+  }
+  notify({ error: message });
+}
+
+async function runJob(job) {
+  job.status = 'identifying';
+  await db.saveScanJobs([job]);
+  notify();
+
+  try {
+    const card = await processJob(job);
+    job.status = 'done';
+    job.cardId = card.id;
+    job.error = null;
+    job.photo = { thumbnailBase64: job.photo.thumbnailBase64 };
+    job.backPhoto = job.backPhoto ? { thumbnailBase64: job.backPhoto.thumbnailBase64 } : null;
+    runDone++;
+    runJobIds.push(job.id);
+  } catch (err) {
+    job.attempts++;
+    if (isTransientError(err) && job.attempts < MAX_ATTEMPTS) {
+      // Back in line; every worker holds off so a rate limit can clear
+      job.status = 'pending';
+      job.error = `Waiting to retry — ${err.message}`;
+      const delay = err.retryAfterMs || BACKOFF_BASE_MS * 2 ** (job.attempts - 1);
+      backoffUntil = Math.max(backoffUntil, Date.now() + delay);
+    } else {
+      job.status = 'error';
+      job.error = err.message || 'AI identification failed';
+      runFailed++;
+    }
+  }
+
+  // The job may have been cleared while it was running
+  if (jobs.includes(job)) await db.saveScanJobs([job]);
+  notify();
+}
@@ -7,6 +7,23 @@ const PADDING_RATIO = 0.08; // White border = 8% of card dimension
 const MIN_AREA_RATIO = 0.18; // Card must be at least 18% of image area (rejects barcodes/text on white backs)
 const MAX_AREA_RATIO = 0.95; // Reject contours covering >95% of image (image boundary)
 
+// Sheet mode: several cards laid out in one photo
+const SHEET_MAX_DIMENSION = 3000; // Work at up to 3000px so each card keeps enough detail
+const SHEET_DETECT_SIZE = 1000; // Cards are small in frame, so detect at a higher size than single mode
+const SHEET_MIN_AREA_RATIO = 0.015; // A card in a 3x3 layout is ~5-10% of the photo
+const SHEET_MAX_AREA_RATIO = 0.35; // Two or more cards' worth is one merged blob, not a card
+const SHEET_EXPANSION = 0.02; // Fixed small expansion — adaptive expansion would reach into neighbors
+const MAX_SHEET_CARDS = 12;
+
+// Centering measurement on the straightened card
+const CENTERING_LINES = 21; // Scan lines per side, across the middle 60% of the edge
+const CENTERING_PAD_WHITE = 235; // Every channel at least this bright in a scan's white padding
+const CENTERING_MAX_BACKGROUND = 0.035; // Crop expansion (at most 6% about the center) leaves under 3.5% of background per side
+const CENTERING_EDGE_SKIP = 0.015; // Skip the outer 1.5% — detected edges land a pixel or two off
+const CENTERING_MAX_BORDER = 0.3; // Past 30% of the card it isn't a border any more
+const CENTERING_COLOR_STEP = 45; // RGB distance where the border ends and the design begins
+const CENTERING_RUN = 3; // Pixels in a row past the step, so print noise doesn't end a border early
+
 let cvReady = false;
 let cvLoading = null;
 
@@ -588,6 +605,214 @@ function orderCorners(pts) {
   return [tl, tr, br, bl];
 }
 
+// ===== Sheet Detection =====
+
+/** Area of a quad from its ordered corners (shoelace formula) */
+function quadArea(corners) {
+  return Math.abs(
+    (corners[0].x * corners[1].y - corners[1].x * corners[0].y) +
+    (corners[1].x * corners[2].y - corners[2].x * corners[1].y) +
+    (corners[2].x * corners[3].y - corners[3].x * corners[2].y) +
+    (corners[3].x * corners[0].y - corners[0].x * corners[3].y)
+  ) / 2;
+}
+
+/**
+ * Find every card-shaped contour in a binary image (sheet mode).
+ * Returns [{ corners, area, score }] where score is how well the contour
+ * fills its quad — touching cards or shadows fill it poorly.
+ */
+function findCardQuads(binary, imgArea) {
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  const quads = [];
+
+  try {
+    cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i);
+      const area = cv.contourArea(contour);
+      if (area < imgArea * SHEET_MIN_AREA_RATIO || area > imgArea * SHEET_MAX_AREA_RATIO) continue;
+
+      // Prefer a clean 4-corner approximation, else the tightest rotated rect
+      let pts = null;
+      const peri = cv.arcLength(contour, true);
+      for (const eps of [0.02, 0.03, 0.04, 0.05]) {
+        const approx = new cv.Mat();
+        cv.approxPolyDP(contour, approx, eps * peri, true);
+        if (approx.rows === 4 && cv.isContourConvex(approx)) {
+          pts = [];
+          for (let j = 0; j < 4; j++) {
+            pts.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
+          }
+        }
+        approx.delete();
+        if (pts) break;
+      }
+      if (!pts) {
+        const vertices = cv.RotatedRect.points(cv.minAreaRect(contour));
+        pts = vertices.map(v => ({ x: Math.round(v.x), y: Math.round(v.y) }));
+      }
+
+      const corners = orderCorners(pts);
+      const widthTop = Math.hypot(corners[1].x - corners[0].x, corners[1].y - corners[0].y);
+      const widthBottom = Math.hypot(corners[2].x - corners[3].x, corners[2].y - corners[3].y);
+      const heightLeft = Math.hypot(corners[3].x - corners[0].x, corners[3].y - corners[0].y);
+      const heightRight = Math.hypot(corners[2].x - corners[1].x, corners[2].y - corners[1].y);
+      const avgW = (widthTop + widthBottom) / 2;
+      const avgH = (heightLeft + heightRight) / 2;
+      const ratio = Math.min(avgW, avgH) / Math.max(avgW, avgH);
+
+      // Sheets are shot from above, so hold the 5:7 ratio tighter than single mode
+      if (ratio < 0.6 || ratio > 0.82) continue;
+      const score = area / Math.max(1, quadArea(corners));
+      if (score < 0.85) continue;
+
+      quads.push({ corners, area, score });
+    }
+    return quads;
+  } finally {
+    contours.delete();
+    hierarchy.delete();
+  }
+}
+
+/** Binary images to search for cards: brightness, saturation and edges, each both ways */
+function sheetBinaries(src) {
+  const binaries = [];
+  const gray = new cv.Mat();
+  cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+
+  // Brightness (Otsu) — cards vs. a plain table
+  const filtered = new cv.Mat();
+  cv.bilateralFilter(gray, filtered, 9, 75, 75);
+  const otsu = new cv.Mat();
+  cv.threshold(filtered, otsu, 0, 255, cv.THRESH_BINARY + cv.THRESH_OTSU);
+  filtered.delete();
+  binaries.push(otsu);
+
+  // Saturation — cards vs. a colored surface. A small closing kernel so
+  // neighboring cards don't merge across the gap between them.
+  const rgb = new cv.Mat();
+  const hsv = new cv.Mat();
+  const channels = new cv.MatVector();
+  cv.cvtColor(src, rgb, cv.COLOR_RGBA2RGB);
+  cv.cvtColor(rgb, hsv, cv.COLOR_RGB2HSV);
+  cv.split(hsv, channels);
+  const satChannel = channels.get(1);
+  const saturation = new cv.Mat();
+  cv.threshold(satChannel, saturation, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+  satChannel.delete();
+  rgb.delete();
+  hsv.delete();
+  channels.delete();
+  binaries.push(saturation);
+
+  // Edges — catches cards that match the table in both brightness and color
+  const edges = new cv.Mat();
+  cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+  const median = computeMedianGray(gray);
+  cv.Canny(gray, edges, Math.max(15, Math.round(median * 0.5)), Math.min(250, Math.round(median * 1.3)));
+  gray.delete();
+
+  const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(5, 5));
+  for (const binary of binaries) {
+    cv.morphologyEx(binary, binary, cv.MORPH_CLOSE, kernel);
+    cv.morphologyEx(binary, binary, cv.MORPH_OPEN, kernel);
+  }
+  cv.morphologyEx(edges, edges, cv.MORPH_CLOSE, kernel);
+  kernel.delete();
+
+  // Inverted copies for cards darker than the table
+  for (const binary of [...binaries]) {
+    const inverted = new cv.Mat();
+    cv.bitwise_not(binary, inverted);
+    binaries.push(inverted);
+  }
+  binaries.push(edges);
+  return binaries;
+}
+
+function quadCenter(corners) {
+  return {
+    x: corners.reduce((sum, c) => sum + c.x, 0) / 4,
+    y: corners.reduce((sum, c) => sum + c.y, 0) / 4,
+  };
+}
+
+function quadBounds(corners) {
+  const xs = corners.map(c => c.x);
+  const ys = corners.map(c => c.y);
+  return { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) };
+}
+
+function insideBounds(point, b) {
+  return point.x >= b.left && point.x <= b.right && point.y >= b.top && point.y <= b.bottom;
+}
+
+/**
+ * Detect every card in a photo of several cards laid out on a table.
+ * Returns corner quads in original image coordinates, in reading order
+ * (top row first, left to right). Empty if none were found.
+ */
+function detectCardQuads(canvas) {
+  const origW = canvas.width;
+  const origH = canvas.height;
+  const scale = Math.min(SHEET_DETECT_SIZE / origW, SHEET_DETECT_SIZE / origH, 1);
+  const dw = Math.round(origW * scale);
+  const dh = Math.round(origH * scale);
+
+  const small = new cv.Mat();
+  const src = cv.imread(canvas);
+  cv.resize(src, small, new cv.Size(dw, dh));
+  src.delete();
+
+  // Pool candidates from every binarization, best-fitting first
+  const candidates = [];
+  for (const binary of sheetBinaries(small)) {
+    candidates.push(...findCardQuads(binary, dw * dh));
+    binary.delete();
+  }
+  small.delete();
+  candidates.sort((a, b) => b.score - a.score || b.area - a.area);
+
+  // The same card turns up in several binaries — keep one per spot
+  let quads = [];
+  for (const candidate of candidates) {
+    const center = quadCenter(candidate.corners);
+    const bounds = quadBounds(candidate.corners);
+    const overlaps = quads.some(q => insideBounds(center, quadBounds(q.corners))
+      || insideBounds(quadCenter(q.corners), bounds));
+    if (!overlaps) quads.push(candidate);
+  }
+
+  // Cards on one sheet are about the same size; drop merged pairs and scraps
+  if (quads.length >= 3) {
+    const areas = quads.map(q => q.area).sort((a, b) => a - b);
+    const median = areas[Math.floor(areas.length / 2)];
+    quads = quads.filter(q => q.area < median * 1.7 && q.area > median * 0.5);
+  }
+  quads = quads.slice(0, MAX_SHEET_CARDS);
+
+  // Reading order: group into rows by center height, then left to right
+  const rowTolerance = quads.length
+    ? quads.reduce((sum, q) => sum + (quadBounds(q.corners).bottom - quadBounds(q.corners).top), 0) / quads.length / 2
+    : 0;
+  const byHeight = quads.map(q => ({ corners: q.corners, center: quadCenter(q.corners) }))
+    .sort((a, b) => a.center.y - b.center.y);
+  const rows = [];
+  for (const quad of byHeight) {
+    const row = rows.find(r => Math.abs(r[0].center.y - quad.center.y) < rowTolerance);
+    if (row) row.push(quad);
+    else rows.push([quad]);
+  }
+
+  return rows
+    .flatMap(row => row.sort((a, b) => a.center.x - b.center.x))
+    .map(q => q.corners.map(c => ({ x: Math.round(c.x / scale), y: Math.round(c.y / scale) })));
+}
+
 // ===== Perspective Correction =====
 
 /**
@@ -609,31 +834,11 @@ function expandCorners(corners, expansionPct, maxW, maxH) {
   });
 }
 
-function applyPerspectiveCorrection(srcCanvas, corners) {
-  // Adaptive expansion based on how much of the image the detected quad covers.
-  // Small quad = likely found inner artwork boundary, need larger expansion to reach card edge.
-  // Large quad = close to card edge already or detection failed, expand less or not at all.
-  const imgArea = srcCanvas.width * srcCanvas.height;
-  const quadArea = Math.abs(
-    (corners[0].x * corners[1].y - corners[1].x * corners[0].y) +
-    (corners[1].x * corners[2].y - corners[2].x * corners[1].y) +
-    (corners[2].x * corners[3].y - corners[3].x * corners[2].y) +
-    (corners[3].x * corners[0].y - corners[0].x * corners[3].y)
-  ) / 2;
-  const coverageRatio = quadArea / imgArea;
-  // Always expand to ensure card corners are visible — critical for eBay buyers
-  // assessing card condition. Minimum 2% expansion even for close-up shots.
-  let expansionPct = 0.02;
-  if (coverageRatio < 0.55) {
-    expansionPct = 0.06; // Small in frame — likely found inner boundary, expand aggressively
-  } else if (coverageRatio < 0.80) {
-    expansionPct = 0.035; // Medium — moderate adjustment
-  }
-  // >80% coverage: still apply minimum 2% for corner visibility
-  if (expansionPct > 0) {
-    corners = expandCorners(corners, expansionPct, srcCanvas.width, srcCanvas.height);
-  }
-
+/**
+ * Warp the quad inside corners to an upright card-shaped rectangle.
+ * Returns { warped, outW, outH }; the caller deletes the warped Mat.
+ */
+function warpQuad(srcCanvas, corners) {
   const src = cv.imread(srcCanvas);
 
   // Calculate output dimensions from corners
@@ -675,6 +880,37 @@ function applyPerspectiveCorrection(srcCanvas, corners) {
   const warped = new cv.Mat();
   cv.warpPerspective(src, warped, M, new cv.Size(outW, outH), cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar(255, 255, 255, 255));
 
+  src.delete();
+  srcPts.delete();
+  dstPts.delete();
+  M.delete();
+
+  return { warped, outW, outH };
+}
+
+function applyPerspectiveCorrection(srcCanvas, corners, fixedExpansion = null) {
+  // Adaptive expansion based on how much of the image the detected quad covers.
+  // Small quad = likely found inner artwork boundary, need larger expansion to reach card edge.
+  // Large quad = close to card edge already or detection failed, expand less or not at all.
+  const imgArea = srcCanvas.width * srcCanvas.height;
+  const coverageRatio = quadArea(corners) / imgArea;
+  // Always expand to ensure card corners are visible — critical for eBay buyers
+  // assessing card condition. Minimum 2% expansion even for close-up shots.
+  let expansionPct = 0.02;
+  if (fixedExpansion !== null) {
+    expansionPct = fixedExpansion; // Caller knows the quad is the card's outer edge
+  } else if (coverageRatio < 0.55) {
+    expansionPct = 0.06; // Small in frame — likely found inner boundary, expand aggressively
+  } else if (coverageRatio < 0.80) {
+    expansionPct = 0.035; // Medium — moderate adjustment
+  }
+  // >80% coverage: still apply minimum 2% for corner visibility
+  if (expansionPct > 0) {
+    corners = expandCorners(corners, expansionPct, srcCanvas.width, srcCanvas.height);
+  }
+
+  const { warped, outW, outH } = warpQuad(srcCanvas, corners);
+
   // Place on white canvas with proportional padding (8% of card size)
   const pad = Math.round(Math.max(outW, outH) * PADDING_RATIO);
   const finalW = outW + pad * 2;
@@ -691,17 +927,198 @@ function applyPerspectiveCorrection(srcCanvas, corners) {
   outCanvas.height = finalH;
   cv.imshow(outCanvas, result);
 
-  // Cleanup
-  src.delete();
-  srcPts.delete();
-  dstPts.delete();
-  M.delete();
   warped.delete();
   result.delete();
 
   return outCanvas;
 }
 
+// ===== Centering Measurement =====
+
+/** Mean [r, g, b] of pixel(from) .. pixel(from + count - 1) */
+function averageColor(pixel, from, count) {
+  const ref = [0, 0, 0];
+  for (let i = from; i < from + count; i++) {
+    const p = pixel(i);
+    for (let c = 0; c < 3; c++) ref[c] += p[c] / count;
+  }
+  return ref;
+}
+
+/**
+ * First i in [from, to) where the color leaves ref for CENTERING_RUN
+ * pixels in a row, or null
+ */
+function colorStep(pixel, ref, from, to) {
+  let run = 0;
+  for (let i = from; i < to; i++) {
+    const [r, g, b] = pixel(i);
+    if (Math.hypot(r - ref[0], g - ref[1], b - ref[2]) > CENTERING_COLOR_STEP) {
+      if (++run === CENTERING_RUN) return i - CENTERING_RUN + 1;
+    } else {
+      run = 0;
+    }
+  }
+  return null;
+}
+
+/**
+ * Border width along one scan line: walk in from the edge until the color
+ * leaves the border's for CENTERING_RUN pixels in a row. pixel(i) is the
+ * [r, g, b] i pixels in from the edge. Null when the border never ends.
+ */
+function scanBorder(pixel, length) {
+  const skip = Math.max(2, Math.round(length * CENTERING_EDGE_SKIP));
+  const max = Math.round(length * CENTERING_MAX_BORDER);
+  return colorStep(pixel, averageColor(pixel, skip, 3), skip + 3, max);
+}
+
+/**
+ * One scan line of a stored scan, with pixel(0) at the crop bound: the
+ * background the scanner kept outside the card, then the border. A first
+ * color step close to the crop is the card edge; otherwise the crop is
+ * (background matching the border can't be told apart from it). edge
+ * skips the search. Returns { edge, border } in pixels, or null when the
+ * border never ends.
+ */
+function scanCardEdge(pixel, length, edge = null) {
+  if (edge === null) {
+    const band = Math.round(length * CENTERING_MAX_BACKGROUND);
+    edge = colorStep(pixel, averageColor(pixel, 1, 2), 3, band) ?? 0;
+  }
+  const border = scanBorder(i => pixel(edge + i), length - edge);
+  return border === null ? null : { edge, border };
+}
+
+/**
+ * Where the card photo sits in an image the scanner straightened: it pads
+ * each card with PADDING_RATIO of its long side in white, so the crop
+ * follows from the image size. Returns { x, y, width, height } in pixels,
+ * or null when the padding isn't there (a photo that wasn't straightened).
+ */
+function scanCropBounds({ data, width, height }) {
+  const pad = Math.round(Math.max(width, height) * PADDING_RATIO / (1 + 2 * PADDING_RATIO));
+  if (pad < 4) return null;
+  const inset = Math.round(pad / 2);
+  const white = (x, y) => {
+    const i = (y * width + x) * 4;
+    return data[i] >= CENTERING_PAD_WHITE && data[i + 1] >= CENTERING_PAD_WHITE && data[i + 2] >= CENTERING_PAD_WHITE;
+  };
+  for (let k = 1; k < 10; k++) {
+    const x = Math.round(width * k / 10);
+    const y = Math.round(height * k / 10);
+    if (!white(inset, y) || !white(width - 1 - inset, y) || !white(x, inset) || !white(x, height - 1 - inset)) return null;
+  }
+  return { x: pad, y: pad, width: width - 2 * pad, height: height - 2 * pad };
+}
+
+/**
+ * Median border width per side of a straightened card (fractions of its
+ * width/height) and how much the scan lines disagreed. Null when a side
+ * has no border to measure.
+ */
+function measureBorders({ data, width, height }) {
+  const at = (x, y) => {
+    const i = (y * width + x) * 4;
+    return [data[i], data[i + 1], data[i + 2]];
+  };
+  const lines = (size) => Array.from({ length: CENTERING_LINES },
+    (_, k) => Math.round(size * (0.2 + 0.6 * k / (CENTERING_LINES - 1))));
+
+  const scans = {
+    left: lines(height).map(y => scanBorder(i => at(i, y), width)),
+    right: lines(height).map(y => scanBorder(i => at(width - 1 - i, y), width)),
+    top: lines(width).map(x => scanBorder(i => at(x, i), height)),
+    bottom: lines(width).map(x => scanBorder(i => at(x, height - 1 - i), height)),
+  };
+
+  return summarizeBorders(scans, () => ({ x: 0, y: 0, width, height }));
+}
+
+/**
+ * measureBorders for a stored scan: lines start at the crop bounds and
+ * find the card edge before the border. Also returns card, the card's
+ * edge in pixels as { x, y, width, height }.
+ */
+function measureScanBorders({ data, width }, crop) {
+  const at = (x, y) => {
+    const i = (y * width + x) * 4;
+    return [data[i], data[i + 1], data[i + 2]];
+  };
+  const lines = (start, size) => Array.from({ length: CENTERING_LINES },
+    (_, k) => start + Math.round(size * (0.2 + 0.6 * k / (CENTERING_LINES - 1))));
+  const right = crop.x + crop.width - 1;
+  const bottom = crop.y + crop.height - 1;
+
+  const scan = (edge = null) => ({
+    left: lines(crop.y, crop.height).map(y => scanCardEdge(i => at(crop.x + i, y), crop.width, edge)),
+    right: lines(crop.y, crop.height).map(y => scanCardEdge(i => at(right - i, y), crop.width, edge)),
+    top: lines(crop.x, crop.width).map(x => scanCardEdge(i => at(x, crop.y + i), crop.height, edge)),
+    bottom: lines(crop.x, crop.width).map(x => scanCardEdge(i => at(x, bottom - i), crop.height, edge)),
+  });
+  const scans = scan();
+
+  // The crop was expanded evenly, so opposite sides keep the same background.
+  // When they disagree, the wider "background" is a thin border ending:
+  // measure both sides from the narrower one.
+  const edgeOf = (results) => {
+    const edges = results.filter(r => r !== null).map(r => r.edge).sort((a, b) => a - b);
+    return edges.length > 0 ? edges[Math.floor(edges.length / 2)] : 0;
+  };
+  for (const [a, b, length] of [['left', 'right', crop.width], ['top', 'bottom', crop.height]]) {
+    const edgeA = edgeOf(scans[a]);
+    const edgeB = edgeOf(scans[b]);
+    if (Math.abs(edgeA - edgeB) > Math.max(3, length * 0.01)) {
+      const rescan = scan(Math.min(edgeA, edgeB));
+      scans[a] = rescan[a];
+      scans[b] = rescan[b];
+    }
+  }
+
+  return summarizeBorders(scans, (edges) => ({
+    x: crop.x + edges.left,
+    y: crop.y + edges.top,
+    width: crop.width - edges.left - edges.right,
+    height: crop.height - edges.top - edges.bottom,
+  }));
+}
+
+/**
+ * Median border per side from scan results (widths, or { edge, border }),
+ * as fractions of the card's width/height, plus how much the lines
+ * disagreed. cardRect(edges) gives the card's edge from the median edge
+ * offsets. Null when a side has no border to measure.
+ */
+function summarizeBorders(scans, cardRect) {
+  const median = (values) => values[Math.floor(values.length / 2)];
+  const widths = {};
+  const edges = {};
+  let spread = 0;
+  for (const [side, results] of Object.entries(scans)) {
+    const found = results.filter(r => r !== null);
+    if (found.length < CENTERING_LINES / 2) return null;
+    const sorted = found.map(r => (typeof r === 'number' ? r : r.border)).sort((a, b) => a - b);
+    widths[side] = median(sorted);
+    edges[side] = median(found.map(r => (typeof r === 'number' ? 0 : r.edge)).sort((a, b) => a - b));
+    const q1 = sorted[Math.floor(sorted.length / 4)];
+    const q3 = sorted[Math.floor(sorted.length * 3 / 4)];
+    spread = Math.max(spread, (q3 - q1) / Math.max(widths[side], 1));
+  }
+
+  const card = cardRect(edges);
+  const borders = {};
+  for (const side of Object.keys(widths)) {
+    borders[side] = widths[side] / (side === 'left' || side === 'right' ? card.width : card.height);
+  }
+  return { borders, spread, card };
+}
+
+/** "55/45" — a's share of the two borders first */
+function centeringRatio(a, b) {
+  const share = Math.round(a / (a + b) * 100);
+  return `${share}/${100 - share}`;
+}
+
 // ===== Scanner UI =====
 
 let currentCorners = null;
@@ -1033,6 +1450,96 @@ export async function autoEnhance(fullBase64) {
   }
 }
 
+/**
+ * Measure a card's centering from a photo and the border on all four sides.
+ * A photo the scanner already straightened is measured from its known crop
+ * — running edge detection again there finds the artwork, not the card.
+ * Any other photo is the original capture: find the card's outer edge and
+ * straighten it first.
+ * Returns { leftRight, topBottom, borders, outer, confidence } — borders
+ * are { left, right, top, bottom } as fractions of the card's width and
+ * height, outer the card's corners (TL, TR, BR, BL) as fractions of the
+ * photo, for drawing the measurement over it.
+ * Throws when the card edge or its border can't be found.
+ */
+export async function measureCentering(imageSrc) {
+  const img = await loadImageFromSrc(imageSrc);
+  const canvas = document.createElement('canvas');
+  canvas.width = img.width;
+  canvas.height = img.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+
+  const imageData = ctx.getImageData(0, 0, img.width, img.height);
+  const crop = scanCropBounds(imageData);
+  let measured;
+  let corners;
+  if (crop) {
+    measured = measureScanBorders(imageData, crop);
+    if (measured) {
+      const { x, y, width, height } = measured.card;
+      corners = [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+    }
+  } else {
+    await loadOpenCV();
+    corners = detectCardEdges(canvas);
+    if (!corners) throw new Error("Couldn't find the card's edges in the photo");
+
+    // No expansion here — the measurement starts at the card's true edge
+    const { warped, outW, outH } = warpQuad(canvas, corners);
+    const cardCanvas = document.createElement('canvas');
+    cardCanvas.width = outW;
+    cardCanvas.height = outH;
+    cv.imshow(cardCanvas, warped);
+    warped.delete();
+    measured = measureBorders(cardCanvas.getContext('2d').getImageData(0, 0, outW, outH));
+  }
+  if (!measured) throw new Error('No clear border to measure (full-bleed cards have none)');
+
+  const { borders, spread } = measured;
+  const round = (v) => Math.round(v * 10000) / 10000;
+  return {
+    leftRight: centeringRatio(borders.left, borders.right),
+    topBottom: centeringRatio(borders.top, borders.bottom),
+    borders: {
+      left: round(borders.left), right: round(borders.right),
+      top: round(borders.top), bottom: round(borders.bottom),
+    },
+    outer: corners.map(c => ({ x: round(c.x / img.width), y: round(c.y / img.height) })),
+    confidence: spread < 0.15 ? 'high' : spread < 0.35 ? 'medium' : 'low',
+  };
+}
+
+/**
+ * Split a photo of several cards (e.g. a 3x3 layout on a table) into one
+ * perspective-corrected JPEG Blob per card, in reading order.
+ * Returns an empty array when no cards are found.
+ */
+export async function splitCardSheet(file) {
+  await loadOpenCV();
+
+  const url = URL.createObjectURL(file);
+  let img;
+  try {
+    img = await loadImageFromSrc(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+
+  const scale = Math.min(SHEET_MAX_DIMENSION / img.width, SHEET_MAX_DIMENSION / img.height, 1);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.width * scale);
+  canvas.height = Math.round(img.height * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  const blobs = [];
+  for (const corners of detectCardQuads(canvas)) {
+    const corrected = applyPerspectiveCorrection(canvas, corners, SHEET_EXPANSION);
+    blobs.push(await new Promise(r => corrected.toBlob(r, 'image/jpeg', 0.92)));
+  }
+  return blobs;
+}
+
 // ===== Helpers =====
 
 function loadImageFromSrc(src) {
@@ -1,7 +1,11 @@
 // Settings management: API key, preferences, data export/import
 
 import * as db from './db.js';
-import { toast, confirm, $, escapeHtml } from './ui.js';
+import { toast, confirm, $, escapeHtml, restoreModalDOM } from './ui.js';
+import { cardDisplayName } from './card-model.js';
+import { exportZipBackup, readZipBackup, isZipFile } from './backup-zip.js';
+import { runCsvImport } from './csv-import.js';
+import { showDuplicatesView } from './duplicates.js';
 import { signInWithEmail, signUpWithEmail, signInWithGoogle, resetPassword, signOut as authSignOut, getCurrentUser } from './auth.js';
 import { pullAllCards, pullSettings, pushSettings, syncImages } from './sync.js';
 
@@ -48,6 +52,28 @@ export async function initSettings() {
     }
   });
 
+  // AI provider
+  $('#setting-ai-provider').addEventListener('change', async (e) => {
+    await db.setSetting('aiProvider', e.target.value);
+    showProviderSettings(e.target.value);
+    toast('AI provider updated', 'success');
+    window.dispatchEvent(new CustomEvent('apikey-changed'));
+  });
+  [
+    ['#setting-ai-endpoint', 'aiEndpoint'],
+    ['#setting-ai-endpoint-model', 'aiEndpointModel'],
+    ['#setting-ai-endpoint-key', 'aiEndpointKey'],
+  ].forEach(([selector, key]) => {
+    $(selector).addEventListener('change', async (e) => {
+      await db.setSetting(key, e.target.value.trim());
+      window.dispatchEvent(new CustomEvent('apikey-changed'));
+    });
+  });
+
+  $('#setting-scan-concurrency').addEventListener('change', async (e) => {
+    await db.setSetting('scanConcurrency', parseInt(e.target.value, 10));
+  });
+
   // Model
   $('#setting-model').addEventListener('change', async (e) => {
     await db.setSetting('model', e.target.value);
@@ -73,19 +99,42 @@ export async function initSettings() {
     window.dispatchEvent(new CustomEvent('settings-changed'));
   });
 
+  // Grading cost (for grading candidates)
+  $('#setting-grading-cost').addEventListener('change', async (e) => {
+    const cost = parseFloat(e.target.value);
+    await db.setSetting('gradingCost', isNaN(cost) || cost < 0 ? 25 : cost);
+    window.dispatchEvent(new CustomEvent('settings-changed'));
+  });
+
+  // Duplicate review
+  $('#btn-find-duplicates').addEventListener('click', () => {
+    showDuplicatesView().catch(err => toast('Duplicate check failed: ' + err.message, 'error'));
+  });
+
   // Export data
   $('#btn-export-data').addEventListener('click', async () => {
+    const choice = await showExportPicker();
+    if (!choice) return;
     try {
-      const data = await db.exportAllData();
-      const json = JSON.stringify(data, null, 2);
-      const blob = new Blob([json], { type: 'application/json' });
+      let blob, cardCount;
+      if (choice.format === 'zip') {
+        ({ blob, cardCount } = await exportZipBackup(choice.query));
+      } else {
+        const data = await db.exportAllData(choice.query);
+        blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        cardCount = data.cards.length;
+      }
+      if (cardCount === 0) {
+        toast('No cards match that filter', 'warning');
+        return;
+      }
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `card-wallet-backup-${new Date().toISOString().split('T')[0]}.json`;
+      a.download = `card-wallet-${choice.label}-${new Date().toISOString().split('T')[0]}.${choice.format}`;
       a.click();
       URL.revokeObjectURL(url);
-      toast('Data exported', 'success');
+      toast(`Exported ${cardCount} cards`, 'success');
     } catch (e) {
       toast('Export failed: ' + e.message, 'error');
     }
@@ -97,13 +146,25 @@ export async function initSettings() {
     if (!file) return;
 
     try {
-      const text = await file.text();
-      const data = JSON.parse(text);
-      const count = await db.importData(data);
-      toast(`Imported ${count} cards`, 'success');
-      await refreshStats();
-      // Trigger refresh of other views
-      window.dispatchEvent(new CustomEvent('data-imported'));
+      let data;
+      if (await isZipFile(file)) {
+        data = await readZipBackup(file);
+      } else {
+        try {
+          data = JSON.parse(await file.text());
+        } catch {
+          throw new Error('File is not valid JSON');
+        }
+      }
+      const preview = await db.previewImport(data);
+      const options = await showImportPreview(preview);
+      if (options) {
+        const result = await db.importData(preview.data, options);
+        toast(`Imported: ${result.added} new, ${result.updated} updated, ${result.skipped} skipped`, 'success', 4000);
+        await refreshStats();
+        // Trigger refresh of other views
+        window.dispatchEvent(new CustomEvent('data-imported'));
+      }
     } catch (err) {
       toast('Import failed: ' + err.message, 'error');
     }
@@ -112,6 +173,32 @@ export async function initSettings() {
     e.target.value = '';
   });
 
+  // Import spreadsheet (CSV/TSV)
+  $('#btn-import-csv').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const result = await runCsvImport(file);
+      if (result) {
+        toast(`Imported ${result.imported} cards${result.skipped ? `, ${result.skipped} skipped` : ''}`, 'success', 4000);
+        await refreshStats();
+        window.dispatchEvent(new CustomEvent('data-imported'));
+      }
+    } catch (err) {
+      toast('CSV import failed: ' + err.message, 'error');
+    }
+
+    e.target.value = '';
+  });
+
+  // Identification cache
+  $('#btn-clear-ai-cache').addEventListener('click', async () => {
+    await db.clearIdentificationCache();
+    toast('Identification cache cleared', 'success');
+    await refreshAiCacheStats();
+  });
+
   // Clear data
   $('#btn-clear-data').addEventListener('click', async () => {
     const confirmed = await confirm('Clear All Data', 'This will permanently delete all cards. This cannot be undone.');
@@ -238,6 +325,11 @@ export async function initSettings() {
   await refreshStats();
 }
 
+function showProviderSettings(providerId) {
+  $('#ai-anthropic-settings').classList.toggle('hidden', providerId !== 'anthropic');
+  $('#ai-endpoint-settings').classList.toggle('hidden', providerId !== 'openai');
+}
+
 function showAccountState(state) {
   $('#auth-signed-out').classList.add('hidden');
   $('#auth-signed-in').classList.add('hidden');
@@ -261,6 +353,16 @@ async function loadSettings() {
   const model = await db.getSetting('model');
   if (model) $('#setting-model').value = model;
 
+  const aiProvider = (await db.getSetting('aiProvider')) || 'anthropic';
+  $('#setting-ai-provider').value = aiProvider;
+  showProviderSettings(aiProvider);
+  $('#setting-ai-endpoint').value = (await db.getSetting('aiEndpoint')) || '';
+  $('#setting-ai-endpoint-model').value = (await db.getSetting('aiEndpointModel')) || '';
+  $('#setting-ai-endpoint-key').value = (await db.getSetting('aiEndpointKey')) || '';
+
+  const scanConcurrency = await db.getSetting('scanConcurrency');
+  if (scanConcurrency) $('#setting-scan-concurrency').value = String(scanConcurrency);
+
   const defaultSport = await db.getSetting('defaultSport');
   if (defaultSport) $('#setting-default-sport').value = defaultSport;
 
@@ -270,6 +372,9 @@ async function loadSettings() {
   const defaultPrice = await db.getSetting('defaultPrice');
   if (defaultPrice) $('#setting-default-price').value = defaultPrice;
 
+  const gradingCost = await db.getSetting('gradingCost');
+  if (gradingCost !== null) $('#setting-grading-cost').value = gradingCost;
+
   // eBay settings
   const ebayWorkerUrl = await db.getSetting('ebayWorkerUrl');
   if (ebayWorkerUrl) $('#setting-ebay-worker-url').value = ebayWorkerUrl;
@@ -281,14 +386,188 @@ async function loadSettings() {
   if (ebayRuName) $('#setting-ebay-runame').value = ebayRuName;
 }
 
+// ===== Backup Export / Import =====
+
+const EXPORT_SPORTS = ['Baseball', 'Basketball', 'Football', 'Hockey', 'Soccer'];
+
+const EXPORT_SUBSETS = {
+  all: { label: 'All cards', query: {} },
+  collection: { label: 'Collection only', query: { mode: 'collection' } },
+  listings: { label: 'Listings only', query: { mode: 'listing' } },
+  sold: { label: 'Sold cards only', query: { status: 'sold' } },
+};
+
+/**
+ * Ask what to export. Resolves { query, label, format } — query is null for
+ * a full backup with settings, format is 'json' or 'zip' — or null if cancelled.
+ */
+function showExportPicker() {
+  return new Promise((resolve) => {
+    const overlay = document.getElementById('modal-overlay');
+    const modal = overlay.querySelector('.modal');
+
+    modal.innerHTML = `
+      <h3>Export Data</h3>
+      <div class="form-group">
+        <label for="export-subset">Cards</label>
+        <select id="export-subset">
+          ${Object.entries(EXPORT_SUBSETS).map(([key, s]) => `<option value="${key}">${s.label}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="export-sport">Sport</label>
+        <select id="export-sport">
+          <option value="">All sports</option>
+          ${EXPORT_SPORTS.map(sport => `<option value="${sport}">${sport}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label>Format</label>
+        <div class="format-options">
+          <label class="format-option">
+            <input type="radio" name="export-format" value="zip" checked>
+            <span>ZIP — images as files, smaller</span>
+          </label>
+          <label class="format-option">
+            <input type="radio" name="export-format" value="json">
+            <span>JSON — single file, images inline</span>
+          </label>
+        </div>
+      </div>
+      <p style="font-size:12px;color:var(--gray-400);margin:0">A full backup also includes trashed cards and settings.</p>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="export-cancel">Cancel</button>
+        <button class="btn btn-primary" id="export-confirm">Export</button>
+      </div>
+    `;
+    overlay.classList.remove('hidden');
+
+    const close = (result) => {
+      overlay.classList.add('hidden');
+      restoreModalDOM();
+      resolve(result);
+    };
+
+    document.getElementById('export-cancel').addEventListener('click', () => close(null));
+    document.getElementById('export-confirm').addEventListener('click', () => {
+      const subset = document.getElementById('export-subset').value;
+      const sport = document.getElementById('export-sport').value;
+      const format = document.querySelector('input[name="export-format"]:checked').value;
+      if (subset === 'all' && !sport) {
+        close({ query: null, label: 'backup', format });
+        return;
+      }
+      const query = { ...EXPORT_SUBSETS[subset].query };
+      if (sport) query.sport = sport;
+      const label = [sport, subset !== 'all' ? subset : ''].filter(Boolean).join('-').toLowerCase();
+      close({ query, label, format });
+    });
+  });
+}
+
+const IMPORT_BUCKETS = [
+  ['new', 'New cards'],
+  ['newer', 'Newer in backup'],
+  ['older', 'Older in backup'],
+  ['conflict', 'Conflicting'],
+  ['same', 'Unchanged'],
+];
+
+/**
+ * Show what an import would change and let the user pick a merge strategy.
+ * Resolves { strategy, includeSettings } or null if cancelled.
+ */
+function showImportPreview(preview) {
+  return new Promise((resolve) => {
+    const overlay = document.getElementById('modal-overlay');
+    const modal = overlay.querySelector('.modal');
+    const { cards, settings } = preview;
+
+    const listFor = (entries) => entries.slice(0, 20).map(({ card, changes }) => {
+      const fields = Object.keys(changes);
+      return `<li>${escapeHtml(cardDisplayName(card))}${fields.length ? ` <span style="color:var(--gray-400)">(${escapeHtml(fields.join(', '))})</span>` : ''}</li>`;
+    }).join('') + (entries.length > 20 ? `<li style="color:var(--gray-400)">…and ${entries.length - 20} more</li>` : '');
+
+    modal.innerHTML = `
+      <h3>Import Backup</h3>
+      <p style="font-size:12px;color:var(--gray-400);margin:0 0 8px">
+        ${preview.exportDate ? `Exported ${new Date(preview.exportDate).toLocaleDateString()}` : 'Export date unknown'}
+        ${preview.version < db.BACKUP_VERSION ? ` &middot; upgraded from format v${preview.version}` : ''}
+      </p>
+      <div class="import-preview">
+        ${IMPORT_BUCKETS.filter(([key]) => cards[key].length > 0).map(([key, label]) => `
+          <details class="import-preview-bucket">
+            <summary><span>${label}</span><span class="import-preview-count">${cards[key].length}</span></summary>
+            ${key !== 'same' ? `<ul>${listFor(cards[key])}</ul>` : ''}
+          </details>
+        `).join('')}
+      </div>
+      <div class="form-group" style="margin-top:12px">
+        <label>When a card exists in both</label>
+        <div class="format-options">
+          <label class="format-option">
+            <input type="radio" name="import-strategy" value="newest" checked>
+            <span>Keep newest (conflicts keep local)</span>
+          </label>
+          <label class="format-option">
+            <input type="radio" name="import-strategy" value="local">
+            <span>Keep local — only add new cards</span>
+          </label>
+          <label class="format-option">
+            <input type="radio" name="import-strategy" value="imported">
+            <span>Keep imported — backup overwrites local</span>
+          </label>
+        </div>
+      </div>
+      ${settings.length > 0 ? `
+      <label class="toggle-row" style="margin-top:8px">
+        <span>Also import ${settings.length} changed setting(s)</span>
+        <input type="checkbox" id="import-settings" class="toggle-input">
+        <span class="toggle-switch"></span>
+      </label>` : ''}
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="import-cancel">Cancel</button>
+        <button class="btn btn-primary" id="import-confirm">Import</button>
+      </div>
+    `;
+    overlay.classList.remove('hidden');
+
+    const close = (result) => {
+      overlay.classList.add('hidden');
+      restoreModalDOM();
+      resolve(result);
+    };
+
+    document.getElementById('import-cancel').addEventListener('click', () => close(null));
+    document.getElementById('import-confirm').addEventListener('click', () => {
+      close({
+        strategy: document.querySelector('input[name="import-strategy"]:checked').value,
+        includeSettings: !!document.getElementById('import-settings')?.checked,
+      });
+    });
+  });
+}
+
 export async function refreshStats() {
-  const all = await db.getAllCards(); // excludes deleted by default
-  const listings = all.filter(c => c.mode === 'listing');
-  const collection = all.filter(c => c.mode === 'collection');
+  const [total, listings, collection] = await Promise.all([
+    db.countCards(), // excludes deleted by default
+    db.countCards({ mode: 'listing' }),
+    db.countCards({ mode: 'collection' }),
+  ]);
+
+  $('#stat-total').textContent = total;
+  $('#stat-listings').textContent = listings;
+  $('#stat-collection').textContent = collection;
 
-  $('#stat-total').textContent = all.length;
-  $('#stat-listings').textContent = listings.length;
-  $('#stat-collection').textContent = collection.length;
+  await refreshAiCacheStats();
+}
+
+async function refreshAiCacheStats() {
+  const stats = await db.getIdentificationCacheStats();
+  $('#ai-cache-stats').textContent = stats.entries === 0
+    ? 'No saved identifications.'
+    : `${stats.entries} saved identification${stats.entries !== 1 ? 's' : ''} (~${Math.max(1, Math.round(stats.bytes / 1024))} KB) · ${stats.hits} AI call${stats.hits !== 1 ? 's' : ''} saved`;
+  $('#btn-clear-ai-cache').disabled = stats.entries === 0;
 }
 
 export async function getDefaults() {
@@ -307,12 +586,9 @@ function initTrash() {
 
   if (restoreBtn) {
     restoreBtn.addEventListener('click', async () => {
-      const all = await db.getAllCards(true);
-      const trashed = all.filter(c => c.status === 'deleted');
+      const { cards: trashed } = await db.queryCards({ status: 'deleted' });
       for (const card of trashed) {
-        card.status = 'pending';
-        card.lastModified = new Date().toISOString();
-        await db.saveCard(card);
+        await db.restoreCard(card);
       }
       toast(`${trashed.length} card(s) restored`, 'success');
       await refreshTrash();
@@ -325,8 +601,7 @@ function initTrash() {
     emptyBtn.addEventListener('click', async () => {
       const confirmed = await confirm('Empty Trash', 'Permanently delete all trashed cards? This cannot be undone.');
       if (!confirmed) return;
-      const all = await db.getAllCards(true);
-      const trashed = all.filter(c => c.status === 'deleted');
+      const { cards: trashed } = await db.queryCards({ status: 'deleted' });
       const ids = trashed.map(c => c.id);
       if (ids.length > 0) {
         await db.deleteCards(ids);
@@ -337,15 +612,41 @@ function initTrash() {
     });
   }
 
-  refreshTrash();
+  // Retention window
+  const retentionEl = document.getElementById('setting-trash-retention');
+  if (retentionEl) {
+    db.getSetting('trashRetentionDays').then(days => {
+      if (days !== null) retentionEl.value = String(days);
+    });
+    retentionEl.addEventListener('change', async () => {
+      await db.setSetting('trashRetentionDays', parseInt(retentionEl.value, 10) || 0);
+      window.dispatchEvent(new CustomEvent('settings-changed'));
+      await purgeTrash();
+    });
+  }
+
+  // Purge anything past the retention window on startup
+  purgeTrash();
 
   // Listen for trash changes
   window.addEventListener('trash-changed', () => refreshTrash());
 }
 
+async function purgeTrash() {
+  try {
+    const purged = await db.purgeExpiredTrash();
+    if (purged > 0) {
+      toast(`${purged} card(s) permanently removed from trash`, 'info');
+      await refreshStats();
+    }
+  } catch (err) {
+    console.error('Trash purge failed:', err);
+  }
+  await refreshTrash();
+}
+
 export async function refreshTrash() {
-  const all = await db.getAllCards(true); // include deleted
-  const trashed = all.filter(c => c.status === 'deleted');
+  const { cards: trashed } = await db.queryCards({ status: 'deleted' });
 
   const emptyMsg = document.getElementById('trash-empty-msg');
   const listEl = document.getElementById('trash-list');
@@ -363,13 +664,21 @@ export async function refreshTrash() {
   if (emptyMsg) emptyMsg.classList.add('hidden');
   if (actionsEl) actionsEl.classList.remove('hidden');
 
+  const retention = await db.getSetting('trashRetentionDays');
+  const retentionDays = retention === null ? 30 : Number(retention);
+
   listEl.innerHTML = trashed.map(card => {
     const name = card.player || card.ebayTitle || 'Unknown Card';
-    const date = card.lastModified ? new Date(card.lastModified).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '';
+    const deletedAt = card.deletedAt || card.lastModified;
+    const date = deletedAt ? new Date(deletedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '';
+    // Undated cards are never purged, so they have no countdown
+    const daysLeft = retentionDays && card.deletedAt
+      ? Math.max(0, Math.ceil((new Date(card.deletedAt).getTime() + retentionDays * 86400000 - Date.now()) / 86400000))
+      : null;
     return `
       <div class="trash-item" data-id="${card.id}">
         <span class="trash-item-name">${escapeHtml(name)}</span>
-        <span class="trash-item-date">${date}</span>
+        <span class="trash-item-date" title="${daysLeft !== null ? `Permanently deleted in ${daysLeft} day(s)` : ''}">${date}${daysLeft !== null ? ` &middot; ${daysLeft}d left` : ''}</span>
         <button class="btn btn-sm btn-secondary trash-restore-btn" data-id="${card.id}">Restore</button>
       </div>
     `;
@@ -380,9 +689,7 @@ export async function refreshTrash() {
     btn.addEventListener('click', async () => {
       const card = await db.getCard(btn.dataset.id);
       if (card) {
-        card.status = 'pending';
-        card.lastModified = new Date().toISOString();
-        await db.saveCard(card);
+        await db.restoreCard(card);
         toast('Card restored', 'success');
         await refreshTrash();
         await refreshStats();
@@ -1,6 +1,7 @@
 // Shareable card image generation for social media
 
 import { cardDisplayName } from './card-model.js';
+import { getCardImage } from './db.js';
 
 const TEMPLATES = {
   clean: { bg: '#ffffff', text: '#1f2937', secondary: '#6b7280', accent: '#2563eb' },
@@ -29,9 +30,12 @@ export async function generateShareImage(card, template = 'clean') {
   // Card image (left side with drop shadow)
   const imgX = 60, imgY = 120, imgW = 440, imgH = 620;
 
-  if (card.imageBlob) {
+  // Use the inline image if the caller already has it, else read it from the images store
+  const frontImage = card.imageBlob || (card.id ? await getCardImage(card.id, 'imageBlob') : null);
+
+  if (frontImage) {
     try {
-      const img = await loadImage(card.imageBlob);
+      const img = await loadImage(frontImage);
       // Drop shadow
       ctx.shadowColor = 'rgba(0,0,0,0.25)';
       ctx.shadowBlur = 30;
@@ -198,12 +202,20 @@ export async function shareCard(card, showModal) {
 
 // --- Helpers ---
 
+/** Load an image from a URL or Blob */
 function loadImage(src) {
+  const url = src instanceof Blob ? URL.createObjectURL(src) : src;
   return new Promise((resolve, reject) => {
     const img = new Image();
-    img.onload = () => resolve(img);
-    img.onerror = reject;
-    img.src = src;
+    img.onload = () => {
+      if (url !== src) URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = (err) => {
+      if (url !== src) URL.revokeObjectURL(url);
+      reject(err);
+    };
+    img.src = url;
   });
 }
 
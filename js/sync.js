@@ -3,7 +3,7 @@
 
 import { isFirebaseConfigured, getFirestore, getStorage } from './firebase.js';
 import { getCurrentUser } from './auth.js';
-import { saveCardLocal, getAllCards, getSetting, setSetting, getAllSettings } from './db.js';
+import { saveCardLocal, getAllCards, getSetting, setSetting, getAllSettings, loadCardImages, hasCardImage, getCard, deleteCardsLocal, getTombstones } from './db.js';
 
 let syncStatus = 'idle'; // 'idle' | 'syncing' | 'error'
 
@@ -16,8 +16,9 @@ export function getSyncStatus() {
   return syncStatus;
 }
 
-// Fields to exclude from Firestore doc (full image blobs are too large)
-const EXCLUDED_FIELDS = ['imageBlob', 'imageBackBlob'];
+// Fields to exclude from Firestore doc (full image blobs are too large,
+// imageSides describes this device's local images store)
+const EXCLUDED_FIELDS = ['imageBlob', 'imageBackBlob', 'imageSides'];
 
 function cardToFirestoreDoc(card) {
   const doc = {};
@@ -96,6 +97,14 @@ export async function syncImages() {
   for (const card of allCards) {
     let cardChanged = false;
 
+    // Full images live in the local images store — load only what needs uploading
+    if (storage) {
+      const toUpload = [];
+      if (!card.imageStorageUrl) toUpload.push('imageBlob');
+      if (!card.imageBackStorageUrl) toUpload.push('imageBackBlob');
+      await loadCardImages(card, toUpload);
+    }
+
     // === UPLOAD: local image exists but not in Storage ===
     if (storage && card.imageBlob && !card.imageStorageUrl) {
       try {
@@ -131,7 +140,7 @@ export async function syncImages() {
 
     // Save locally + update Firestore doc with new URLs
     if (cardChanged) {
-      await saveCardLocal(card);
+      await saveCardLocal(card, { source: 'sync-push' });
       if (firestore) {
         try {
           const update = {};
@@ -147,14 +156,14 @@ export async function syncImages() {
 
     // === DOWNLOAD: Storage URL exists but no local blob ===
     // Use worker proxy to bypass CORS restrictions on Firebase Storage
-    if (card.imageStorageUrl && !card.imageBlob) {
+    if (card.imageStorageUrl && !hasCardImage(card, 'imageBlob')) {
       try {
         console.log('[Sync] Downloading front image for', card.id);
         const resp = await fetchViaProxy(card.imageStorageUrl);
         if (resp.ok) {
           const blob = await resp.blob();
           card.imageBlob = await blobToBase64(blob);
-          await saveCardLocal(card);
+          await saveCardLocal(card, { source: 'cloud-pull' });
           downloaded++;
           console.log('[Sync] Front downloaded OK');
         }
@@ -166,14 +175,14 @@ export async function syncImages() {
       }
     }
 
-    if (card.imageBackStorageUrl && !card.imageBackBlob) {
+    if (card.imageBackStorageUrl && !hasCardImage(card, 'imageBackBlob')) {
       try {
         console.log('[Sync] Downloading back image for', card.id);
         const resp = await fetchViaProxy(card.imageBackStorageUrl);
         if (resp.ok) {
           const blob = await resp.blob();
           card.imageBackBlob = await blobToBase64(blob);
-          await saveCardLocal(card);
+          await saveCardLocal(card, { source: 'cloud-pull' });
           if (!card.imageStorageUrl || card.imageBlob) downloaded++;
           console.log('[Sync] Back downloaded OK');
         }
@@ -229,6 +238,12 @@ export async function pushCard(card) {
   try {
     setSyncStatus('syncing');
 
+    // Thumbnails go in the Firestore doc; full images only if not yet uploaded
+    const toLoad = ['imageThumbnail', 'imageBackThumb'];
+    if (!card.imageStorageUrl) toLoad.push('imageBlob');
+    if (!card.imageBackStorageUrl) toLoad.push('imageBackBlob');
+    await loadCardImages(card, toLoad);
+
     // Try to upload images to Firebase Storage
     const storage = safeGetStorage();
     if (storage) {
@@ -237,7 +252,7 @@ export async function pushCard(card) {
           const ref = storage.ref(`users/${user.uid}/cards/${card.id}/front.jpg`);
           await ref.putString(card.imageBlob, 'data_url');
           card.imageStorageUrl = await ref.getDownloadURL();
-          await saveCardLocal(card);
+          await saveCardLocal(card, { source: 'sync-push' });
         } catch (err) {
           console.error('[Sync] pushCard image upload failed:', err.message);
         }
@@ -247,7 +262,7 @@ export async function pushCard(card) {
           const ref = storage.ref(`users/${user.uid}/cards/${card.id}/back.jpg`);
           await ref.putString(card.imageBackBlob, 'data_url');
           card.imageBackStorageUrl = await ref.getDownloadURL();
-          await saveCardLocal(card);
+          await saveCardLocal(card, { source: 'sync-push' });
         } catch (err) {
           console.error('[Sync] pushCard back image upload failed:', err.message);
         }
@@ -278,11 +293,14 @@ export async function pullAllCards() {
   try {
     setSyncStatus('syncing');
 
+    // Apply purges from either side first so purged cards can't resurrect
+    const tombstones = await syncTombstones(firestore, user);
+
     const snapshot = await firestore
       .collection('users').doc(user.uid).collection('cards')
       .get();
 
-    const localCards = await getAllCards();
+    const localCards = await getAllCards(true);
     const localMap = new Map(localCards.map(c => [c.id, c]));
     console.log('[Sync] pullAllCards — remote:', snapshot.docs.length, 'local:', localCards.length);
 
@@ -291,11 +309,12 @@ export async function pullAllCards() {
 
     for (const doc of snapshot.docs) {
       const remoteCard = firestoreDocToCard(doc.data());
+      if (tombstones.has(remoteCard.id)) continue;
       const localCard = localMap.get(remoteCard.id);
 
       if (!localCard) {
         // Card exists remotely but not locally — pull it
-        await saveCardLocal(remoteCard);
+        await saveCardLocal(remoteCard, { source: 'cloud-pull' });
         pullCount++;
       } else {
         // Both exist — newer wins
@@ -303,20 +322,19 @@ export async function pullAllCards() {
         const localTime = new Date(localCard.lastModified || localCard.dateAdded || 0).getTime();
 
         if (remoteTime > localTime) {
+          // Local full images stay in the images store untouched
           const merged = { ...localCard, ...remoteCard };
-          if (localCard.imageBlob) merged.imageBlob = localCard.imageBlob;
-          if (localCard.imageBackBlob) merged.imageBackBlob = localCard.imageBackBlob;
-          await saveCardLocal(merged);
+          await saveCardLocal(merged, { source: 'cloud-pull' });
           conflictCount++;
         } else {
           // Local is newer or same — preserve local but grab any Storage URLs from remote
           if (remoteCard.imageStorageUrl && !localCard.imageStorageUrl) {
             localCard.imageStorageUrl = remoteCard.imageStorageUrl;
-            await saveCardLocal(localCard);
+            await saveCardLocal(localCard, { source: 'cloud-pull' });
           }
           if (remoteCard.imageBackStorageUrl && !localCard.imageBackStorageUrl) {
             localCard.imageBackStorageUrl = remoteCard.imageBackStorageUrl;
-            await saveCardLocal(localCard);
+            await saveCardLocal(localCard, { source: 'cloud-pull' });
           }
         }
       }
@@ -354,17 +372,62 @@ export async function deleteCardRemote(cardId) {
   try {
     await deleteCardImages(user.uid, cardId);
     await firestore.collection('users').doc(user.uid).collection('cards').doc(cardId).delete();
+    // Tombstone so devices that still have the card delete it instead of re-pushing it
+    await firestore.collection('users').doc(user.uid).collection('tombstones').doc(cardId)
+      .set({ deletedAt: new Date().toISOString() });
   } catch (err) {
     console.error('Delete card remote failed:', err);
   }
 }
 
+/**
+ * Reconcile purge tombstones with the cloud. Local purges that never reached
+ * the cloud (offline or signed out at the time) are deleted remotely, and
+ * remote purges remove the card here unless it was edited after the purge.
+ * Returns the set of all tombstoned card ids.
+ */
+async function syncTombstones(firestore, user) {
+  const local = await getTombstones();
+  const ids = new Set(Object.keys(local));
+
+  let remoteDocs = [];
+  try {
+    const snapshot = await firestore.collection('users').doc(user.uid).collection('tombstones').get();
+    remoteDocs = snapshot.docs;
+  } catch (err) {
+    console.error('[Sync] Failed to load tombstones:', err.message);
+    return ids;
+  }
+
+  const remoteIds = new Set(remoteDocs.map(d => d.id));
+  for (const id of ids) {
+    if (!remoteIds.has(id)) await deleteCardRemote(id);
+  }
+
+  const toDelete = [];
+  for (const doc of remoteDocs) {
+    if (ids.has(doc.id)) continue;
+    const { deletedAt } = doc.data();
+    const card = await getCard(doc.id);
+    if (card && new Date(card.lastModified || 0) > new Date(deletedAt || 0)) continue;
+    toDelete.push(doc.id);
+    ids.add(doc.id);
+  }
+  if (toDelete.length > 0) {
+    await deleteCardsLocal(toDelete);
+    console.log('[Sync] Applied', toDelete.length, 'remote tombstone(s)');
+  }
+
+  return ids;
+}
+
 // ===== Settings Sync =====
 
 const SYNCED_SETTING_KEYS = [
   'model', 'defaultSport', 'defaultCondition', 'defaultPrice',
   'ebayWorkerUrl', 'ebayClientId', 'ebayRuName',
   'ebayAccessToken', 'ebayRefreshToken', 'ebayTokenExpiry', 'ebayConnected',
+  'trashRetentionDays', 'csvImportMapping', 'csvExportColumns', 'titleTemplates', 'parallelCatalog',
 ];
 
 export async function pushSettings() {
@@ -439,6 +502,15 @@ export function initSyncListeners() {
     }
   });
 
+  window.addEventListener('cards-saved', async (e) => {
+    const { cards } = e.detail;
+    if (cards) {
+      for (const card of cards) {
+        await pushCard(card);
+      }
+    }
+  });
+
   window.addEventListener('card-deleted', async (e) => {
     const { id } = e.detail;
     if (id) {
@@ -0,0 +1,195 @@
+// eBay title templates — saved config, per-sport/per-set overrides and the editor
+
+import * as db from './db.js';
+import {
+  TITLE_TOKENS, DEFAULT_TITLE_CONFIG, normalizeTitleConfig, buildEbayTitle, createCard,
+} from './card-model.js';
+import { toast, $, escapeHtml, restoreModalDOM } from './ui.js';
+
+const SPORTS = ['Baseball', 'Basketball', 'Football', 'Hockey', 'Soccer'];
+
+// Shown in the editor preview
+const SAMPLE_CARD = createCard({
+  sport: 'Baseball', year: '2023', brand: 'Topps', setName: 'Chrome Update', player: 'Elly De La Cruz',
+  team: 'Cincinnati Reds', cardNumber: 'USC1', parallel: 'Gold Refractor', attributes: ['Rookie'],
+  serialNumber: '12/50', graded: 'Yes', gradeCompany: 'PSA', gradeValue: '10',
+});
+
+let config = normalizeTitleConfig(null);
+
+/** The title config currently in effect (loaded from settings) */
+export function getTitleConfig() {
+  return config;
+}
+
+export async function loadTitleConfig() {
+  try {
+    config = normalizeTitleConfig(await db.getSetting('titleTemplates'));
+  } catch {
+    config = normalizeTitleConfig(null);
+  }
+  return config;
+}
+
+// ===== Editor =====
+
+function abbreviationsToText(abbreviations) {
+  return Object.entries(abbreviations).map(([from, to]) => `${from} = ${to}`).join('\n');
+}
+
+function textToAbbreviations(text) {
+  const abbreviations = {};
+  for (const line of text.split('\n')) {
+    const [from, ...rest] = line.split('=');
+    const to = rest.join('=').trim();
+    if (from.trim() && to) abbreviations[from.trim()] = to;
+  }
+  return abbreviations;
+}
+
+function overrideRow(override = { type: 'sport', match: '', template: '' }) {
+  return `
+    <div class="title-override">
+      <select data-field="type" aria-label="Override applies to">
+        <option value="sport"${override.type === 'sport' ? ' selected' : ''}>Sport</option>
+        <option value="set"${override.type === 'set' ? ' selected' : ''}>Set</option>
+      </select>
+      <input type="text" data-field="match" list="title-override-sports" placeholder="Baseball or Topps Chrome" value="${escapeHtml(override.match)}" aria-label="Sport or set name">
+      <button type="button" class="copy-remove" data-action="remove" aria-label="Remove override">&times;</button>
+      <input type="text" data-field="template" placeholder="{year} {set} {player}" value="${escapeHtml(override.template)}" aria-label="Override template">
+    </div>
+  `;
+}
+
+/** Read the editor fields back into a config */
+function readEditor(modal) {
+  const overrides = [...modal.querySelectorAll('.title-override')].map(row => ({
+    type: row.querySelector('[data-field="type"]').value,
+    match: row.querySelector('[data-field="match"]').value.trim(),
+    template: row.querySelector('[data-field="template"]').value.trim(),
+  })).filter(o => o.match && o.template);
+
+  const priority = modal.querySelector('#title-priority').value
+    .split(',').map(t => t.trim().replace(/[{}]/g, '')).filter(t => TITLE_TOKENS[t]);
+
+  return normalizeTitleConfig({
+    template: modal.querySelector('#title-template').value.trim(),
+    overrides,
+    abbreviations: textToAbbreviations(modal.querySelector('#title-abbreviations').value),
+    alwaysAbbreviate: modal.querySelector('#title-always-abbreviate').checked,
+    priority,
+  });
+}
+
+/** Open the title template editor. Resolves true if saved. */
+export function showTitleTemplateEditor() {
+  return new Promise((resolve) => {
+    const overlay = document.getElementById('modal-overlay');
+    const modal = overlay.querySelector('.modal');
+
+    modal.classList.add('modal-scroll');
+    modal.innerHTML = `
+      <h3>eBay Title Templates</h3>
+      <p class="title-tokens">Tokens: ${Object.keys(TITLE_TOKENS).map(t => `<code>{${t}}</code>`).join(' ')}. Other words are kept as typed.</p>
+      <div class="form-group">
+        <label for="title-template">Default Template</label>
+        <input type="text" id="title-template" value="${escapeHtml(config.template)}">
+      </div>
+      <div class="form-group">
+        <label>Overrides (set beats sport beats default)</label>
+        <div id="title-overrides">${config.overrides.map(overrideRow).join('')}</div>
+        <datalist id="title-override-sports">${SPORTS.map(s => `<option value="${s}">`).join('')}</datalist>
+        <button type="button" class="btn btn-secondary btn-sm" id="title-add-override">Add Override</button>
+      </div>
+      <div class="form-group">
+        <label for="title-abbreviations">Abbreviations (one per line: Rookie = RC)</label>
+        <textarea id="title-abbreviations" rows="5">${escapeHtml(abbreviationsToText(config.abbreviations))}</textarea>
+      </div>
+      <label class="toggle-row">
+        <span>Always abbreviate (otherwise only when over 80 characters)</span>
+        <input type="checkbox" id="title-always-abbreviate" class="toggle-input"${config.alwaysAbbreviate ? ' checked' : ''}>
+        <span class="toggle-switch"></span>
+      </label>
+      <div class="form-group">
+        <label for="title-priority">Keep When Shortening (most important first)</label>
+        <input type="text" id="title-priority" value="${escapeHtml(config.priority.join(', '))}">
+      </div>
+      <div class="title-preview" id="title-editor-preview" aria-live="polite"></div>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="title-reset">Reset</button>
+        <button class="btn btn-secondary" id="title-cancel">Cancel</button>
+        <button class="btn btn-primary" id="title-save">Save</button>
+      </div>
+    `;
+    overlay.classList.remove('hidden');
+
+    const updatePreview = () => {
+      const preview = buildEbayTitle(SAMPLE_CARD, readEditor(modal));
+      $('#title-editor-preview').innerHTML = renderTitlePreview(preview);
+    };
+    updatePreview();
+    modal.addEventListener('input', updatePreview);
+    modal.addEventListener('change', updatePreview);
+
+    $('#title-add-override').addEventListener('click', () => {
+      $('#title-overrides').insertAdjacentHTML('beforeend', overrideRow());
+    });
+    $('#title-overrides').addEventListener('click', (e) => {
+      if (!e.target.closest('[data-action="remove"]')) return;
+      e.target.closest('.title-override').remove();
+      updatePreview();
+    });
+
+    const close = (result) => {
+      overlay.classList.add('hidden');
+      modal.classList.remove('modal-scroll');
+      restoreModalDOM();
+      resolve(result);
+    };
+
+    $('#title-cancel').addEventListener('click', () => close(false));
+    $('#title-reset').addEventListener('click', () => {
+      $('#title-template').value = DEFAULT_TITLE_CONFIG.template;
+      $('#title-overrides').innerHTML = '';
+      $('#title-abbreviations').value = abbreviationsToText(DEFAULT_TITLE_CONFIG.abbreviations);
+      $('#title-always-abbreviate').checked = DEFAULT_TITLE_CONFIG.alwaysAbbreviate;
+      $('#title-priority').value = DEFAULT_TITLE_CONFIG.priority.join(', ');
+      updatePreview();
+    });
+    $('#title-save').addEventListener('click', async () => {
+      const next = readEditor(modal);
+      try {
+        await db.setSetting('titleTemplates', next);
+        config = next;
+        window.dispatchEvent(new CustomEvent('settings-changed'));
+        close(true);
+      } catch (err) {
+        toast('Could not save templates: ' + err.message, 'error');
+      }
+    });
+  });
+}
+
+/** Preview markup for a buildEbayTitle result: the title plus how it was built */
+export function renderTitlePreview(result) {
+  const notes = [`${result.title.length}/80`, result.source];
+  if (result.abbreviated) notes.push('abbreviated');
+  if (result.dropped.length > 0) {
+    notes.push(`dropped ${result.dropped.map(t => TITLE_TOKENS[t]?.label || t).join(', ')}`);
+  }
+  if (result.truncated) notes.push('cut short');
+  return `
+    <div class="title-preview-text">${escapeHtml(result.title) || '&mdash;'}</div>
+    <div class="title-preview-notes">${escapeHtml(notes.join(' · '))}</div>
+  `;
+}
+
+export async function initTitleTemplates() {
+  await loadTitleConfig();
+  // Settings can also change through backup imports
+  window.addEventListener('settings-changed', () => loadTitleConfig());
+  window.addEventListener('data-imported', () => loadTitleConfig());
+  $('#btn-title-templates').addEventListener('click', async () => {
+    if (await showTitleTemplateEditor()) toast('Title templates saved', 'success');
+  });
+}
@@ -0,0 +1,154 @@
+// AI identification transcripts — per-card audit records, detail view and export for regression cases
+
+import * as db from './db.js';
+import { toast, confirm, $, escapeHtml } from './ui.js';
+
+// Identification fields exported as a regression case's expected answer
+const EXPECTED_FIELDS = ['year', 'brand', 'setName', 'subset', 'parallel', 'cardNumber', 'player', 'team', 'serialNumber'];
+
+/**
+ * Take the transcript identifyCard attached to its result (only there when
+ * transcripts are on) off the result, or null
+ */
+export function takeTranscript(aiData) {
+  const transcript = (aiData && aiData._transcript) || null;
+  if (aiData) delete aiData._transcript;
+  return transcript;
+}
+
+/** Store transcripts against the card they produced, once it's saved */
+export function saveTranscripts(cardId, transcripts) {
+  for (const transcript of transcripts) {
+    if (!transcript) continue;
+    db.addTranscript({ ...transcript, cardId }).catch(err => {
+      console.warn('[Transcripts] Save failed:', err.message);
+    });
+  }
+}
+
+// ===== Card Detail =====
+
+export function transcriptSectionHtml() {
+  return `
+    <div class="detail-section" id="detail-transcripts">
+      <div style="display:flex;align-items:center;justify-content:space-between">
+        <h3 style="font-size:15px;font-weight:600;color:var(--gray-700)">AI Transcripts</h3>
+        <button class="btn btn-secondary btn-sm" id="detail-transcripts-btn">Show</button>
+      </div>
+      <div id="detail-transcripts-list" class="hidden"></div>
+    </div>
+  `;
+}
+
+function formatColorAnalysis(color) {
+  if (!color) return 'Not run';
+  const lab = color.lab ? ` (L*=${color.lab.L}, a*=${color.lab.a}, b*=${color.lab.b})` : '';
+  return `${color.name || 'Unknown'}${lab} · ${color.confidence} confidence${color.isReflective ? ' · reflective' : ''}`;
+}
+
+function transcriptEntryHtml(entry) {
+  const usage = entry.usage && entry.usage.inputTokens !== null
+    ? `${entry.usage.inputTokens} in / ${entry.usage.outputTokens} out tokens`
+    : '';
+  const timing = entry.cached ? 'From cache' : entry.latencyMs !== null ? `${(entry.latencyMs / 1000).toFixed(1)}s` : '';
+  return `
+    <div class="transcript-entry">
+      <div class="transcript-meta">
+        <strong>${new Date(entry.createdAt).toLocaleString()}</strong>
+        <span>${escapeHtml(entry.source || entry.model || '')} · prompt v${entry.promptVersion}${entry.hadBack ? ' · front + back' : ' · front only'}</span>
+        <span>${[timing, usage].filter(Boolean).join(' · ')}</span>
+        <span>Color analysis: ${escapeHtml(formatColorAnalysis(entry.colorAnalysis))}</span>
+      </div>
+      <details>
+        <summary>Prompt</summary>
+        <pre class="transcript-text">${escapeHtml(entry.prompt || '')}</pre>
+      </details>
+      <details open>
+        <summary>Response</summary>
+        <pre class="transcript-text">${escapeHtml(entry.response || '')}</pre>
+      </details>
+    </div>
+  `;
+}
+
+/** Wire the detail screen's transcript section (loaded on demand) */
+export function wireTranscriptSection(card) {
+  $('#detail-transcripts-btn').addEventListener('click', async (e) => {
+    const list = $('#detail-transcripts-list');
+    const showing = !list.classList.contains('hidden');
+    list.classList.toggle('hidden', showing);
+    e.target.textContent = showing ? 'Show' : 'Hide';
+    if (showing) return;
+
+    const entries = await db.getCardTranscripts(card.id);
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="empty-state" style="padding:8px 0">No transcripts — turn on "Keep AI transcripts" in Settings, then identify this card again</p>';
+      return;
+    }
+    list.innerHTML = entries.map(transcriptEntryHtml).join('') +
+      '<button class="btn btn-secondary btn-sm" id="detail-transcripts-export">Export</button>';
+    $('#detail-transcripts-export').addEventListener('click', () => {
+      downloadTranscripts(buildExport(entries, new Map([[card.id, card]])), `card-wallet-transcripts-${card.id.slice(0, 8)}`);
+    });
+  });
+}
+
+// ===== Export =====
+
+/**
+ * Transcripts as regression cases: each carries what the model answered and
+ * the card's current (user-checked) details as the expected answer.
+ */
+function buildExport(entries, cardsById) {
+  return {
+    exportedAt: new Date().toISOString(),
+    cases: entries.map(entry => {
+      const card = cardsById.get(entry.cardId);
+      const expected = {};
+      if (card) {
+        for (const field of EXPECTED_FIELDS) expected[field] = card[field] || '';
+      }
+      const { id, ...transcript } = entry;
+      return { ...transcript, expected: card ? expected : null };
+    }),
+  };
+}
+
+function downloadTranscripts(data, name) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${name}-${new Date().toISOString().split('T')[0]}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ===== Settings =====
+
+export async function initTranscripts() {
+  const toggle = $('#setting-keep-transcripts');
+  toggle.checked = !!(await db.getSetting('keepAiTranscripts'));
+  toggle.addEventListener('change', async () => {
+    await db.setSetting('keepAiTranscripts', toggle.checked);
+    toast(toggle.checked ? 'AI transcripts will be kept' : 'AI transcripts turned off', 'success');
+  });
+
+  $('#btn-export-transcripts').addEventListener('click', async () => {
+    const entries = await db.getAllTranscripts();
+    if (entries.length === 0) {
+      toast('No AI transcripts saved yet', 'info');
+      return;
+    }
+    const cards = await db.getAllCards();
+    downloadTranscripts(buildExport(entries, new Map(cards.map(c => [c.id, c]))), 'card-wallet-transcripts');
+    toast(`Exported ${entries.length} transcript${entries.length !== 1 ? 's' : ''}`, 'success');
+  });
+
+  $('#btn-clear-transcripts').addEventListener('click', async () => {
+    const ok = await confirm('Clear AI Transcripts', 'Delete every saved AI transcript? Cards are not affected.');
+    if (!ok) return;
+    await db.clearTranscripts();
+    toast('AI transcripts cleared', 'success');
+  });
+}
@@ -1,11 +1,12 @@
 // Service Worker for Card Wallet PWA
-const CACHE_NAME = 'card-wallet-v5.16.0';
+const CACHE_NAME = 'card-wallet-v5.36.29';
 const ASSETS = [
   './',
   './index.html',
   './css/styles.css',
   './js/app.js',
   './js/ai.js',
+  './js/ai-providers.js',
   './js/auth.js',
   './js/camera.js',
   './js/card-model.js',
@@ -19,10 +20,24 @@ const ASSETS = [
   './js/listing.js',
   './js/settings.js',
   './js/scanner.js',
+  './js/scan-queue.js',
+  './js/transcripts.js',
+  './js/regression.js',
+  './js/grading.js',
   './js/sync.js',
   './js/ui.js',
   './js/charts.js',
   './js/share.js',
+  './js/card-images.js',
+  './js/backup-zip.js',
+  './js/csv-import.js',
+  './js/csv-export.js',
+  './js/duplicates.js',
+  './js/locations.js',
+  './js/title-templates.js',
+  './js/checklists.js',
+  './js/parallels.js',
+  './js/pairing.js',
   './manifest.json'
 ];
 